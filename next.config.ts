@@ -3,7 +3,14 @@ import type { NextConfig } from "next";
 const nextConfig: NextConfig = {
   /* config options here */
   output: "standalone",
-  devIndicators: false
+  devIndicators: false,
+  // the pages each timeline had before they were served from the timelines directory
+  async redirects() {
+    return [
+      { source: "/timeline", destination: "/t/example", permanent: true },
+      { source: "/bible", destination: "/t/bible", permanent: true },
+    ];
+  },
 };
 
 export default nextConfig;
@@ -15,8 +15,10 @@
  * - SwimLane: Represents a horizontal track containing time periods
  * - TimePeriod: A labeled bar indicating a date range with optional approximation
  * 
- * Entry point: `startApp()` sets up the canvas and attaches event listeners
- * Dependencies: Assumes existence of HTML elements with specific IDs (`timeline-canvas`, `info-panel`, `lane-panel`, etc.)
+ * - TimelineViewer: An embeddable viewer that owns the canvas, panels and event listeners for one timeline
+ * 
+ * Entry point: `createTimelineViewer(containerElement, { data, url, options })` mounts a viewer inside
+ * a container element. `startApp()` mounts a viewer in every element with a `data-timeline-id` attribute.
  * 
  * @file timeline.js
  */
@@ -24,13 +26,44 @@
 
 const SHOWTEMPMARKERS = false;
 const SHOWGRIDLINES = false;
+const SHOWDRAWSTATS = false; // frames per second, draw time and the layers drawn again, see Timeline.getDrawStats
 const SHOWSWIMLANEBORDERS = true;
 const PRINTTIMEPERIODS = false;
-let canvas, ctx, infoPanel, lanePanel, instructionPanel, zoomInButton, zoomOutButton
-let isDragging = false;
-let timeline = null;
-let timeperiodsetupcount = 0;
-let isTouch = false;
+const mountedViewers = new WeakMap(); // container element -> TimelineViewer
+const SCRIPTURL = typeof document !== "undefined" ? document.currentScript?.src || null : null; // run again in the loading worker, see TimelineLoader
+const SCALETYPES = ["millennium", "century", "decade", "year", "month", "date", "hour", "minute", "second", "millisecond"];
+const ERAS = ["BC/AD", "BCE/CE", "astronomical"];
+const CALENDARS = ["gregorian", "julian"];
+const GREGORIANCALENDARSTART = new Date(1582, 9, 15); // dates before are shown in the Julian calendar, if chosen
+const FORMATVERSIONS = [1, 2]; // 1: legacy "YYYY-M-D-H-M-S-MS" dates with zero-based months, 2: ISO 8601 dates
+const ISODATEREGEX = /^([+-]\d{4,6}|\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2})(?::(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?(Z|[+-]\d{2}(?::?\d{2})?)?)?)?)?$/;
+const IDREGEX = /^[A-Za-z0-9_-]+$/; // ids of swimlanes and time periods, safe in URLs and file names
+const ROWLAYOUTS = ["packed", "stable"]; // how time periods are assigned to rows, see SwimLane.#packRows
+const MAXROW = 999; // the highest row a time period can be placed in, see TimePeriod.setRow
+const LINKTYPES = ["precedes", "causes", "part-of", "custom"]; // links between time periods, custom links have their own label
+const LINKLABELS = { // how a link reads from the time period it starts at, and from the one it points to
+  "precedes": ["Precedes", "Preceded by"],
+  "causes": ["Causes", "Caused by"],
+  "part-of": ["Part of", "Includes"],
+};
+const TABLEDATEFORMATS = ["iso", "year", "dmy", "mdy"]; // date formats of imported tables, see parseTableDate
+// the fields of a time period in an imported or exported table, and the column headers they are recognised by
+const TABLECOLUMNS = [
+  { field: "lane", label: "Swimlane", headers: ["swimlane", "swim lane", "lane", "group", "category", "track"] },
+  { field: "name", label: "Name", headers: ["name", "title", "period", "event", "label"] },
+  { field: "start", label: "Start", headers: ["start", "start date", "from", "begin", "date"] },
+  { field: "end", label: "End", headers: ["end", "end date", "to", "until", "finish"] },
+  { field: "approxStart", label: "Approximate start", headers: ["approximate start", "approx start", "start approx", "start approximate", "circa start"] },
+  { field: "approxEnd", label: "Approximate end", headers: ["approximate end", "approx end", "end approx", "end approximate", "circa end"] },
+  { field: "description", label: "Description", headers: ["description", "notes", "details", "comment", "comments"] },
+  { field: "color1", label: "Colour", headers: ["colour", "color", "fill", "fill colour", "fill color", "colour 1", "color 1"] },
+  { field: "color2", label: "Outline colour", headers: ["outline colour", "outline color", "outline", "border", "colour 2", "color 2"] },
+  { field: "id", label: "Id", headers: ["id", "identifier", "key"] },
+];
+const TABLEFILEREGEX = /\.(csv|tsv|txt)$/i; // opened files loaded as tables rather than timeline JSON
+const RECENTFILESKEY = "timelineViewer.recentFiles"; // local storage key of the recently opened files
+const LANELAYOUTSKEY = "timelineViewer.laneLayouts"; // local storage key of the remembered swimlane layouts
+const MAXLANELAYOUTS = 50; // timelines whose swimlane layout is remembered, the least recently changed are forgotten
 
 
 /**
@@ -111,47 +144,50 @@ function getFocusDateAsValue(date, scaleType) {
  * - "month": Adds months and resets date to the 1st, time to 00:00:00.000.
  * - "date", "hour", etc.: Increments the respective unit and zeroes out smaller units.
  * 
+ * Years and months are counted in the calendar and era of `dateFormat`. With a BC/AD or BCE/CE era,
+ * millennium, century and decade boundaries fall on round historical years on both sides of the era
+ * boundary (e.g. 100 BC, AD 1, AD 100), see `getEraYear`.
+ * 
  * @param {Date} oldDate - The base date to increment from.
  * @param {string} scaleType - The unit of time to increment (e.g., "year", "month", "hour").
  * @param {number} increment - The number of units to add (can be negative).
+ * @param {Object} [dateFormat={}] - The era and calendar to count in, see `Timeline.getDateFormat`.
+ *   Defaults to astronomical years in the Gregorian calendar.
  * @returns {Date} A new Date object with the increment applied.
  */
-function incrementDateByScaleType(oldDate, scaleType, increment) {
+function incrementDateByScaleType(oldDate, scaleType, increment, dateFormat = {}) {
+  const { era = "astronomical", calendar = "gregorian" } = dateFormat;
 
   let newDate = new Date(oldDate);
+  const calendarDate = getCalendarDate(newDate, calendar);
   let year;
 
   switch (scaleType) {
     case "millennium":
-      year = newDate.getFullYear() + increment * 1000;
-      year = Math.floor(year / 1000) * 1000;
-      newDate.setFullYear(year);
-      newDate.setMonth(0);
+      year = getEraYear(calendarDate.year, era) + increment * 1000;
+      year = getAstronomicalYear(Math.floor(year / 1000) * 1000, era);
+      newDate = setCalendarDate(newDate, year, 0, calendarDate.day, calendar);
       break;
     case "century":
-      year = newDate.getFullYear() + increment * 100;
-      year = Math.floor(year / 100) * 100;
-      newDate.setFullYear(year);
-      newDate.setMonth(0);
+      year = getEraYear(calendarDate.year, era) + increment * 100;
+      year = getAstronomicalYear(Math.floor(year / 100) * 100, era);
+      newDate = setCalendarDate(newDate, year, 0, calendarDate.day, calendar);
       break;
     case "decade":
-      year = newDate.getFullYear() + increment * 10;
-      year = Math.floor(year / 10) * 10;
-      newDate.setFullYear(year);
-      newDate.setMonth(0);
+      year = getEraYear(calendarDate.year, era) + increment * 10;
+      year = getAstronomicalYear(Math.floor(year / 10) * 10, era);
+      newDate = setCalendarDate(newDate, year, 0, calendarDate.day, calendar);
       break;
     case "year":
-      year = newDate.getFullYear() + increment;
-      newDate.setFullYear(year);
-      newDate.setMonth(0);
+      year = calendarDate.year + increment;
+      newDate = setCalendarDate(newDate, year, 0, calendarDate.day, calendar);
       break;
     case "month":
-      newDate.setDate(1);
       newDate.setHours(0);
       newDate.setMinutes(0);
       newDate.setSeconds(0);
       newDate.setMilliseconds(0);
-      newDate.setMonth(newDate.getMonth() + increment);
+      newDate = setCalendarDate(newDate, calendarDate.year, calendarDate.month + increment, 1, calendar);
       break;
     case "date":
       newDate.setHours(0);
@@ -182,6 +218,230 @@ function incrementDateByScaleType(oldDate, scaleType, increment) {
   return newDate;
 }
 
+/**
+ * Returns a new Date object rounded down to the start of the scaleType unit containing the given date.
+ * 
+ * Examples:
+ * - "century": 1987-05-12 becomes 1900-01-01 00:00:00.000
+ * - "month": 1987-05-12 13:45 becomes 1987-05-01 00:00:00.000
+ * 
+ * @param {Date} date - The date to round down.
+ * @param {string} scaleType - The unit of time to round down to (e.g., "year", "month", "hour").
+ * @param {Object} [dateFormat={}] - The era and calendar to count in, see `incrementDateByScaleType`.
+ * @returns {Date} A new Date object at the start of the unit.
+ */
+function floorDateByScaleType(date, scaleType, dateFormat = {}) {
+  let newDate = incrementDateByScaleType(date, scaleType, 0, dateFormat);
+
+  // incrementDateByScaleType only resets the month for year based scale types
+  if (scaleType == "millennium" || scaleType == "century" || scaleType == "decade" || scaleType == "year") {
+    const calendar = dateFormat.calendar ?? "gregorian";
+    newDate = setCalendarDate(newDate, getCalendarDate(newDate, calendar).year, 0, 1, calendar);
+    newDate.setHours(0, 0, 0, 0);
+  }
+  return newDate;
+}
+
+/**
+ * Returns a new Date object moved by a whole number of units of the given scaleType, keeping the smaller units.
+ * 
+ * Unlike `incrementDateByScaleType`, the date is not rounded down to the unit, so moving 1337-05-24 by one
+ * century gives 1437-05-24. A day that doesn't exist in the new month becomes its last day.
+ * 
+ * @param {Date} date - The date to move.
+ * @param {string} scaleType - The unit of time to move by (e.g., "century", "month", "hour").
+ * @param {number} steps - The number of units to move by (can be negative).
+ * @param {Object} [dateFormat={}] - The calendar to count in, see `incrementDateByScaleType`.
+ * @returns {Date} The moved date.
+ */
+function shiftDateByScaleType(date, scaleType, steps, dateFormat = {}) {
+  const { calendar = "gregorian" } = dateFormat;
+  const yearsPerUnit = { millennium: 1000, century: 100, decade: 10, year: 1 };
+  let newDate = new Date(date);
+
+  if (scaleType in yearsPerUnit || scaleType == "month") {
+    const { year, month, day } = getCalendarDate(newDate, calendar);
+    const newYear = year + steps * (yearsPerUnit[scaleType] ?? 0);
+    const newMonth = month + (scaleType == "month" ? steps : 0);
+    newDate = setCalendarDate(date, newYear, newMonth, day, calendar);
+    if (getCalendarDate(newDate, calendar).day != day) newDate = setCalendarDate(date, newYear, newMonth + 1, 0, calendar);
+    return newDate;
+  }
+
+  switch (scaleType) {
+    case "date":
+      newDate.setDate(newDate.getDate() + steps);
+      break;
+    case "hour":
+      newDate.setHours(newDate.getHours() + steps);
+      break;
+    case "minute":
+      newDate.setMinutes(newDate.getMinutes() + steps);
+      break;
+    case "second":
+      newDate.setSeconds(newDate.getSeconds() + steps);
+      break;
+    case "millisecond":
+      newDate.setMilliseconds(newDate.getMilliseconds() + steps);
+      break;
+  }
+  return newDate;
+}
+
+/**
+ * Returns the average duration of one unit of the given scaleType in milliseconds.
+ * 
+ * Years are taken as 365.2425 days (the mean Gregorian year) and months as a twelfth of a year,
+ * so the result is approximate for year and month based scale types.
+ * 
+ * @param {string} scaleType - The unit of time (e.g., "year", "month", "hour").
+ * @returns {number} The duration of one unit in milliseconds.
+ */
+function getScaleTypeDuration(scaleType) {
+  const msPerDay = 1000 * 60 * 60 * 24;
+  const msPerYear = 365.2425 * msPerDay;
+
+  switch (scaleType) {
+    case "millennium":
+      return 1000 * msPerYear;
+    case "century":
+      return 100 * msPerYear;
+    case "decade":
+      return 10 * msPerYear;
+    case "year":
+      return msPerYear;
+    case "month":
+      return msPerYear / 12;
+    case "date":
+      return msPerDay;
+    case "hour":
+      return 1000 * 60 * 60;
+    case "minute":
+      return 1000 * 60;
+    case "second":
+      return 1000;
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Returns the scale type and scale width that display a duration across a width in pixels.
+ * 
+ * Picks the scale type whose width limits (the same limits `Timeline.updateScaleTypeByWidth` switches
+ * scale types at) contain the required scale width. Durations that fall between two scale types, or
+ * beyond the largest or smallest scale, use the closest scale type with the width clamped to its limits.
+ * 
+ * @param {number} duration - The duration to display in milliseconds.
+ * @param {number} width - The width in pixels to display the duration across.
+ * @returns {{scaleType: string, scaleWidth: number}} The scale type and scale width.
+ */
+function getScaleForDuration(duration, width) {
+  // [min, max] scale width of each scale type
+  const scaleWidthLimits = {
+    millennium: [20, 200],
+    century: [20, 200],
+    decade: [20, 200],
+    year: [20, 200],
+    month: [20, 200],
+    date: [10, 200],
+    hour: [10, 200],
+    minute: [5, 200],
+    second: [5, 200],
+  };
+
+  let bestScale = null;
+  let bestDistance = Infinity;
+
+  for (const scaleType in scaleWidthLimits) {
+    const [min, max] = scaleWidthLimits[scaleType];
+    const scaleWidth = width / (duration / getScaleTypeDuration(scaleType));
+    const clampedWidth = Math.min(max, Math.max(min, scaleWidth));
+
+    // distance on a log scale, so zooming in and out by the same factor count equally
+    const distance = Math.abs(Math.log(scaleWidth / clampedWidth));
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestScale = { scaleType, scaleWidth: clampedWidth };
+    }
+  }
+  return bestScale;
+}
+
+/**
+ * Returns the number of single character edits (insertions, deletions or substitutions)
+ * needed to turn one string into another.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The Levenshtein distance between the strings.
+ */
+function getEditDistance(a, b) {
+  let prevRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] == b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prevRow[j] + 1, row[j - 1] + 1, prevRow[j - 1] + substitutionCost);
+    }
+    prevRow = row;
+  }
+  return prevRow[b.length];
+}
+
+/**
+ * Scores how well a search term matches a text, ignoring case.
+ * 
+ * In order of preference, the term matches:
+ * - as a substring of the text, best at the start of the text or of a word
+ * - as a subsequence of the text (its characters in order, with gaps), penalising long gaps
+ * - a word of the text with a small number of typos (1 for terms of 4+ characters, 2 for 8+)
+ * 
+ * @param {string} term - The search term.
+ * @param {string} text - The text to search in.
+ * @returns {number} A score greater than 0 if the term matches, higher is better, or -1 if it doesn't match.
+ */
+function getFuzzyMatchScore(term, text) {
+  term = term.toLowerCase();
+  text = text.toLowerCase();
+  if (term.length == 0) return -1;
+
+  // substring
+  const index = text.indexOf(term);
+  if (index != -1) {
+    let score = 100;
+    if (index == 0) score += 50;
+    else if (/\W/.test(text[index - 1])) score += 25;
+    return score;
+  }
+
+  // subsequence
+  let score = 50;
+  let textIndex = 0;
+  for (let i = 0; i < term.length && score > 0; i++) {
+    const found = text.indexOf(term[i], textIndex);
+    if (found == -1) {
+      score = -1;
+      break;
+    }
+    if (i > 0) score -= Math.min(found - textIndex, 10); // gap since the previous character
+    textIndex = found + 1;
+  }
+  if (score > 0) return score;
+
+  // typos
+  const maxTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (maxTypos == 0) return -1;
+  const words = text.split(/\W+/);
+  for (const word of words) {
+    // compare with the start of the word too, so partially typed words match
+    const distance = Math.min(getEditDistance(term, word), getEditDistance(term, word.slice(0, term.length)));
+    if (distance <= maxTypos) return 20 - distance * 5;
+  }
+  return -1;
+}
+
 /**
  * Returns the number of days in the month of the given Date.
  *
@@ -219,2039 +479,10135 @@ function getCalendarDayDifference(date1, date2) {
 }
 
 /**
- * Represents a visual timeline with a configurable scale, focus point, and multiple swim lanes.
- * 
- * Manages rendering and positioning of date markers (grid lines) and associated visual elements
- * like swim lanes and time periods. Provides logic for interaction such as zooming, panning,
- * and layout calculation.
+ * Returns the Julian Day Number of a date in the Gregorian or Julian calendar.
  * 
- * @class Timeline
+ * Uses the algorithm from the Calendar FAQ (Claus Tøndering), which is valid for astronomical years
+ * before year 1 as long as divisions round down.
+ *
+ * @param {number} year - The astronomical year (0 is 1 BC).
+ * @param {number} month - The zero-based month.
+ * @param {number} day - The day of the month.
+ * @param {string} calendar - "gregorian" or "julian".
+ * @returns {number} The Julian Day Number.
  */
-class Timeline {
-  #title;
-  #canvas;
-  #canvasWidth = 0;
-  #canvasHeight = 0;
-  #focusDate = new Date();
-  #scaleType = "year";
-  #focusX = 100; // x position of the gridline that the timeline is being built around
-  #yOffset = 0;
-  #scaleWidth = 100; // in pixels
-  #baseLineHeight = 120;
-  #linePosArr = []; // currently unordered
-  #lineDateArr = []; // currently unordered
-  #swimLaneArr = [];
-  #baseLineFontColor = "rgb(64, 64, 64)";
+function getDayNumber(year, month, day, calendar) {
+  const a = Math.floor((14 - (month + 1)) / 12);
+  const y = year + 4800 - a;
+  const m = month + 1 + 12 * a - 3;
+
+  let dayNumber = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+  if (calendar == "gregorian") dayNumber += -Math.floor(y / 100) + Math.floor(y / 400) + 38;
+  return dayNumber;
+}
 
-  /**
-   * Constructs a new Timeline instance with the given configuration.
-   *
-   * @param {number} scaleWidth - The width in pixels for each unit of the current scale (e.g., a year or month).
-   * @param {string} scaleType - The type of scale used on the timeline (e.g., "year", "month", "decade").
-   * @param {Date} focusDate - The date to center the timeline around.
-   * @param {number} focusX - The X-coordinate (in pixels) at which the focusDate is visually aligned.
-   * @param {number} canvasWidth - The width of the canvas in pixels, used for layout calculations.
-   */
-  constructor(scaleWidth, scaleType, focusDate, focusX, canvasWidth) {
-    this.#scaleWidth = scaleWidth;
-    this.setScaleType(scaleType);
-    this.#focusDate = focusDate;
-    this.#focusX = focusX;
-    this.#canvasWidth = canvasWidth;
+/**
+ * Returns the date of a Julian Day Number in the Gregorian or Julian calendar, see `getDayNumber`.
+ *
+ * @param {number} dayNumber - The Julian Day Number.
+ * @param {string} calendar - "gregorian" or "julian".
+ * @returns {{year: number, month: number, day: number}} The astronomical year, zero-based month and day of the month.
+ */
+function getDateFromDayNumber(dayNumber, calendar) {
+  let b = 0;
+  let c = dayNumber + 32082;
+  if (calendar == "gregorian") {
+    const a = dayNumber + 32044;
+    b = Math.floor((4 * a + 3) / 146097);
+    c = a - Math.floor(146097 * b / 4);
   }
 
-  /**
-   * Returns the array of x-coordinate positions (in pixels) of the timeline grid lines.
-   *
-   * Each position corresponds to a date in the timeline, aligned with `getLineDateArray()`.
-   *
-   * @returns {number[]} An array of x-coordinates for the timeline grid lines.
-   */
-  getLinePositionArray(){
-    return this.#linePosArr
-  }
-  
-  /**
-   * Returns the array of `Date` objects corresponding to each timeline grid line.
-   *
-   * Each date aligns with the positions returned by `getLinePositionArray()`.
-   *
-   * @returns {Date[]} An array of `Date` objects for the timeline grid lines.
-   */
-  getLineDateArray(){
-    return this.#lineDateArr
-  }
+  const d = Math.floor((4 * c + 3) / 1461);
+  const e = c - Math.floor(1461 * d / 4);
+  const m = Math.floor((5 * e + 2) / 153);
+  return {
+    year: 100 * b + d - 4800 + Math.floor(m / 10),
+    month: m + 2 - 12 * Math.floor(m / 10),
+    day: e - Math.floor((153 * m + 2) / 5) + 1,
+  };
+}
 
-  /**
-   * Returns the vertical scroll offset applied to the timeline drawing.
-   *
-   * This offset shifts all swim lanes and content vertically on the canvas.
-   *
-   * @returns {number} The vertical offset in pixels.
-   */
-  getYOffset(){
-    return this.#yOffset
-  }
+/**
+ * Returns the year, month and day of a date as displayed in a calendar.
+ * 
+ * Dates are stored in the proleptic Gregorian calendar. With the "julian" calendar, dates before
+ * the Gregorian calendar started (15 October 1582) are converted to the Julian calendar, as they
+ * were written at the time.
+ *
+ * @param {Date} date - The date.
+ * @param {string} [calendar="gregorian"] - "gregorian" or "julian".
+ * @returns {{year: number, month: number, day: number}} The astronomical year, zero-based month and day of the month.
+ */
+function getCalendarDate(date, calendar = "gregorian") {
+  const calendarDate = { year: date.getFullYear(), month: date.getMonth(), day: date.getDate() };
+  if (calendar != "julian" || date >= GREGORIANCALENDARSTART) return calendarDate;
 
-  /**
-   * Returns the x-coordinate (in pixels) on the canvas where the focus date is centered.
-   *
-   * This value determines the horizontal reference point for building the timeline grid.
-   *
-   * @returns {number} The x-position of the focus date.
-   */
-  getFocusX(){
-    return this.#focusX
-  }
+  const dayNumber = getDayNumber(calendarDate.year, calendarDate.month, calendarDate.day, "gregorian");
+  return getDateFromDayNumber(dayNumber, "julian");
+}
 
-  /**
-   * Returns the focus date at the center of the timeline.
-   *
-   * The timeline grid is constructed around this date.
-   *
-   * @returns {Date} The current focus date.
-   */
-  getFocusDate(){
-    return this.#focusDate
+/**
+ * Returns a copy of a date with the year, month and day changed, given in a calendar (see `getCalendarDate`).
+ * The time of day is kept. Months outside 0-11 and days outside the month roll over.
+ *
+ * @param {Date} date - The date to copy.
+ * @param {number} year - The astronomical year.
+ * @param {number} month - The zero-based month.
+ * @param {number} day - The day of the month.
+ * @param {string} [calendar="gregorian"] - The calendar the year, month and day are in.
+ * @returns {Date} The new date.
+ */
+function setCalendarDate(date, year, month, day, calendar = "gregorian") {
+  const newDate = new Date(date);
+  year += Math.floor(month / 12);
+  month = ((month % 12) + 12) % 12;
+
+  const isJulian = year < 1582 || (year == 1582 && (month < 9 || (month == 9 && day < 15)));
+  if (calendar == "julian" && isJulian) {
+    ({ year, month, day } = getDateFromDayNumber(getDayNumber(year, month, day, "julian"), "gregorian"));
   }
 
-  getCanvasWidth(){
-    return this.#canvasWidth
+  newDate.setFullYear(year, month, day);
+  return newDate;
+}
+
+/**
+ * Converts an astronomical year to a year counted in an era, with negative years before the era.
+ * 
+ * BC/AD and BCE/CE have no year 0: astronomical year 0 is 1 BC (-1) and -43 is 44 BC (-44).
+ * Astronomical years are returned unchanged.
+ *
+ * @param {number} year - The astronomical year.
+ * @param {string} era - One of "BC/AD", "BCE/CE" or "astronomical".
+ * @returns {number} The year in the era.
+ */
+function getEraYear(year, era) {
+  if (era == "astronomical" || year > 0) return year;
+  return year - 1;
+}
+
+/**
+ * Converts a year counted in an era back to an astronomical year, see `getEraYear`.
+ * 
+ * Era year 0 doesn't exist in BC/AD or BCE/CE. It is taken as the boundary between the eras,
+ * the start of AD 1, so grid lines at multiples of 10, 100 or 1000 include the boundary.
+ *
+ * @param {number} eraYear - The year in the era.
+ * @param {string} era - One of "BC/AD", "BCE/CE" or "astronomical".
+ * @returns {number} The astronomical year.
+ */
+function getAstronomicalYear(eraYear, era) {
+  if (era == "astronomical" || eraYear > 0) return eraYear;
+  if (eraYear == 0) return 1;
+  return eraYear + 1;
+}
+
+/**
+ * Formats an astronomical year for display in an era.
+ * 
+ * Examples: `formatYear(-43)` is "44 BC", `formatYear(1066)` is "1066 AD", `formatYear(1066, "BC/AD", true)`
+ * is "1066", `formatYear(0, "BCE/CE")` is "1 BCE" and `formatYear(-43, "astronomical")` is "-43".
+ *
+ * @param {number} year - The astronomical year.
+ * @param {string} [era="BC/AD"] - One of "BC/AD", "BCE/CE" or "astronomical".
+ * @param {boolean} [isShort=false] - Whether to leave out the AD/CE suffix, for labels where most years are AD.
+ * @returns {string} The formatted year.
+ */
+function formatYear(year, era = "BC/AD", isShort = false) {
+  if (era == "astronomical") return String(year);
+
+  const [before, after] = era == "BCE/CE" ? ["BCE", "CE"] : ["BC", "AD"];
+  if (year <= 0) return (1 - year) + " " + before;
+  return isShort ? String(year) : year + " " + after;
+}
+
+/**
+ * Returns the name of a month in the user's language, e.g. "January".
+ *
+ * @param {number} month - The zero-based month.
+ * @returns {string} The month name.
+ */
+function getMonthName(month) {
+  return new Date(2000, month, 1).toLocaleString("default", { month: "long" });
+}
+
+/**
+ * Parses an ISO 8601 date string into a `Date` object and the precision the string implies.
+ * 
+ * Accepts a year (`1500`, `-0044`, `+012000`), year and month (`1500-03`), a date (`1500-03-15`), and a date
+ * with a time (`1500-03-15T12:30`, `...T12:30:15.250`) and an optional offset (`Z`, `+13:00`, `-0500`).
+ * Months are one-based and years are astronomical, so `0000` is 1 BC and `-0044` is 45 BC.
+ * Dates without an offset are in local time, like the rest of the timeline.
+ * 
+ * End dates without a time are moved to the end of the unit they are given to, so a time period ending
+ * `1700` lasts to the start of 1701 and one ending `1700-06-30` lasts to the start of `1700-07-01`.
+ * 
+ * The string must already be valid, see `getDateProblem`.
+ *
+ * @param {string} dateStr - The ISO 8601 date string.
+ * @param {boolean} [isEndDate=false] - Whether the date ends a time period.
+ * @returns {{date: Date, precision: string, isEndOfUnit: boolean}} The date, the unit of the smallest component
+ *   given (e.g., "year", "month", "date", "minute"), and whether the date was moved to the end of that unit.
+ */
+function parseIsoDate(dateStr, isEndDate = false) {
+  const [, year, month, day, hour, minute, second, fraction, offset] = ISODATEREGEX.exec(dateStr);
+
+  let precision = "millisecond";
+  if (month === undefined) precision = "year";
+  else if (day === undefined) precision = "month";
+  else if (hour === undefined) precision = "date";
+  else if (minute === undefined) precision = "hour";
+  else if (second === undefined) precision = "minute";
+  else if (fraction === undefined) precision = "second";
+
+  const components = [
+    Number(year),
+    Number(month ?? 1) - 1,
+    Number(day ?? 1),
+    Number(hour ?? 0),
+    Number(minute ?? 0),
+    Number(second ?? 0),
+    Number((fraction ?? "0").padEnd(3, "0").slice(0, 3)),
+  ];
+
+  let date = new Date(0);
+  if (offset === undefined) {
+    date.setFullYear(components[0], components[1], components[2]);
+    date.setHours(components[3], components[4], components[5], components[6]);
+  } else {
+    date.setUTCFullYear(components[0], components[1], components[2]);
+    date.setUTCHours(components[3], components[4], components[5], components[6]);
+
+    if (offset !== "Z") {
+      const [, sign, offsetHours, offsetMinutes = "0"] = offset.match(/^([+-])(\d{2}):?(\d{2})?$/);
+      const offsetMs = (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60 * 1000;
+      date = new Date(date.getTime() - (sign === "-" ? -offsetMs : offsetMs));
+    }
   }
 
-  getCanvasHeight(){
-    return this.#canvasHeight
+  // a time is an instant, a calendar date without one covers the whole year, month or day
+  const isEndOfUnit = isEndDate && (precision == "year" || precision == "month" || precision == "date");
+  if (isEndOfUnit) date = incrementDateByScaleType(date, precision, 1);
+  return { date, precision, isEndOfUnit };
+}
+
+/**
+ * Checks an ISO 8601 date string, see `parseIsoDate`.
+ *
+ * @param {string} dateStr - The string to check.
+ * @returns {string|null} What is wrong with the string, or `null` if it is a valid date.
+ */
+function getIsoDateProblem(dateStr) {
+  const match = ISODATEREGEX.exec(dateStr);
+  if (!match) return "must be an ISO 8601 date like 1500, 1500-03, 1500-03-15 or 1500-03-15T12:30Z, got " + JSON.stringify(dateStr);
+
+  const [, year, month, day, hour, minute, second, , offset] = match;
+  let daysInMonth = 31;
+  if (month !== undefined) {
+    const monthDate = new Date(0);
+    monthDate.setFullYear(Number(year), Number(month) - 1, 1);
+    daysInMonth = getDaysInMonth(monthDate);
   }
 
-  /**
-   * Sets the central focus date around which the timeline is built.
-   * 
-   * This date determines the visual anchor point (aligned with `focusX`)
-   * and influences which time units are rendered across the timeline.
-   * 
-   * @param {Date} focusDate - The date to center the timeline around.
-   * 
-   * @throws {Error} If the provided value is not an instance of the Date class.
-   */
-  setFocusDate(focusDate) {
-    if (!(focusDate instanceof Date)) {
-      throw new Error("focusDate must be an instance of the Date class.");
+  const ranges = [
+    ["month", month, 1, 12],
+    ["day", day, 1, daysInMonth],
+    ["hour", hour, 0, 23],
+    ["minute", minute, 0, 59],
+    ["second", second, 0, 59],
+  ];
+  for (const [name, component, min, max] of ranges) {
+    if (component !== undefined && (Number(component) < min || Number(component) > max)) {
+      return "has " + name + " " + Number(component) + ", must be " + min + "-" + max + ", got " + JSON.stringify(dateStr);
     }
-    this.#focusDate = focusDate;
   }
 
-  /**
-   * Sets the granularity of the timeline scale (e.g., "year", "month", "hour").
-   * 
-   * Validates the input against a list of accepted scale types and throws an error if invalid.
-   *
-   * @param {string} scaleType - The scale type to apply. Must be one of:
-   *  "millennium", "century", "decade", "year", "month", "date", 
-   *  "hour", "minute", "second", or "millisecond".
-   * 
-   * @throws {Error} If the provided scaleType is not in the list of valid types.
-   */
-  setScaleType(scaleType) {
-    const validScaleTypes = [
-      "millennium",
-      "century",
-      "decade",
-      "year",
-      "month",
-      "date",
-      "hour",
-      "minute",
-      "second",
-      "millisecond",
-    ];
-    if (!validScaleTypes.includes(scaleType)) {
-      throw new Error(
-        "Invalid scaleType, scaleType cannot be '" + scaleType + "' must be " + validScaleTypes
-      );
-    }
-    this.#scaleType = scaleType;
+  if (offset && offset !== "Z" && Number(offset.slice(1, 3)) > 14) {
+    return "has an offset of more than 14 hours, got " + JSON.stringify(dateStr);
+  }
+  return null;
+}
+
+/**
+ * Formats a date as ISO 8601 in local time, down to a precision, the inverse of `parseIsoDate`.
+ * 
+ * Years outside 0000-9999 are written with a sign and six digits. Examples: `formatIsoDate(date, "year")`
+ * is "1500", `formatIsoDate(date, "month")` is "1500-03" and `formatIsoDate(date, "minute")` is "1500-03-15T12:30".
+ *
+ * @param {Date} date - The date to format.
+ * @param {string} [precision="millisecond"] - The smallest unit to write, e.g. "year", "month", "date" or "minute".
+ * @returns {string} The ISO 8601 date.
+ */
+function formatIsoDate(date, precision = "millisecond") {
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const level = SCALETYPES.indexOf(precision);
+  const year = date.getFullYear();
+
+  let dateStr = year >= 0 && year <= 9999 ? pad(year, 4) : (year < 0 ? "-" : "+") + pad(Math.abs(year), 6);
+  if (level >= SCALETYPES.indexOf("month")) dateStr += "-" + pad(date.getMonth() + 1);
+  if (level >= SCALETYPES.indexOf("date")) dateStr += "-" + pad(date.getDate());
+  if (level >= SCALETYPES.indexOf("hour")) dateStr += "T" + pad(date.getHours());
+  if (level >= SCALETYPES.indexOf("minute")) dateStr += ":" + pad(date.getMinutes());
+  if (level >= SCALETYPES.indexOf("second")) dateStr += ":" + pad(date.getSeconds());
+  if (level >= SCALETYPES.indexOf("millisecond")) dateStr += "." + pad(date.getMilliseconds(), 3);
+  return dateStr;
+}
+
+/**
+ * Formats a date in the legacy `[-]YYYY-M-D[-H-M-S-MS]` format of formatVersion 1, in local time.
+ * 
+ * Months are zero-based and years before AD 1 are written as historical BC years, e.g. "-0044-2-15"
+ * for 15 March 44 BC. Time components are only written up to the last one that isn't zero.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The legacy date.
+ */
+function formatLegacyDate(date) {
+  const year = date.getFullYear();
+  const yearStr = year <= 0 ? "-" + String(1 - year).padStart(4, "0") : String(year).padStart(4, "0");
+  const components = [yearStr, date.getMonth(), String(date.getDate()).padStart(2, "0")];
+
+  const time = [date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()];
+  while (time.length > 0 && time[time.length - 1] == 0) time.pop();
+  return components.concat(time).join("-");
+}
+
+/**
+ * Parses a date string of timeline JSON into a JavaScript `Date` object.
+ *
+ * Format version 2 timelines, and dates containing a time (`T`), use ISO 8601, see `parseIsoDate`.
+ * Otherwise the expected format is `"YYYY-MM-DD-HH-MM-SS-MS"` (each component separated by a dash),
+ * where months are zero-based and time components (hours, minutes, seconds, milliseconds) are optional.
+ * 
+ * Supports negative years (e.g., `-0044-03-15` for 44 BC). A leading `-` indicates a BC date, counted
+ * historically without a year 0, so it is stored as astronomical year -43.
+ *
+ * @param {string} dateStr - The date string to parse. Format: "[-]YYYY-MM-DD[-HH-MM-SS-MS]" or ISO 8601.
+ * @param {number} formatVersion - The format version of the timeline, see `getFormatVersion`.
+ * @param {boolean} [isEndDate=false] - Whether the date ends a time period, ISO 8601 end dates last to the end of their unit.
+ * @returns {{date: Date, precision: string, isEndOfUnit: boolean}} See `parseIsoDate`. Dates in the legacy
+ *   format always have "date" precision and are never moved to the end of their unit.
+ */
+function parseTimelineDate(dateStr, formatVersion, isEndDate = false) {
+  if (formatVersion >= 2 || dateStr.includes("T")) return parseIsoDate(dateStr, isEndDate);
+
+  // parse date string to date object
+  let isBC = false;
+  if (dateStr[0] === '-') {
+    // is bc
+    dateStr = dateStr.slice(1);
+    isBC = true;
+  }
+
+  const [year, month, day, hour, minute, second, ms] = dateStr.split("-").map(Number);
+  const date = new Date(0, 0, 0);
+  date.setFullYear(isBC ? getAstronomicalYear(-year, "BC/AD") : year);
+  date.setMonth(month);
+  date.setDate(day);
+  if (hour) date.setHours(hour);
+  if (minute) date.setMinutes(minute);
+  if (second) date.setSeconds(second);
+  if (ms) date.setMilliseconds(ms);
+  return { date, precision: "date", isEndOfUnit: false };
+}
+
+/**
+ * A problem found in timeline JSON.
+ * 
+ * @typedef {Object} TimelineProblem
+ * @property {string} path - JSON path of the bad value, e.g. `swimlanes[2].timePeriods[14].endDate`.
+ * @property {string} message - What is wrong with the value.
+ */
+
+/**
+ * A link from a time period to another, e.g. a dynasty that precedes the next one.
+ *
+ * @typedef {Object} TimePeriodLink
+ * @property {string} to - The id of the time period the link points to.
+ * @property {string} type - One of `LINKTYPES`.
+ * @property {string} [label] - Describes the link instead of its type, required for "custom" links.
+ */
+
+/**
+ * Checks a timeline date string, see `public/timeline-schema.json`.
+ * 
+ * Format version 2 uses ISO 8601 dates, see `parseIsoDate`. Format version 1 uses `[-]YYYY-M-D[-H-M-S-MS]`
+ * with zero-based months, and accepts ISO 8601 dates that include a time (contain a `T`), which can't be
+ * mistaken for the legacy format. Each component must be in range, so typos don't roll over into the
+ * next month or year.
+ *
+ * @param {*} value - The value to check.
+ * @param {number} [formatVersion=1] - The format version of the timeline.
+ * @returns {string|null} What is wrong with the value, or `null` if it is a valid date.
+ */
+function getDateProblem(value, formatVersion = 1) {
+  if (typeof value !== "string") return "must be a date string, got " + JSON.stringify(value);
+  if (formatVersion >= 2 || value.includes("T")) return getIsoDateProblem(value);
+  if (!/^-?\d+-\d+-\d+(-\d+){0,4}$/.test(value)) {
+    return "must have the format [-]YYYY-M-D[-H-M-S-MS], got " + JSON.stringify(value);
+  }
+
+  const [, month, day, hour = 0, minute = 0, second = 0, ms = 0] = value.replace(/^-/, "").split("-").map(Number);
+  const ranges = [
+    ["month", month, 0, 11],
+    ["day", day, 1, 31],
+    ["hour", hour, 0, 23],
+    ["minute", minute, 0, 59],
+    ["second", second, 0, 59],
+    ["millisecond", ms, 0, 999],
+  ];
+  for (const [name, component, min, max] of ranges) {
+    if (component < min || component > max) {
+      return "has " + name + " " + component + ", must be " + min + "-" + max + " (months are zero-based), got " + JSON.stringify(value);
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a color string, see `public/timeline-schema.json`.
+ *
+ * @param {*} value - The value to check.
+ * @returns {string|null} What is wrong with the value, or `null` if it is a valid color.
+ */
+function getColorProblem(value) {
+  if (typeof value === "string" && /^(black|rgba?\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*(,\s*[\d.]+\s*)?\))$/.test(value)) return null;
+  return "must be black or an rgb(r, g, b) color, got " + JSON.stringify(value);
+}
+
+/**
+ * Checks the properties of a swimlane in timeline JSON, not including its time periods.
+ *
+ * @param {*} swimlaneJson - The swimlane to check.
+ * @param {string} path - JSON path of the swimlane, used in the problems.
+ * @returns {TimelineProblem[]} The problems found, empty if the swimlane is valid.
+ */
+function validateSwimLaneJson(swimlaneJson, path) {
+  if (swimlaneJson === null || typeof swimlaneJson !== "object" || Array.isArray(swimlaneJson)) {
+    return [{ path, message: "must be an object" }];
+  }
+
+  const problems = [];
+  if (swimlaneJson.id !== undefined && getIdProblem(swimlaneJson.id)) {
+    problems.push({ path: path + ".id", message: getIdProblem(swimlaneJson.id) });
+  }
+  if (typeof swimlaneJson.title !== "string") problems.push({ path: path + ".title", message: "must be a string" });
+  if (swimlaneJson.isHidden !== undefined && typeof swimlaneJson.isHidden !== "boolean") {
+    problems.push({ path: path + ".isHidden", message: "must be true or false" });
+  }
+  if (swimlaneJson.color !== undefined && getColorProblem(swimlaneJson.color)) {
+    problems.push({ path: path + ".color", message: getColorProblem(swimlaneJson.color) });
+  }
+  if (!Array.isArray(swimlaneJson.timePeriods)) problems.push({ path: path + ".timePeriods", message: "must be an array" });
+  return problems;
+}
+
+/**
+ * Checks a group of swimlanes in timeline JSON, not including its swimlanes.
+ *
+ * @param {*} groupJson - The group to check.
+ * @param {string} path - JSON path of the group, used in the problems.
+ * @returns {TimelineProblem[]} The problems found, empty if the group is valid.
+ */
+function validateGroupJson(groupJson, path) {
+  if (groupJson === null || typeof groupJson !== "object" || Array.isArray(groupJson)) {
+    return [{ path, message: "must be an object" }];
+  }
+
+  const problems = [];
+  if (groupJson.id !== undefined && getIdProblem(groupJson.id)) {
+    problems.push({ path: path + ".id", message: getIdProblem(groupJson.id) });
+  }
+  if (typeof groupJson.title !== "string") problems.push({ path: path + ".title", message: "must be a string" });
+  for (const key of ["isHidden", "isCollapsed"]) {
+    if (groupJson[key] !== undefined && typeof groupJson[key] !== "boolean") {
+      problems.push({ path: path + "." + key, message: "must be true or false" });
+    }
+  }
+  if (groupJson.color !== undefined && getColorProblem(groupJson.color)) {
+    problems.push({ path: path + ".color", message: getColorProblem(groupJson.color) });
+  }
+  if (!Array.isArray(groupJson.swimlanes)) problems.push({ path: path + ".swimlanes", message: "must be an array" });
+  return problems;
+}
+
+/**
+ * Checks the id of a swimlane, group or time period, see `IDREGEX`.
+ *
+ * @param {*} value - The id to check.
+ * @returns {string|null} Why the id is invalid, or `null` if it is valid.
+ */
+function getIdProblem(value) {
+  if (typeof value === "string" && IDREGEX.test(value)) return null;
+  return "must be a string of letters, digits, - and _, got " + JSON.stringify(value);
+}
+
+/**
+ * Checks a link of a time period in timeline JSON, see `TimePeriodLink`. Whether the time period
+ * it points to exists is checked in `validateTimelineJson`.
+ *
+ * @param {*} linkJson - The link to check.
+ * @param {string} path - JSON path of the link, used in the problems.
+ * @returns {TimelineProblem[]} The problems found, empty if the link is valid.
+ */
+function validateLinkJson(linkJson, path) {
+  if (linkJson === null || typeof linkJson !== "object" || Array.isArray(linkJson)) {
+    return [{ path, message: "must be an object" }];
+  }
+
+  const problems = [];
+  if (getIdProblem(linkJson.to)) problems.push({ path: path + ".to", message: getIdProblem(linkJson.to) });
+  if (!LINKTYPES.includes(linkJson.type)) {
+    problems.push({ path: path + ".type", message: "must be one of " + LINKTYPES.join(", ") + ", got " + JSON.stringify(linkJson.type) });
+  }
+  if (linkJson.label !== undefined && typeof linkJson.label !== "string") {
+    problems.push({ path: path + ".label", message: "must be a string" });
+  } else if (linkJson.type === "custom" && !linkJson.label) {
+    problems.push({ path: path + ".label", message: "is required for a custom link" });
+  }
+  return problems;
+}
+
+/**
+ * Makes an id from a name that isn't one of the used ids, and adds it to them.
+ *
+ * The name is turned into lowercase words joined by "-", e.g. "Akkadian Empire" into "akkadian-empire",
+ * with a number added if the id is taken ("akkadian-empire-2"). The same names in the same order give
+ * the same ids, so a timeline without ids gets the same ones every time it loads.
+ *
+ * @param {string} name - The name of the swimlane or time period.
+ * @param {Set<string>} usedIds - The ids that are taken.
+ * @param {string} fallback - The id of a name without letters or digits, e.g. "period".
+ * @returns {string} The new id.
+ */
+function createId(name, usedIds, fallback) {
+  const base = String(name ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // accents, split from their letters by normalize
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, 40)
+    .replace(/^-+|-+$/g, "") || fallback;
+
+  let id = base;
+  for (let n = 2; usedIds.has(id); n++) id = base + "-" + n;
+  usedIds.add(id);
+  return id;
+}
+
+/**
+ * Returns the swimlanes in timeline JSON in the order they are drawn: the `swimlanes` outside groups, then the
+ * swimlanes of each of the `groups`. Swimlanes and groups that aren't arrays are skipped.
+ *
+ * @param {Object} json - The timeline JSON.
+ * @returns {{swimlaneJson: *, path: string, groupIndex: number|null}[]} The swimlanes with their JSON path,
+ *   e.g. `groups[1].swimlanes[0]`, and the index of their group in `groups`, or `null` outside groups.
+ */
+function getSwimlanesJson(json) {
+  const swimlanes = [];
+  if (Array.isArray(json.swimlanes)) {
+    json.swimlanes.forEach((swimlaneJson, i) => swimlanes.push({ swimlaneJson, path: "swimlanes[" + i + "]", groupIndex: null }));
+  }
+  if (Array.isArray(json.groups)) {
+    json.groups.forEach((groupJson, g) => {
+      if (!Array.isArray(groupJson?.swimlanes)) return;
+      groupJson.swimlanes.forEach((swimlaneJson, i) => {
+        swimlanes.push({ swimlaneJson, path: "groups[" + g + "].swimlanes[" + i + "]", groupIndex: g });
+      });
+    });
+  }
+  return swimlanes;
+}
+
+/**
+ * Calls a function for every time period in timeline JSON, including nested ones, parents before their
+ * children, in the order of `getSwimlanesJson`. Swimlanes and `children` that aren't arrays are skipped.
+ *
+ * @param {Object} json - The timeline JSON.
+ * @param {function(*, string): void} callback - Called with the time period JSON and its JSON path,
+ *   e.g. `swimlanes[0].timePeriods[4].children[1]`.
+ * @returns {void}
+ */
+function forEachPeriodJson(json, callback) {
+  const visit = (periodJson, path) => {
+    callback(periodJson, path);
+    if (Array.isArray(periodJson?.children)) {
+      periodJson.children.forEach((childJson, k) => visit(childJson, path + ".children[" + k + "]"));
+    }
+  };
+  getSwimlanesJson(json).forEach(({ swimlaneJson, path }) => {
+    if (!Array.isArray(swimlaneJson?.timePeriods)) return;
+    swimlaneJson.timePeriods.forEach((periodJson, j) => visit(periodJson, path + ".timePeriods[" + j + "]"));
+  });
+}
+
+/**
+ * Returns the id of every swimlane, group and time period in timeline JSON, generating the missing ones.
+ *
+ * Valid ids in the JSON are kept, except a repeated id, which `validateTimelineJson` reports. The others
+ * are made from the titles and names with `createId`, in the order of the JSON (parents before their
+ * children), avoiding the ids in the JSON. Swimlanes, groups and time periods have separate ids, so a swimlane
+ * and a time period may share one.
+ *
+ * @param {Object} json - The timeline JSON.
+ * @returns {{laneIds: string[], groupIds: string[], periodIds: Map<string, string>}} The swimlane ids in the
+ *   order of `getSwimlanesJson`, the group ids in the order of `groups`, and the time period ids by the JSON
+ *   path of the time period, see `forEachPeriodJson`.
+ */
+function getTimelineIds(json) {
+  const swimlanes = getSwimlanesJson(json).map(({ swimlaneJson }) => swimlaneJson);
+  const groups = Array.isArray(json.groups) ? json.groups : [];
+  const periodsJson = [];
+  forEachPeriodJson(json, (periodJson, path) => periodsJson.push({ periodJson, path }));
+  const isValidId = id => id !== undefined && !getIdProblem(id);
+
+  // the ids in the JSON are taken first, so generated ids never clash with a later one
+  const usedLaneIds = new Set(swimlanes.map(swimlaneJson => swimlaneJson?.id).filter(isValidId));
+  const usedGroupIds = new Set(groups.map(groupJson => groupJson?.id).filter(isValidId));
+  const usedPeriodIds = new Set(periodsJson.map(({ periodJson }) => periodJson?.id).filter(isValidId));
+  const keptLaneIds = new Set();
+  const keptGroupIds = new Set();
+  const keptPeriodIds = new Set();
+  const getId = (itemJson, name, usedIds, keptIds, fallback) => {
+    if (isValidId(itemJson?.id) && !keptIds.has(itemJson.id)) {
+      keptIds.add(itemJson.id);
+      return itemJson.id;
+    }
+    return createId(name, usedIds, fallback);
+  };
+
+  return {
+    laneIds: swimlanes.map(swimlaneJson => getId(swimlaneJson, swimlaneJson?.title, usedLaneIds, keptLaneIds, "swimlane")),
+    groupIds: groups.map(groupJson => getId(groupJson, groupJson?.title, usedGroupIds, keptGroupIds, "group")),
+    periodIds: new Map(periodsJson.map(({ periodJson, path }) => {
+      return [path, getId(periodJson, periodJson?.name, usedPeriodIds, keptPeriodIds, "period")];
+    }))
+  };
+}
+
+/**
+ * Checks the row of a time period, see `TimePeriod.setRow`.
+ *
+ * @param {*} row - The row.
+ * @returns {boolean} `true` if it is a whole number from 0 to `MAXROW`.
+ */
+function isValidRow(row) {
+  return Number.isInteger(row) && row >= 0 && row <= MAXROW;
+}
+
+/**
+ * Checks a time period or event in timeline JSON, and the time periods nested in its `children`.
+ * 
+ * A time period has a `startDate` and an `endDate`, an event has a single `date`.
+ * Whether the end date is after the start date is checked when the dates are parsed, in `Timeline.load`.
+ *
+ * @param {*} periodJson - The time period to check.
+ * @param {string} path - JSON path of the time period, used in the problems.
+ * @param {number} [formatVersion=1] - The format version of the timeline, see `getDateProblem`.
+ * @returns {TimelineProblem[]} The problems found, empty if the time period is valid.
+ */
+function validateTimePeriodJson(periodJson, path, formatVersion = 1) {
+  if (periodJson === null || typeof periodJson !== "object" || Array.isArray(periodJson)) {
+    return [{ path, message: "must be an object" }];
+  }
+
+  const problems = [];
+  const check = (key, problem) => {
+    if (problem) problems.push({ path: path + "." + key, message: problem });
+  };
+
+  if (periodJson.id !== undefined) check("id", getIdProblem(periodJson.id));
+  check("name", typeof periodJson.name !== "string" && "must be a string");
+
+  if (periodJson.date !== undefined) {
+    check("date", getDateProblem(periodJson.date, formatVersion));
+    if (periodJson.startDate !== undefined || periodJson.endDate !== undefined) {
+      check("date", "an event has a date, a time period has a startDate and endDate, not both");
+    }
+  } else {
+    check("startDate", periodJson.startDate === undefined ? "is required, or date for an event" : getDateProblem(periodJson.startDate, formatVersion));
+    check("endDate", periodJson.endDate === undefined ? "is required, or date for an event" : getDateProblem(periodJson.endDate, formatVersion));
+  }
+
+  for (const key of ["hasApproxStartDate", "hasApproxEndDate", "hasApproxDate"]) {
+    check(key, periodJson[key] !== undefined && typeof periodJson[key] !== "boolean" && "must be true or false");
+  }
+  check("description", periodJson.description !== undefined && typeof periodJson.description !== "string" && "must be a string");
+  for (const key of ["color1", "color2"]) {
+    if (periodJson[key] !== undefined) check(key, getColorProblem(periodJson[key]));
+  }
+  if (periodJson.links !== undefined) {
+    if (!Array.isArray(periodJson.links)) check("links", "must be an array");
+    else periodJson.links.forEach((linkJson, k) => problems.push(...validateLinkJson(linkJson, path + ".links[" + k + "]")));
+  }
+  check("isExpanded", periodJson.isExpanded !== undefined && typeof periodJson.isExpanded !== "boolean" && "must be true or false");
+  check("row", periodJson.row !== undefined && !isValidRow(periodJson.row) && "must be a whole number from 0 to " + MAXROW);
+  if (periodJson.children !== undefined) {
+    if (!Array.isArray(periodJson.children)) check("children", "must be an array");
+    else periodJson.children.forEach((childJson, k) => problems.push(...validateTimePeriodJson(childJson, path + ".children[" + k + "]", formatVersion)));
+  }
+  return problems;
+}
+
+/**
+ * Returns the format version of timeline JSON. Files without a `formatVersion`, or with an unknown one,
+ * are version 1.
+ *
+ * @param {Object} json - The timeline JSON.
+ * @returns {number} The format version.
+ */
+function getFormatVersion(json) {
+  return FORMATVERSIONS.includes(json.formatVersion) ? json.formatVersion : 1;
+}
+
+/**
+ * Checks the label allowance of timeline JSON, the time a time period takes up in a row at least in the stable
+ * row layout, e.g. `{ "count": 50, "scaleType": "year" }`.
+ *
+ * @param {*} allowanceJson - The label allowance to check.
+ * @param {string} path - JSON path of the label allowance, used in the problems.
+ * @returns {TimelineProblem[]} The problems found, empty if the label allowance is valid.
+ */
+function validateLabelAllowanceJson(allowanceJson, path) {
+  if (allowanceJson === null || typeof allowanceJson !== "object" || Array.isArray(allowanceJson)) {
+    return [{ path, message: "must be an object" }];
+  }
+
+  const problems = [];
+  if (typeof allowanceJson.count !== "number" || !(allowanceJson.count >= 0) || !isFinite(allowanceJson.count)) {
+    problems.push({ path: path + ".count", message: "must be a number from 0" });
+  }
+  if (!SCALETYPES.includes(allowanceJson.scaleType)) {
+    problems.push({ path: path + ".scaleType", message: "must be one of " + SCALETYPES.join(", ") + ", got " + JSON.stringify(allowanceJson.scaleType) });
+  }
+  return problems;
+}
+
+/**
+ * Checks the top level properties of timeline JSON, not including its swimlanes.
+ *
+ * @param {Object} json - The timeline JSON to check.
+ * @returns {TimelineProblem[]} The problems found, empty if the properties are valid.
+ */
+function validateTimelineHeaderJson(json) {
+  const problems = [];
+  if (typeof json.title !== "string") problems.push({ path: "title", message: "must be a string" });
+  if (typeof json.scaleWidth !== "number" || !(json.scaleWidth > 0)) {
+    problems.push({ path: "scaleWidth", message: "must be a number greater than 0" });
+  }
+  if (!SCALETYPES.includes(json.scaleType)) {
+    problems.push({ path: "scaleType", message: "must be one of " + SCALETYPES.join(", ") + ", got " + JSON.stringify(json.scaleType) });
+  }
+  if (json.formatVersion !== undefined && !FORMATVERSIONS.includes(json.formatVersion)) {
+    problems.push({ path: "formatVersion", message: "must be one of " + FORMATVERSIONS.join(", ") + ", got " + JSON.stringify(json.formatVersion) });
+  }
+  const focusDateProblem = getDateProblem(json.focusDate, getFormatVersion(json));
+  if (focusDateProblem) problems.push({ path: "focusDate", message: focusDateProblem });
+  if (typeof json.focusX !== "number" || !isFinite(json.focusX)) problems.push({ path: "focusX", message: "must be a number" });
+  if (json.rowLayout !== undefined && !ROWLAYOUTS.includes(json.rowLayout)) {
+    problems.push({ path: "rowLayout", message: "must be one of " + ROWLAYOUTS.join(", ") + ", got " + JSON.stringify(json.rowLayout) });
+  }
+  if (json.labelAllowance !== undefined) problems.push(...validateLabelAllowanceJson(json.labelAllowance, "labelAllowance"));
+  if (!Array.isArray(json.swimlanes)) problems.push({ path: "swimlanes", message: "must be an array" });
+  if (json.groups !== undefined && !Array.isArray(json.groups)) problems.push({ path: "groups", message: "must be an array" });
+  return problems;
+}
+
+/**
+ * Checks timeline JSON against the timeline format, see `public/timeline-schema.json`.
+ * 
+ * Reports every problem rather than stopping at the first. `Timeline.load` runs these checks,
+ * and also checks that end dates are not before start dates. Ids must be unique among the swimlanes (including
+ * those in groups), among the groups and among the time periods, and links must point to another time period of
+ * the timeline.
+ *
+ * Example:
+ * ```js
+ * validateTimelineJson(json).forEach(p => console.warn(p.path + ": " + p.message));
+ * // swimlanes[2].timePeriods[14].endDate: is required, or date for an event
+ * ```
+ *
+ * @param {*} json - The timeline JSON to check.
+ * @returns {TimelineProblem[]} The problems found, empty if the JSON is valid.
+ */
+function validateTimelineJson(json) {
+  if (json === null || typeof json !== "object" || Array.isArray(json)) {
+    return [{ path: "", message: "timeline must be a JSON object" }];
+  }
+
+  const problems = validateTimelineHeaderJson(json);
+  if (!Array.isArray(json.swimlanes)) return problems;
+
+  // the path of the first swimlane, group or time period with each id
+  const lanePaths = new Map();
+  const groupPaths = new Map();
+  const periodPaths = new Map();
+  const checkUniqueId = (itemJson, path, paths) => {
+    const id = itemJson?.id;
+    if (id === undefined || getIdProblem(id)) return;
+    if (paths.has(id)) problems.push({ path: path + ".id", message: "is already the id of " + paths.get(id) + ", got " + JSON.stringify(id) });
+    else paths.set(id, path);
+  };
+  const checkUniquePeriodIds = (periodJson, path) => {
+    checkUniqueId(periodJson, path, periodPaths);
+    if (Array.isArray(periodJson?.children)) {
+      periodJson.children.forEach((childJson, k) => checkUniquePeriodIds(childJson, path + ".children[" + k + "]"));
+    }
+  };
+
+  const checkSwimlane = (swimlaneJson, swimlanePath) => {
+    problems.push(...validateSwimLaneJson(swimlaneJson, swimlanePath));
+    checkUniqueId(swimlaneJson, swimlanePath, lanePaths);
+    if (!Array.isArray(swimlaneJson?.timePeriods)) return;
+
+    swimlaneJson.timePeriods.forEach((periodJson, j) => {
+      const periodPath = swimlanePath + ".timePeriods[" + j + "]";
+      problems.push(...validateTimePeriodJson(periodJson, periodPath, getFormatVersion(json)));
+      checkUniquePeriodIds(periodJson, periodPath);
+    });
+  };
+
+  json.swimlanes.forEach((swimlaneJson, i) => checkSwimlane(swimlaneJson, "swimlanes[" + i + "]"));
+  if (Array.isArray(json.groups)) {
+    json.groups.forEach((groupJson, g) => {
+      const groupPath = "groups[" + g + "]";
+      problems.push(...validateGroupJson(groupJson, groupPath));
+      checkUniqueId(groupJson, groupPath, groupPaths);
+      if (!Array.isArray(groupJson?.swimlanes)) return;
+      groupJson.swimlanes.forEach((swimlaneJson, i) => checkSwimlane(swimlaneJson, groupPath + ".swimlanes[" + i + "]"));
+    });
+  }
+
+  // links may point to generated ids, so they are checked once every time period has one
+  const { periodIds } = getTimelineIds(json);
+  const allPeriodIds = new Set(periodIds.values());
+  forEachPeriodJson(json, (periodJson, periodPath) => {
+    if (!Array.isArray(periodJson?.links)) return;
+    periodJson.links.forEach((linkJson, k) => {
+      const to = linkJson?.to;
+      if (getIdProblem(to)) return;
+      const path = periodPath + ".links[" + k + "].to";
+      if (!allPeriodIds.has(to)) problems.push({ path, message: "is not the id of a time period, got " + JSON.stringify(to) });
+      else if (to === periodIds.get(periodPath)) problems.push({ path, message: "is the id of the time period itself" });
+    });
+  });
+  return problems;
+}
+
+/**
+ * Timeline data that `prepareTimelineJson` checked and parsed, which `Timeline.loadPrepared` creates a timeline
+ * from. It holds no functions or class instances other than dates, so it can be sent from the loading worker,
+ * see `TimelineLoader`.
+ *
+ * @typedef {Object} PreparedTimeline
+ * @property {TimelineProblem[]} problems - The problems found in the JSON, see `validateTimelineJson`.
+ * @property {string} title - The title, empty if it is bad.
+ * @property {number} [scaleWidth] - The scale width, missing if it is bad.
+ * @property {string} [scaleType] - The scale type, missing if it is bad.
+ * @property {Date} [focusDate] - The focus date, missing if it is bad.
+ * @property {number} [focusX] - The x-coordinate of the focus date, missing if it is bad.
+ * @property {number} formatVersion - See `getFormatVersion`.
+ * @property {string} rowLayout - One of `ROWLAYOUTS`.
+ * @property {{count: number, scaleType: string}|null} labelAllowance - See `Timeline.setRowLayout`.
+ * @property {string[]} usedLaneIds - The ids of the swimlanes, including those of swimlanes that are skipped.
+ * @property {string[]} usedPeriodIds - The ids of the time periods, including those of time periods that are skipped.
+ * @property {Array<Object|null>} groups - The title, isHidden, isCollapsed, color and id of each group, `null`
+ *   for those without an array of swimlanes.
+ * @property {Object[]} swimlanes - The title, isHidden, color, id, groupIndex and timePeriods of each swimlane
+ *   that is loaded. Each time period has the arguments of the `TimePeriod` constructor by name, with its
+ *   children in the same form.
+ */
+
+/**
+ * Checks timeline JSON and parses its dates into the data `Timeline.loadPrepared` creates a timeline from, so one
+ * typo doesn't stop the rest of the timeline from loading.
+ *
+ * Time periods with problems are skipped, bad timeline and swimlane properties fall back to defaults, bad or
+ * repeated ids are replaced by generated ones (see `getTimelineIds`) and bad links are left out. End dates before
+ * start dates and dates outside the supported range are added to the problems.
+ *
+ * Uses nothing of the page, so it can run in the loading worker, see `TimelineLoader`.
+ *
+ * @param {*} json - The timeline JSON, see `Timeline.load`.
+ * @returns {PreparedTimeline} The prepared timeline data.
+ * @throws {Error} If the JSON is not an object.
+ */
+function prepareTimelineJson(json) {
+  const problems = validateTimelineJson(json);
+  if (problems.some(problem => problem.path === "")) {
+    throw new Error("Invalid timeline: timeline must be a JSON object");
+  }
+  const problemPaths = new Set(problems.map(problem => problem.path));
+  const hasProblem = path => problemPaths.has(path);
+
+  // paths of the time periods (including nested ones) with at least one problem, of bad links, and of
+  // links and children that aren't arrays. A bad or repeated id is replaced by a generated one
+  const badPaths = new Set();
+  problems.forEach(problem => {
+    const match = problem.path.match(/^((?:groups\[\d+\]\.)?swimlanes\[\d+\]\.timePeriods\[\d+\](?:\.children\[\d+\])*)(\.id$|\.links(\[\d+\])?|\.children$)?/);
+    if (!match) return;
+    if (match[2] != ".id") badPaths.add(match[1] + (match[2] ?? ""));
+  });
+
+  const formatVersion = getFormatVersion(json);
+  const parseDate = (dateStr, isEndDate = false) => parseTimelineDate(dateStr, formatVersion, isEndDate);
+  const { laneIds, groupIds, periodIds } = getTimelineIds(json);
+
+  // groups, null for those without an array of swimlanes
+  const groups = (Array.isArray(json.groups) ? json.groups : []).map((groupJson, g) => {
+    if (!Array.isArray(groupJson?.swimlanes)) return null;
+    const hasGroupProblem = key => hasProblem("groups[" + g + "]." + key);
+    return {
+      title: hasGroupProblem("title") ? "" : groupJson.title,
+      isHidden: hasGroupProblem("isHidden") ? false : groupJson.isHidden,
+      isCollapsed: hasGroupProblem("isCollapsed") ? false : groupJson.isCollapsed,
+      color: hasGroupProblem("color") ? undefined : groupJson.color,
+      id: groupIds[g]
+    };
+  });
+
+  // prepares a time period and its children, or returns null for one with problems
+  const preparePeriod = (periodJson, periodPath) => {
+    if (badPaths.has(periodPath)) return null;
+
+    let start, end, hasApproxStartDate, hasApproxEndDate;
+
+    if (periodJson.date !== undefined) {
+      // event - a zero duration time period, drawn as a marker
+      start = parseDate(periodJson.date);
+      end = { date: new Date(start.date), precision: start.precision, isEndOfUnit: false };
+      hasApproxStartDate = periodJson.hasApproxDate;
+      hasApproxEndDate = periodJson.hasApproxDate;
+    } else {
+      start = parseDate(periodJson.startDate);
+      end = parseDate(periodJson.endDate, true);
+      hasApproxStartDate = periodJson.hasApproxStartDate;
+      hasApproxEndDate = periodJson.hasApproxEndDate;
+    }
+    const startDate = start.date;
+    const endDate = end.date;
+
+    if (isNaN(startDate) || isNaN(endDate)) {
+      const key = periodJson.date !== undefined ? "date" : isNaN(startDate) ? "startDate" : "endDate";
+      problems.push({ path: periodPath + "." + key, message: "is outside the supported range of dates" });
+      return null;
+    }
+    if (endDate < startDate) {
+      problems.push({ path: periodPath + ".endDate", message: "is before startDate " + JSON.stringify(periodJson.startDate) });
+      return null;
+    }
+
+    return {
+      name: periodJson.name,
+      startDate,
+      endDate,
+      hasApproxStartDate,
+      hasApproxEndDate,
+      description: periodJson.description,
+      color1: periodJson.color1,
+      color2: periodJson.color2,
+      startPrecision: start.precision,
+      endPrecision: end.precision,
+      hasExclusiveEnd: end.isEndOfUnit,
+      id: periodIds.get(periodPath),
+      links: badPaths.has(periodPath + ".links") ? [] : (periodJson.links ?? []).filter((linkJson, k) => {
+        return !badPaths.has(periodPath + ".links[" + k + "]");
+      }),
+      isExpanded: periodJson.isExpanded,
+      row: periodJson.row,
+      children: badPaths.has(periodPath + ".children") ? [] : (periodJson.children ?? [])
+        .map((childJson, k) => preparePeriod(childJson, periodPath + ".children[" + k + "]"))
+        .filter(child => child !== null)
+    };
+  };
+
+  // swimlanes, those outside groups first. A swimlane is skipped only if it has no time periods to show, other
+  // bad values use defaults
+  const swimlanes = [];
+  getSwimlanesJson(json).forEach(({ swimlaneJson, path: swimlanePath, groupIndex }, i) => {
+    if (!Array.isArray(swimlaneJson?.timePeriods)) return;
+    const hasSwimlaneProblem = key => hasProblem(swimlanePath + "." + key);
+    swimlanes.push({
+      title: hasSwimlaneProblem("title") ? "" : swimlaneJson.title,
+      isHidden: hasSwimlaneProblem("isHidden") ? false : swimlaneJson.isHidden,
+      color: hasSwimlaneProblem("color") ? undefined : swimlaneJson.color,
+      id: laneIds[i],
+      groupIndex,
+      timePeriods: swimlaneJson.timePeriods
+        .map((periodJson, j) => preparePeriod(periodJson, swimlanePath + ".timePeriods[" + j + "]"))
+        .filter(timePeriod => timePeriod !== null)
+    });
+  });
+
+  const hasAllowanceProblem = problems.some(problem => problem.path.startsWith("labelAllowance"));
+  return {
+    problems,
+    title: hasProblem("title") ? "" : json.title,
+    scaleWidth: hasProblem("scaleWidth") ? undefined : json.scaleWidth,
+    scaleType: hasProblem("scaleType") ? undefined : json.scaleType,
+    focusDate: hasProblem("focusDate") ? undefined : parseDate(json.focusDate).date,
+    focusX: hasProblem("focusX") ? undefined : json.focusX,
+    formatVersion,
+    rowLayout: hasProblem("rowLayout") ? "packed" : json.rowLayout ?? "packed",
+    labelAllowance: hasAllowanceProblem || json.labelAllowance === undefined ? null : {
+      count: json.labelAllowance.count,
+      scaleType: json.labelAllowance.scaleType
+    },
+    usedLaneIds: laneIds,
+    usedPeriodIds: [...periodIds.values()],
+    groups,
+    swimlanes
+  };
+}
+
+/**
+ * Splits CSV or TSV text into rows of cells.
+ *
+ * Cells in double quotes may contain the delimiter, line breaks and doubled quotes (`""`), as in RFC 4180.
+ * Blank lines are skipped.
+ *
+ * @param {string} text - The table text.
+ * @param {string} delimiter - The character between cells, e.g. "," or "\t", see `detectDelimiter`.
+ * @returns {string[][]} The rows.
+ */
+function parseDelimitedText(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let isQuoted = false;
+  let wasQuoted = false; // a quoted cell, even an empty one, is not a blank line
+  const endRow = () => {
+    row.push(cell);
+    if (wasQuoted || row.some(value => value.trim() !== "")) rows.push(row);
+    row = [];
+    cell = "";
+    wasQuoted = false;
+  };
+
+  text = text.replace(/^\uFEFF/, ""); // byte order mark added by spreadsheet programs
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (isQuoted) {
+      if (char == '"' && text[i + 1] == '"') {
+        cell += '"';
+        i++;
+      } else if (char == '"') {
+        isQuoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char == '"' && cell.trim() == "") {
+      isQuoted = true;
+      wasQuoted = true;
+      cell = "";
+    } else if (char == delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char == "\n" || char == "\r") {
+      if (char == "\r" && text[i + 1] == "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Guesses the delimiter of CSV or TSV text from its first line: a tab, semicolon or comma, whichever is most common.
+ *
+ * @param {string} text - The table text.
+ * @returns {string} The delimiter, "," if the first line has none.
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? "";
+  let delimiter = ",";
+  let maxCount = 0;
+  for (const candidate of ["\t", ";", ","]) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > maxCount) {
+      delimiter = candidate;
+      maxCount = count;
+    }
+  }
+  return delimiter;
+}
+
+/**
+ * Joins rows of cells into CSV or TSV text, the inverse of `parseDelimitedText`.
+ *
+ * Cells containing the delimiter, a quote, a line break, or spaces at either end are quoted.
+ *
+ * @param {string[][]} rows - The rows.
+ * @param {string} [delimiter=","] - The character between cells.
+ * @returns {string} The table text, with CRLF line endings.
+ */
+function formatDelimitedText(rows, delimiter = ",") {
+  const formatCell = value => {
+    const text = String(value ?? "");
+    if (!text.includes(delimiter) && !/["\r\n]|^\s|\s$/.test(text)) return text;
+    return '"' + text.replace(/"/g, '""') + '"';
+  };
+  return rows.map(row => row.map(formatCell).join(delimiter)).join("\r\n") + "\r\n";
+}
+
+/**
+ * Matches table column headers to the fields of `TABLECOLUMNS`, ignoring case, dashes and underscores.
+ *
+ * Without headers, the columns are taken to be in the order of `TABLECOLUMNS`, the order `timelineToTable` writes.
+ *
+ * @param {string[]|null} headers - The first row of the table, or `null` if it has no header row.
+ * @param {number} columnCount - The number of columns in the table.
+ * @returns {Object<string, number>} The column index of each field, -1 if no column matches.
+ */
+function guessTableColumns(headers, columnCount) {
+  const columns = {};
+  if (!headers) {
+    TABLECOLUMNS.forEach(({ field }, i) => columns[field] = i < columnCount ? i : -1);
+    return columns;
+  }
+
+  const normalizedHeaders = headers.map(header => header.trim().toLowerCase().replace(/[\s_-]+/g, " "));
+  const usedIndices = new Set();
+  TABLECOLUMNS.forEach(({ field, headers: names }) => {
+    const index = normalizedHeaders.findIndex((header, i) => !usedIndices.has(i) && names.includes(header));
+    columns[field] = index;
+    if (index != -1) usedIndices.add(index);
+  });
+  return columns;
+}
+
+/**
+ * Converts a date from a table cell to an ISO 8601 date of timeline format version 2.
+ *
+ * Date formats (`TABLEDATEFORMATS`):
+ * - "iso": ISO 8601 as in timeline JSON, e.g. 1500, 1500-03 or 1500-03-15. Years may have fewer than four digits.
+ * - "year": historical years, e.g. 1500, 44 BC, 44 BCE or -44 (also 44 BC), AD 30 or 30 CE. There is no year 0.
+ * - "dmy": day/month/year, e.g. 15/3/1500, with `/`, `.` or `-` between the numbers.
+ * - "mdy": month/day/year, e.g. 3/15/1500.
+ *
+ * A leading `~`, `c.`, `ca.` or `circa` marks the date as approximate.
+ *
+ * @param {string} value - The cell.
+ * @param {string} dateFormat - One of `TABLEDATEFORMATS`.
+ * @returns {{date: string, isApprox: boolean}|{problem: string}} The ISO 8601 date, or what is wrong with the cell.
+ */
+function parseTableDate(value, dateFormat) {
+  let text = value.trim();
+  const approxMatch = text.match(/^(~|c\.|ca\.|circa\b)\s*/i);
+  if (approxMatch) text = text.slice(approxMatch[0].length);
+  const isApprox = Boolean(approxMatch);
+
+  if (dateFormat == "iso") {
+    // short years, e.g. 800 or -44, are padded to four digits
+    const date = text.replace(/^([+-]?)(\d{1,3})(?=-|$)/, (match, sign, digits) => sign + digits.padStart(4, "0"));
+    const problem = getIsoDateProblem(date);
+    return problem ? { problem } : { date, isApprox };
+  }
+
+  if (dateFormat == "year") {
+    const match = text.match(/^(?:(AD|CE)\s*)?(-?)(\d+)\s*(BC|BCE|AD|CE)?$/i);
+    if (!match || Number(match[3]) == 0) {
+      return { problem: "must be a year like 1500, 44 BC or -44, got " + JSON.stringify(value) };
+    }
+    const [, prefixEra, minus, digits, suffixEra] = match;
+    const isBC = minus == "-" || /^BC/i.test(suffixEra ?? "");
+    if (isBC && prefixEra) return { problem: "is both AD and BC, got " + JSON.stringify(value) };
+
+    const date = new Date(0);
+    date.setFullYear(isBC ? 1 - Number(digits) : Number(digits), 0, 1);
+    date.setHours(0, 0, 0, 0);
+    return { date: formatIsoDate(date, "year"), isApprox };
+  }
+
+  const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{1,4})$/);
+  if (!match) {
+    const example = dateFormat == "mdy" ? "3/15/1500" : "15/3/1500";
+    return { problem: "must be a date like " + example + ", got " + JSON.stringify(value) };
+  }
+  const [day, month] = dateFormat == "mdy" ? [match[2], match[1]] : [match[1], match[2]];
+  const date = match[3].padStart(4, "0") + "-" + month.padStart(2, "0") + "-" + day.padStart(2, "0");
+  const problem = getIsoDateProblem(date);
+  return problem ? { problem } : { date, isApprox };
+}
+
+/**
+ * Guesses the date format of a table from its start and end cells: the first of `TABLEDATEFORMATS` that reads
+ * the most of them, so a table of years like 27 BC is read as years. Cells that are all whole numbers, e.g. -44,
+ * are read as years too: "iso" would read them as astronomical years, a year off before AD 1. ISO years, which
+ * are padded with zeros to four digits like the CSV export writes them (-0043), are still read as ISO.
+ *
+ * @param {string[][]} rows - The rows of the table, see `parseDelimitedText`.
+ * @param {Object<string, number>} columns - The column index of each field, see `guessTableColumns`.
+ * @param {boolean} hasHeader - Whether the first row holds the column headers.
+ * @returns {string} One of `TABLEDATEFORMATS`, "iso" if none of the cells is a date.
+ */
+function guessTableDateFormat(rows, columns, hasHeader) {
+  const cells = rows.slice(hasHeader ? 1 : 0)
+    .flatMap(row => [row[columns.start], row[columns.end]])
+    .filter(cell => typeof cell == "string" && cell.trim() != "");
+  const isWholeNumber = cell => /^(~|c\.|ca\.|circa\b)?\s*-?[1-9]\d*$/i.test(cell.trim()); // not ISO years like -0044
+  if (cells.length > 0 && cells.every(isWholeNumber)) return "year";
+  const counts = TABLEDATEFORMATS.map(dateFormat => cells.filter(cell => !parseTableDate(cell, dateFormat).problem).length);
+  return TABLEDATEFORMATS[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Converts a color from a table cell to the form timeline JSON uses: black, rgb() or rgba(), or `#rgb` and `#rrggbb` hex colors.
+ *
+ * @param {string} value - The cell.
+ * @returns {{color: string}|{problem: string}} The color, or what is wrong with the cell.
+ */
+function parseTableColor(value) {
+  const text = value.trim().toLowerCase().replace(/\s+/g, "");
+  if (getColorProblem(text) === null) return { color: text };
+  if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(text)) return { color: toRgbColor(text) };
+  return { problem: "must be black, an rgb() color or a hex color like #ff8800, got " + JSON.stringify(value) };
+}
+
+/**
+ * Converts the rows of a table to timeline JSON of format version 2, one time period per row.
+ *
+ * Time periods are grouped into swimlanes by the swimlane column, in the order the swimlanes first appear.
+ * A row without an end date is an event. Rows that can't be converted are skipped and reported, so
+ * the rest of the table can still be imported. The view fits every time period.
+ *
+ * Example:
+ * ```js
+ * const rows = parseDelimitedText(text, detectDelimiter(text));
+ * const { json, problems } = tableToTimelineJson(rows, { columns: guessTableColumns(rows[0], rows[0].length) });
+ * ```
+ *
+ * @param {string[][]} rows - The rows of the table, see `parseDelimitedText`.
+ * @param {Object} options - How to read the table.
+ * @param {Object<string, number>} options.columns - The column index of each field of `TABLECOLUMNS`, -1 if the table doesn't have it.
+ * @param {string} [options.dateFormat="iso"] - The format of the dates, see `parseTableDate`.
+ * @param {boolean} [options.hasHeader=true] - Whether the first row holds the column headers.
+ * @param {string} [options.title="Imported timeline"] - The title of the timeline.
+ * @returns {{json: Object, problems: TimelineProblem[]}} The timeline JSON, and the skipped rows with the
+ *   table row number (from 1, counting the header) and column as the path, e.g. `row 3, start`.
+ */
+function tableToTimelineJson(rows, { columns, dateFormat = "iso", hasHeader = true, title = "Imported timeline" }) {
+  const problems = [];
+  const swimlanes = new Map(); // title -> swimlane JSON
+  let minDate = null;
+  let maxDate = null;
+
+  rows.forEach((row, i) => {
+    if (hasHeader && i == 0) return;
+    const path = "row " + (i + 1);
+    const cell = field => (columns[field] >= 0 ? row[columns[field]] ?? "" : "").trim();
+    const isFlagSet = field => /^(true|yes|y|1|x|~|approx|approximate)$/i.test(cell(field));
+
+    const name = cell("name");
+    if (!name) {
+      problems.push({ path: path + ", name", message: "is required" });
+      return;
+    }
+    if (!cell("start")) {
+      problems.push({ path: path + ", start", message: "is required" });
+      return;
+    }
+
+    const start = parseTableDate(cell("start"), dateFormat);
+    const end = cell("end") ? parseTableDate(cell("end"), dateFormat) : null;
+    const color1 = cell("color1") ? parseTableColor(cell("color1")) : null;
+    const color2 = cell("color2") ? parseTableColor(cell("color2")) : null;
+    const idProblem = cell("id") ? { problem: getIdProblem(cell("id")) } : null;
+    const cellProblems = [["start", start], ["end", end], ["colour", color1], ["outline colour", color2], ["id", idProblem]]
+      .filter(([, result]) => result?.problem)
+      .map(([column, result]) => ({ path: path + ", " + column, message: result.problem }));
+    if (cellProblems.length > 0) {
+      problems.push(...cellProblems);
+      return;
+    }
+
+    const startDate = parseIsoDate(start.date).date;
+    const endDate = end ? parseIsoDate(end.date, true).date : startDate;
+    if (endDate < startDate) {
+      problems.push({ path: path + ", end", message: "is before the start " + JSON.stringify(cell("start")) + ", got " + JSON.stringify(cell("end")) });
+      return;
+    }
+    if (!minDate || startDate < minDate) minDate = startDate;
+    if (!maxDate || endDate > maxDate) maxDate = endDate;
+
+    const periodJson = cell("id") ? { id: cell("id"), name } : { name };
+    if (end) {
+      periodJson.startDate = start.date;
+      periodJson.endDate = end.date;
+      periodJson.hasApproxStartDate = start.isApprox || isFlagSet("approxStart");
+      periodJson.hasApproxEndDate = end.isApprox || isFlagSet("approxEnd");
+    } else {
+      periodJson.date = start.date;
+      periodJson.hasApproxDate = start.isApprox || isFlagSet("approxStart");
+    }
+    if (cell("description")) periodJson.description = cell("description");
+    if (color1 || color2) {
+      periodJson.color1 = (color1 ?? color2).color;
+      periodJson.color2 = (color2 ?? color1).color;
+    }
+
+    const laneTitle = cell("lane") || "Time periods";
+    if (!swimlanes.has(laneTitle)) swimlanes.set(laneTitle, { title: laneTitle, timePeriods: [] });
+    swimlanes.get(laneTitle).timePeriods.push(periodJson);
+  });
+
+  // fit every time period into a view 1000 pixels wide
+  const viewWidth = 1000;
+  let view = { scaleType: "year", scaleWidth: 100, focusDate: "2000" };
+  if (minDate) {
+    const duration = Math.max(maxDate - minDate, getScaleTypeDuration("date"));
+    view = { ...getScaleForDuration(duration * 1.1, viewWidth), focusDate: formatIsoDate(new Date(minDate.getTime() + (maxDate - minDate)/2), "date") };
+  }
+
+  const json = {
+    formatVersion: 2,
+    title,
+    scaleWidth: view.scaleWidth,
+    scaleType: view.scaleType,
+    focusDate: view.focusDate,
+    focusX: viewWidth / 2,
+    swimlanes: Array.from(swimlanes.values())
+  };
+  return { json, problems };
+}
+
+/**
+ * Converts the time periods of a timeline to the rows of a table, with a header row of the `TABLECOLUMNS` labels.
+ *
+ * Dates are written in ISO 8601 to their precision, as in timeline format version 2, so the table can be
+ * imported again with `tableToTimelineJson`. End dates to the year, month or day are written as the last one the
+ * time period includes, as they are read, so legacy end dates are a day earlier than in the JSON. Events have no
+ * end date. Swimlanes without time periods are left out.
+ * Nested time periods get a row of their own after their parent, so the table has no nesting.
+ *
+ * @param {Timeline} timeline - The timeline.
+ * @returns {string[][]} The rows, see `formatDelimitedText`.
+ */
+function timelineToTable(timeline) {
+  const formatDate = (date, precision, isEndOfUnit) => formatIsoDate(isEndOfUnit ? new Date(date.getTime() - 1) : date, precision);
+  const flag = value => value ? "yes" : "no";
+  const rows = [TABLECOLUMNS.map(({ label }) => label)];
+
+  timeline.getSwimLanes().forEach(swimLane => {
+    swimLane.getAllTimePeriods().forEach(timePeriod => {
+      const json = timePeriod.toJSON(formatDate);
+      const { endPrecision } = timePeriod.getPrecision();
+      const isEndOfUnit = endPrecision == "year" || endPrecision == "month" || endPrecision == "date";
+      const values = {
+        lane: swimLane.getName(),
+        name: json.name,
+        start: json.date ?? json.startDate,
+        end: json.endDate === undefined ? "" : formatDate(timePeriod.getEndDate(), endPrecision, isEndOfUnit),
+        approxStart: flag(json.hasApproxDate ?? json.hasApproxStartDate),
+        approxEnd: flag(json.hasApproxEndDate),
+        description: json.description,
+        color1: json.color1,
+        color2: json.color2,
+        id: timePeriod.getId()
+      };
+      rows.push(TABLECOLUMNS.map(({ field }) => values[field]));
+    });
+  });
+  return rows;
+}
+
+/**
+ * An off-screen canvas holding one layer of the timeline, e.g. its time periods, which is drawn again only when
+ * what it shows changes and is otherwise moved with the view, see `Timeline.draw`.
+ *
+ * A layer is drawn with a margin around the canvas, so panning the view only moves it until the margin is used
+ * up. Each drawing is made for a key that describes everything it shows other than where the view is; a
+ * different key draws it again.
+ *
+ * @class RenderLayer
+ */
+class RenderLayer {
+  #canvas = null;
+  #key = null;
+  #anchor = null; // the view the layer was drawn at: a date, its x-coordinate and the y offset
+  #marginX = 0;
+  #marginY = 0;
+  #margin;
+  #isFixedX;
+
+  /**
+   * @param {number} [margin=0] - The margin drawn around the canvas while panning, as a share of its width and
+   *   height. Drawing after another change has no margin, as the next frame is likely to change it again.
+   * @param {boolean} [isFixedX=false] - Whether the layer stays in place when the view is panned sideways,
+   *   e.g. the backgrounds of the swim lanes.
+   */
+  constructor(margin = 0, isFixedX = false){
+    this.#margin = margin;
+    this.#isFixedX = isFixedX;
+  }
+
+  /**
+   * Draws the layer onto a canvas context, drawing it again first if the key has changed or the view has been
+   * panned past its margin.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The context of the visible canvas, scaled to CSS pixels.
+   * @param {Timeline} timeline - The timeline, for its view.
+   * @param {number} pixelRatio - The device pixels for each CSS pixel of the canvas.
+   * @param {string} key - Describes what the layer shows.
+   * @param {function(CanvasRenderingContext2D, number, number): void} render - Draws the layer in canvas
+   *   coordinates, given the margin in x and y that is drawn around the canvas.
+   * @returns {boolean} `true` if the layer was drawn again.
+   */
+  draw(ctx, timeline, pixelRatio, key, render){
+    const width = timeline.getCanvasWidth();
+    const height = timeline.getCanvasHeight();
+    const round = value => Math.round(value * pixelRatio) / pixelRatio;
+    const getOffset = () => ({
+      dx: this.#isFixedX ? 0 : round(timeline.getXAtDate(this.#anchor.date) - this.#anchor.x),
+      dy: round(timeline.getYOffset() - this.#anchor.y)
+    });
+
+    let offset = this.#anchor && getOffset();
+    const isRendered = key !== this.#key || Math.abs(offset.dx) > this.#marginX || Math.abs(offset.dy) > this.#marginY;
+    if(isRendered){
+      // only panning gets a margin
+      const isPanned = key === this.#key;
+      this.#marginX = isPanned && !this.#isFixedX ? Math.round(width * this.#margin) : 0;
+      this.#marginY = isPanned ? Math.round(height * this.#margin) : 0;
+      this.#key = key;
+      this.#anchor = { date: new Date(timeline.getFocusDate().getTime()), x: timeline.getFocusX(), y: timeline.getYOffset() };
+
+      this.#canvas ??= document.createElement("canvas");
+      this.#canvas.width = Math.ceil((width + 2*this.#marginX) * pixelRatio);
+      this.#canvas.height = Math.ceil((height + 2*this.#marginY) * pixelRatio);
+      const layerCtx = this.#canvas.getContext("2d");
+      layerCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      layerCtx.clearRect(0, 0, width + 2*this.#marginX, height + 2*this.#marginY);
+      layerCtx.translate(this.#marginX, this.#marginY);
+      render(layerCtx, this.#marginX, this.#marginY);
+      offset = getOffset();
+    }
+
+    ctx.drawImage(this.#canvas, offset.dx - this.#marginX, offset.dy - this.#marginY, width + 2*this.#marginX, height + 2*this.#marginY);
+    return isRendered;
+  }
+}
+
+/**
+ * Represents a visual timeline with a configurable scale, focus point, and multiple swim lanes.
+ * 
+ * Manages rendering and positioning of date markers (grid lines) and associated visual elements
+ * like swim lanes and time periods. Provides logic for interaction such as zooming, panning,
+ * and layout calculation.
+ * 
+ * @class Timeline
+ */
+class Timeline {
+  #title;
+  #canvas;
+  #canvasWidth = 0;
+  #canvasHeight = 0;
+  #focusDate = new Date();
+  #scaleType = "year";
+  #focusX = 100; // x position of the gridline that the timeline is being built around
+  #yOffset = 0;
+  #scaleWidth = 100; // in pixels
+  #baseLineHeight = 120;
+  #linePosArr = []; // currently unordered
+  #lineDateArr = []; // currently unordered
+  #swimLaneArr = []; // those outside groups first, then those of each group in the order of #groupArr
+  #groupArr = [];
+  #baseLineFontColor = "rgb(64, 64, 64)";
+  #infoPanel = null;
+  #lanePanel = null;
+  #isTouch = false;
+  #hoveredPeriod = null;
+  #highlightedPeriods = []; // time periods whose bounding box the last updateMouseState showed
+  #linkCache = null; // the links between the time periods of the swimlanes, see #drawLinks
+  #selectedPeriod = null;
+  #animationId = null;
+  #resolveAnimation = null;
+  #loadProblems = [];
+  #usedLaneIds = new Set(); // every swimlane id loaded or generated, so generated ids are never reused
+  #loadedLaneIds = []; // the ids of the swimlanes in the order they were loaded, see setViewState
+  #usedPeriodIds = new Set();
+  #formatVersion = 1;
+  #rowLayout = "packed"; // one of ROWLAYOUTS, see setRowLayout
+  #labelAllowance = null; // the least time a time period takes up in a row in the stable row layout
+  #dateFormat = { era: "BC/AD", calendar: "gregorian" };
+  #history;
+  #laneDrag = null; // the swimlane dragged by its header and the index it would be dropped at, see startLaneDrag
+  #isExporting = false; // exports leave out the swimlane headers
+  #clusterDensity = 8; // the fewest pixels for each time period in view of a swimlane drawn as bars, see getClusterDensity
+  #layers = { // drawn off screen and moved with the view while panning, see draw
+    lanes: new RenderLayer(0, true),
+    periods: new RenderLayer(0.25),
+    labels: new RenderLayer()
+  };
+  #layersVersion = 0; // changes when the layers have to be drawn again for another reason than the view
+  #highlightVersion = 0; // changes with the time periods dimmed by setHighlightedPeriods
+  #showDrawStats = SHOWDRAWSTATS;
+  #drawStats = { frameTimes: [], drawTime: 0, renderedLayers: [] }; // see getDrawStats
+
+  /**
+   * Constructs a new Timeline instance with the given configuration.
+   *
+   * @param {number} scaleWidth - The width in pixels for each unit of the current scale (e.g., a year or month).
+   * @param {string} scaleType - The type of scale used on the timeline (e.g., "year", "month", "decade").
+   * @param {Date} focusDate - The date to center the timeline around.
+   * @param {number} focusX - The X-coordinate (in pixels) at which the focusDate is visually aligned.
+   * @param {number} canvasWidth - The width of the canvas in pixels, used for layout calculations.
+   * @param {Object} [options={}] - The elements and environment the timeline renders into.
+   * @param {HTMLElement} [options.infoPanel] - Element that displays details of the selected time period.
+   * @param {HTMLElement} [options.lanePanel] - Element that holds the swimlane hide/show buttons.
+   * @param {boolean} [options.isTouch=false] - Whether the timeline is displayed on a touch device.
+   * @param {string} [options.era="BC/AD"] - How years are displayed: "BC/AD", "BCE/CE" or "astronomical" (0 is 1 BC, -1 is 2 BC).
+   * @param {string} [options.calendar="gregorian"] - "julian" displays dates before 15 October 1582 in the Julian calendar.
+   * @param {CommandHistory} [options.history] - The undo/redo history to record changes in, a new one by default.
+   * @param {number} [options.clusterDensity=8] - The fewest pixels of width for each time period in view of a swimlane
+   *   for them to be drawn as bars rather than clusters, 0 to never draw clusters.
+   * @param {boolean} [options.showDrawStats=false] - Whether to show the frames per second and the draw time over the
+   *   timeline, see `getDrawStats`.
+   * @throws {Error} If the era or calendar is not one of the listed values.
+   */
+  constructor(scaleWidth, scaleType, focusDate, focusX, canvasWidth, options = {}) {
+    this.#scaleWidth = scaleWidth;
+    this.setScaleType(scaleType);
+    this.#focusDate = focusDate;
+    this.#focusX = focusX;
+    this.#canvasWidth = canvasWidth;
+    this.#infoPanel = options.infoPanel ?? null;
+    this.#lanePanel = options.lanePanel ?? null;
+    this.#isTouch = options.isTouch ?? false;
+    this.#history = options.history ?? new CommandHistory();
+    this.#clusterDensity = options.clusterDensity ?? 8;
+    this.#showDrawStats = options.showDrawStats ?? SHOWDRAWSTATS;
+
+    const { era = "BC/AD", calendar = "gregorian" } = options;
+    if (!ERAS.includes(era)) throw new Error("Invalid era '" + era + "', must be one of " + ERAS);
+    if (!CALENDARS.includes(calendar)) throw new Error("Invalid calendar '" + calendar + "', must be one of " + CALENDARS);
+    this.#dateFormat = { era, calendar };
+  }
+
+  /**
+   * Returns how the timeline displays dates.
+   *
+   * @returns {{era: string, calendar: string}} The era ("BC/AD", "BCE/CE" or "astronomical") and
+   *   calendar ("gregorian" or "julian"), see the constructor.
+   */
+  getDateFormat(){
+    return { ...this.#dateFormat };
+  }
+
+  /**
+   * Returns the fewest pixels of width for each time period in view of a swimlane for them to be drawn as bars.
+   * A swimlane with more time periods in view is drawn as clusters of them, see `SwimLane.setUpTimePeriods`.
+   *
+   * @returns {number} The pixels, 0 if swimlanes are never drawn as clusters.
+   */
+  getClusterDensity(){
+    return this.#clusterDensity;
+  }
+
+  /**
+   * Returns how fast the timeline is drawn: the frames drawn in the last second, how long the last one took, and
+   * which of its layers it drew again rather than moving them with the view, see `draw`.
+   *
+   * @returns {{fps: number, drawTime: number, renderedLayers: string[]}} The frames per second, the draw time in
+   *   milliseconds and the names of the layers ("lanes", "periods" and "labels").
+   */
+  getDrawStats(){
+    const { frameTimes, drawTime, renderedLayers } = this.#drawStats;
+    const since = performance.now() - 1000;
+    return { fps: frameTimes.filter(time => time > since).length, drawTime, renderedLayers: renderedLayers.slice() };
+  }
+
+  /**
+   * Returns the undo/redo history that changes to the timeline are recorded in.
+   *
+   * @returns {CommandHistory} The history.
+   */
+  getHistory(){
+    return this.#history;
+  }
+
+  /**
+   * Returns the array of x-coordinate positions (in pixels) of the timeline grid lines.
+   *
+   * Each position corresponds to a date in the timeline, aligned with `getLineDateArray()`.
+   *
+   * @returns {number[]} An array of x-coordinates for the timeline grid lines.
+   */
+  getLinePositionArray(){
+    return this.#linePosArr
+  }
+  
+  /**
+   * Returns the array of `Date` objects corresponding to each timeline grid line.
+   *
+   * Each date aligns with the positions returned by `getLinePositionArray()`.
+   *
+   * @returns {Date[]} An array of `Date` objects for the timeline grid lines.
+   */
+  getLineDateArray(){
+    return this.#lineDateArr
+  }
+
+  /**
+   * Returns the vertical scroll offset applied to the timeline drawing.
+   *
+   * This offset shifts all swim lanes and content vertically on the canvas.
+   *
+   * @returns {number} The vertical offset in pixels.
+   */
+  getYOffset(){
+    return this.#yOffset
+  }
+
+  /**
+   * Returns the x-coordinate (in pixels) on the canvas where the focus date is centered.
+   *
+   * This value determines the horizontal reference point for building the timeline grid.
+   *
+   * @returns {number} The x-position of the focus date.
+   */
+  getFocusX(){
+    return this.#focusX
+  }
+
+  /**
+   * Returns the focus date at the center of the timeline.
+   *
+   * The timeline grid is constructed around this date.
+   *
+   * @returns {Date} The current focus date.
+   */
+  getFocusDate(){
+    return this.#focusDate
+  }
+
+  getCanvasWidth(){
+    return this.#canvasWidth
+  }
+
+  getCanvasHeight(){
+    return this.#canvasHeight
+  }
+
+  /**
+   * Sets the central focus date around which the timeline is built.
+   * 
+   * This date determines the visual anchor point (aligned with `focusX`)
+   * and influences which time units are rendered across the timeline.
+   * 
+   * @param {Date} focusDate - The date to center the timeline around.
+   * 
+   * @throws {Error} If the provided value is not an instance of the Date class.
+   */
+  setFocusDate(focusDate) {
+    if (!(focusDate instanceof Date)) {
+      throw new Error("focusDate must be an instance of the Date class.");
+    }
+    this.#focusDate = focusDate;
+  }
+
+  /**
+   * Sets the granularity of the timeline scale (e.g., "year", "month", "hour").
+   * 
+   * Validates the input against a list of accepted scale types and throws an error if invalid.
+   *
+   * @param {string} scaleType - The scale type to apply. Must be one of:
+   *  "millennium", "century", "decade", "year", "month", "date", 
+   *  "hour", "minute", "second", or "millisecond".
+   * 
+   * @throws {Error} If the provided scaleType is not in the list of valid types.
+   */
+  setScaleType(scaleType) {
+    if (!SCALETYPES.includes(scaleType)) {
+      throw new Error(
+        "Invalid scaleType, scaleType cannot be '" + scaleType + "' must be " + SCALETYPES
+      );
+    }
+    this.#scaleType = scaleType;
+  }
+
+  /**
+   * Returns the current scale type used by the timeline.
+   * 
+   * The scale type determines the granularity of the timeline and can be one of:
+   * "millennium", "century", "decade", "year", "month", "date",
+   * "hour", "minute", "second", or "millisecond".
+   * 
+   * @returns {string} The current scale type.
+   */
+  getScaleType(){
+    return this.#scaleType
+  }
+
+  getScaleWidth() {
+    return this.#scaleWidth;
+  }
+
+  /**
+   * Returns the date at the given x-coordinate (in pixels) of the canvas.
+   *
+   * Interpolates between the grid lines of the last draw. Positions outside the grid are
+   * extrapolated from the nearest grid interval. If the timeline has not been drawn yet,
+   * the position is estimated from the focus date and scale.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @returns {Date} The date at the x-coordinate.
+   */
+  getDateAtX(x) {
+    const posArr = this.#linePosArr;
+    const dateArr = this.#lineDateArr;
+
+    if (posArr.length < 2) {
+      const units = (x - this.#focusX) / this.#scaleWidth;
+      return new Date(this.#focusDate.getTime() + units * getScaleTypeDuration(this.#scaleType));
+    }
+
+    // find the grid interval containing x, the first and last intervals extend past the grid
+    let i = 0;
+    while (i < posArr.length - 2 && posArr[i + 1] <= x) i++;
+
+    const proportion = (x - posArr[i]) / (posArr[i + 1] - posArr[i]);
+    return new Date(dateArr[i].getTime() + proportion * (dateArr[i + 1] - dateArr[i]));
+  }
+
+  /**
+   * Returns the x-coordinate on the canvas of a date, the inverse of `getDateAtX`.
+   *
+   * Interpolates between the grid lines of the last draw, so dates line up with the grid even where
+   * grid intervals differ in length (months, or the decade around the BC/AD boundary).
+   *
+   * @param {Date} date - The date.
+   * @returns {number} The x-coordinate of the date in pixels.
+   */
+  getXAtDate(date) {
+    const posArr = this.#linePosArr;
+    const dateArr = this.#lineDateArr;
+
+    if (posArr.length < 2) {
+      return this.#focusX + (date - this.#focusDate) / getScaleTypeDuration(this.#scaleType) * this.#scaleWidth;
+    }
+
+    // find the last grid line at or before the date, the first and last intervals extend past the grid.
+    // Comparing times rather than dates, which are converted to numbers on every comparison, as this runs for
+    // every time period when the rows are assigned
+    const time = date.getTime();
+    let low = 0;
+    let high = dateArr.length - 2;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (dateArr[mid].getTime() <= time) low = mid;
+      else high = mid - 1;
+    }
+
+    const lowTime = dateArr[low].getTime();
+    const proportion = (time - lowTime) / (dateArr[low + 1].getTime() - lowTime);
+    return posArr[low] + proportion * (posArr[low + 1] - posArr[low]);
+  }
+
+  /**
+   * Positions the timeline so the given date is displayed at the given x-coordinate.
+   *
+   * The focus date is set to the start of the current scale unit containing the date, so the
+   * grid lines stay aligned to unit boundaries.
+   *
+   * @param {Date} date - The date to display.
+   * @param {number} [x=canvasWidth/2] - The x-coordinate (in pixels) to display the date at.
+   */
+  setFocus(date, x = this.#canvasWidth / 2) {
+    const lineDate = floorDateByScaleType(date, this.#scaleType, this.#dateFormat);
+    const offset = (date - lineDate) / getScaleTypeDuration(this.#scaleType) * this.#scaleWidth;
+
+    this.setFocusDate(lineDate);
+    this.#focusX = x - offset;
+  }
+
+  /**
+   * Changes the scale of the timeline while keeping the date at the given x-coordinate in place.
+   *
+   * @param {string} scaleType - The scale type to apply (e.g., "year", "month", "hour").
+   * @param {number} scaleWidth - The width in pixels for each unit of the scale.
+   * @param {number} [x=canvasWidth/2] - The x-coordinate (in pixels) to zoom around.
+   */
+  zoomTo(scaleType, scaleWidth, x = this.#canvasWidth / 2) {
+    const date = this.getDateAtX(x);
+    this.setScaleType(scaleType);
+    this.#scaleWidth = scaleWidth;
+    this.setFocus(date, x);
+
+    // tell all swimlanes they need to reassign rows to time periods
+    for (let i = 0; i < this.#swimLaneArr.length; i++) {
+      this.#swimLaneArr[i].changeScale();
+    }
+  }
+  
+  /**
+   * Generates a label string for a baseline date on the timeline based on the current scale type and visual scale width.
+   * 
+   * The function selectively suppresses labels based on the `scaleWidth` to avoid clutter.
+   * For large units like "millennium", "century", or "decade", labels are omitted unless the year aligns with a significant interval.
+   * For smaller units like "date", "hour", or "second", labels are filtered based on thresholds to avoid overplotting.
+   *
+   * @private
+   * @param {Date} date - The date object for which to generate a label.
+   * @param {string} scaleType - The type of scale (e.g., "year", "month", "hour", etc.).
+   * @param {number} scaleWidth - The number of pixels representing one unit of the current scale.
+   * 
+   * @returns {string} A string label for the given date, or an empty string if the label should be suppressed.
+   */
+  #getBaselineLabel(date, scaleType, scaleWidth) {
+    
+    let label = getFocusDateAsValue(date, scaleType);
+    const { era, calendar } = this.#dateFormat;
+    const calendarDate = getCalendarDate(date, calendar);
+    const year = getEraYear(calendarDate.year, era); // counted without a year 0 in BC/AD and BCE/CE
+    if (scaleType == "millennium" || scaleType == "century" || scaleType == "decade" || scaleType == "year") {
+      label = formatYear(calendarDate.year, era, true);
+    }
+    
+    // don't display year 0 - applys only to large scaleType's
+    if (scaleType == "millennium" || scaleType == "century" || scaleType == "decade") {
+      // the line between the eras is at the start of AD 1, see getAstronomicalYear
+      if (era == "astronomical" ? year == 0 : year == 1) label = "";
+    }
+    
+    // suppress certain labels - don't display certain years at certain scale lengths, depending on the scate type
+    if(scaleType == "millennium"){
+      
+      if(scaleWidth < 20){
+        if(year % 10000 != 0) label = "";
+      }
+      else if(scaleWidth < 50){
+        if(year % 5000 != 0) label = "";
+      }
+      else if(scaleWidth < 100){
+        if(year % 2000 != 0) label = "";
+      }
+    }
+    
+    if(scaleType == "century"){
+      
+      if(scaleWidth < 20){
+        if(year % 1000 != 0) label = "";
+      }
+      else if(scaleWidth < 50){
+        if(year % 500 != 0) label = "";
+      }
+      else if(scaleWidth < 100){
+        if(year % 200 != 0) label = "";
+      }
+    }
+    
+    if(scaleType == "decade"){
+      
+      if(scaleWidth < 20){
+        if(year % 100 != 0) label = "";
+      }
+      else if(scaleWidth < 50){
+        if(year % 50 != 0) label = "";
+      }
+      else if(scaleWidth < 100){
+        if(year % 20 != 0) label = "";
+      }
+    }
+    
+    if(scaleType == "year"){
+      
+      if(scaleWidth < 20){
+        if(year % 10 != 0) label = "";
+      }
+      else if(scaleWidth < 50){
+        if(year % 5 != 0) label = "";
+      }
+      else if(scaleWidth < 100){
+        if(year % 2 != 0) label = "";
+      }
+    }
+    /*
+    if(scaleType == "month"){
+      if(scaleWidth < 50){
+        if(date.month == 1) label = date.month;
+      }
+      
+    }*/
+    
+    if (scaleType == "month"){
+      //label = date.toLocaleString("default", { month: "long" });
+  
+    
+      if(calendarDate.month != 0) label = "";
+      else label = formatYear(calendarDate.year, era, true);
+      
+    } 
+
+    if(scaleType == "date"){
+      label = calendarDate.day;
+      if(scaleWidth < 50){
+        if(calendarDate.day % 5 != 0 && calendarDate.day != 1 || calendarDate.day == 30) label = "";
+      }
+    }
+
+    if(scaleType == "hour"){
+      if(scaleWidth < 20){
+        if(date.getHours() % 6 != 0 && date.getHours() != 0) label = "";
+      } else if(scaleWidth < 50){
+        if(date.getHours() % 2 != 0 && date.getHours() != 0) label = "";
+      }
+    }
+
+    if(scaleType == "minute"){
+      if(scaleWidth < 20){
+        if(date.getMinutes() % 10 != 0 && date.getMinutes() != 0) label = "";
+      } else if(scaleWidth < 50){
+        if(date.getMinutes() % 5 != 0 && date.getMinutes() != 0) label = "";
+      }
+    }
+
+    if(scaleType == "second"){
+      if(scaleWidth < 20){
+        if(date.getSeconds() % 10 != 0 && date.getSeconds() != 0) label = "";
+      } else if(scaleWidth < 50){
+        if(date.getSeconds() % 5 != 0 && date.getSeconds() != 0) label = "";
+      }
+    }
+
+    if(scaleType == "millisecond"){
+      if(scaleWidth < 20){
+        if(date.getMilliseconds() % 10 != 0 && date.getMilliseconds() != 0) label = "";
+      } else if(scaleWidth < 50){
+        if(date.getMilliseconds() % 5 != 0 && date.getMilliseconds() != 0) label = "";
+      }
+    }
+
+    
+
+    return label;
+  }
+
+  /**
+   * Adjusts the zoom level of the timeline by changing the `scaleWidth`, and updates the focus point
+   * to the timeline gridline closest to the mouse X position.
+   * 
+   * A positive `rescaleSpeed` zooms in (increases `scaleWidth`), while a negative value zooms out.
+   * After adjusting the scale width, it recalculates the `focusX` (gridline anchor) and updates the
+   * `focusDate` to match the gridline closest to the `mouseX` coordinate.
+   * 
+   * Finally, the function adjusts the scale type if needed based on the new width.
+   * 
+   * @param {number} rescaleSpeed - The amount to change the scale width by. Positive to zoom in, negative to zoom out.
+   * @param {number} mouseX - The x-coordinate of the mouse, used to determine the nearest timeline gridline to focus on.
+   */
+  rescale(rescaleSpeed, mouseX, mouseY) {
+    // -rescaleSpeed to scale zoom out, +rescaleSpeed to scale zoom in
+    this.#scaleWidth += rescaleSpeed;
+    
+    // set focusX to the line position x closest to mouseX
+    let closestIndex = 0;
+    let diff = Math.abs(this.#linePosArr[0] - mouseX);
+    for (let i = 0; i < this.#linePosArr.length; i++) {
+      let curDiff = Math.abs(this.#linePosArr[i] - mouseX);
+      if (curDiff < diff) {
+        diff = curDiff;
+        closestIndex = i;
+      }
+    }
+    this.#focusX = this.#linePosArr[closestIndex];
+
+    // set focusDate to equal index as chosen line position
+    this.#focusDate = this.#lineDateArr[closestIndex];
+
+
+    this.updateScaleTypeByWidth(rescaleSpeed);
+
+    // tell all swimlanes they need to reassign rows to time periods
+    for(let i = 0;i<this.#swimLaneArr.length;i++){
+      let curSwimlane = this.#swimLaneArr[i]
+      curSwimlane.changeScale();
+
+      // find which swimlane the cursor is hovering over
+      let bottomY = curSwimlane.getBottomY();
+      let topY = bottomY - curSwimlane.getHeight();
+
+      if(mouseY <= bottomY && mouseY > topY){
+        curSwimlane.setIsHover(true);
+      } else{
+        curSwimlane.setIsHover(false);
+      }
+    }
+  }
+
+  /**
+   * Dynamically updates the timeline's `scaleType` based on the current `scaleWidth`.
+   * 
+   * This method allows the timeline to transition smoothly between different time units
+   * (e.g., from "century" to "decade" or from "month" to "date") as the user zooms in or out.
+   * It adjusts both the `scaleType` and resets the `scaleWidth` to an appropriate default
+   * for the new scale to maintain visual clarity.
+   * 
+   * The transitions are:
+   * - Zoom in (larger `scaleWidth`): moves to more granular units (e.g., year → month → date)
+   * - Zoom out (smaller `scaleWidth`): moves to broader units (e.g., decade → century → millennium)
+   * 
+   * Milliseconds are limited and not implemented beyond a threshold.
+   * 
+   * @param {number} rescaleSpeed - The amount the user zoomed in or out, used to help compute new width values on transitions.
+   */
+  updateScaleTypeByWidth(rescaleSpeed){
+    // change scale type based on width
+    if(this.#scaleType == "millennium"){
+      if(this.#scaleWidth > 200){
+        this.#scaleType = "century";
+        this.#scaleWidth = 20 + rescaleSpeed;
+      }else if(this.#scaleWidth < 20){
+        this.#scaleWidth = 20;
+      }
+    }
+
+    if(this.#scaleType == "century"){
+      if(this.#scaleWidth > 200){
+        this.#scaleType = "decade";
+        this.#scaleWidth = 20 + rescaleSpeed;
+      }else if(this.#scaleWidth < 20){
+        this.#scaleType = "millennium";
+        this.#scaleWidth = 200 - rescaleSpeed;
+      }
+    }
+
+    if(this.#scaleType == "decade"){
+      if(this.#scaleWidth > 200){
+        this.#scaleType = "year";
+        this.#scaleWidth = 20 + rescaleSpeed;
+      } else if(this.#scaleWidth < 20){
+        this.#scaleType = "century";
+        this.#scaleWidth = 200 - rescaleSpeed;
+      }
+    }
+
+    if(this.#scaleType == "year"){
+      if(this.#scaleWidth > 200){
+        this.#scaleType = "month";
+        this.#scaleWidth = 200/12 + rescaleSpeed;
+      } else if(this.#scaleWidth < 20){
+        this.#scaleType = "decade";
+        this.#scaleWidth = 200 - rescaleSpeed;
+      }
+    }
+
+    if(this.#scaleType == "month"){
+      if(this.#scaleWidth > 200){
+        this.#scaleType = "date"
+        this.#scaleWidth = 10;
+      } else if(this.#scaleWidth < 20){
+        this.#scaleType = "year";
+        this.#scaleWidth = 200 - rescaleSpeed;
+      }
+    }
+
+    if(this.#scaleType == "date"){
+      if(this.#scaleWidth > 200){
+        this.#scaleType = "hour"
+        this.#scaleWidth = 10;
+      } else if(this.#scaleWidth < 10){
+        this.#scaleType = "month";
+        this.#scaleWidth = 200
+      }
+    }
+
+    if(this.#scaleType == "hour"){
+      if(this.#scaleWidth > 200){
+        this.#scaleType = "minute"
+        this.#scaleWidth = 5;
+      } else if(this.#scaleWidth < 10){
+        this.#scaleType = "date";
+        this.#scaleWidth = 200
+      }
+    }
+
+    if(this.#scaleType == "minute"){
+      if(this.#scaleWidth > 200){
+        this.#scaleType = "second"
+        this.#scaleWidth = 5;
+      } else if(this.#scaleWidth < 5){
+        this.#scaleType = "hour";
+        this.#scaleWidth = 200
+      }
+    }
+
+    if(this.#scaleType == "second"){
+      if(this.#scaleWidth > 200){
+        this.#scaleType = "millisecond"
+        this.#scaleWidth = 5;
+      } else if(this.#scaleWidth < 5){
+        this.#scaleType = "minute";
+        this.#scaleWidth = 200
+      }
+    }
+
+    if(this.#scaleType == "millisecond"){
+      this.#scaleWidth = 4; // this is here because I don't want to implement milliseconds
+      if(this.#scaleWidth < 5){
+        this.#scaleType = "second";
+        this.#scaleWidth = 200
+      }
+    }
+
+
+
+  }
+
+  /**
+   * Moves the timeline horizontally by adjusting the `focusX` position.
+   * 
+   * This effectively pans the timeline view left or right.
+   * 
+   * @param {number} horizontalScrollSpeed - The number of pixels to shift the timeline horizontally.
+   * Positive values move the view to the right; negative values move it to the left.
+   */
+  moveHorizontal(horizontalScrollSpeed) {
+    this.#focusX += horizontalScrollSpeed;
+  }
+
+  /**
+   * Moves the timeline vertically by adjusting the vertical offset (`yOffset`).
+   * 
+   * This affects the vertical scroll of the timeline content (e.g., swim lanes).
+   * 
+   * @param {number} verticalScrollSpeed - The number of pixels to shift the timeline vertically.
+   * Positive values move the content down; negative values move it up.
+   */
+  moveVertical(verticalScrollSpeed){
+    this.#yOffset += verticalScrollSpeed;
+  }
+
+  /**
+ * Draws the timeline's baseline, including the background gradient, main line,
+ * tick marks, and date labels.
+ *
+ * The baseline visually represents time units (e.g., years, months) and is positioned
+ * near the bottom of the canvas. Tick marks and labels are drawn based on the current
+ * scale type and spacing defined in `#linePosArr` and `#lineDateArr`.
+ *
+ * If the current `scaleType` is "month" or more granular (e.g., "date", "hour", etc.),
+ * this method also draws additional labels above the baseline for clarity.
+ *
+ * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw the baseline into.
+ */
+  drawBaseline(ctx) {
+    
+    // draw backing for baseline
+    let baselineColor1 = "rgba(208, 220, 231, 0.9)";
+    let baselineColor2 = "rgb(208, 220, 231)";
+
+    if(this.#isTouch){
+      baselineColor1 = "rgba(255, 255, 255, 0)"
+      baselineColor2 = "rgb(255, 255, 255, 0.9)"
+    }
+    
+    const baselineGrad = ctx.createLinearGradient(0,this.#canvasHeight - this.#baseLineHeight,0,this.#canvasHeight)
+    baselineGrad.addColorStop(0,baselineColor1)
+    baselineGrad.addColorStop(0.6, baselineColor2)
+    ctx.fillStyle = baselineGrad;
+    ctx.fillRect(0, this.#canvasHeight - this.#baseLineHeight, this.#canvasWidth, this.#baseLineHeight);
+    
+    // draw baseline line
+    let baselineY = this.#canvasHeight - this.#baseLineHeight + 50;
+    ctx.strokeStyle = this.#baseLineFontColor;
+    ctx.lineWidth = 2;
+
+    if(this.#isTouch) {
+      this.#baseLineHeight = 60;
+      baselineY = this.#canvasHeight - this.#baseLineHeight/2;
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(0, baselineY);
+    ctx.lineTo(this.#canvasWidth, baselineY);
+    ctx.stroke();
+
+    // draw tick marks and values
+    for (let i = 0; i < this.#linePosArr.length; i++) {
+      ctx.lineWidth = 2;
+      ctx.font = "16px Arial";
+      ctx.fillStyle = this.#baseLineFontColor;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "top";
+      // tick mark
+      ctx.beginPath();
+      ctx.moveTo(this.#linePosArr[i], baselineY - 5);
+      ctx.lineTo(this.#linePosArr[i], baselineY + 5);
+      ctx.stroke();
+
+      // text
+      let curDate = this.#lineDateArr[i];
+      let baselineLabel = this.#getBaselineLabel(curDate, this.#scaleType, this.#scaleWidth);
+      ctx.fillText(baselineLabel, this.#linePosArr[i], baselineY + 10);
+
+    }
+
+    // call draw labels above baseline for months and smaller
+    if(this.#scaleType == "month" || this.#scaleType == "date" || this.#scaleType == "hour"|| this.#scaleType == "minute"|| this.#scaleType == "second" || this.#scaleType == "millisecond") this.#drawLabelsAboveBaseline(ctx, baselineY);
+    
+  }
+
+  /**
+   * Draws curved bracket labels above the baseline to indicate broader time groupings 
+   * (e.g. months, days, hours) depending on the current `scaleType`.
+   *
+   * These labels help contextualize fine-grained tick marks by grouping them visually
+   * and are dynamically filtered to avoid clutter at smaller `scaleWidth`s.
+   *
+   * This method:
+   * - Filters `#lineDateArr` and `#linePosArr` based on the granularity of the scale.
+   * - Formats a label string depending on the `scaleType`.
+   * - Draws a curved bracket and centered label for each valid segment.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The rendering context to draw on.
+   * @param {number} baselineY - The Y-coordinate of the baseline used as the anchor for the brackets.
+   */
+  #drawLabelsAboveBaseline(ctx, baselineY){
+    
+    const { era, calendar } = this.#dateFormat;
+    let monthPosArr = Array.from(this.#linePosArr);
+    let monthDateArr = Array.from(this.#lineDateArr);
+
+    // this will make a date and position array for the top bracket positions
+    if(this.#scaleType != "month") {
+      let newPosArr = [];
+      let newDateArr = [];
+
+      for(let i = 0; i < monthDateArr.length; i++){
+        let curDate = monthDateArr[i];
+        
+        if((this.#scaleType == "date" && getCalendarDate(curDate, calendar).day == 1) || (this.#scaleType == "hour" && curDate.getHours() == 0) || (this.#scaleType == "minute" && curDate.getMinutes() == 0) || (this.#scaleType == "second" && curDate.getSeconds() == 0)|| (this.#scaleType == "milliseconds" && curDate.getMilliseconds() == 0)){
+          newDateArr.push(monthDateArr[i]);
+          newPosArr.push(monthPosArr[i]);
+        }
+      }
+  
+      if(newDateArr.length == 0){ // when zoomed in, this will ensure the date array has at least one date in it
+        newDateArr.push(monthDateArr[0]);
+      }
+
+      monthPosArr = newPosArr;
+      monthDateArr = newDateArr;
+    }
+    
+    // create date, a month/date/hour/minute/second before the first date - for printing the curved line starting off screen
+    let earlyDate = new Date(monthDateArr[0]);
+    if(this.#scaleType == "month"){
+      earlyDate = incrementDateByScaleType(earlyDate, "month", -1, this.#dateFormat);
+    }
+    else if(this.#scaleType == "date"){
+      earlyDate.setDate(earlyDate.getDate() - 1)
+    }
+    else if(this.#scaleType == "hour"){
+      earlyDate.setHours(earlyDate.getHours() - 1)
+    }
+    else if(this.#scaleType == "minute"){
+      earlyDate.setMinutes(earlyDate.getMinutes() - 1)
+    }
+    else if(this.#scaleType == "second"){
+      earlyDate.setSeconds(earlyDate.getSeconds() - 1)
+    }
+    monthDateArr.unshift(earlyDate);
+    monthPosArr.unshift(this.#scaleWidth * -30);
+    
+
+    // format and print top lables
+    for (let i = 0; i < monthPosArr.length; i++){
+  
+      let curDate = monthDateArr[i];
+      const calendarDate = getCalendarDate(curDate, calendar);
+      const yearMonth = formatYear(calendarDate.year, era, true) + " " + getMonthName(calendarDate.month);
+      let topLabel = yearMonth;
+
+      // change topLabel format depending on scale type
+      if(this.#scaleType == "hour"){
+        topLabel = yearMonth + " " + calendarDate.day;
+      }else if(this.#scaleType == "minute"){
+        topLabel = yearMonth + " " + calendarDate.day + " " + curDate.getHours() + ":";
+      }else if(this.#scaleType == "second"){
+        topLabel = yearMonth + " " + calendarDate.day + " " + curDate.getHours() + ":" + curDate.getMinutes();
+      }else if(this.#scaleType == "millisecond"){
+        topLabel = yearMonth + " " + calendarDate.day + " " + curDate.getHours() + ":" + curDate.getMinutes() + ":" + curDate.getSeconds();
+      }
+
+      // don't draw label at certain scale widths
+      if(this.#scaleType == "month"){
+        topLabel = getMonthName(calendarDate.month);
+
+        if(this.#scaleWidth < 40){
+          if(calendarDate.month % 6 !=0) topLabel = "";
+        } else if(this.#scaleWidth < 80){
+          if(calendarDate.month % 2 !=0) topLabel = "";
+        }
+      }
+
+      // draw curve above and between tick marks
+      let radius = 10;
+      const startX = monthPosArr[i]+5;
+      let endX = monthPosArr[i + 1] - 5;
+      if (isNaN(endX)) {
+        endX = 10000;
+      }
+      let monthWidth = (endX - startX);
+      let labelMiddle = startX + monthWidth/2;
+      const y = baselineY - 5;
+
+      // resize radius when month width is too narrow
+      if(monthWidth < 2*radius +10){
+        radius = (monthWidth-10)/2;
+        if(radius < 0) radius = 1; // ensure there is never a negative radius
+      }
+
+      
+      ctx.lineWidth = 1;
+      ctx.font = "15px Arial";
+      ctx.beginPath();
+      ctx.arc(startX + radius, y, radius, Math.PI, Math.PI * 1.5); // Top left curve
+      ctx.lineTo(endX-radius, y - radius);                        // Straight top
+      ctx.arc(endX - radius, y, radius, Math.PI * 1.5, 0);          // Top right curve
+      ctx.stroke();
+      
+      // draw month text
+      ctx.lineWidth = 2;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "bottom";
+
+      // shift label if off screen left
+      let labelWidth = ctx.measureText(topLabel).width
+      if(startX < 0){
+        labelMiddle = endX/2;
+      }
+      if(labelMiddle < 0){
+        labelMiddle = labelWidth/2;
+        
+      }
+      if(labelWidth>endX){
+        labelMiddle = endX - labelWidth/2;
+      }
+
+      // shift label if off screen right
+      if(endX > this.#canvasWidth){
+        labelMiddle = startX + (this.#canvasWidth - startX)/2;
+      }
+      if((labelMiddle-labelWidth/2)<startX){
+        labelMiddle = startX + labelWidth/2;
+      }
+
+      if(startX < 0 && endX > this.#canvasWidth){
+        labelMiddle = this.#canvasWidth/2;
+      }
+
+
+      ctx.fillText(topLabel, labelMiddle, baselineY - 20)
+    }
+
+  }
+
+  /**
+   * Renders the entire timeline onto the provided canvas.
+   *
+   * This includes:
+   * - Clearing and preparing the canvas.
+   * - Drawing vertical timeline grid lines based on the current `scaleType` and `focusDate`.
+   * - Storing the grid line dates and X positions.
+   * - Drawing optional temporary markers for debugging (if `SHOWTEMPMARKERS` is true).
+   * - Rendering swim lane backgrounds and foregrounds using `SwimLane` class methods.
+   * - Drawing optional grid lines and the labeled timeline baseline.
+   *
+   * The swim lane backgrounds, the time periods with their links, and the labels with the baseline are drawn in
+   * layers off screen, see `RenderLayer`, and only drawn again when the scale, the data or the dimmed time periods
+   * change. While the view is only panned, the layers are moved instead; the labels follow the screen, so they are
+   * drawn again. The bounding box of the hovered time period and its links are drawn on top of the time periods
+   * every frame.
+   *
+   * The method avoids drawing grid lines or labels for year 0, except for large time scales 
+   * (millennium, century, decade).
+   *
+   * @param {HTMLCanvasElement} canvas - The canvas DOM element to draw the timeline on.
+   */
+  draw(canvas) {
+    const drawStart = performance.now();
+    this.#canvas = canvas;
+    // prevent crash if scale width is less than 1
+    if (this.#scaleWidth < 1) this.#scaleWidth = 1;
+    
+    const ctx = canvas.getContext("2d");
+
+    // apply dpi scaling
+    const dpr = window.devicePixelRatio || 1;
+    const logicalWidth = canvas.width / dpr;
+    const logicalHeight = canvas.height /dpr;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);  
+    ctx.scale(dpr, dpr); 
+
+    this.#canvas = canvas;
+    this.#canvasWidth = logicalWidth;
+    this.#canvasHeight = logicalHeight;
+
+    const renderedLayers = this.#renderLayers(ctx, dpr);
+
+    const frameTimes = this.#drawStats.frameTimes.filter(time => time > drawStart - 1000);
+    frameTimes.push(drawStart);
+    this.#drawStats = { frameTimes, drawTime: performance.now() - drawStart, renderedLayers };
+    if(this.#showDrawStats) this.#drawDrawStats(ctx);
+  }
+
+  /**
+   * Draws the timeline into a rendering context at the current canvas width and height, without layers, e.g. for
+   * an export.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw into.
+   * @returns {void}
+   */
+  #render(ctx){
+    const { laneStack, yAdjustment } = this.#layOut(ctx);
+    SwimLane.drawBackgrounds(ctx, laneStack, !this.#isExporting);
+    this.#drawPeriods(ctx, ctx);
+    this.#drawOverlay(ctx);
+    this.#drawLabels(ctx);
+    this.#yOffset += yAdjustment; // adjusts yOffset when swimlanes are resized around cursor position
+  }
+
+  /**
+   * Draws the timeline like `#render`, keeping the swim lane backgrounds, the time periods and the labels in
+   * layers that are drawn again only when what they show changes, see `draw`.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The context of the canvas, scaled to CSS pixels.
+   * @param {number} pixelRatio - The device pixels for each CSS pixel of the canvas.
+   * @returns {string[]} The names of the layers that were drawn again.
+   */
+  #renderLayers(ctx, pixelRatio){
+    const { laneStack, yAdjustment } = this.#layOut(ctx);
+    const swimLanes = this.#swimLaneArr.filter(swimLane => swimLane.isShown());
+    const view = [this.#canvasWidth, this.#canvasHeight, pixelRatio, this.#layersVersion];
+    const renderedLayers = [];
+    const drawLayer = (name, key, render) => {
+      if(this.#layers[name].draw(ctx, this, pixelRatio, key, render)) renderedLayers.push(name);
+    };
+
+    const lanesKey = view.concat(laneStack.map(item => [
+      item.isShown(), item.getBottomY(), item.getHeight(), item.getName(), item.getColor(), item.isCollapsed()
+    ].join(":"))).join("|");
+    drawLayer("lanes", lanesKey, layerCtx => SwimLane.drawBackgrounds(layerCtx, laneStack));
+
+    // the swim lanes move with the view, so only where they are relative to it changes what they draw
+    const periodsKey = view.concat(this.#scaleType, this.#scaleWidth, this.#highlightVersion, TimePeriod.getDrawVersion(), swimLanes.map(swimLane => [
+      swimLane.getDrawVersion(), swimLane.getBottomY() - this.#yOffset, swimLane.getHeight()
+    ].join(":"))).join("|");
+    drawLayer("periods", periodsKey, (layerCtx, marginX, marginY) => {
+      if(marginX == 0){
+        this.#drawPeriods(layerCtx, ctx, marginY);
+        return;
+      }
+      // set up the time periods in the margins too, and back in view afterwards for hovering them
+      layerCtx.translate(-marginX, 0);
+      this.#setUpWiderView(ctx, laneStack, marginX);
+      this.#drawPeriods(layerCtx, ctx, marginY);
+      this.#setUpWiderView(ctx, laneStack, -marginX);
+    });
+
+    this.#drawOverlay(ctx);
+
+    const labelsKey = [
+      periodsKey, this.#focusDate.getTime(), this.#focusX, this.#yOffset, this.#isTouch, this.#baseLineHeight,
+      this.#dateFormat.era, this.#dateFormat.calendar
+    ].join("|");
+    drawLayer("labels", labelsKey, layerCtx => this.#drawLabels(layerCtx));
+
+    this.#yOffset += yAdjustment; // adjusts yOffset when swimlanes are resized around cursor position
+    return renderedLayers;
+  }
+
+  /**
+   * Clears the canvas, and lays out the grid lines and the visible swim lanes with their time periods for
+   * drawing, see `SwimLane.layOut`.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw into, which also measures text.
+   * @returns {{laneStack: Array<SwimLane|SwimLaneGroup>, yAdjustment: number}} The swim lanes and group header
+   *   bands from the top, and how much to move the view down to keep the hovered swim lane in place.
+   */
+  #layOut(ctx){
+    // clear canvas
+    ctx.fillStyle = "white";
+    ctx.fillRect(0, 0, this.#canvasWidth, this.#canvasHeight);
+
+    // setup for draw
+    ctx.fillStyle = "black";
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 1;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    ctx.font = "18px Arial";
+
+    this.#computeGridLines(ctx);
+
+    // lay out swim lanes, with the header bands of their groups
+    const laneStack = this.#getLaneStack();
+    laneStack.forEach(item => item.setWidth(this.#canvasWidth));
+    const yAdjustment = SwimLane.layOut(ctx, this, laneStack, this.#yOffset, this.#canvasHeight, this.#baseLineHeight);
+    return { laneStack, yAdjustment };
+  }
+
+  /**
+   * Widens the view by a margin on both sides and sets up the time periods in it, or narrows it again for a
+   * negative margin, so a layer can hold more than the canvas, see `#renderLayers`.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The context to measure text with.
+   * @param {Array<SwimLane|SwimLaneGroup>} laneStack - The swim lanes and group header bands, see `#layOut`.
+   * @param {number} margin - The pixels to add on each side.
+   * @returns {void}
+   */
+  #setUpWiderView(ctx, laneStack, margin){
+    this.#canvasWidth += 2*margin;
+    this.#focusX += margin;
+    laneStack.forEach(item => {
+      item.setWidth(this.#canvasWidth);
+      item.setUpView(ctx, this);
+    });
+    this.#computeGridLines(ctx);
+  }
+
+  /**
+   * Draws the time periods of the visible swim lanes with the links between them, and the grid lines if
+   * `SHOWGRIDLINES` is true.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw into.
+   * @param {CanvasRenderingContext2D|RecordingContext} layoutCtx - The context to measure text with.
+   * @param {number} [marginY=0] - The pixels above and below the canvas to draw the grid lines into.
+   * @returns {void}
+   */
+  #drawPeriods(ctx, layoutCtx, marginY = 0){
+    if(SHOWGRIDLINES) this.#drawGridLines(ctx, marginY);
+    SwimLane.drawForegrounds(ctx, this.#swimLaneArr);
+    this.#drawLinks(ctx, false, layoutCtx);
+  }
+
+  /**
+   * Draws what changes with the cursor over the time periods: the bounding box of the hovered time period or the
+   * hovered cluster, the highlighted links of the hovered time period, and where a dragged swimlane would be
+   * dropped.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw into.
+   * @returns {void}
+   */
+  #drawOverlay(ctx){
+    this.#swimLaneArr.forEach(swimLane => swimLane.drawHighlights(ctx));
+    this.#drawLinks(ctx, true);
+    this.#drawLaneDrop(ctx);
+  }
+
+  /**
+   * Draws the labels of the time periods of the visible swim lanes and the baseline.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw into.
+   * @returns {void}
+   */
+  #drawLabels(ctx){
+    this.#swimLaneArr.forEach(swimLane => swimLane.drawLabels(ctx));
+    this.drawBaseline(ctx);
+  }
+
+  /**
+   * Draws the frames per second, the draw time and the layers drawn again at the top right of the canvas, see
+   * `getDrawStats`.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The context to draw into.
+   * @returns {void}
+   */
+  #drawDrawStats(ctx){
+    const { fps, drawTime, renderedLayers } = this.getDrawStats();
+    const lines = [fps + " fps", drawTime.toFixed(1) + " ms", renderedLayers.join(", ") || "moved"];
+    const width = 130;
+    const x = this.#canvasWidth - width - 10;
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(x, 10, width, 10 + 16*lines.length);
+    ctx.fillStyle = "white";
+    ctx.font = "12px monospace";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    lines.forEach((line, i) => ctx.fillText(line, x + 8, 15 + 16*i));
+  }
+
+  /**
+   * Draws the links between time periods of visible swimlanes as curved arrows, from the end of the time period
+   * a link starts at to the start of the one it points to.
+   *
+   * The links of the hovered time period are drawn again darker, on top of the others, and labelled when
+   * `isHighlighting`, so they can be drawn over a layer of the others, see `draw`.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw into.
+   * @param {boolean} [isHighlighting=false] - Whether to draw only the links of the hovered time period, highlighted.
+   * @param {CanvasRenderingContext2D|RecordingContext} [layoutCtx=ctx] - The context to measure the time periods
+   *   out of view with, see `SwimLane.setUpTimePeriod`.
+   * @returns {void}
+   */
+  #drawLinks(ctx, isHighlighting = false, layoutCtx = ctx){
+    // the links only change with the rows, and finding them goes through every time period
+    const contentVersion = this.#swimLaneArr.map(swimLane => swimLane.getContentVersion()).join();
+    if(this.#linkCache?.contentVersion !== contentVersion) this.#linkCache = { contentVersion, links: this.getLinks() };
+
+    // swimlanes only set up the time periods in view, those out of view are set up for the arrows to them
+    const isShown = timePeriod => this.#swimLaneArr.some(swimLane => swimLane.setUpTimePeriod(layoutCtx, this, timePeriod));
+    const isHighlighted = link => isHighlighting && this.#hoveredPeriod !== null && (link.from === this.#hoveredPeriod || link.to === this.#hoveredPeriod);
+    const links = this.#linkCache.links
+      .filter(link => (!isHighlighting || isHighlighted(link)) && isShown(link.from) && isShown(link.to));
+
+    // bars far off screen have huge coordinates, the arrows only need to point the right way
+    const clampX = x => Math.min(Math.max(x, -1000), this.#canvasWidth + 1000);
+    const arrowSize = 8;
+
+    links.forEach(link => {
+      const startX = clampX(link.from.getEndX());
+      const startY = link.from.getBarMiddleY();
+      const endX = clampX(link.to.getStartX());
+      const endY = link.to.getBarMiddleY();
+      if(!isFinite(startX + startY + endX + endY)) return;
+
+      // leave and enter the bars horizontally, curving back if the link points to an earlier time
+      const bend = Math.max(40, Math.abs(endX - startX) / 2);
+      const color = isHighlighted(link) ? "rgb(40,40,40)" : "rgba(0,0,0,0.3)";
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = isHighlighted(link) ? 2 : 1.25;
+      ctx.beginPath();
+      ctx.moveTo(startX, startY);
+      ctx.bezierCurveTo(startX + bend, startY, endX - arrowSize - bend, endY, endX - arrowSize, endY);
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(endX, endY);
+      ctx.lineTo(endX - arrowSize, endY - arrowSize/2);
+      ctx.lineTo(endX - arrowSize, endY + arrowSize/2);
+      ctx.closePath();
+      ctx.fill();
+
+      if(isHighlighted(link)){
+        // the middle of the curve
+        const labelX = (startX + 3*(startX + bend) + 3*(endX - arrowSize - bend) + endX - arrowSize) / 8;
+        const labelY = (startY + endY) / 2;
+        ctx.font = "12px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "bottom";
+        ctx.fillText(link.label ?? LINKLABELS[link.type][0].toLowerCase(), labelX, labelY - 3);
+      }
+    });
+    ctx.lineWidth = 1;
+  }
+
+
+  /**
+   * Draws a line where the swimlane dragged by its header would be dropped, see `startLaneDrag`.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw into.
+   * @returns {void}
+   */
+  #drawLaneDrop(ctx){
+    if(!this.#laneDrag || this.#laneDrag.y === null || this.#isExporting) return;
+    ctx.fillStyle = "rgb(88, 126, 255)";
+    ctx.fillRect(0, this.#laneDrag.y - 2, this.#canvasWidth, 4);
+  }
+  /**
+   * Fills `#lineDateArr` and `#linePosArr` with the grid lines across the canvas width,
+   * stepping one scale unit at a time out from the focus date.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context temporary markers are drawn into.
+   * @returns {void}
+   */
+  #computeGridLines(ctx){
+    // clear line date and position arrays
+    this.#lineDateArr = [];
+    this.#linePosArr = [];
+
+    // draw lines above focusPoint (including focus point)
+    let pixelDistanceFromFocus = 0;
+    let curGridLineX = 0;
+    let linesAboveFocus = 0;
+    while (curGridLineX < this.#canvasWidth) {
+      // temp color focus date and grid line
+      //if (linesAboveFocus == 0 && this.#focusX < canvas.width) ctx.strokeStyle = "red";
+      //else ctx.strokeStyle = "rgb(183, 183, 183)";
+
+      curGridLineX = this.#focusX + pixelDistanceFromFocus;
+
+      let curDate = incrementDateByScaleType(this.#focusDate, this.#scaleType, linesAboveFocus, this.#dateFormat);
+      // skip year 0
+      if (
+        !(
+          this.#scaleType == "millennium" ||
+          this.#scaleType == "century" ||
+          this.#scaleType == "decade"
+        )
+      ) {
+        if (curDate.getFullYear() == 0) {
+          //curDate = incrementDateByScaleType(curDate, "year", 1);
+          //curDate.setFullYear(1);
+          //linesAboveFocus++;
+          //continue;
+        }
+      }
+      let curValue = getFocusDateAsValue(curDate, this.#scaleType);
+      // temp
+      ctx.translate(curGridLineX, 80);
+      ctx.rotate((90 * Math.PI) / 180);
+      if(SHOWTEMPMARKERS) ctx.fillText(curValue + " (" + curDate.toDateString() + ")", 0, 0);
+      ctx.rotate((-90 * Math.PI) / 180);
+      ctx.translate(-curGridLineX, -80);
+      // save line date and x position
+      this.#lineDateArr.push(curDate);
+      this.#linePosArr.push(curGridLineX);
+
+      pixelDistanceFromFocus += this.#scaleWidth;
+      linesAboveFocus++;
+    }
+
+    // draw lines below focus point (does not include focus point)
+    pixelDistanceFromFocus = this.#scaleWidth;
+    curGridLineX = this.#canvasWidth; // arbitrary number rightside of canvas
+    let linesBelowFocus = 0;
+    while (curGridLineX > 0) {
+      linesBelowFocus++;
+      curGridLineX = this.#focusX - pixelDistanceFromFocus;
+
+      let curDate = incrementDateByScaleType(this.#focusDate, this.#scaleType, -linesBelowFocus, this.#dateFormat);
+      // skip year 0
+      if (
+        !(
+          this.#scaleType == "millennium" ||
+          this.#scaleType == "century" ||
+          this.#scaleType == "decade"
+        )
+      ) {
+        if (curDate.getFullYear() == 0) {
+          //curDate = incrementDateByScaleType(curDate, "year", -1);
+          //curDate.setFullYear(-1);
+          //continue;
+        }
+      }
+      let curValue = getFocusDateAsValue(curDate, this.#scaleType);
+      // temp
+      ctx.translate(curGridLineX, 80);
+      ctx.rotate((90 * Math.PI) / 180);
+      if(SHOWTEMPMARKERS) ctx.fillText(curValue + " (" + curDate.toDateString() + ")", 0, 0);
+      ctx.rotate((-90 * Math.PI) / 180);
+      ctx.translate(-curGridLineX, -80);
+
+      // save line date and x position
+      this.#lineDateArr.push(curDate);
+      this.#linePosArr.push(curGridLineX);
+
+      pixelDistanceFromFocus += this.#scaleWidth;
+    }
+
+    // temp: will have to move this sort function somewhere else
+    this.#lineDateArr.sort((a, b) => a - b);
+    this.#linePosArr.sort((a, b) => a - b);
+  }
+
+  #drawGridLines(ctx, marginY = 0){
+    ctx.fillStyle = "black";
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgb(183, 183, 183)";
+
+    for(let i = 0;i<this.#linePosArr.length;i++){
+      let curGridLineX = this.#linePosArr[i];
+      ctx.beginPath();
+      ctx.moveTo(curGridLineX, -marginY);
+      ctx.lineTo(curGridLineX,this.#canvasHeight + marginY);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Updates the mouse interaction state for all time periods in all visible swimlanes.
+   *
+   * Determines whether the mouse is currently hovering over a time period, and updates its
+   * visual state (e.g. showing bounding boxes). On click, the time period under the cursor
+   * becomes the selected time period and its info is rendered to the info panel.
+   *
+   * If the mouse is clicked (`isMouseDown === true`) and no time period is matched, it clears
+   * the selection and updates the info panel to indicate that no time period is selected.
+   *
+   * @param {number} mouseX - The X coordinate of the mouse relative to the canvas.
+   * @param {number} mouseY - The Y coordinate of the mouse relative to the canvas.
+   * @param {boolean} [isMouseDown=false] - Whether the mouse button is currently pressed.
+   * @returns {string} The name of the time period under the cursor, the number of time periods in the cluster
+   *   under it (see `getClusterAt`), or an empty string if none.
+   */
+  updateMouseState(mouseX, mouseY, isMouseDown=false){
+    // returns name of timeperiod cursor is hovering over
+
+    let hoverSelection = "";
+    let matchedPeriod = null;
+
+    // swimlanes drawn as clusters have no time periods to hover
+    this.#swimLaneArr.forEach(swimLane => {
+      const cluster = swimLane.updateClusterHover(mouseX, mouseY);
+      if(cluster) hoverSelection = cluster.count + " time periods";
+    });
+
+    // only the time periods in view at the last draw can be hovered, the others lose their highlight
+    this.#highlightedPeriods.forEach(timePeriod => timePeriod.updateMouseState(-Infinity, -Infinity));
+    this.#highlightedPeriods = [];
+
+    // loop swimlanes
+    for(let i = 0;i<this.#swimLaneArr.length;i++){
+      let curTimePeriodArr = this.#swimLaneArr[i].getVisibleTimePeriods();
+      
+      // loop time periods in this swimlane
+      for(let j = 0;j<curTimePeriodArr.length;j++){
+        // check if cursor is in time period
+        if(curTimePeriodArr[j].updateMouseState(mouseX, mouseY)){
+          matchedPeriod = curTimePeriodArr[j];
+          hoverSelection = curTimePeriodArr[j].getName();
+          this.#highlightedPeriods.push(matchedPeriod);
+        } 
+      }
+    }
+    this.#hoveredPeriod = matchedPeriod;
+
+    // a click in empty space clears the selection
+    if(isMouseDown) this.selectPeriod(matchedPeriod);
+
+    return hoverSelection;
+  }
+
+  /**
+   * Selects a time period and renders its info to the info panel.
+   *
+   * @param {TimePeriod|null} timePeriod - The time period to select, or `null` to clear the selection.
+   */
+  selectPeriod(timePeriod){
+    this.#selectedPeriod = timePeriod;
+    if(!this.#infoPanel) return;
+
+    if(timePeriod) timePeriod.showInfo(this.#infoPanel, this.#dateFormat, this.getLinksOf(timePeriod));
+    else this.#infoPanel.innerHTML = "Select Time Period";
+  }
+
+  getSelectedPeriod(){
+    return this.#selectedPeriod;
+  }
+
+  /**
+   * Searches the names and descriptions of the time periods in every swimlane, including hidden swimlanes.
+   * 
+   * The query is split into words and every word must match the name or the description of a time period.
+   * Names are matched fuzzily (see `getFuzzyMatchScore`), descriptions only by substring.
+   *
+   * @param {string} query - The search query.
+   * @returns {{timePeriod: TimePeriod, swimLane: SwimLane, score: number}[]} The matches, best first.
+   */
+  search(query){
+    const terms = query.trim().split(/\s+/).filter(term => term.length > 0);
+    const results = [];
+    if(terms.length == 0) return results;
+
+    for(let i = 0;i<this.#swimLaneArr.length;i++){
+      const timePeriodArr = this.#swimLaneArr[i].getAllTimePeriods();
+
+      for(let j = 0;j<timePeriodArr.length;j++){
+        const name = timePeriodArr[j].getName() ?? "";
+        const description = (timePeriodArr[j].getDescription() ?? "").toLowerCase();
+        let score = 0;
+
+        for(const term of terms){
+          let termScore = getFuzzyMatchScore(term, name);
+          if(termScore < 0 && description.includes(term.toLowerCase())) termScore = 10;
+          if(termScore < 0){
+            score = -1;
+            break;
+          }
+          score += termScore;
+        }
+
+        if(score > 0) results.push({ timePeriod: timePeriodArr[j], swimLane: this.#swimLaneArr[i], score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Dims every time period that is not in the given list, e.g. to highlight search results.
+   *
+   * @param {TimePeriod[]|null} timePeriods - The time periods to keep highlighted, or `null` to undim all time periods.
+   */
+  setHighlightedPeriods(timePeriods){
+    const highlighted = timePeriods ? new Set(timePeriods) : null;
+
+    for(let i = 0;i<this.#swimLaneArr.length;i++){
+      const timePeriodArr = this.#swimLaneArr[i].getAllTimePeriods();
+      for(let j = 0;j<timePeriodArr.length;j++){
+        timePeriodArr[j].setIsDimmed(highlighted !== null && !highlighted.has(timePeriodArr[j]));
+      }
+    }
+    this.#highlightVersion++;
+  }
+
+  /**
+   * Returns the swimlane that holds a time period.
+   *
+   * @param {TimePeriod} timePeriod - The time period to find.
+   * @returns {SwimLane|null} The swimlane, or `null` if the time period is not on this timeline.
+   */
+  getSwimLaneOf(timePeriod){
+    return this.#swimLaneArr.find(swimLane => swimLane.getAllTimePeriods().includes(timePeriod)) ?? null;
+  }
+
+  /**
+   * Shows or hides the children of a time period, laying out its swimlane again.
+   *
+   * @param {TimePeriod} timePeriod - The time period, see `TimePeriod.getChildren`.
+   * @param {boolean} isExpanded - Whether the children are shown.
+   * @returns {void}
+   */
+  setPeriodExpanded(timePeriod, isExpanded){
+    timePeriod.setExpanded(isExpanded);
+    this.getSwimLaneOf(timePeriod)?.rescale();
+    if(!isExpanded && timePeriod.getDescendants().includes(this.#hoveredPeriod)) this.#hoveredPeriod = null;
+  }
+
+  /**
+   * Sets the row to place a time period in, laying out its swimlane again, see `TimePeriod.setRow`.
+   *
+   * @param {TimePeriod} timePeriod - The time period.
+   * @param {number|null} row - The row from 0 to `MAXROW`, or `null` to place it in the lowest row it fits into.
+   * @returns {void}
+   */
+  setPeriodRow(timePeriod, row){
+    timePeriod.setRow(row);
+    this.getSwimLaneOf(timePeriod)?.rescale();
+  }
+
+  /**
+   * Expands the time periods a time period is nested in, so it is drawn.
+   *
+   * @param {TimePeriod} timePeriod - The time period.
+   * @returns {void}
+   */
+  expandParentsOf(timePeriod){
+    for(let parent = timePeriod.getParent(); parent; parent = parent.getParent()){
+      if(!parent.isExpanded()) this.setPeriodExpanded(parent, true);
+    }
+  }
+
+  /**
+   * Returns the time period with an id, see `TimePeriod.getId`.
+   *
+   * @param {string} id - The id of the time period.
+   * @returns {TimePeriod|null} The time period, or `null` if there is none with the id.
+   */
+  getPeriodById(id){
+    for(const swimLane of this.#swimLaneArr){
+      const timePeriod = swimLane.getAllTimePeriods().find(timePeriod => timePeriod.getId() === id);
+      if(timePeriod) return timePeriod;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the links between the time periods of the timeline, see `TimePeriod.getLinks`.
+   *
+   * Links to a time period that is not on the timeline, e.g. one removed in the editor, are left out.
+   *
+   * @returns {{from: TimePeriod, to: TimePeriod, type: string, label?: string}[]} The links, with the time periods
+   *   they start at and point to.
+   */
+  getLinks(){
+    const timePeriods = this.#swimLaneArr.flatMap(swimLane => swimLane.getAllTimePeriods());
+    const timePeriodsById = new Map(timePeriods.map(timePeriod => [timePeriod.getId(), timePeriod]));
+
+    return timePeriods.flatMap(from => from.getLinks()
+      .filter(({ to }) => timePeriodsById.has(to))
+      .map(({ to, ...link }) => ({ from, to: timePeriodsById.get(to), ...link })));
+  }
+
+  /**
+   * Returns the links that start at or point to a time period, see `getLinks`.
+   *
+   * @param {TimePeriod} timePeriod - The time period.
+   * @returns {{from: TimePeriod, to: TimePeriod, type: string, label?: string}[]} The links.
+   */
+  getLinksOf(timePeriod){
+    return this.getLinks().filter(link => link.from === timePeriod || link.to === timePeriod);
+  }
+
+  /**
+   * Returns the swimlane with an id, see `SwimLane.getId`.
+   *
+   * @param {string} id - The id of the swimlane.
+   * @returns {SwimLane|null} The swimlane, or `null` if there is none with the id.
+   */
+  getLaneById(id){
+    return this.#swimLaneArr.find(swimLane => swimLane.getId() === id) ?? null;
+  }
+
+  /**
+   * Makes an id for a new time period from its name, see `createId`.
+   * 
+   * The id is not one any time period of the timeline has had since it loaded, so a removed time period
+   * restored by undo can't clash with a newer one.
+   *
+   * @param {string} name - The name of the time period.
+   * @returns {string} The new id.
+   */
+  generatePeriodId(name){
+    return createId(name, this.#usedPeriodIds, "period");
+  }
+
+  /**
+   * Makes an id for a new swimlane from its name, see `generatePeriodId`.
+   *
+   * @param {string} name - The name of the swimlane.
+   * @returns {string} The new id.
+   */
+  generateLaneId(name){
+    return createId(name, this.#usedLaneIds, "swimlane");
+  }
+
+  /**
+   * Sets the scale and focus so the given date range fills the canvas, less a margin on each side.
+   * 
+   * A zero length range (an event) keeps the current scale and is centered.
+   *
+   * @param {Date} startDate - The start of the range.
+   * @param {Date} endDate - The end of the range.
+   * @param {number} [margin=0] - The proportion of the canvas width to leave empty on each side.
+   */
+  fitRange(startDate, endDate, margin = 0){
+    const duration = endDate - startDate;
+    const center = new Date(startDate.getTime() + duration/2);
+
+    if(duration > 0){
+      const { scaleType, scaleWidth } = getScaleForDuration(duration, this.#canvasWidth * (1 - 2*margin));
+      this.setScaleType(scaleType);
+      this.#scaleWidth = scaleWidth;
+
+      // tell all swimlanes they need to reassign rows to time periods
+      for(let i = 0;i<this.#swimLaneArr.length;i++){
+        this.#swimLaneArr[i].changeScale();
+      }
+    }
+
+    this.setFocus(center, this.#canvasWidth/2);
+  }
+
+  /**
+   * Animates the scale and focus so the given date range fills the canvas, less a margin on each side.
+   * 
+   * The scale type and width at each step are picked as in `fitRange`, so the animation crosses scale
+   * types (millennium → century → ... ) at the widths `updateScaleTypeByWidth` would switch them.
+   * The center of the view moves linearly while the visible duration changes exponentially, so
+   * zooming across several scale types appears at an even speed. Both ease in and out.
+   * 
+   * A zero length range (an event) keeps the visible duration and only moves the view.
+   * Starting a new animation stops the running one.
+   * 
+   * Example:
+   * ```js
+   * timeline.flyTo(new Date("1500-01-01"), new Date("1700-01-01"), { onFrame: () => timeline.draw(canvas) });
+   * ```
+   *
+   * @param {Date} startDate - The start of the range.
+   * @param {Date} endDate - The end of the range.
+   * @param {Object} [options={}] - How to animate.
+   * @param {number} [options.duration=600] - Length of the animation in milliseconds, 0 jumps straight to the range.
+   * @param {number} [options.margin=0] - The proportion of the canvas width to leave empty on each side.
+   * @param {Function} [options.onFrame] - Called after each step of the animation, typically to redraw.
+   * @returns {Promise<boolean>} Resolves to `true` when the animation finishes, or `false` if it is stopped first.
+   */
+  flyTo(startDate, endDate, { duration = 600, margin = 0, onFrame } = {}){
+    this.stopAnimation();
+
+    const fromStart = this.getDateAtX(0).getTime();
+    const fromEnd = this.getDateAtX(this.#canvasWidth).getTime();
+    const fromSpan = fromEnd - fromStart;
+    const fromCenter = fromStart + fromSpan/2;
+
+    let toSpan = fromSpan;
+    if(endDate > startDate) toSpan = (endDate - startDate) / (1 - 2*margin);
+    const toCenter = startDate.getTime() + (endDate - startDate)/2;
+
+    const startTime = performance.now();
+
+    return new Promise(resolve => {
+      this.#resolveAnimation = resolve;
+
+      const step = (now) => {
+        const t = duration > 0 ? Math.min(1, Math.max(0, (now - startTime) / duration)) : 1;
+        const eased = t < 0.5 ? 2*t*t : 1 - Math.pow(-2*t + 2, 2)/2; // ease in and out
+
+        const span = Math.exp(Math.log(fromSpan) + (Math.log(toSpan) - Math.log(fromSpan)) * eased);
+        const center = fromCenter + (toCenter - fromCenter) * eased;
+        this.fitRange(new Date(center - span/2), new Date(center + span/2));
+        if(onFrame) onFrame();
+
+        if(t < 1){
+          this.#animationId = requestAnimationFrame(step);
+        } else{
+          this.#animationId = null;
+          this.#resolveAnimation = null;
+          resolve(true);
+        }
+      };
+
+      if(duration > 0) this.#animationId = requestAnimationFrame(step);
+      else step(startTime);
+    });
+  }
+
+  /**
+   * Stops a running `flyTo` animation, leaving the view where it is.
+   */
+  stopAnimation(){
+    if(this.#animationId !== null) cancelAnimationFrame(this.#animationId);
+    this.#animationId = null;
+
+    if(this.#resolveAnimation) this.#resolveAnimation(false);
+    this.#resolveAnimation = null;
+  }
+
+  /**
+   * Returns the range from the earliest start date to the latest end date of all time periods,
+   * including those in hidden swimlanes.
+   *
+   * @returns {{startDate: Date, endDate: Date}|null} The range, or `null` if there are no time periods.
+   */
+  getDateRange(){
+    let startDate = null;
+    let endDate = null;
+
+    for(let i = 0;i<this.#swimLaneArr.length;i++){
+      const timePeriodArr = this.#swimLaneArr[i].getAllTimePeriods();
+      for(let j = 0;j<timePeriodArr.length;j++){
+        if(!startDate || timePeriodArr[j].getStartDate() < startDate) startDate = timePeriodArr[j].getStartDate();
+        if(!endDate || timePeriodArr[j].getEndDate() > endDate) endDate = timePeriodArr[j].getEndDate();
+      }
+    }
+
+    return startDate ? { startDate, endDate } : null;
+  }
+
+  /**
+   * Moves the timeline vertically so a drawn time period is inside the visible area above the baseline.
+   * 
+   * Uses the position of the time period from the last draw.
+   *
+   * @param {TimePeriod} timePeriod - The time period to scroll to.
+   */
+  scrollToPeriod(timePeriod){
+    const margin = 20;
+    const top = timePeriod.getY();
+    const bottom = top + timePeriod.getBoundingHeight();
+    const visibleBottom = this.#canvasHeight - this.#baseLineHeight;
+    if(!isFinite(top)) return;
+
+    if(top < margin) this.moveVertical(margin - top);
+    else if(bottom > visibleBottom - margin) this.moveVertical(visibleBottom - margin - bottom);
+  }
+
+  /**
+   * Draws the timeline for export, with a title and a legend of swimlanes above it.
+   *
+   * The current view is stretched to the given width, or the given date range is fitted to it. All visible
+   * swimlanes are drawn in full, so the height follows from the layout and is returned. The view on screen
+   * is restored afterwards, the caller only needs to redraw it.
+   *
+   * Example:
+   * ```js
+   * const recording = new RecordingContext();
+   * const { width, height } = timeline.drawExport(recording, { width: 1600 });
+   * const svg = recording.toSVG(width, height);
+   * ```
+   *
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw into, usually a `RecordingContext`.
+   * @param {Object} [options={}] - Export options.
+   * @param {number} [options.width=canvasWidth] - The width of the export in pixels.
+   * @param {Date} [options.startDate] - The start of the range to export, instead of the current view.
+   * @param {Date} [options.endDate] - The end of the range to export.
+   * @param {boolean} [options.showTitle=true] - Whether to draw the timeline title.
+   * @param {boolean} [options.showLegend=true] - Whether to draw the legend of swimlanes.
+   * @returns {{width: number, height: number}} The size of the drawing in pixels.
+   */
+  drawExport(ctx, { width = this.#canvasWidth, startDate, endDate, showTitle = true, showLegend = true } = {}){
+    const savedView = {
+      focusDate: this.#focusDate,
+      focusX: this.#focusX,
+      scaleType: this.#scaleType,
+      scaleWidth: this.#scaleWidth,
+      canvasWidth: this.#canvasWidth,
+      canvasHeight: this.#canvasHeight,
+      yOffset: this.#yOffset,
+      baseLineHeight: this.#baseLineHeight,
+      isTouch: this.#isTouch,
+      lineDateArr: this.#lineDateArr,
+      linePosArr: this.#linePosArr,
+      hoveredPeriod: this.#hoveredPeriod,
+    };
+    const visibleSwimLanes = this.#swimLaneArr.filter(swimLane => swimLane.isShown());
+    const laneStack = this.#getLaneStack().filter(item => item.isShown());
+    const hoveredSwimLanes = this.#swimLaneArr.filter(swimLane => swimLane.getIsHover());
+
+    try{
+      this.#isExporting = true;
+      if(startDate && endDate){
+        this.#canvasWidth = width;
+        this.fitRange(startDate, endDate);
+      }else{
+        const stretch = width / this.#canvasWidth;
+        this.#focusX *= stretch;
+        this.#scaleWidth *= stretch;
+        this.#canvasWidth = width;
+      }
+      this.#yOffset = 0;
+      this.#baseLineHeight = 120;
+      this.#isTouch = false;
+      this.#hoveredPeriod = null;
+
+      // lay out every swimlane from the bottom, without hover highlights
+      this.#swimLaneArr.forEach(swimLane => {
+        swimLane.setIsHover(false);
+        swimLane.setWidth(width);
+        swimLane.changeScale();
+        swimLane.getAllTimePeriods().forEach(timePeriod => timePeriod.updateMouseState(-Infinity, -Infinity));
+      });
+      this.#groupArr.forEach(group => group.setWidth(width));
+      this.#computeGridLines(ctx);
+      let swimLanesHeight = 0;
+      laneStack.forEach(item => {
+        item.setUpTimePeriods(ctx, this);
+        swimLanesHeight += item.getHeight();
+      });
+      this.#canvasHeight = swimLanesHeight + this.#baseLineHeight;
+
+      const headerHeight = this.#drawExportHeader(ctx, visibleSwimLanes, showTitle, showLegend);
+      ctx.translate(0, headerHeight);
+      this.#render(ctx);
+      ctx.translate(0, -headerHeight);
+
+      return { width, height: headerHeight + this.#canvasHeight };
+    }finally{
+      this.#focusDate = savedView.focusDate;
+      this.#focusX = savedView.focusX;
+      this.#scaleType = savedView.scaleType;
+      this.#scaleWidth = savedView.scaleWidth;
+      this.#canvasWidth = savedView.canvasWidth;
+      this.#canvasHeight = savedView.canvasHeight;
+      this.#yOffset = savedView.yOffset;
+      this.#baseLineHeight = savedView.baseLineHeight;
+      this.#isTouch = savedView.isTouch;
+      this.#lineDateArr = savedView.lineDateArr;
+      this.#linePosArr = savedView.linePosArr;
+      this.#hoveredPeriod = savedView.hoveredPeriod;
+      this.#isExporting = false;
+      this.#layersVersion++; // the swimlane headers were left out
+
+      this.#swimLaneArr.forEach(swimLane => {
+        swimLane.setWidth(savedView.canvasWidth);
+        swimLane.changeScale();
+      });
+      hoveredSwimLanes.forEach(swimLane => swimLane.setIsHover(true));
+    }
+  }
+
+  /**
+   * Draws the title and the legend of swimlanes at the top of an export, on a white background.
+   *
+   * Legend entries are a swatch of the swimlane color and its name, wrapped onto as many lines as needed.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D|RecordingContext} ctx - The context to draw into.
+   * @param {SwimLane[]} swimLanes - The swimlanes to list in the legend.
+   * @param {boolean} showTitle - Whether to draw the title.
+   * @param {boolean} showLegend - Whether to draw the legend.
+   * @returns {number} The height of the header in pixels, 0 if nothing is drawn.
+   */
+  #drawExportHeader(ctx, swimLanes, showTitle, showLegend){
+    const margin = 16;
+    const titleHeight = 32;
+    const legendLineHeight = 24;
+    const swatchSize = 14;
+
+    // place the legend entries
+    const legendEntries = [];
+    let x = margin;
+    let y = margin + (showTitle ? titleHeight : 0);
+    ctx.font = "14px Arial";
+    if(showLegend){
+      swimLanes.forEach(swimLane => {
+        const entryWidth = swatchSize + 6 + ctx.measureText(swimLane.getName()).width;
+        if(x > margin && x + entryWidth > this.#canvasWidth - margin){
+          x = margin;
+          y += legendLineHeight;
+        }
+        legendEntries.push({ swimLane, x, y });
+        x += entryWidth + margin;
+      });
+      if(legendEntries.length > 0) y += legendLineHeight;
+    }
+
+    if(!showTitle && legendEntries.length == 0) return 0;
+    const height = y + margin/2;
+
+    ctx.fillStyle = "white";
+    ctx.fillRect(0, 0, this.#canvasWidth, height);
+
+    if(showTitle){
+      ctx.fillStyle = "black";
+      ctx.textAlign = "left";
+      ctx.textBaseline = "top";
+      ctx.font = "bold 24px Arial";
+      ctx.fillText(this.#title, margin, margin);
+    }
+
+    ctx.font = "14px Arial";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = 1;
+    legendEntries.forEach(({ swimLane, x, y }) => {
+      ctx.fillStyle = swimLane.getColor();
+      ctx.fillRect(x, y + (legendLineHeight - swatchSize)/2, swatchSize, swatchSize);
+      ctx.strokeStyle = "rgb(160, 160, 160)";
+      ctx.strokeRect(x, y + (legendLineHeight - swatchSize)/2, swatchSize, swatchSize);
+      ctx.fillStyle = "black";
+      ctx.fillText(swimLane.getName(), x + swatchSize + 6, y + legendLineHeight/2);
+    });
+
+    return height;
+  }
+
+  getHoveredPeriod(){
+    return this.#hoveredPeriod;
+  }
+
+  /**
+   * Sets up the lane panel UI for arranging the swimlanes.
+   *
+   * Clears the existing content of the lane panel element and creates a row for each swimlane, top to bottom,
+   * with a button that toggles its visibility (`swim-lane-hide-button`), one that collapses it to a strip
+   * (`lane-panel-collapse`) and one that shows only it (`lane-panel-solo`). Rows can be dragged onto each other
+   * to reorder the swimlanes, within their group. The swimlanes of a group are listed under a row with buttons
+   * that hide or collapse the whole group (`lane-panel-group`). Every change can be undone and triggers a
+   * redraw of the timeline.
+   *
+   * Does nothing if the timeline was constructed without a lane panel. Assumes
+   * that `this.#swimLaneArr` contains initialized swimlane instances.
+   *
+   * @private
+   */
+  #setupLanePanel(){
+    // setup div for arranging swimlanes
+    const lanePanel = this.#lanePanel;
+    if(!lanePanel) return;
+
+    lanePanel.innerHTML = "";
+    const lanePanelTitle = document.createElement("b");
+    lanePanelTitle.textContent = "Swimlanes";
+    lanePanel.appendChild(lanePanelTitle);
+
+    let draggedLane = null;
+    const clearDropClasses = () => lanePanel.querySelectorAll(".drop-before, .drop-after").forEach(item => item.classList.remove("drop-before", "drop-after"));
+    const isDropAfter = (item, event) => {
+      const rect = item.getBoundingClientRect();
+      return event.clientY > rect.top + rect.height/2;
+    };
+
+    let groupList = null; // the element holding the rows of the group of the previous swimlane
+    for(let i = 0;i<this.#swimLaneArr.length;i++){
+      const swimLane = this.#swimLaneArr[i];
+      const group = swimLane.getGroup();
+      if(group && groupList?.dataset.groupId !== group.getId()){
+        groupList = this.#createGroupPanelItem(group);
+        lanePanel.appendChild(groupList);
+      }
+
+      const item = document.createElement("div");
+      item.classList.add("lane-panel-item");
+      item.draggable = true;
+
+      const grip = document.createElement("span");
+      grip.classList.add("lane-panel-grip");
+      grip.textContent = "⠿";
+      grip.title = "Drag to reorder";
+      item.appendChild(grip);
+
+      const newButton = document.createElement("button");
+      newButton.classList.add("swim-lane-hide-button");
+      newButton.classList.toggle("is-hidden", !swimLane.getVisibility());
+      newButton.textContent = swimLane.getName();
+      newButton.title = swimLane.getVisibility() ? "Hide" : "Show";
+      newButton.addEventListener("click", () =>{
+        // hide/show
+        this.#history.execute({
+          label: (swimLane.getVisibility() ? "Hide " : "Show ") + swimLane.getName(),
+          undo: () => swimLane.toggleVisibility(),
+          redo: () => swimLane.toggleVisibility()
+        });
+        this.#setupLanePanel();
+        this.draw(this.#canvas);
+      })
+      item.appendChild(newButton);
+
+      const collapseButton = document.createElement("button");
+      collapseButton.classList.add("lane-panel-collapse");
+      collapseButton.textContent = swimLane.isCollapsed() ? "▸" : "▾";
+      collapseButton.title = swimLane.isCollapsed() ? "Expand" : "Collapse";
+      collapseButton.addEventListener("click", () => this.toggleLaneCollapsed(swimLane));
+      item.appendChild(collapseButton);
+
+      const soloButton = document.createElement("button");
+      soloButton.classList.add("lane-panel-solo");
+      soloButton.textContent = "◉";
+      soloButton.title = this.#isSolo(swimLane) ? "Show all swimlanes" : "Show only this swimlane";
+      soloButton.addEventListener("click", () => this.soloSwimLane(swimLane));
+      item.appendChild(soloButton);
+
+      // reorder by dragging a row before or after another one
+      item.addEventListener("dragstart", event => {
+        draggedLane = swimLane;
+        if(event.dataTransfer){
+          event.dataTransfer.effectAllowed = "move";
+          event.dataTransfer.setData("text/plain", swimLane.getName());
+        }
+      });
+      item.addEventListener("dragover", event => {
+        if(!draggedLane || draggedLane.getGroup() !== group) return; // swimlanes stay in their group
+        event.preventDefault();
+        const isAfter = isDropAfter(item, event);
+        clearDropClasses();
+        item.classList.add(isAfter ? "drop-after" : "drop-before");
+      });
+      item.addEventListener("drop", event => {
+        if(!draggedLane || draggedLane.getGroup() !== group) return;
+        event.preventDefault();
+        const lane = draggedLane;
+        draggedLane = null;
+        clearDropClasses();
+        this.dropSwimLane(lane, i + (isDropAfter(item, event) ? 1 : 0));
+      });
+      item.addEventListener("dragend", () => {
+        draggedLane = null;
+        clearDropClasses();
+      });
+
+      (group ? groupList : lanePanel).appendChild(item);
+    }
+    
+  }
+
+  /**
+   * Creates the element of a group in the lane panel: a row with a button that collapses the group to its header
+   * band and one that hides it, followed by the rows of its swimlanes, which `#setupLanePanel` adds.
+   *
+   * @private
+   * @param {SwimLaneGroup} group - The group.
+   * @returns {HTMLElement} The element, with the id of the group in `data-group-id`.
+   */
+  #createGroupPanelItem(group){
+    const groupItem = document.createElement("div");
+    groupItem.classList.add("lane-panel-group");
+    groupItem.dataset.groupId = group.getId();
+
+    const header = document.createElement("div");
+    header.classList.add("lane-panel-group-header");
+    groupItem.appendChild(header);
+
+    const collapseButton = document.createElement("button");
+    collapseButton.classList.add("lane-panel-collapse");
+    collapseButton.textContent = group.isCollapsed() ? "▸" : "▾";
+    collapseButton.title = group.isCollapsed() ? "Expand group" : "Collapse group";
+    collapseButton.addEventListener("click", () => this.toggleGroupCollapsed(group));
+    header.appendChild(collapseButton);
+
+    const hideButton = document.createElement("button");
+    hideButton.classList.add("lane-panel-group-button");
+    hideButton.classList.toggle("is-hidden", !group.getVisibility());
+    hideButton.textContent = group.getName();
+    hideButton.title = group.getVisibility() ? "Hide group" : "Show group";
+    hideButton.addEventListener("click", () => this.toggleGroupVisibility(group));
+    header.appendChild(hideButton);
+
+    return groupItem;
+  }
+
+  /**
+   * Rebuilds the lane panel buttons, e.g. after a swimlane is renamed.
+   *
+   * @returns {void}
+   */
+  refreshLanePanel(){
+    this.#setupLanePanel();
+  }
+
+  /**
+   * Whether a swimlane is the only visible one.
+   *
+   * @private
+   * @param {SwimLane} swimLane - The swimlane.
+   * @returns {boolean} `true` if every other swimlane is hidden.
+   */
+  #isSolo(swimLane){
+    return swimLane.isShown() && this.#swimLaneArr.every(other => other === swimLane || !other.getVisibility());
+  }
+
+  /**
+   * Collapses a swimlane to a strip showing the density of its time periods, or expands it again, as a change
+   * that can be undone.
+   *
+   * @param {SwimLane} swimLane - The swimlane.
+   * @returns {void}
+   */
+  toggleLaneCollapsed(swimLane){
+    const isCollapsed = !swimLane.isCollapsed();
+    this.#history.execute({
+      label: (isCollapsed ? "Collapse " : "Expand ") + swimLane.getName(),
+      undo: () => swimLane.setCollapsed(!isCollapsed),
+      redo: () => swimLane.setCollapsed(isCollapsed)
+    });
+    this.#setupLanePanel();
+    this.draw(this.#canvas);
+  }
+
+  /**
+   * Hides every swimlane but one, showing and expanding its group, or shows all swimlanes again if it is already
+   * the only visible one, as a change that can be undone.
+   *
+   * @param {SwimLane} swimLane - The swimlane to show alone.
+   * @returns {void}
+   */
+  soloSwimLane(swimLane){
+    const swimLanes = this.#swimLaneArr.slice();
+    const group = swimLane.getGroup();
+    const isSolo = this.#isSolo(swimLane);
+    const before = swimLanes.map(other => other.getVisibility());
+    const after = swimLanes.map(other => isSolo || other === swimLane);
+    const groupBefore = group && { isHidden: !group.getVisibility(), isCollapsed: group.isCollapsed() };
+    const setVisibilities = (visibilities, groupState) => {
+      swimLanes.forEach((other, i) => visibilities[i] ? other.show() : other.hide());
+      if(!group) return;
+      if(groupState.isHidden) group.hide();
+      else group.show();
+      group.setCollapsed(groupState.isCollapsed);
+    };
+    this.#history.execute({
+      label: isSolo ? "Show all swimlanes" : "Show only " + swimLane.getName(),
+      undo: () => setVisibilities(before, groupBefore),
+      redo: () => setVisibilities(after, { isHidden: false, isCollapsed: false })
+    });
+    this.#setupLanePanel();
+    this.draw(this.#canvas);
+  }
+
+  /**
+   * Moves a swimlane to before the swimlane at an index, or to the bottom for the number of swimlanes, as a
+   * change that can be undone. Used to drop a swimlane that is dragged in the lane panel or by its header.
+   * The swimlane stays in its group, so it is moved as close to the index as its group allows.
+   *
+   * @param {SwimLane} swimLane - The swimlane to move.
+   * @param {number} index - The index of the swimlane to drop it before, counting the swimlane itself.
+   * @returns {boolean} `true` if the swimlane moved.
+   */
+  dropSwimLane(swimLane, index){
+    const oldIndex = this.#swimLaneArr.indexOf(swimLane);
+    if(oldIndex == -1) return false;
+    const groupLanes = this.getLanesOf(swimLane.getGroup());
+    const firstIndex = this.#swimLaneArr.indexOf(groupLanes[0]);
+    const lastIndex = this.#swimLaneArr.indexOf(groupLanes[groupLanes.length - 1]);
+    const newIndex = Math.max(firstIndex, Math.min(index > oldIndex ? index - 1 : index, lastIndex));
+    if(newIndex == oldIndex) return false;
+
+    this.#history.execute({
+      label: "Move swimlane",
+      undo: () => this.moveSwimLane(swimLane, oldIndex),
+      redo: () => this.moveSwimLane(swimLane, newIndex)
+    });
+    this.draw(this.#canvas);
+    return true;
+  }
+
+  /**
+   * Returns the swimlane whose header tab is at a point of the last draw, and the part of it.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {{swimLane: SwimLane, part: string}|null} The swimlane and "collapse" or "move", see
+   *   `SwimLane.getHeaderPartAt`, or `null` if there is no header at the point.
+   */
+  getLaneHeaderAt(x, y){
+    for(const swimLane of this.#swimLaneArr){
+      const part = swimLane.getHeaderPartAt(x, y);
+      if(part) return { swimLane, part };
+    }
+    return null;
+  }
+
+  /**
+   * Returns the cluster of time periods at a point of the last draw, in a swimlane with too many time periods
+   * in view to draw them as bars, see `getClusterDensity`.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {{count: number, startDate: Date, endDate: Date, x: number, width: number}|null} The cluster, with
+   *   the number of its time periods and the dates they cover, or `null` if there is none at the point.
+   */
+  getClusterAt(x, y){
+    for(const swimLane of this.#swimLaneArr){
+      const cluster = swimLane.getClusterAt(x, y);
+      if(cluster) return cluster;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the group whose header band is at a point of the last draw.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {SwimLaneGroup|null} The group, or `null` if there is no header band at the point.
+   */
+  getGroupAt(x, y){
+    return this.#groupArr.find(group => group.isHeaderAt(x, y)) ?? null;
+  }
+
+  /**
+   * Hides a group and its swimlanes, or shows them again, as a change that can be undone.
+   *
+   * @param {SwimLaneGroup} group - The group.
+   * @returns {void}
+   */
+  toggleGroupVisibility(group){
+    this.#history.execute({
+      label: (group.getVisibility() ? "Hide " : "Show ") + group.getName(),
+      undo: () => group.toggleVisibility(),
+      redo: () => group.toggleVisibility()
+    });
+    this.#setupLanePanel();
+    this.draw(this.#canvas);
+  }
+
+  /**
+   * Collapses a group to its header band, or shows its swimlanes again, as a change that can be undone.
+   *
+   * @param {SwimLaneGroup} group - The group.
+   * @returns {void}
+   */
+  toggleGroupCollapsed(group){
+    const isCollapsed = !group.isCollapsed();
+    const setCollapsed = isCollapsed => {
+      group.setCollapsed(isCollapsed);
+      this.getLanesOf(group).forEach(swimLane => swimLane.rescale());
+    };
+    this.#history.execute({
+      label: (isCollapsed ? "Collapse " : "Expand ") + group.getName(),
+      undo: () => setCollapsed(!isCollapsed),
+      redo: () => setCollapsed(isCollapsed)
+    });
+    this.#setupLanePanel();
+    this.draw(this.#canvas);
+  }
+
+  /**
+   * Shows a swimlane that is hidden or in a hidden or collapsed group, e.g. to go to one of its time periods.
+   * The change isn't recorded in the undo history, like the view.
+   *
+   * @param {SwimLane} swimLane - The swimlane.
+   * @returns {void}
+   */
+  revealSwimLane(swimLane){
+    if(swimLane.isShown()) return;
+    swimLane.show();
+    const group = swimLane.getGroup();
+    if(group){
+      group.show();
+      group.setCollapsed(false);
+    }
+    swimLane.rescale();
+    this.#setupLanePanel();
+  }
+
+  /**
+   * Starts dragging a swimlane by its header tab to another position. Continue with `dragLane` and
+   * finish with `endLaneDrag`.
+   *
+   * @param {SwimLane} swimLane - The swimlane to drag.
+   * @returns {void}
+   */
+  startLaneDrag(swimLane){
+    this.#laneDrag = { swimLane, index: null, y: null };
+  }
+
+  /**
+   * Moves the swimlane being dragged to a y-coordinate, dropping it before or after the swimlane of its group
+   * there (or else the closest one), whichever half it is in. Draw the timeline to show where it would be dropped.
+   *
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {void}
+   */
+  dragLane(y){
+    const laneDrag = this.#laneDrag;
+    if(!laneDrag) return;
+    const groupLanes = this.getLanesOf(laneDrag.swimLane.getGroup()).filter(swimLane => swimLane.isShown());
+    if(groupLanes.length == 0) return;
+
+    const getMiddle = swimLane => swimLane.getBottomY() - swimLane.getHeight()/2;
+    const laneAtY = this.getSwimLaneAt(y);
+    const target = groupLanes.includes(laneAtY) ? laneAtY : groupLanes.reduce((closest, swimLane) => {
+      return Math.abs(getMiddle(swimLane) - y) < Math.abs(getMiddle(closest) - y) ? swimLane : closest;
+    });
+    const isAfter = y > getMiddle(target);
+    laneDrag.index = this.#swimLaneArr.indexOf(target) + (isAfter ? 1 : 0);
+    laneDrag.y = isAfter ? target.getBottomY() : target.getBottomY() - target.getHeight();
+  }
+
+  /**
+   * Drops the swimlane being dragged where `dragLane` last moved it, see `dropSwimLane`.
+   *
+   * @returns {boolean} `true` if the swimlane moved.
+   */
+  endLaneDrag(){
+    const laneDrag = this.#laneDrag;
+    this.#laneDrag = null;
+    if(!laneDrag || laneDrag.index === null) return false;
+    return this.dropSwimLane(laneDrag.swimLane, laneDrag.index);
+  }
+
+  /**
+   * Returns the order of the swimlanes and which swimlanes and groups are hidden or collapsed, by id, e.g. to
+   * remember how the timeline was arranged.
+   *
+   * @returns {{order: string[], hidden: string[], collapsed: string[], groups: string[], hiddenGroups: string[],
+   *   collapsedGroups: string[]}} The swimlane and group ids, top to bottom.
+   */
+  getLaneLayout(){
+    const ids = items => items.map(item => item.getId());
+    return {
+      order: ids(this.#swimLaneArr),
+      hidden: ids(this.#swimLaneArr.filter(swimLane => !swimLane.getVisibility())),
+      collapsed: ids(this.#swimLaneArr.filter(swimLane => swimLane.isCollapsed())),
+      groups: ids(this.#groupArr),
+      hiddenGroups: ids(this.#groupArr.filter(group => !group.getVisibility())),
+      collapsedGroups: ids(this.#groupArr.filter(group => group.isCollapsed()))
+    };
+  }
+
+  /**
+   * Arranges the swimlanes as returned by `getLaneLayout`. The swimlanes in the layout take the positions they
+   * have between them in its order, the others keep theirs, so swimlanes added since are left where they are.
+   * Swimlanes stay in their groups, and only the groups listed in `groups` are hidden or collapsed.
+   * The change isn't recorded in the undo history.
+   *
+   * @param {{order?: string[], hidden?: string[], collapsed?: string[], groups?: string[], hiddenGroups?: string[],
+   *   collapsedGroups?: string[]}} layout - The layout.
+   * @returns {void}
+   */
+  setLaneLayout(layout){
+    const idList = value => Array.isArray(value) ? value.filter(id => typeof id == "string") : [];
+    const hidden = idList(layout?.hidden);
+    const collapsed = idList(layout?.collapsed);
+    const hiddenGroups = idList(layout?.hiddenGroups);
+    const collapsedGroups = idList(layout?.collapsedGroups);
+    const swimLanes = idList(layout?.order)
+      .map(id => this.getLaneById(id))
+      .filter((swimLane, i, arr) => swimLane && arr.indexOf(swimLane) == i);
+
+    const positions = swimLanes.map(swimLane => this.#swimLaneArr.indexOf(swimLane)).sort((a, b) => a - b);
+    positions.forEach((position, i) => this.#swimLaneArr[position] = swimLanes[i]);
+    const groupIndex = swimLane => this.#groupArr.indexOf(swimLane.getGroup()); // -1 outside groups
+    this.#swimLaneArr.sort((a, b) => groupIndex(a) - groupIndex(b));
+    this.#groupArr.filter(group => idList(layout?.groups).includes(group.getId())).forEach(group => {
+      if(hiddenGroups.includes(group.getId())) group.hide();
+      else group.show();
+      group.setCollapsed(collapsedGroups.includes(group.getId()));
+    });
+    swimLanes.forEach(swimLane => {
+      if(hidden.includes(swimLane.getId())) swimLane.hide();
+      else swimLane.show();
+      const isCollapsed = collapsed.includes(swimLane.getId());
+      if(swimLane.isCollapsed() != isCollapsed) swimLane.setCollapsed(isCollapsed);
+    });
+
+    this.#swimLaneArr.forEach(swimLane => swimLane.rescale());
+    this.#setupLanePanel();
+  }
+
+  getTitle(){
+    return this.#title;
+  }
+
+  setTitle(title){
+    this.#title = title;
+  }
+
+  /**
+   * Returns the date format version of the loaded JSON: 1 for legacy dates, 2 for ISO 8601 dates.
+   *
+   * @returns {number} The format version.
+   */
+  getFormatVersion(){
+    return this.#formatVersion;
+  }
+
+  /**
+   * Returns how time periods are assigned to rows, see `setRowLayout`.
+   *
+   * @returns {string} One of `ROWLAYOUTS`.
+   */
+  getRowLayout(){
+    return this.#rowLayout;
+  }
+
+  /**
+   * Returns the least time a time period takes up in a row in the stable row layout, see `setRowLayout`.
+   *
+   * @returns {{count: number, scaleType: string}|null} The number of units of a scale type, or `null` for none.
+   */
+  getLabelAllowance(){
+    return this.#labelAllowance ? { ...this.#labelAllowance } : null;
+  }
+
+  /**
+   * Changes how the time periods of the swimlanes are assigned to rows.
+   *
+   * - "packed" (the default): the lowest row a time period fits into with its label, at the current scale. As
+   *   labels take up more or less time at each scale, time periods may move to other rows while zooming.
+   * - "stable": the lowest row a time period fits into by its dates, which stays the same at every scale. A
+   *   label allowance makes time periods take up at least that time, so there is room for short ones' labels.
+   *
+   * Time periods with a `row` (see `TimePeriod.getRow`) are placed in that row in either layout.
+   *
+   * @param {string} rowLayout - One of `ROWLAYOUTS`.
+   * @param {{count: number, scaleType: string}|null} [labelAllowance] - The least time a time period takes up in
+   *   the stable layout, e.g. `{ count: 50, scaleType: "year" }`. Keeps the current one if not given.
+   * @returns {void}
+   */
+  setRowLayout(rowLayout, labelAllowance = this.#labelAllowance){
+    if(!ROWLAYOUTS.includes(rowLayout)) throw new Error("Invalid row layout '" + rowLayout + "', must be one of " + ROWLAYOUTS);
+    if(labelAllowance && validateLabelAllowanceJson(labelAllowance, "labelAllowance").length > 0){
+      throw new Error("Invalid label allowance: " + JSON.stringify(labelAllowance));
+    }
+    this.#rowLayout = rowLayout;
+    this.#labelAllowance = labelAllowance ? { count: labelAllowance.count, scaleType: labelAllowance.scaleType } : null;
+    this.#swimLaneArr.forEach(swimLane => swimLane.rescale());
+  }
+
+  /**
+   * Parses a date string in the date format of the loaded JSON. Check it with `getDateProblem` first.
+   *
+   * @param {string} dateStr - The date string.
+   * @param {boolean} [isEndDate=false] - Whether the date is an end date, see `parseIsoDate`.
+   * @returns {{date: Date, precision: string, isEndOfUnit: boolean}} The date and its precision.
+   */
+  parseDate(dateStr, isEndDate = false){
+    return parseTimelineDate(dateStr, this.#formatVersion, isEndDate);
+  }
+
+  /**
+   * Formats a date in the date format of the loaded JSON, the inverse of `parseDate`.
+   * 
+   * ISO 8601 dates are written down to their precision, an exclusive end as the last unit it covers.
+   * Legacy dates are always written to the day, with a time if there is one.
+   *
+   * @param {Date} date - The date to format.
+   * @param {string} [precision="millisecond"] - The smallest unit to write in ISO 8601.
+   * @param {boolean} [isEndOfUnit=false] - Whether the date is the exclusive end of a year, month or day.
+   * @returns {string} The formatted date.
+   */
+  formatDate(date, precision = "millisecond", isEndOfUnit = false){
+    if(this.#formatVersion < 2) return formatLegacyDate(date);
+    if(isEndOfUnit) return formatIsoDate(new Date(date.getTime() - 1), precision);
+    return formatIsoDate(date, precision);
+  }
+
+  /**
+   * Returns the swimlanes, top to bottom.
+   *
+   * @returns {SwimLane[]} A copy of the swimlane array.
+   */
+  getSwimLanes(){
+    return this.#swimLaneArr.slice();
+  }
+
+  /**
+   * Returns the visible swimlane at a y-coordinate of the last draw.
+   *
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {SwimLane|null} The swimlane, or `null` if there is none at the y-coordinate.
+   */
+  getSwimLaneAt(y){
+    if(y > this.#canvasHeight - this.#baseLineHeight) return null;
+    return this.#swimLaneArr.find(swimLane => swimLane.isShown() && y <= swimLane.getBottomY() && y > swimLane.getBottomY() - swimLane.getHeight()) ?? null;
+  }
+
+  /**
+   * Adds an empty swimlane below the swimlanes outside groups, at the bottom of the timeline if it has no groups.
+   *
+   * @param {string} name - The name of the swimlane.
+   * @param {string} [color] - The background color of the swimlane, see `SwimLane`.
+   * @returns {SwimLane} The new swimlane.
+   */
+  addSwimLane(name, color){
+    const swimLane = new SwimLane(name, false, this.#canvasWidth, [], color, this.generateLaneId(name));
+    this.insertSwimLane(swimLane, this.#swimLaneArr.filter(other => !other.getGroup()).length);
+    return swimLane;
+  }
+
+  /**
+   * Returns the groups of swimlanes, top to bottom.
+   *
+   * @returns {SwimLaneGroup[]} A copy of the group array.
+   */
+  getGroups(){
+    return this.#groupArr.slice();
+  }
+
+  /**
+   * Returns the swimlanes of a group, top to bottom.
+   *
+   * @param {SwimLaneGroup|null} group - The group, or `null` for the swimlanes outside groups.
+   * @returns {SwimLane[]} The swimlanes.
+   */
+  getLanesOf(group){
+    return this.#swimLaneArr.filter(swimLane => swimLane.getGroup() === group);
+  }
+
+  /**
+   * Returns the swimlanes with the header band of each group before its swimlanes, in the order they are drawn.
+   *
+   * @private
+   * @returns {Array<SwimLane|SwimLaneGroup>} The swimlanes and groups, top to bottom.
+   */
+  #getLaneStack(){
+    const laneStack = [];
+    this.#swimLaneArr.forEach(swimLane => {
+      const group = swimLane.getGroup();
+      if(group && !laneStack.includes(group)) laneStack.push(group);
+      laneStack.push(swimLane);
+    });
+    return laneStack;
+  }
+
+  /**
+   * Inserts a swimlane at a position, 0 being the top, e.g. to restore a removed swimlane.
+   *
+   * @param {SwimLane} swimLane - The swimlane to insert.
+   * @param {number} index - The index of the swimlane.
+   * @returns {void}
+   */
+  insertSwimLane(swimLane, index){
+    if(this.#swimLaneArr.includes(swimLane)) return;
+    this.#swimLaneArr.splice(Math.max(0, Math.min(index, this.#swimLaneArr.length)), 0, swimLane);
+    this.#swimLaneArr.forEach(other => other.rescale());
+    this.#setupLanePanel();
+  }
+
+  /**
+   * Removes a swimlane and its time periods, clearing the selection if it is one of them.
+   *
+   * @param {SwimLane} swimLane - The swimlane to remove.
+   * @returns {void}
+   */
+  removeSwimLane(swimLane){
+    const index = this.#swimLaneArr.indexOf(swimLane);
+    if(index == -1) return;
+    this.#swimLaneArr.splice(index, 1);
+    if(swimLane.getAllTimePeriods().includes(this.#selectedPeriod)) this.selectPeriod(null);
+    if(swimLane.getAllTimePeriods().includes(this.#hoveredPeriod)) this.#hoveredPeriod = null;
+    this.#setupLanePanel();
+  }
+
+  /**
+   * Moves a swimlane to a new position, 0 being the top.
+   *
+   * @param {SwimLane} swimLane - The swimlane to move.
+   * @param {number} index - The new index of the swimlane.
+   * @returns {void}
+   */
+  moveSwimLane(swimLane, index){
+    const oldIndex = this.#swimLaneArr.indexOf(swimLane);
+    if(oldIndex == -1) return;
+    this.#swimLaneArr.splice(oldIndex, 1);
+    this.#swimLaneArr.splice(Math.max(0, Math.min(index, this.#swimLaneArr.length)), 0, swimLane);
+    this.#swimLaneArr.forEach(other => other.rescale());
+    this.#setupLanePanel();
+  }
+
+  /**
+   * Returns the timeline as JSON in the format `load` reads, keeping the date format it was loaded with.
+   * 
+   * The focus date and scale are those of the current view, so the saved timeline opens where it was left.
+   * Links to time periods that are no longer on the timeline are left out.
+   *
+   * @returns {Object} The timeline JSON.
+   */
+  toJSON(){
+    const formatDate = (date, precision, isEndOfUnit) => this.formatDate(date, precision, isEndOfUnit);
+    const json = {};
+    if(this.#formatVersion >= 2) json.formatVersion = this.#formatVersion;
+    json.title = this.#title;
+    json.scaleWidth = this.#scaleWidth;
+    json.scaleType = this.#scaleType;
+    json.focusDate = formatDate(this.#focusDate);
+    json.focusX = this.#focusX;
+    if(this.#rowLayout != "packed") json.rowLayout = this.#rowLayout;
+    if(this.#labelAllowance) json.labelAllowance = { ...this.#labelAllowance };
+    json.swimlanes = this.#swimLaneArr.filter(swimLane => !swimLane.getGroup()).map(swimLane => swimLane.toJSON(formatDate));
+    if(this.#groupArr.length > 0){
+      json.groups = this.#groupArr.map(group => group.toJSON(this.getLanesOf(group).map(swimLane => swimLane.toJSON(formatDate))));
+    }
+
+    const periodsJson = [];
+    forEachPeriodJson(json, periodJson => periodsJson.push(periodJson));
+    const periodIds = new Set(periodsJson.map(periodJson => periodJson.id));
+    periodsJson.forEach(periodJson => {
+      if(!periodJson.links) return;
+      periodJson.links = periodJson.links.filter(link => periodIds.has(link.to));
+      if(periodJson.links.length == 0) delete periodJson.links;
+    });
+    return json;
+  }
+
+  /**
+   * Returns the state needed to restore the current view of the timeline.
+   *
+   * The state holds the `focusDate`, `focusX`, `scaleType`, `scaleWidth` and `yOffset` of the view,
+   * `hiddenLanes` (the ids of the hidden swimlanes, which stay the same when they are reordered) and
+   * `selectedPeriod` (the id of the selected time period, or `null`).
+   *
+   * @returns {{focusDate: Date, focusX: number, scaleType: string, scaleWidth: number, yOffset: number,
+   *   hiddenLanes: string[], selectedPeriod: string|null}} The view state.
+   */
+  getViewState(){
+    const hiddenLanes = this.#swimLaneArr.filter(swimLane => !swimLane.getVisibility()).map(swimLane => swimLane.getId());
+    const selectedPeriod = this.#selectedPeriod && this.getSwimLaneOf(this.#selectedPeriod) ? this.#selectedPeriod.getId() : null;
+
+    return {
+      focusDate: new Date(this.#focusDate),
+      focusX: this.#focusX,
+      scaleType: this.#scaleType,
+      scaleWidth: this.#scaleWidth,
+      yOffset: this.#yOffset,
+      hiddenLanes,
+      selectedPeriod
+    };
+  }
+
+  /**
+   * Restores a view of the timeline from a state returned by `getViewState`.
+   *
+   * Properties that are missing or invalid are left unchanged, so a partial state can be applied.
+   *
+   * @param {Object} state - The view state, see `getViewState`.
+   */
+  setViewState(state){
+    if(state.focusDate instanceof Date && !isNaN(state.focusDate)) this.#focusDate = state.focusDate;
+    if(isFinite(state.focusX)) this.#focusX = state.focusX;
+    if(isFinite(state.scaleWidth) && state.scaleWidth > 0) this.#scaleWidth = state.scaleWidth;
+    if(isFinite(state.yOffset)) this.#yOffset = state.yOffset;
+    if(state.scaleType){
+      try {
+        this.setScaleType(state.scaleType);
+      } catch (e) {
+        console.warn(e.message);
+      }
+    }
+
+    if(Array.isArray(state.hiddenLanes)){
+      // links made before swimlanes had ids hide by their index in the loaded data
+      const hiddenLanes = state.hiddenLanes.map(idOrIndex => this.getLaneById(String(idOrIndex))
+        ?? (/^\d+$/.test(idOrIndex) ? this.getLaneById(this.#loadedLaneIds[Number(idOrIndex)]) : null));
+      this.#swimLaneArr.forEach(swimLane => {
+        if(hiddenLanes.includes(swimLane)) swimLane.hide();
+        else swimLane.show();
+      });
+    }
+
+    if(state.selectedPeriod !== undefined){
+      let timePeriod = null;
+      if(Array.isArray(state.selectedPeriod)){
+        // [swimlaneIndex, timePeriodIndex], from links made before time periods had ids
+        const [laneIndex, periodIndex] = state.selectedPeriod;
+        timePeriod = this.#swimLaneArr[laneIndex]?.getTimePeriods()[periodIndex] ?? null;
+      }else if(state.selectedPeriod){
+        timePeriod = this.getPeriodById(state.selectedPeriod);
+      }
+      if(timePeriod) this.expandParentsOf(timePeriod);
+      this.selectPeriod(timePeriod);
+    }
+
+    // tell all swimlanes they need to reassign rows to time periods
+    for(let i = 0;i<this.#swimLaneArr.length;i++){
+      this.#swimLaneArr[i].changeScale();
+    }
+  }
+
+  /**
+   * Loads timeline data from a JSON object and initializes internal properties.
+   *
+   * This method sets up the timeline’s title, scale, focus date, and swimlanes
+   * including all associated time periods. It parses date strings into `Date` objects
+   * and rebuilds the internal state from serialized data (e.g., from a saved file or API).
+   * The JSON is validated as it loads, so one typo doesn't stop the rest of the timeline from rendering.
+   *
+   * @param {Object} json - The JSON object containing the timeline data.
+   * @param {string} json.title - The title of the timeline.
+   * @param {number} json.scaleWidth - The pixel width of each timeline unit.
+   * @param {string} json.scaleType - The type of time scale (e.g., "year", "month").
+   * @param {string} json.focusDate - The focus date in custom string format.
+   * @param {number} json.focusX - The x-position of the focus date on the canvas.
+   * @param {number} [json.formatVersion=1] - 1 for the legacy date format with zero-based months, 2 for ISO 8601 dates.
+   * @param {Array<Object>} json.swimlanes - The array of swimlane objects.
+   * @param {string} [json.swimlanes[].id] - Id of the swimlane, unique among the swimlanes. Made from the title if missing.
+   * @param {string} json.swimlanes[].title - Title of the swimlane.
+   * @param {boolean} json.swimlanes[].isHidden - Whether the swimlane is hidden.
+   * @param {string} json.swimlanes[].color - Background color of the swimlane.
+   * @param {Array<Object>} json.swimlanes[].timePeriods - Array of time period objects.
+   * @param {string} [json.swimlanes[].timePeriods[].id] - Id of the time period, unique among the time periods
+   *   of the timeline. Made from the name if missing, see `getTimelineIds`.
+   * @param {string} json.swimlanes[].timePeriods[].name - Name of the time period.
+   * @param {string} json.swimlanes[].timePeriods[].startDate - Start date in custom format.
+   * @param {string} json.swimlanes[].timePeriods[].endDate - End date in custom format.
+   * @param {string} [json.swimlanes[].timePeriods[].date] - Date of an event in custom format. Used instead of
+   *   `startDate` and `endDate` for zero duration events (milestones), which are drawn as a marker.
+   * @param {boolean} json.swimlanes[].timePeriods[].hasApproxStartDate - Whether the start date is approximate.
+   * @param {boolean} json.swimlanes[].timePeriods[].hasApproxEndDate - Whether the end date is approximate.
+   * @param {boolean} [json.swimlanes[].timePeriods[].hasApproxDate] - Whether the date of an event is approximate.
+   * @param {string} json.swimlanes[].timePeriods[].description - Description text.
+   * @param {string} json.swimlanes[].timePeriods[].color1 - Primary color for rendering.
+   * @param {string} json.swimlanes[].timePeriods[].color2 - Secondary color for rendering.
+   * @param {TimePeriodLink[]} [json.swimlanes[].timePeriods[].links] - Links to other time periods, drawn as arrows.
+   * @param {Object[]} [json.swimlanes[].timePeriods[].children] - Time periods nested in the time period, in the
+   *   same format, shown below it while it is expanded.
+   * @param {boolean} [json.swimlanes[].timePeriods[].isExpanded=false] - Whether the children are shown.
+   * @param {Array<Object>} [json.groups] - Groups of swimlanes, drawn below the swimlanes outside groups.
+   * @param {string} [json.groups[].id] - Id of the group, unique among the groups. Made from the title if missing.
+   * @param {string} json.groups[].title - Title of the group, shown in its header band.
+   * @param {boolean} [json.groups[].isHidden=false] - Whether the group and its swimlanes are hidden.
+   * @param {boolean} [json.groups[].isCollapsed=false] - Whether only the header band of the group is shown.
+   * @param {string} [json.groups[].color] - Background color of the header band.
+   * @param {Array<Object>} json.groups[].swimlanes - The swimlanes of the group, in the same format as `swimlanes`.
+   * @returns {TimelineProblem[]} The problems found in the JSON, see `validateTimelineJson`. Time periods
+   *   with problems are skipped, bad timeline and swimlane properties fall back to defaults, bad or
+   *   repeated ids are replaced by generated ones and bad links are left out.
+   * @throws {Error} If the JSON is not an object.
+   */
+  load(json){
+    return this.loadPrepared(prepareTimelineJson(json));
+  }
+
+  /**
+   * Loads timeline data that `prepareTimelineJson` checked and parsed, e.g. in the loading worker (see
+   * `TimelineLoader`), so only the swimlanes and time periods are created.
+   *
+   * @param {PreparedTimeline} timelineData - The prepared timeline data.
+   * @returns {TimelineProblem[]} The problems found in the JSON it was prepared from.
+   */
+  loadPrepared(timelineData){
+    // bad values keep the defaults from the constructor
+    this.#title = timelineData.title;
+    if(timelineData.scaleWidth !== undefined) this.#scaleWidth = timelineData.scaleWidth;
+    if(timelineData.scaleType !== undefined) this.#scaleType = timelineData.scaleType;
+    this.#formatVersion = timelineData.formatVersion;
+    if(timelineData.focusDate !== undefined) this.#focusDate = timelineData.focusDate;
+    if(timelineData.focusX !== undefined) this.#focusX = timelineData.focusX;
+    this.#rowLayout = timelineData.rowLayout;
+    this.#labelAllowance = timelineData.labelAllowance;
+    this.#usedLaneIds = new Set(timelineData.usedLaneIds);
+    this.#loadedLaneIds = timelineData.swimlanes.map(laneData => laneData.id);
+    this.#usedPeriodIds = new Set(timelineData.usedPeriodIds);
+
+    const groups = timelineData.groups.map(groupData => groupData && new SwimLaneGroup(
+      groupData.title,
+      groupData.isHidden,
+      groupData.isCollapsed,
+      groupData.color,
+      groupData.id
+    ));
+    this.#groupArr = groups.filter(group => group !== null);
+
+    const createPeriod = periodData => new TimePeriod(
+      periodData.name,
+      periodData.startDate,
+      periodData.endDate,
+      periodData.hasApproxStartDate,
+      periodData.hasApproxEndDate,
+      periodData.description,
+      periodData.color1,
+      periodData.color2,
+      {
+        startPrecision: periodData.startPrecision,
+        endPrecision: periodData.endPrecision,
+        hasExclusiveEnd: periodData.hasExclusiveEnd,
+        id: periodData.id,
+        links: periodData.links,
+        isExpanded: periodData.isExpanded,
+        row: periodData.row,
+        children: periodData.children.map(createPeriod)
+      }
+    );
+
+    timelineData.swimlanes.forEach(laneData => {
+      const swimLane = new SwimLane(
+        laneData.title,
+        laneData.isHidden,
+        this.#canvasWidth,
+        laneData.timePeriods.map(createPeriod),
+        laneData.color,
+        laneData.id
+      );
+      if(laneData.groupIndex !== null) swimLane.setGroup(groups[laneData.groupIndex]);
+      this.#swimLaneArr.push(swimLane);
+    });
+
+    this.#setupLanePanel();
+
+    this.#loadProblems = timelineData.problems;
+    return timelineData.problems;
+  }
+
+  /**
+   * Returns the problems found in the timeline JSON by the last `load`.
+   *
+   * @returns {TimelineProblem[]} The problems, empty if the JSON was valid.
+   */
+  getLoadProblems(){
+    return this.#loadProblems;
+  }
+
+  /**
+   * Takes the rows that the loading worker assigned to the time periods of each swimlane, at the view the timeline
+   * was loaded at, so they are not assigned again at the first draw, see `SwimLane.setRowAssignment`. Changing
+   * the scale assigns them again as usual.
+   *
+   * @param {Object<string, {rows: string[][], rowHeight: number, maxTextWidth: number}>} rowAssignments - The rows
+   *   of swimlanes by their id, see `SwimLane.getRowAssignment`.
+   * @returns {void}
+   */
+  setRowAssignments(rowAssignments){
+    this.#swimLaneArr.forEach(swimLane => {
+      const rowAssignment = rowAssignments[swimLane.getId()];
+      if(rowAssignment) swimLane.setRowAssignment(rowAssignment);
+    });
+  }
+}
+
+/**
+ * Finds the items overlapping a range among items that each cover an interval, e.g. the time periods in view.
+ *
+ * The items are ordered by start, and kept as an implicit balanced binary tree over that order: the middle
+ * item of each range of the order is the root of the subtree of the range, and `#maxEnds` holds the largest end
+ * in each subtree. A query skips the subtrees that end before the range and those that start after it, so it
+ * takes O(log n + k) for k items found, rather than going through all n items. Built in O(n log n).
+ *
+ * @class IntervalIndex
+ */
+class IntervalIndex {
+  #items;
+  #starts;
+  #ends;
+  #maxEnds;
+
+  /**
+   * @param {Array} items - The items, in any order.
+   * @param {function(*): number} getStart - Returns the start of an item's interval.
+   * @param {function(*): number} getEnd - Returns the end of an item's interval, not before its start.
+   */
+  constructor(items, getStart, getEnd){
+    const entries = items.map((item, i) => ({ item, i, start: getStart(item), end: getEnd(item) }));
+    entries.sort((a, b) => a.start - b.start || a.i - b.i); // items with the same start stay in their order
+    this.#items = entries.map(entry => entry.item);
+    this.#starts = entries.map(entry => entry.start);
+    this.#ends = entries.map(entry => entry.end);
+    this.#maxEnds = new Array(entries.length);
+    this.#setUpMaxEnds(0, entries.length - 1);
+  }
+
+  /**
+   * Sets the largest end in the subtree of a range of the order, and in those of the ranges in it.
+   *
+   * @private
+   * @param {number} low - The first index of the range.
+   * @param {number} high - The last index of the range.
+   * @returns {number} The largest end, or `-Infinity` for an empty range.
+   */
+  #setUpMaxEnds(low, high){
+    if(low > high) return -Infinity;
+    const mid = (low + high) >> 1;
+    this.#maxEnds[mid] = Math.max(this.#ends[mid], this.#setUpMaxEnds(low, mid - 1), this.#setUpMaxEnds(mid + 1, high));
+    return this.#maxEnds[mid];
+  }
+
+  /**
+   * Returns the number of items.
+   *
+   * @returns {number} The number of items.
+   */
+  getSize(){
+    return this.#items.length;
+  }
+
+  /**
+   * Returns the items whose interval overlaps a range, including those that only touch it.
+   *
+   * @param {number} from - The start of the range.
+   * @param {number} to - The end of the range.
+   * @returns {Array} The items, ordered by start.
+   */
+  query(from, to){
+    const found = [];
+    const visit = (low, high) => {
+      if(low > high) return;
+      const mid = (low + high) >> 1;
+      if(this.#maxEnds[mid] < from) return; // the whole subtree ends before the range
+      visit(low, mid - 1);
+      if(this.#starts[mid] > to) return; // this item and those after it start after the range
+      if(this.#ends[mid] >= from) found.push(this.#items[mid]);
+      visit(mid + 1, high);
+    };
+    visit(0, this.#items.length - 1);
+    return found;
+  }
+}
+
+/**
+ * The ends of the rows of a swim lane while time periods are assigned to them, as x-coordinates or in
+ * milliseconds, see `SwimLane.#packRows`, which finds the lowest row a time period fits into in O(log n) for n rows.
+ *
+ * Kept as a segment tree of the smallest end in each range of rows. Rows that haven't been used yet end at
+ * `-Infinity`, so there is always a free row.
+ *
+ * @class RowEnds
+ */
+class RowEnds {
+  #size = 1; // the number of rows the tree has room for, a power of two
+  #mins = [-Infinity, -Infinity]; // node 1 is the root, the children of node i are 2i and 2i + 1
+
+  /**
+   * Returns whether a block fits into a row from where it starts.
+   *
+   * @param {number} row - The row, 0 at the bottom.
+   * @param {number} start - The start of the block.
+   * @returns {boolean} `true` if the row ends at or before the start.
+   */
+  isFree(row, start){
+    return row >= this.#size || this.#mins[this.#size + row] <= start;
+  }
+
+  /**
+   * Returns the lowest row, from a row on, that a block fits into from where it starts.
+   *
+   * @param {number} start - The start of the block.
+   * @param {number} [fromRow=0] - The lowest row to consider.
+   * @returns {number} The row, possibly one that hasn't been used yet.
+   */
+  findFirstFree(start, fromRow = 0){
+    const find = (node, low, high) => {
+      if(high < fromRow || this.#mins[node] > start) return -1;
+      if(low == high) return low;
+      const mid = (low + high) >> 1;
+      const row = find(2*node, low, mid);
+      return row != -1 ? row : find(2*node + 1, mid + 1, high);
+    };
+    const row = find(1, 0, this.#size - 1);
+    return row != -1 ? row : Math.max(fromRow, this.#size);
+  }
+
+  /**
+   * Sets where a row ends, growing the tree if the row is beyond it.
+   *
+   * @param {number} row - The row, 0 at the bottom.
+   * @param {number} end - The end of the last block in the row.
+   * @returns {void}
+   */
+  set(row, end){
+    while(row >= this.#size) this.#grow();
+    let node = this.#size + row;
+    this.#mins[node] = end;
+    for(node >>= 1;node >= 1;node >>= 1) this.#mins[node] = Math.min(this.#mins[2*node], this.#mins[2*node + 1]);
+  }
+
+  /**
+   * Doubles the number of rows the tree has room for.
+   *
+   * @private
+   * @returns {void}
+   */
+  #grow(){
+    const leaves = this.#mins.slice(this.#size, 2*this.#size);
+    this.#size *= 2;
+    this.#mins = new Array(2*this.#size).fill(-Infinity);
+    leaves.forEach((end, row) => this.#mins[this.#size + row] = end);
+    for(let node = this.#size - 1;node >= 1;node--) this.#mins[node] = Math.min(this.#mins[2*node], this.#mins[2*node + 1]);
+  }
+}
+
+/**
+ * Represents a horizontal swim lane that holds a collection of time periods on the timeline.
+ *
+ * Each swim lane manages its own height, visibility, layout rows, and internal time period data.
+ * Swim lanes are used to organize multiple time periods visually within the timeline interface.
+ *
+ * @class
+ */
+class SwimLane{
+  #id = "";
+  #name = "";
+  #isHidden = false;
+  #width = 0;
+  #minHeight = 200;
+  #height = this.#minHeight; // temp, min height
+  #timePeriodArr = [];
+  #row = [[]]; // each row is an array of the time periods drawn in it, row 0 at the bottom
+  #rowIndex = null; // the time periods in the rows with their row, by date, see #indexRows
+  #rowEntries = new Map(); // time period -> its entry in #rowIndex
+  #visibleEntries = []; // the entries in view at the last set up, the only ones drawn and hit-tested
+  #maxTextWidth = 0; // of the labels in the rows, which reach past the end of short time periods
+  #viewMargin = 20; // pixels past the edges of the canvas that are still laid out, e.g. for the markers of events
+  #rowsVersion = 0; // the number of the last row assignment, see getRowsVersion
+  static #rowAssignmentCount = 0; // of all swim lanes, so no two row assignments have the same number
+  #drawVersion = 0; // see getDrawVersion
+  #contentVersion = 0; // see getContentVersion
+  static #drawChangeCount = 0; // of all swim lanes, like #rowAssignmentCount
+  #periodIndex = null; // every time period by date, for the density strip, see #setUpDensity
+  #bottomY = 0;
+  #margin = 5;
+  #rowHeight;
+  #color;
+  #needsNewRows = true;
+  #areRowsStable = false; // whether the rows were assigned in the stable row layout, and stay at any scale
+  #isHover = false;
+  #isCollapsed = false;
+  #collapsedHeight = 34;
+  #density = []; // number of time periods in each bucket of the collapsed strip, see #setUpDensity
+  #densityBucketWidth = 4;
+  #shownIndex = null; // the shown time periods by date, for the clusters, see #setUpClusters
+  #clusters = null; // drawn instead of the time periods while they are too dense to tell apart, see #setUpClusters
+  #isClustered = false; // whether the last set up was of clusters, which leaves the rows to be assigned again
+  #hoveredCluster = null;
+  #maxClusterCount = 0; // of the time periods in a cluster, which is drawn full height
+  #clusterWidth = 48;
+  #clusterFont = "bold 11px Arial";
+  #header = null; // bounds of the header tab drawn at the top left, see getHeaderPartAt
+  #headerFont = "bold 12px Arial";
+  #group = null;
+
+  /**
+   * Creates a new SwimLane instance to group and display time periods on the timeline.
+   *
+   * @constructor
+   * @param {string} name - The name or label of the swim lane.
+   * @param {boolean} isHidden - Whether the swim lane is initially hidden.
+   * @param {number} width - The width allocated for the swim lane in pixels.
+   * @param {TimePeriod[]} timePeriodArr - An array of TimePeriod instances assigned to this swim lane, without
+   *   their children, see `TimePeriod.getChildren`.
+   * @param {string} [color="rgb(234,234,234)"] - Optional background color for the swim lane (CSS color string).
+   * @param {string} [id=""] - The id of the swim lane, see `Timeline.getLaneById`.
+   */
+  constructor(name, isHidden, width, timePeriodArr, color="rgb(234,234,234)", id=""){
+    this.#id = id;
+    this.#name = name;
+    this.#isHidden = isHidden;
+    this.#width = width;
+    this.#timePeriodArr = timePeriodArr;
+    this.#color = color;
+  }
+
+  /**
+   * Lays out a list of visible swim lanes from bottom to top, starting at the specified Y-coordinate: sets up
+   * the time periods of each (see `setUpTimePeriods`) and where it is, see `getBottomY`.
+   * 
+   * Each visible swim lane is set up in reverse order (last in the array appears at the bottom).
+   * The list may include the header bands of groups, see `SwimLaneGroup`, which are laid out like swim lanes.
+   *
+   * @static
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used to measure text and layout.
+   * @param {Timeline} timeline - The timeline instance used for layout and scaling context.
+   * @param {Array<SwimLane|SwimLaneGroup>} swimLaneArr - An array of SwimLane instances and group header bands to lay out.
+   * @param {number} y - The starting Y-coordinate from which to begin laying out upward.
+   * @returns {number} yAdjustment - To readjust yOffset when swimlanes are repositioned around mouseY.
+   */
+  static layOut(ctx,timeline, swimLaneArr, yOffset, canvasHeight, baseLineHeight){
+    let y = yOffset + canvasHeight - baseLineHeight 
+    let yAdjustment = 0;
+    if(swimLaneArr.length == 0) return 0;
+
+    // function to lay out an array of SwimLanes (bottom up), beginning at a y coordinate
+    let startIndex = swimLaneArr.length-1;
+
+    // group header bands are never hovered, see SwimLaneGroup
+    const firstSwimLane = swimLaneArr.find(item => item instanceof SwimLane);
+    if(firstSwimLane && firstSwimLane.#needsNewRows){
+      for(let i = 0;i< swimLaneArr.length;i++){
+
+        if(swimLaneArr[i].getIsHover()){
+          y = swimLaneArr[i].getBottomY()
+          startIndex = i;
+          break;
+        }
+      }
+    }
+
+    let startY = y;
+
+    // lay out hovered swimlane and above
+    for(let i = startIndex;i>=0;i--){
+      if(!swimLaneArr[i].isShown()) continue;
+      swimLaneArr[i].setBottomY(y);
+      swimLaneArr[i].setUpTimePeriods(ctx, timeline);
+      y -= swimLaneArr[i].getHeight();
+    }
+
+    // lay out swimlanes below hovered swimlane
+    if(startIndex == swimLaneArr.length-1){
+      return 0;
+    }
+
+    y = startY;
+    for(let i = startIndex + 1;i<swimLaneArr.length;i++){
+      if(!swimLaneArr[i].isShown()) continue;
+      let oldHeight = swimLaneArr[i].getHeight();
+
+      swimLaneArr[i].setBottomY(y + oldHeight);
+      swimLaneArr[i].setUpTimePeriods(ctx, timeline);
+      let newHeight = swimLaneArr[i].getHeight();
+      let deltaHeight = newHeight - oldHeight;
+      if(deltaHeight != 0){
+        // the time periods were set up at the bottom of the old height
+        swimLaneArr[i].setBottomY(y + newHeight);
+        swimLaneArr[i].setUpView(ctx, timeline);
+      }
+      y += newHeight;
+
+      yAdjustment += deltaHeight
+    }
+
+    return yAdjustment
+  }
+
+  /**
+   * Draws the backgrounds of a list of swim lanes and group header bands where they were laid out, see `layOut`.
+   *
+   * @static
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context to draw on.
+   * @param {Array<SwimLane|SwimLaneGroup>} swimLaneArr - An array of SwimLane instances and group header bands to draw.
+   * @param {boolean} [showHeaders=true] - Whether to draw the header tabs, see `drawBackground`.
+   * @returns {void}
+   */
+  static drawBackgrounds(ctx, swimLaneArr, showHeaders = true){
+    for(let i = swimLaneArr.length-1;i>=0;i--){
+      if(!swimLaneArr[i].isShown()) continue;
+      swimLaneArr[i].drawBackground(ctx, swimLaneArr[i].getBottomY() - swimLaneArr[i].getHeight(), showHeaders);
+    }
+  }
+
+  /**
+   * Draws the foreground (time periods) for each visible SwimLane in top-to-bottom order.
+   * 
+   * Assumes that layout has already been set up and that each SwimLane knows its position.
+   *
+   * @static
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @param {SwimLane[]} swimLaneArr - An array of SwimLane instances whose time periods should be drawn.
+   * @returns {void}
+   */
+  static drawForegrounds(ctx, swimLaneArr){
+    // function to draw foregrounds for an array of SwimLanes, beginning at y coordinate
+    for(let i = 0;i<swimLaneArr.length;i++){
+      if(!swimLaneArr[i].isShown()) continue;
+      swimLaneArr[i].drawTimePeriods(ctx);
+    }
+  }
+
+  rescale(){
+    this.#needsNewRows = true;
+    this.#periodIndex = null;
+    this.#shownIndex = null;
+    this.#drawVersion = ++SwimLane.#drawChangeCount;
+    this.#contentVersion = this.#drawVersion;
+  }
+
+  /**
+   * Lays out the time periods again after the scale or the width of the timeline changed, unlike `rescale`
+   * keeping what doesn't depend on them: the rows of the stable row layout, which are assigned by date, are only
+   * assigned again when the time periods or the layout change, see `Timeline.setRowLayout`.
+   *
+   * @returns {void}
+   */
+  changeScale(){
+    if(!this.#areRowsStable) this.#needsNewRows = true;
+    this.#drawVersion = ++SwimLane.#drawChangeCount;
+  }
+
+  /**
+   * Returns a number that changes whenever the swim lane draws its time periods differently other than by
+   * moving with the view, e.g. after `rescale` or when it starts or stops drawing clusters, so what it drew can
+   * be kept until then. No other swim lane has the same number.
+   *
+   * @returns {number} The number of the last change, 0 before the first.
+   */
+  getDrawVersion(){
+    return this.#drawVersion;
+  }
+
+  /**
+   * Returns a number that changes whenever the time periods of the swim lane may have changed, e.g. were added,
+   * removed or redated, see `rescale`. Unlike `getDrawVersion`, it stays the same when the scale changes.
+   * No other swim lane has the same number.
+   *
+   * @returns {number} The number of the last change, 0 before the first.
+   */
+  getContentVersion(){
+    return this.#contentVersion;
+  }
+
+  hide = () => this.#isHidden = true;
+  show = () => this.#isHidden = false;
+
+  /**
+   * Returns whether the swim lane is collapsed to a strip showing the density of its time periods.
+   *
+   * @returns {boolean} `true` if the swim lane is collapsed.
+   */
+  isCollapsed(){
+    return this.#isCollapsed;
+  }
+
+  /**
+   * Collapses the swim lane to a strip showing the density of its time periods, or expands it again.
+   *
+   * @param {boolean} isCollapsed - Whether the swim lane is collapsed.
+   * @returns {void}
+   */
+  setCollapsed(isCollapsed){
+    this.#isCollapsed = isCollapsed;
+    if(!isCollapsed) this.#height = this.#minHeight; // until the rows are assigned, an empty swim lane keeps it
+    this.rescale();
+  }
+
+  toggleVisibility(){
+    this.#isHidden = !this.#isHidden;
+  }
+
+  getVisibility(){
+    return !this.#isHidden;
+  }
+
+  /**
+   * Returns whether the swim lane is drawn: it isn't hidden, and its group (if any) is neither hidden nor collapsed.
+   *
+   * @returns {boolean} `true` if the swim lane is drawn.
+   */
+  isShown(){
+    return !this.#isHidden && (!this.#group || (this.#group.getVisibility() && !this.#group.isCollapsed()));
+  }
+
+  /**
+   * Returns the group the swim lane is in.
+   *
+   * @returns {SwimLaneGroup|null} The group, or `null` if the swim lane isn't in one.
+   */
+  getGroup(){
+    return this.#group;
+  }
+
+  /**
+   * Puts the swim lane in a group. The timeline keeps the swim lanes of a group together, see `Timeline.load`.
+   *
+   * @param {SwimLaneGroup|null} group - The group, or `null` for none.
+   * @returns {void}
+   */
+  setGroup(group){
+    this.#group = group;
+  }
+
+  getId(){
+    return this.#id;
+  }
+
+  getName(){
+    return this.#name;
+  }
+
+  getColor(){
+    return this.#color;
+  }
+
+  setName(name){
+    this.#name = name;
+  }
+
+  setColor(color){
+    this.#color = color;
+  }
+
+  setWidth(width){
+    this.#width = width;
+  }
+
+  getHeight(){
+    if(this.#isHidden) return 0;
+    return this.#height;
+  }
+
+  setBottomY(y){
+    this.#bottomY = y;
+  }
+
+  getBottomY(){
+    return this.#bottomY;
+  }
+
+  getHeight(){
+    return this.#height
+  }
+
+  setIsHover(isHover){
+    this.#isHover = isHover;
+  }
+
+  getIsHover(){
+    return this.#isHover;
+  }
+  
+
+  /**
+   * Returns the time periods of the swim lane without their children.
+   *
+   * @returns {TimePeriod[]} The time periods, ordered by start date.
+   */
+  getTimePeriods(){
+    return this.#timePeriodArr;
+  }
+
+  /**
+   * Returns every time period of the swim lane, each followed by its descendants.
+   *
+   * @returns {TimePeriod[]} The time periods.
+   */
+  getAllTimePeriods(){
+    return this.#timePeriodArr.flatMap(timePeriod => [timePeriod, ...timePeriod.getDescendants()]);
+  }
+
+  /**
+   * Returns the time periods that are drawn: those without a parent, and the children of expanded time periods
+   * that are shown.
+   *
+   * @returns {TimePeriod[]} The time periods.
+   */
+  getShownTimePeriods(){
+    const getShown = timePeriod => [timePeriod, ...(timePeriod.isExpanded() ? timePeriod.getChildren().flatMap(getShown) : [])];
+    return this.#timePeriodArr.flatMap(getShown);
+  }
+
+  /**
+   * Adds a time period, keeping the time periods ordered by start date as row assignment expects.
+   *
+   * @param {TimePeriod} timePeriod - The time period to add.
+   * @param {TimePeriod|null} [parent=null] - The time period of this swim lane to add it to as a child,
+   *   or `null` to add it without a parent.
+   * @returns {void}
+   */
+  addTimePeriod(timePeriod, parent=null){
+    if(parent){
+      parent.addChild(timePeriod);
+    }else{
+      const index = this.#timePeriodArr.findIndex(other => other.getStartDate() > timePeriod.getStartDate());
+      if(index == -1) this.#timePeriodArr.push(timePeriod);
+      else this.#timePeriodArr.splice(index, 0, timePeriod);
+    }
+    this.rescale();
+  }
+
+  /**
+   * Removes a time period from the swim lane, with its children.
+   *
+   * @param {TimePeriod} timePeriod - The time period to remove.
+   * @returns {boolean} `true` if the time period was in the swim lane.
+   */
+  removeTimePeriod(timePeriod){
+    if(!this.getAllTimePeriods().includes(timePeriod)) return false;
+    const parent = timePeriod.getParent();
+    if(parent) parent.removeChild(timePeriod);
+    else this.#timePeriodArr.splice(this.#timePeriodArr.indexOf(timePeriod), 1);
+    this.rescale();
+    return true;
+  }
+
+  /**
+   * Orders the time periods and their children by start date again after their dates changed.
+   *
+   * @returns {void}
+   */
+  sortTimePeriods(){
+    this.#timePeriodArr.sort((a, b) => a.getStartDate() - b.getStartDate());
+    this.#timePeriodArr.forEach(timePeriod => timePeriod.sortChildren());
+    this.rescale();
+  }
+
+  /**
+   * Returns the swim lane as JSON in the format `Timeline.load` reads.
+   *
+   * @param {function(Date, string, boolean): string} formatDate - Formats the dates, see `TimePeriod.toJSON`.
+   * @returns {Object} The swimlane JSON.
+   */
+  toJSON(formatDate){
+    return {
+      ...(this.#id && { id: this.#id }),
+      title: this.#name,
+      isHidden: this.#isHidden,
+      color: this.#color,
+      timePeriods: this.#timePeriodArr.map(timePeriod => timePeriod.toJSON(formatDate))
+    };
+  }
+
+  /**
+   * Draws the background of the swim lane at the specified Y-coordinate.
+   * 
+   * Fills the swim lane area with its configured color, optionally draws borders and the title (unless it is
+   * collapsed) and the header tab, and updates the internal `#bottomY` position for layout tracking.
+   * 
+   * Skips rendering if the swim lane is not shown, see `isShown`.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @param {number} y - The Y-coordinate of the top of the swim lane.
+   * @param {boolean} [showHeader=true] - Whether to draw the header tab, which exports leave out.
+   * @returns {void}
+   */
+  drawBackground(ctx, y, showHeader = true){
+    if(!this.isShown()) return;
+    this.#bottomY = y + this.#height;
+
+    ctx.fillStyle = this.#color;
+    ctx.fillRect(0, y, this.#width, this.#height);
+    if(SHOWSWIMLANEBORDERS) this.#drawBorder(ctx, y);
+    if(!this.#isCollapsed) this.#drawTitle(ctx, y);
+    if(showHeader) this.#drawHeader(ctx, y);
+    else this.#header = null;
+  }
+
+  /**
+   * Draws the header tab at the top left of the swim lane: a grip to drag the swim lane to another position,
+   * its name, and an arrow to collapse or expand it.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @param {number} y - The Y-coordinate of the top of the swim lane.
+   * @returns {void}
+   */
+  #drawHeader(ctx, y){
+    const height = 18;
+    const arrowWidth = 18;
+    ctx.font = this.#headerFont;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    const label = "⠿ " + this.#name;
+    const width = ctx.measureText(label).width + 10 + arrowWidth;
+    this.#header = { x: 0, y, width, height, arrowX: width - arrowWidth };
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+    ctx.fillRect(0, y, width, height);
+    ctx.fillStyle = "white";
+    ctx.fillText(label, 5, y + height/2);
+    ctx.textAlign = "center";
+    ctx.fillText(this.#isCollapsed ? "▸" : "▾", width - arrowWidth/2, y + height/2);
+    ctx.textAlign = "left";
+  }
+
+  /**
+   * Returns which part of the header tab is at a point of the last draw, see `#drawHeader`.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {string|null} "collapse" for the arrow, "move" for the rest of the tab, or `null` if the point
+   *   is not on the tab.
+   */
+  getHeaderPartAt(x, y){
+    const header = this.#header;
+    if(!this.isShown() || !header) return null;
+    if(x < header.x || x > header.x + header.width || y < header.y || y > header.y + header.height) return null;
+    return x >= header.arrowX ? "collapse" : "move";
+  }
+
+  /**
+   * Counts the time periods, including nested ones, in each bucket of `#densityBucketWidth` pixels across
+   * the swim lane, for the strip of a collapsed swim lane. Only the time periods in view are counted, found in
+   * an interval index that is built again after `rescale`.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used to measure text and layout.
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @returns {void}
+   */
+  #setUpDensity(ctx, timeline){
+    const bucketCount = Math.ceil(this.#width / this.#densityBucketWidth);
+    this.#density = new Array(bucketCount).fill(0);
+    this.#periodIndex ??= new IntervalIndex(this.getAllTimePeriods(), timePeriod => timePeriod.getStartDate().getTime(), timePeriod => timePeriod.getEndDate().getTime());
+    const from = timeline.getDateAtX(-this.#viewMargin).getTime();
+    const to = timeline.getDateAtX(this.#width + this.#viewMargin).getTime();
+    this.#periodIndex.query(from, to).forEach(timePeriod => {
+      timePeriod.setupCoordinates(ctx, timeline, this.#bottomY);
+      const first = Math.max(0, Math.floor(timePeriod.getStartX() / this.#densityBucketWidth));
+      const last = Math.min(bucketCount - 1, Math.floor(timePeriod.getEndX() / this.#densityBucketWidth));
+      for(let i = first;i<=last;i++) this.#density[i]++;
+    });
+  }
+
+  /**
+   * Draws the strip of a collapsed swim lane: a bar in each bucket as high as the number of time periods in it,
+   * relative to the fullest bucket.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @param {number} y - The Y-coordinate of the top of the swim lane.
+   * @returns {void}
+   */
+  #drawDensity(ctx, y){
+    const maxCount = Math.max(0, ...this.#density);
+    if(maxCount == 0) return;
+    const maxHeight = this.#height - 2*this.#margin;
+    const bottomY = y + this.#height - this.#margin;
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+    this.#density.forEach((count, i) => {
+      if(count == 0) return;
+      const barHeight = Math.max(2, maxHeight * count / maxCount);
+      ctx.fillRect(i * this.#densityBucketWidth, bottomY - barHeight, this.#densityBucketWidth - 1, barHeight);
+    });
+  }
+
+  #drawBorder(ctx, y){
+    ctx.strokeStyle = "rgb(255, 255, 255)";
+    ctx.strokeRect(0, y, this.#width, this.#height)
+  }
+
+  #drawTitle(ctx, y){
+    // setup draw title
+      ctx.fillStyle = "rgba(0, 0, 0, 0.1)";
+      ctx.textAlign = "left";
+      ctx.textBaseline = "middle";
+      ctx.font = "80px Arial";
+
+      let labelX = 5;
+      let labelY = y + this.#height - this.#minHeight/2;
+      ctx.fillText(this.#name, labelX, labelY);
+  }
+
+  toString(){
+    return this.#name + this.#isHidden + this.#width + this.#height;
+  }
+
+  /**
+   * Draws the bars of the time periods in view at the last `setUpTimePeriods`, organized by row, from bottom to top.
+   * 
+   * Each row's Y-coordinate is calculated relative to the bottom of the swim lane (`#bottomY`).
+   * The method skips drawing if the swim lane is not shown (see `isShown`) or contains no time periods. A collapsed
+   * swim lane draws its density strip, and a swim lane with too many time periods in view its clusters.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @returns {void}
+   */
+  drawTimePeriods(ctx){
+    if(!this.isShown()) return;
+    if(this.#isCollapsed){
+      this.#drawDensity(ctx, this.#bottomY - this.#height);
+      return;
+    }
+    if(this.#timePeriodArr.length==0) return;
+    
+    if(this.#clusters) this.#drawClusters(ctx);
+    else this.#visibleEntries.forEach(({ timePeriod, row }) => timePeriod.draw(ctx, this.#getRowY(row)));
+  }
+
+  /**
+   * Draws the labels of the time periods in view at the last `setUpTimePeriods`, or the number of time periods
+   * in each cluster, over the bars drawn by `drawTimePeriods`.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @returns {void}
+   */
+  drawLabels(ctx){
+    if(!this.isShown() || this.#isCollapsed) return;
+    if(this.#timePeriodArr.length==0) return;
+
+    if(this.#clusters) this.#drawClusterCounts(ctx);
+    else this.#visibleEntries.forEach(({ timePeriod, row }) => timePeriod.drawLabel(ctx, this.#getRowY(row)));
+  }
+
+  /**
+   * Draws the bounding box of the hovered time period, or darkens the hovered cluster, see `updateClusterHover`.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @returns {void}
+   */
+  drawHighlights(ctx){
+    if(!this.isShown() || this.#isCollapsed) return;
+    if(this.#timePeriodArr.length==0) return;
+
+    const cluster = this.#hoveredCluster;
+    if(this.#clusters && cluster){
+      const { x, y, width, height } = this.#getClusterBar(cluster);
+      ctx.fillStyle = "rgba(0, 0, 0, 0.3)";
+      ctx.fillRect(x, y, width, height);
+    }else if(!this.#clusters){
+      this.#visibleEntries.forEach(({ timePeriod }) => timePeriod.drawHighlight(ctx));
+    }
+  }
+
+  /**
+   * Draws the clusters set up by `#setUpClusters` as a histogram: a bar from the bottom of the swim lane for
+   * each, as high as the number of its time periods relative to the largest cluster. The numbers are drawn above
+   * them by `#drawClusterCounts`.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @returns {void}
+   */
+  #drawClusters(ctx){
+    ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+    this.#clusters.forEach(cluster => {
+      const { x, y, width, height } = this.#getClusterBar(cluster);
+      ctx.fillRect(x, y, width, height);
+    });
+  }
+
+  #drawClusterCounts(ctx){
+    ctx.font = this.#clusterFont;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    this.#clusters.forEach(cluster => {
+      const { x, y, width } = this.#getClusterBar(cluster);
+      ctx.fillText(String(cluster.count), x + width/2, y - 2);
+    });
+    ctx.textAlign = "left";
+  }
+
+  /**
+   * Returns the bar of a cluster in the histogram drawn by `#drawClusters`.
+   *
+   * @private
+   * @param {{count: number, x: number, width: number}} cluster - One of the clusters of the last set up.
+   * @returns {{x: number, y: number, width: number, height: number}} The bar.
+   */
+  #getClusterBar(cluster){
+    const labelHeight = 14;
+    const maxHeight = this.#height - 2*this.#margin - labelHeight - 18; // below the header tab
+    const height = Math.max(2, maxHeight * cluster.count / this.#maxClusterCount);
+    return { x: cluster.x, y: this.#bottomY - this.#margin - height, width: cluster.width - 2, height };
+  }
+
+  /**
+   * Returns the cluster at a point of the last draw, which covers the height of the swim lane.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {{count: number, startDate: Date, endDate: Date, x: number, width: number}|null} The cluster, with
+   *   the number of its time periods and the dates they cover, or `null` if there is none at the point.
+   */
+  getClusterAt(x, y){
+    if(!this.isShown() || this.#isCollapsed || !this.#clusters) return null;
+    if(y < this.#bottomY - this.#height || y > this.#bottomY) return null;
+    return this.#clusters.find(cluster => x >= cluster.x && x < cluster.x + cluster.width) ?? null;
+  }
+
+  /**
+   * Highlights the cluster at the cursor, see `getClusterAt`.
+   *
+   * @param {number} x - The x-coordinate of the cursor on the canvas.
+   * @param {number} y - The y-coordinate of the cursor on the canvas.
+   * @returns {{count: number, startDate: Date, endDate: Date, x: number, width: number}|null} The cluster, or
+   *   `null` if the cursor is not on one.
+   */
+  updateClusterHover(x, y){
+    this.#hoveredCluster = this.getClusterAt(x, y);
+    return this.#hoveredCluster;
+  }
+
+  /**
+   * Returns the y-coordinate of the bottom of a row.
+   *
+   * @private
+   * @param {number} row - The row, 0 at the bottom.
+   * @returns {number} The y-coordinate in pixels.
+   */
+  #getRowY(row){
+    return this.#bottomY - this.#margin - row * this.#rowHeight;
+  }
+
+  /**
+   * Returns the time periods in view at the last `setUpTimePeriods`, the ones that are drawn and can be hovered.
+   *
+   * @returns {TimePeriod[]} The time periods, empty if the swim lane is not shown, collapsed or drawn as clusters.
+   */
+  getVisibleTimePeriods(){
+    if(!this.isShown() || this.#isCollapsed || this.#clusters || this.#timePeriodArr.length==0) return [];
+    return this.#visibleEntries.map(({ timePeriod }) => timePeriod);
+  }
+
+  /**
+   * Sets up the coordinates of a time period in the rows that may be out of view, as `setUpTimePeriods` only
+   * sets up those in view, e.g. for an arrow pointing to it.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used to measure text and layout.
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @param {TimePeriod} timePeriod - The time period.
+   * @returns {boolean} `true` if the time period is in the rows of the swim lane, `false` if it is in another
+   *   swim lane or not shown, e.g. while the swim lane is drawn as clusters.
+   */
+  setUpTimePeriod(ctx, timeline, timePeriod){
+    if(!this.isShown() || this.#isCollapsed || this.#clusters || this.#timePeriodArr.length==0) return false;
+    const entry = this.#rowEntries.get(timePeriod);
+    if(!entry) return false;
+    timePeriod.setupCoordinates(ctx, timeline, this.#getRowY(entry.row));
+    return true;
+  }
+
+  /**
+   * Returns a number that changes whenever the time periods are assigned to rows again, e.g. after they
+   * changed, so what is worked out from the shown time periods can be kept until then. No other swim lane
+   * has the same number.
+   *
+   * @returns {number} The number of the last row assignment, 0 before the first.
+   */
+  getRowsVersion(){
+    return this.#rowsVersion;
+  }
+
+  /**
+   * Calculates layout and assigns rows for all time periods in the swim lane.
+   * 
+   * Each time period is measured using its `measureLabel` method, and assigned to a row 
+   * such that time periods in the same row do not visually overlap. The children of an expanded time
+   * period are packed into rows of their own directly below it, see `#packRows`. The swim lane height is 
+   * adjusted based on the number of rows and their required space.
+   * 
+   * Rows are only assigned again after `rescale`, or after `changeScale` in the packed row layout. Only the
+   * time periods in view are positioned, found in an interval index of the rows, see `#setUpVisible`.
+   * 
+   * Skips setup if the swim lane is not shown or contains no time periods. A collapsed swim lane is a strip
+   * of fixed height, only the density of its time periods is set up. While there are too many time periods in
+   * view to tell apart, only their clusters are set up, see `#setUpClusters`.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used to measure text and layout.
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @returns {void}
+   */
+  setUpTimePeriods(ctx, timeline){
+    if(!this.isShown()) return;
+    if(this.#isCollapsed){
+      this.#height = this.#collapsedHeight;
+      this.#needsNewRows = false; // the rows are assigned again when the swim lane is expanded, see setCollapsed
+      this.#setUpDensity(ctx, timeline);
+      return;
+    }
+    if(!this.#timePeriodArr) return;
+    if(this.#timePeriodArr.length==0) return;
+
+    // too many time periods in view to tell apart are drawn as clusters, the rows are assigned again when they
+    // are drawn again
+    this.#setUpClusters(timeline);
+    if(this.#clusters){
+      this.#height = this.#minHeight;
+      this.#visibleEntries = [];
+      this.#needsNewRows = false;
+      if(!this.#isClustered) this.#drawVersion = ++SwimLane.#drawChangeCount;
+      this.#isClustered = true;
+      return;
+    }
+    if(this.#isClustered){
+      this.#isClustered = false;
+      this.#needsNewRows = true;
+      this.#drawVersion = ++SwimLane.#drawChangeCount;
+    }
+    
+    // skip row assignment if not rescaling
+    if(!this.#needsNewRows){
+      this.#setUpVisible(ctx, timeline);
+      return;
+    } 
+     
+    this.assignRows(ctx, timeline);
+
+    // every time period was measured to pack the rows, those in view are positioned in their rows
+    this.#setUpVisible(ctx, timeline);
+  }
+
+  /**
+   * Assigns the time periods to rows at the scale of the timeline, see `#packRows`, and fits the height of the
+   * swim lane to the rows. `setUpTimePeriods` does this after `rescale`, and the loading worker before the first
+   * draw, see `getRowAssignment`.
+   *
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - The context used to measure text.
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @returns {void}
+   */
+  assignRows(ctx, timeline){
+    if(this.#timePeriodArr.length==0) return;
+
+    this.#needsNewRows = false;
+    this.#areRowsStable = timeline.getRowLayout() == "stable";
+    this.#row = this.#packRows(ctx, timeline, this.#timePeriodArr).rows;
+    this.#rowHeight = this.#timePeriodArr[0].getBoundingHeight();
+    this.#indexRows();
+
+    // Adjust total swim lane height to fit all rows with margin
+    this.#height = Math.max(this.#minHeight,this.#margin*2+this.#row.length*this.#rowHeight);
+  }
+
+  /**
+   * Returns the rows assigned by `assignRows` with the ids of their time periods, and what was measured while
+   * assigning them, so the loading worker can send them to the swim lane of the same time periods on the page,
+   * see `setRowAssignment`.
+   *
+   * @returns {{rows: string[][], rowHeight: number, maxTextWidth: number}|null} The ids in each row from the
+   *   bottom, the height of a row and the widest label, or `null` if the rows are not assigned.
+   */
+  getRowAssignment(){
+    if(this.#needsNewRows || !this.#rowIndex) return null;
+    return {
+      rows: this.#row.map(timePeriods => timePeriods.map(timePeriod => timePeriod.getId())),
+      rowHeight: this.#rowHeight,
+      maxTextWidth: this.#maxTextWidth
+    };
+  }
+
+  /**
+   * Takes rows from `getRowAssignment` of a swim lane with the same time periods at the same scale, so they are
+   * not assigned again at the next `setUpTimePeriods`. Only the time periods in view are measured then.
+   *
+   * @param {{rows: string[][], rowHeight: number, maxTextWidth: number}} rowAssignment - The rows.
+   * @returns {boolean} `true` if the rows were taken, `false` if they are not of the time periods of the swim lane.
+   */
+  setRowAssignment({ rows, rowHeight, maxTextWidth }){
+    const timePeriodsById = new Map(this.getAllTimePeriods().map(timePeriod => [timePeriod.getId(), timePeriod]));
+    const row = rows.map(ids => ids.map(id => timePeriodsById.get(id)));
+    if(row.some(timePeriods => timePeriods.includes(undefined))) return false;
+
+    this.#needsNewRows = false;
+    this.#areRowsStable = false; // the layout they were assigned in isn't known
+    this.#row = row;
+    this.#rowHeight = rowHeight;
+    this.#indexRows(maxTextWidth);
+    this.#height = Math.max(this.#minHeight,this.#margin*2+this.#row.length*this.#rowHeight);
+    return true;
+  }
+
+  /**
+   * Sets up the time periods in view again, keeping their rows and whether they are drawn as clusters: unlike
+   * `setUpTimePeriods`, the height of the swim lane stays the same. Used after the swim lane was moved, or to draw
+   * a wider view than the canvas, see `Timeline.draw`.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used to measure text and layout.
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @returns {void}
+   */
+  setUpView(ctx, timeline){
+    if(!this.isShown()) return;
+    if(this.#isCollapsed){
+      this.#setUpDensity(ctx, timeline);
+      return;
+    }
+    if(this.#timePeriodArr.length==0) return;
+
+    if(this.#clusters) this.#setUpClusters(timeline, true);
+    else if(this.#rowIndex) this.#setUpVisible(ctx, timeline);
+  }
+
+  /**
+   * Sets up the clusters of the time periods in view if there are too many to tell apart: fewer pixels of the
+   * swim lane's width for each than `Timeline.getClusterDensity`. Otherwise there are none.
+   *
+   * The time periods are clustered by where they start (or the left of the view, for those that start before it),
+   * in spans of time `#clusterWidth` pixels wide that stay in place while the view is panned. Each cluster covers
+   * the time from the earliest start to the latest end of its time periods, so zooming to it shows them all.
+   *
+   * @private
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @param {boolean|null} [isClustered=null] - Whether to set up clusters, or `null` to decide by the number of
+   *   time periods in view.
+   * @returns {void}
+   */
+  #setUpClusters(timeline, isClustered = null){
+    this.#clusters = null;
+    const clusterDensity = timeline.getClusterDensity();
+    if(!(clusterDensity > 0) || isClustered === false) return;
+
+    this.#shownIndex ??= new IntervalIndex(this.getShownTimePeriods(), timePeriod => timePeriod.getStartDate().getTime(), timePeriod => timePeriod.getEndDate().getTime());
+    const from = timeline.getDateAtX(-this.#viewMargin).getTime();
+    const to = timeline.getDateAtX(this.#width + this.#viewMargin).getTime();
+    const timePeriods = this.#shownIndex.query(from, to);
+    isClustered ??= timePeriods.length > 0 && this.#width / timePeriods.length < clusterDensity;
+    if(!isClustered) return;
+
+    const spanDuration = this.#clusterWidth * getScaleTypeDuration(timeline.getScaleType()) / timeline.getScaleWidth();
+    const clusters = new Map(); // by the number of their span since 1970
+    timePeriods.forEach(timePeriod => {
+      const start = timePeriod.getStartDate().getTime();
+      const end = timePeriod.getEndDate().getTime();
+      const span = Math.floor(Math.max(start, from) / spanDuration);
+      const cluster = clusters.get(span);
+      if(cluster){
+        cluster.count++;
+        cluster.start = Math.min(cluster.start, start);
+        cluster.end = Math.max(cluster.end, end);
+      }else{
+        clusters.set(span, { span, count: 1, start, end });
+      }
+    });
+
+    this.#clusters = [...clusters.values()].map(({ span, count, start, end }) => {
+      // a cluster of events at about the same date still zooms in
+      const minDuration = spanDuration/4;
+      if(end - start < minDuration){
+        const center = start + (end - start)/2;
+        start = center - minDuration/2;
+        end = center + minDuration/2;
+      }
+      const x = timeline.getXAtDate(new Date(span * spanDuration));
+      const width = timeline.getXAtDate(new Date((span + 1) * spanDuration)) - x;
+      return { count, startDate: new Date(start), endDate: new Date(end), x, width };
+    });
+    // the same cluster stays hovered until the cursor moves
+    const hoveredStart = this.#hoveredCluster?.startDate.getTime();
+    this.#hoveredCluster = this.#clusters.find(cluster => cluster.startDate.getTime() == hoveredStart) ?? null;
+    this.#maxClusterCount = this.#clusters.reduce((max, cluster) => Math.max(max, cluster.count), 0);
+  }
+
+  /**
+   * Builds the interval index of the time periods in the rows, by their dates. Called after the rows are
+   * assigned, with the time periods set up.
+   *
+   * @private
+   * @param {number|null} [maxTextWidth=null] - The widest label in the rows, measured where they were assigned,
+   *   or `null` to find it among the time periods, see `setRowAssignment`.
+   * @returns {void}
+   */
+  #indexRows(maxTextWidth = null){
+    // the entries are numbered in drawing order, row by row
+    const entries = this.#row.flatMap((timePeriods, row) => timePeriods.map(timePeriod => ({ timePeriod, row })));
+    entries.forEach((entry, i) => entry.order = i);
+    this.#rowIndex = new IntervalIndex(entries, ({ timePeriod }) => timePeriod.getStartDate().getTime(), ({ timePeriod }) => timePeriod.getEndDate().getTime());
+    this.#rowEntries = new Map(entries.map(entry => [entry.timePeriod, entry]));
+    this.#maxTextWidth = maxTextWidth ?? entries.reduce((maxWidth, { timePeriod }) => Math.max(maxWidth, timePeriod.getTextWidth()), 0);
+    this.#rowsVersion = ++SwimLane.#rowAssignmentCount;
+  }
+
+  /**
+   * Returns the entries of the row index that are in view, in drawing order.
+   *
+   * A time period is in view if its dates overlap the dates across the canvas, widened by `#viewMargin` and,
+   * on the left, by the widest label: labels start at the start of their time period, so one that ends before
+   * the canvas can still reach into it.
+   *
+   * @private
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @returns {{timePeriod: TimePeriod, row: number, order: number}[]} The entries.
+   */
+  #getEntriesInView(timeline){
+    const from = timeline.getDateAtX(-this.#viewMargin - this.#maxTextWidth).getTime();
+    const to = timeline.getDateAtX(timeline.getCanvasWidth() + this.#viewMargin).getTime();
+    return this.#rowIndex.query(from, to).sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Positions the time periods in view, keeping their rows.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used to measure text and layout.
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @returns {void}
+   */
+  #setUpVisible(ctx, timeline){
+    this.#visibleEntries = this.#getEntriesInView(timeline);
+    this.#visibleEntries.forEach(({ timePeriod, row }) => timePeriod.setupCoordinates(ctx, timeline, this.#getRowY(row)));
+  }
+
+  /**
+   * Assigns time periods ordered by start date to rows, each in the lowest row it fits into without overlap.
+   * 
+   * An expanded time period is placed as a block: the rows of its packed children, with the time period in the
+   * row above them. A block fits where every row it covers is free from its start, so children stay directly
+   * below their parent. A time period with a `row` (see `TimePeriod.getRow`) has its block placed from that row
+   * up, even if it overlaps another one there, and the others are placed around it.
+   * 
+   * In the packed row layout (see `Timeline.setRowLayout`) time periods are placed by their extent at the scale
+   * of the timeline (see `TimePeriod.getLayoutExtent`), not by where they are drawn, so the rows fit wherever the
+   * view is panned to. In the stable row layout they are placed by their dates (see `TimePeriod.getDateExtent`),
+   * so the rows are the same at every scale.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used to measure text and layout.
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @param {TimePeriod[]} timePeriods - The time periods, ordered by start date.
+   * @returns {{rows: TimePeriod[][], start: number, end: number}} The rows from the bottom, and the smallest
+   *   start and largest end of the time periods in them, as x-coordinates or in milliseconds.
+   */
+  #packRows(ctx, timeline, timePeriods){
+    const labelAllowance = timeline.getLabelAllowance();
+    const getExtent = timeline.getRowLayout() == "stable"
+      ? timePeriod => timePeriod.getDateExtent(labelAllowance ? labelAllowance.count*getScaleTypeDuration(labelAllowance.scaleType) : 0)
+      : timePeriod => timePeriod.getLayoutExtent(timeline);
+
+    // the blocks of the time periods, with where they start and end rounded for consistency
+    const blocks = timePeriods.map(timePeriod => {
+      timePeriod.measureLabel(ctx); // only those in view are positioned, see #setUpVisible
+      if(PRINTTIMEPERIODS) console.log(timePeriod.toStringShort());
+
+      const extent = getExtent(timePeriod);
+      const block = { rows: [[timePeriod]], start: extent.start, end: extent.end, row: timePeriod.getRow() };
+      if(timePeriod.isExpanded() && timePeriod.getChildren().length > 0){
+        const children = this.#packRows(ctx, timeline, timePeriod.getChildren());
+        block.rows = [...children.rows, [timePeriod]];
+        block.start = Math.min(block.start, children.start);
+        block.end = Math.max(block.end, children.end);
+      }
+      block.start = Math.ceil(block.start);
+      block.end = Math.floor(block.end);
+      return block;
+    });
+    const fixedBlocks = blocks.filter(block => block.row !== null);
+    const isClearOfFixed = (block, row) => fixedBlocks.every(fixedBlock => {
+      return fixedBlock.row + fixedBlock.rows.length <= row || row + block.rows.length <= fixedBlock.row
+        || fixedBlock.end <= block.start || block.end <= fixedBlock.start;
+    });
+
+    const rows = [];
+    const rowEnds = new RowEnds(); // end of the last block in each row, not counting those with a row
+    blocks.forEach(block => {
+      // Try to place the block into the first row it can fit into without overlap
+      let curRow = block.row;
+      if(curRow === null){
+        const fits = row => block.rows.every((blockRow, k) => rowEnds.isFree(row + k, block.start)) && isClearOfFixed(block, row);
+        curRow = rowEnds.findFirstFree(block.start);
+        while(!fits(curRow)) curRow = rowEnds.findFirstFree(block.start, curRow + 1);
+        block.rows.forEach((blockRow, k) => rowEnds.set(curRow + k, block.end));
+      }
+
+      block.rows.forEach((blockRow, k) => {
+        rows[curRow + k] ??= [];
+        rows[curRow + k].push(...blockRow);
+      });
+    });
+
+    return {
+      rows: Array.from(rows, row => row ?? []), // rows below a block with a row may be empty
+      start: blocks.reduce((start, block) => Math.min(start, block.start), Infinity),
+      end: blocks.reduce((end, block) => Math.max(end, block.end), -Infinity)
+    };
+  }
+
+}
+
+/**
+ * Represents a group of swim lanes, e.g. "Politics" for the swim lanes of several empires.
+ *
+ * The group is drawn as a header band above its swim lanes, laid out in the same stack as the swim lanes,
+ * see `SwimLane.layOut`. Hiding the group hides its swim lanes, and collapsing it leaves only the band.
+ * Which swim lanes are in the group is kept by the swim lanes, see `SwimLane.getGroup`.
+ *
+ * @class
+ */
+class SwimLaneGroup{
+  #id;
+  #name;
+  #isHidden;
+  #isCollapsed;
+  #color;
+  #width = 0;
+  #height = 24;
+  #bottomY = 0;
+  #header = null; // bounds of the band of the last draw, if it can be clicked, see isHeaderAt
+  #font = "bold 14px Arial";
+
+  /**
+   * Creates a new group of swim lanes.
+   *
+   * @constructor
+   * @param {string} name - The name of the group, shown in its header band.
+   * @param {boolean} [isHidden=false] - Whether the group and its swim lanes are hidden.
+   * @param {boolean} [isCollapsed=false] - Whether only the header band is shown.
+   * @param {string} [color="rgb(90,90,90)"] - The background color of the header band (CSS color string).
+   * @param {string} [id=""] - The id of the group, unique among the groups.
+   */
+  constructor(name, isHidden=false, isCollapsed=false, color="rgb(90,90,90)", id=""){
+    this.#id = id;
+    this.#name = name;
+    this.#isHidden = isHidden;
+    this.#isCollapsed = isCollapsed;
+    this.#color = color;
+  }
+
+  getId(){
+    return this.#id;
+  }
+
+  getName(){
+    return this.#name;
+  }
+
+  setName(name){
+    this.#name = name;
+  }
+
+  getColor(){
+    return this.#color;
+  }
+
+  getVisibility(){
+    return !this.#isHidden;
+  }
+
+  /**
+   * Returns whether the header band is drawn, the same as `getVisibility`, see `SwimLane.isShown`.
+   *
+   * @returns {boolean} `true` if the group isn't hidden.
+   */
+  isShown(){
+    return !this.#isHidden;
+  }
+
+  hide = () => this.#isHidden = true;
+  show = () => this.#isHidden = false;
+
+  toggleVisibility(){
+    this.#isHidden = !this.#isHidden;
+  }
+
+  isCollapsed(){
+    return this.#isCollapsed;
+  }
+
+  setCollapsed(isCollapsed){
+    this.#isCollapsed = isCollapsed;
+  }
+
+  setWidth(width){
+    this.#width = width;
+  }
+
+  getHeight(){
+    return this.#height;
+  }
+
+  getBottomY(){
+    return this.#bottomY;
+  }
+
+  setBottomY(y){
+    this.#bottomY = y;
+  }
+
+  // the header band is laid out like a swim lane without time periods, see SwimLane.layOut
+  setUpTimePeriods(){}
+  setUpView(){}
+  drawTimePeriods(){}
+
+  getIsHover(){
+    return false;
+  }
+
+  /**
+   * Draws the header band with the name of the group, and an arrow showing whether it is collapsed.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @param {number} y - The Y-coordinate of the top of the band.
+   * @param {boolean} [showHeader=true] - Whether the band can be clicked and shows the arrow, which exports leave out.
+   * @returns {void}
+   */
+  drawBackground(ctx, y, showHeader = true){
+    if(this.#isHidden) return;
+    this.#bottomY = y + this.#height;
+    this.#header = showHeader ? { y, height: this.#height } : null;
+
+    ctx.fillStyle = this.#color;
+    ctx.fillRect(0, y, this.#width, this.#height);
+    ctx.fillStyle = "white";
+    ctx.font = this.#font;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    ctx.fillText((showHeader ? (this.#isCollapsed ? "▸ " : "▾ ") : "") + this.#name, 8, y + this.#height/2);
+  }
+
+  /**
+   * Returns whether a point of the last draw is on the header band.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {boolean} `true` if the point is on the band.
+   */
+  isHeaderAt(x, y){
+    const header = this.#header;
+    if(this.#isHidden || !header) return false;
+    return x >= 0 && x <= this.#width && y >= header.y && y <= header.y + header.height;
+  }
+
+  /**
+   * Returns the group as JSON in the format `Timeline.load` reads.
+   *
+   * @param {Object[]} swimlanesJson - The JSON of the swim lanes in the group, see `SwimLane.toJSON`.
+   * @returns {Object} The group JSON.
+   */
+  toJSON(swimlanesJson){
+    return {
+      ...(this.#id && { id: this.#id }),
+      title: this.#name,
+      isHidden: this.#isHidden,
+      isCollapsed: this.#isCollapsed,
+      color: this.#color,
+      swimlanes: swimlanesJson
+    };
+  }
+}
+
+/**
+ * Represents a labeled time period to be displayed on a timeline.
+ * 
+ * A time period has a name, description, start and end dates.
+ * It is rendered as a colored bar with optional gradient fades and a label, and is aware of its own 
+ * layout and drawing properties.
+ * 
+ * A time period whose start and end dates are equal is an event (milestone). Events are rendered
+ * as a fixed size diamond marker with a label, so they stay visible at every scale.
+ * 
+ * Used internally by the `Timeline` and `SwimLane` classes for layout, rendering,
+ * and user interaction (e.g., hover and click).
+ * 
+ * @class
+ */
+class TimePeriod{
+  #id;
+  #name;
+  #description;
+  #startDate;
+  #hasApproxStartDate;
+  #endDate;
+  #hasApproxEndDate;
+  #x;
+  #endX;
+  #y;
+  #barY;
+  #width;
+  #height = 15;
+  #textWidth;
+  #boundingWidth;
+  #boundingBoxVisible = false;
+  #topMarginSize = 2;
+  #sideMarginSize = 2;
+  #boundingHeight = this.#height*2 + this.#topMarginSize*2; // the bar and the label above it
+  #color1;
+  #color2;
+  #font = "14px Arial";
+  #isDimmed = false;
+  #startPrecision;
+  #endPrecision;
+  #hasExclusiveEnd;
+  #links = [];
+  #children = [];
+  #parent = null;
+  #isExpanded = false;
+  #row = null; // the row the time period is placed in, or null to place it in the lowest one it fits into
+  #nameWidth;
+  #badgeWidth = 0;
+  #badgeFont = "bold 11px Arial";
+  #badgeArrowSize = 8; // the arrow of the badge is a path, as the fonts of PDF exports have no arrow glyph
+  #measured = null; // the context and text the label widths were measured with, see measureLabel
+  static #drawChangeCount = 0; // of all time periods, see getDrawVersion
+
+  /**
+   * Constructs a new TimePeriod instance.
+   *
+   * @param {string} name - The name of the time period (e.g., "World War II").
+   * @param {Date} startDate - The starting date of the period.
+   * @param {Date} endDate - The ending date of the period.
+   * @param {boolean} hasApproxStartDate - Whether the start date is approximate.
+   * @param {boolean} hasApproxEndDate - Whether the end date is approximate.
+   * @param {string} description - A short description to display for the time period.
+   * @param {string} [color1="black"] - Primary color (fill or gradient start).
+   * @param {string} [color2="black"] - Secondary color (stroke or gradient end).
+   * @param {Object} [options={}] - How precisely the dates are known, used to display them.
+   * @param {string} [options.startPrecision="date"] - The smallest unit of the start date, e.g. "year" or "minute".
+   * @param {string} [options.endPrecision="date"] - The smallest unit of the end date.
+   * @param {boolean} [options.hasExclusiveEnd=false] - Whether the end date is the start of the unit after the
+   *   last one the time period covers, e.g. 1701-01-01 for a time period ending in 1700.
+   * @param {string} [options.id=""] - The id of the time period, see `Timeline.getPeriodById`.
+   * @param {TimePeriodLink[]} [options.links=[]] - Links to other time periods, see `Timeline.getLinks`.
+   * @param {TimePeriod[]} [options.children=[]] - Time periods nested in this one, see `getChildren`.
+   * @param {boolean} [options.isExpanded=false] - Whether the children are shown.
+   * @param {number|null} [options.row=null] - The row to place the time period in, see `getRow`.
+   */
+  constructor(name, startDate, endDate, hasApproxStartDate, hasApproxEndDate, description, color1="black", color2="black", options = {}){
+    this.#id = options.id ?? "";
+    this.#name = name;
+    this.#description = description;
+    this.#startDate = startDate;
+    this.#endDate = endDate;
+    this.#hasApproxStartDate = hasApproxStartDate;
+    this.#hasApproxEndDate = hasApproxEndDate;
+    this.#color1 = color1;
+    this.#color2 = color2;
+    this.#startPrecision = options.startPrecision ?? "date";
+    this.#endPrecision = options.endPrecision ?? "date";
+    this.#hasExclusiveEnd = options.hasExclusiveEnd ?? false;
+    this.setLinks(options.links ?? []);
+    this.#isExpanded = options.isExpanded ?? false;
+    this.#row = options.row ?? null;
+    (options.children ?? []).forEach(child => this.addChild(child));
+  }
+
+  /**
+   * Returns whether this time period is an event, i.e. a zero duration milestone.
+   *
+   * @returns {boolean} `true` if the start and end dates are equal, otherwise `false`.
+   */
+  isEvent(){
+    return this.#startDate.getTime() === this.#endDate.getTime();
+  }
+
+  /**
+   * Formats a `Date` object as a `DD/MM/YYYY` string with AD/BC suffix,
+   * and optionally prepends "c." to indicate an approximate date.
+   * 
+   * Only the components down to the precision are shown, with a time for precisions below a day.
+   * 
+   * Example output:
+   * - "03/07/1920 AD"
+   * - "07/1920 AD" (month precision)
+   * - "03/07/1920 AD 14:30" (minute precision)
+   * - "c. 44 BC"
+   * 
+   * @private
+   * @method
+   * @param {Date} date - The date to format.
+   * @param {boolean} [approx=false] - Whether to mark the date as approximate (adds "c.").
+   * @param {string} [precision="date"] - The smallest unit to show, e.g. "year", "month", "date" or "minute".
+   * @param {{era?: string, calendar?: string}} [dateFormat={}] - The era and calendar to display the date in.
+   * @returns {string} The formatted date string.
+   */
+  #formatDateDMY(date, approx = false, precision = "date", dateFormat = {}) {
+    const pad = (value, length = 2) => value.toString().padStart(length, '0');
+    const calendarDate = getCalendarDate(date, dateFormat.calendar);
+    const day = pad(calendarDate.day);
+    const month = pad(calendarDate.month + 1);
+    const yearStr = formatYear(calendarDate.year, dateFormat.era);
+
+    if(approx || precision == "year") return approx ? `c. ${yearStr}` : yearStr;
+    if(precision == "month") return `${month}/${yearStr}`;
+
+    let str = `${day}/${month}/${yearStr}`;
+    if(precision == "hour" || precision == "minute") str += ` ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    if(precision == "second") str += ` ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    if(precision == "millisecond") str += ` ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    return str;
+  }
+
+  /**
+   * Updates the visual and interaction state of the time period based on mouse position.
+   * 
+   * Determines whether the mouse is currently hovering over the time period's bounding box,
+   * and toggles the bounding box visibility for highlighting.
+   *
+   * @param {number} mouseX - The current X-coordinate of the mouse relative to the canvas.
+   * @param {number} mouseY - The current Y-coordinate of the mouse relative to the canvas.
+   * @returns {boolean} `true` if the mouse is inside the time period's bounding box, otherwise `false`.
+   */
+  updateMouseState(mouseX, mouseY){
+    let cursorIsInBoundingBox = false;
+
+    let boundingStartX = this.#x;
+    let boundingEndX = this.#x + this.#boundingWidth;
+    let boundingStartY = this.#y;
+    let boundingEndY = this.#y + this.#boundingHeight;
+    
+    // if mouse is in bounding box
+    if(boundingStartX < mouseX && mouseX < boundingEndX && boundingStartY < mouseY && mouseY < boundingEndY){
+      this.#boundingBoxVisible = true;
+      cursorIsInBoundingBox = true;
+    }else{
+      this.#boundingBoxVisible = false;
+    }
+
+    return cursorIsInBoundingBox;
+  }
+
+  /**
+   * Populates the info panel with details about the time period: name, dates and description, as text.
+   *
+   * Links from and to the time period are listed as buttons with the id of the other time period
+   * in `data-period-id`, which the viewer goes to when clicked.
+   *
+   * @param {HTMLElement} infoPanel - The element to render the details into.
+   * @param {{era?: string, calendar?: string}} [dateFormat={}] - The era and calendar to display the dates in.
+   * @param {{from: TimePeriod, to: TimePeriod, type: string, label?: string}[]} [links=[]] - The links
+   *   from and to the time period, see `Timeline.getLinksOf`.
+   * @returns {void}
+   */
+  showInfo(infoPanel, dateFormat = {}, links = []){
+    // the name and description are text, which may come from anyone who can change the timeline, never HTML
+    infoPanel.innerHTML = "";
+    const header = infoPanel.appendChild(document.createElement("div"));
+    header.classList.add("info-panel-header");
+    header.appendChild(document.createElement("b")).textContent = this.#name;
+    const dates = header.appendChild(document.createElement("p"));
+    dates.classList.add("info-panel-dates");
+    dates.textContent = this.getFormattedDates(dateFormat);
+    infoPanel.appendChild(document.createElement("p")).textContent = this.#description;
+    if(links.length == 0) return;
+
+    const list = document.createElement("ul");
+    list.classList.add("info-panel-links");
+    links.forEach(link => {
+      const isFromThis = link.from === this;
+      const other = isFromThis ? link.to : link.from;
+      const button = document.createElement("button");
+      button.type = "button";
+      button.classList.add("info-panel-link");
+      button.dataset.periodId = other.getId();
+      button.textContent = (isFromThis ? "→ " : "← ") + (link.label ?? LINKLABELS[link.type][isFromThis ? 0 : 1]) + ": " + other.getName();
+      list.appendChild(document.createElement("li")).appendChild(button);
+    });
+    infoPanel.appendChild(list);
+  }
+
+  /**
+   * Returns the dates of the time period formatted for display, e.g. "03/07/1920 AD to c. 44 BC".
+   * 
+   * Events return their single date.
+   *
+   * @param {{era?: string, calendar?: string}} [dateFormat={}] - The era and calendar to display the dates in.
+   * @returns {string} The formatted dates.
+   */
+  getFormattedDates(dateFormat = {}){
+    // an exclusive end date is the start of the next unit, show the last unit covered
+    const lastEndDate = this.#hasExclusiveEnd ? new Date(this.#endDate.getTime() - 1) : this.#endDate;
+
+    let startDate = this.#formatDateDMY(this.#startDate, this.#hasApproxStartDate, this.#startPrecision, dateFormat);
+    let endDate = this.#formatDateDMY(lastEndDate, this.#hasApproxEndDate, this.#endPrecision, dateFormat);
+    if(this.isEvent()) return startDate;
+    return `${startDate} to ${endDate}`;
+  }
+
+  /**
+   * Returns a detailed string representation of the time period's internal state.
+   * 
+   * Includes name, description, dates, dimensions, and rendering-related properties,
+   * primarily for debugging or logging purposes.
+   *
+   * @returns {string} A multiline string describing the time period's properties.
+   */
+  toString() {
+    return `Name: ${this.#name}
+        Description: ${this.#description}
+        Start Date: ${this.#startDate}
+        Has Approximate Start Date: ${this.#hasApproxStartDate}
+        End Date: ${this.#endDate}
+        Has Approximate End Date: ${this.#hasApproxEndDate}
+        X: ${this.#x}
+        Y: ${this.#y}
+        Width: ${this.#width}
+        Height: ${this.#height}
+        Text Width: ${this.#textWidth}
+        Bounding Width: ${this.#boundingWidth}
+        Bounding Height: ${this.#boundingHeight}
+      Bounding Box Visible: ${this.#boundingBoxVisible}`;
+  }
+
+  /**
+   * Returns a short string representation of the time period's name and start date.
+   * 
+   * Format: `"<name> YYYY/MM/DD HH:MM:SS"`
+   * 
+   * Primarily used for quick logging or debugging output.
+   *
+   * @returns {string} A single-line summary of the time period's name and precise start time.
+   */
+  toStringShort(){
+    let d = this.#startDate;
+    let month = d.getMonth()+1;
+    return this.#name + " " + d.getFullYear()+"/"+month+"/"+d.getDate() + " "+d.getHours()+":"+d.getMinutes()+":"+d.getSeconds();
+  }
+
+  setDescription(description){
+    this.#description = description
+    TimePeriod.#drawChangeCount++;
+  }
+
+  getDescription(){
+    return this.#description
+  }
+
+  setName(name){
+    this.#name = name;
+    TimePeriod.#drawChangeCount++;
+  }
+
+  /**
+   * Changes the dates of the time period. Equal dates make it an event.
+   *
+   * @param {Date} startDate - The new start date.
+   * @param {Date} endDate - The new end date, not before the start date.
+   * @param {Object} [options={}] - How precisely the dates are known, see the constructor.
+   * @returns {void}
+   */
+  setDates(startDate, endDate, options = {}){
+    this.#startDate = startDate;
+    this.#endDate = endDate;
+    this.#startPrecision = options.startPrecision ?? "date";
+    this.#endPrecision = options.endPrecision ?? "date";
+    this.#hasExclusiveEnd = options.hasExclusiveEnd ?? false;
+    TimePeriod.#drawChangeCount++;
+  }
+
+  /**
+   * Returns how precisely the dates are known, in the form the constructor and `setDates` take.
+   *
+   * @returns {{startPrecision: string, endPrecision: string, hasExclusiveEnd: boolean}} The precisions.
+   */
+  getPrecision(){
+    return { startPrecision: this.#startPrecision, endPrecision: this.#endPrecision, hasExclusiveEnd: this.#hasExclusiveEnd };
+  }
+
+  /**
+   * @returns {{hasApproxStartDate: boolean, hasApproxEndDate: boolean}} Whether the dates are approximate,
+   *   in the form `setApproxDates` takes.
+   */
+  getApproxDates(){
+    return { hasApproxStartDate: Boolean(this.#hasApproxStartDate), hasApproxEndDate: Boolean(this.#hasApproxEndDate) };
+  }
+
+  setApproxDates(hasApproxStartDate, hasApproxEndDate){
+    this.#hasApproxStartDate = hasApproxStartDate;
+    this.#hasApproxEndDate = hasApproxEndDate;
+    TimePeriod.#drawChangeCount++;
+  }
+
+  getColors(){
+    return { color1: this.#color1, color2: this.#color2 };
+  }
+
+  setColors(color1, color2){
+    this.#color1 = color1;
+    this.#color2 = color2;
+    TimePeriod.#drawChangeCount++;
+  }
+
+  /**
+   * Returns a number that changes whenever the name, description, dates or colors of any time period are
+   * changed, so what the swim lanes drew can be kept until then, see `SwimLane.getDrawVersion`.
+   *
+   * @returns {number} The number of changes, 0 before the first.
+   */
+  static getDrawVersion(){
+    return TimePeriod.#drawChangeCount;
+  }
+
+  /**
+   * Returns the time period as JSON in the format `Timeline.load` reads.
+   * 
+   * Events are written with a single `date`. Children are written in `children`, with `isExpanded`.
+   *
+   * @param {function(Date, string, boolean): string} formatDate - Formats a date, its precision and whether it is
+   *   an exclusive end, in the date format of the timeline, see `Timeline.formatDate`.
+   * @returns {Object} The time period JSON.
+   */
+  toJSON(formatDate){
+    const json = this.#id ? { id: this.#id, name: this.#name } : { name: this.#name };
+    if(this.isEvent()){
+      json.date = formatDate(this.#startDate, this.#startPrecision, false);
+      json.hasApproxDate = Boolean(this.#hasApproxStartDate);
+    }else{
+      json.startDate = formatDate(this.#startDate, this.#startPrecision, false);
+      json.endDate = formatDate(this.#endDate, this.#endPrecision, this.#hasExclusiveEnd);
+      json.hasApproxStartDate = Boolean(this.#hasApproxStartDate);
+      json.hasApproxEndDate = Boolean(this.#hasApproxEndDate);
+    }
+    json.description = this.#description ?? "";
+    json.color1 = this.#color1;
+    json.color2 = this.#color2;
+    if(this.#links.length > 0) json.links = this.getLinks();
+    if(this.#row !== null) json.row = this.#row;
+    if(this.#children.length > 0){
+      json.isExpanded = this.#isExpanded;
+      json.children = this.#children.map(child => child.toJSON(formatDate));
+    }
+    return json;
+  }
+
+  /**
+   * Renders the time period bar on the given canvas context, using gradient styling if the start or end dates
+   * are approximate. Events are drawn with a marker in place of the bar.
+   * 
+   * The label and the bounding box (if hovered) are drawn by `drawLabel` and `drawHighlight`, as they are drawn in
+   * layers of their own, see `Timeline.draw`.
+   * 
+   * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context to draw on.
+   * @param {number} y - The bottom Y-coordinate where the time period should be vertically aligned.
+   * @returns {void}
+   */
+  draw(ctx, y){
+    this.#y = y - this.#boundingHeight; // boundingBox top left corner y coordinate
+    this.#barY = y - this.#height; // time period bar top left corner y coordinate
+
+    // dont draw if width is negative
+    if(this.#width<0) return;
+
+    // draw
+    ctx.globalAlpha = this.#isDimmed ? 0.2 : 1;
+    ctx.lineWidth = 1;
+    if(this.isEvent()) this.#drawMarker(ctx, this.#x, this.#barY, this.#height);
+    else this.#drawBar(ctx, this.#x, this.#barY, this.#width, this.#height)
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Renders the label of the time period above its bar, with the badge of a time period with children. A label
+   * that starts off the left of the screen is moved onto it, as far as the time period reaches.
+   * 
+   * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context to draw on.
+   * @param {number} y - The bottom Y-coordinate where the time period should be vertically aligned.
+   * @returns {void}
+   */
+  drawLabel(ctx, y){
+    this.#y = y - this.#boundingHeight; // boundingBox top left corner y coordinate
+    this.#barY = y - this.#height; // time period bar top left corner y coordinate
+
+    // reposition labelX if off left of screen
+    let labelX = this.#x + this.#sideMarginSize;
+    if(labelX<0){
+      labelX = 0 + this.#sideMarginSize;
+      if((this.#textWidth+ this.#sideMarginSize)>this.getBoundingEndX()){
+        labelX = this.getBoundingEndX() - (this.#textWidth+this.#sideMarginSize)
+      }
+    }
+
+    // dont draw if width is negative
+    if(this.#width<0) return;
+
+    ctx.globalAlpha = this.#isDimmed ? 0.2 : 1;
+    ctx.textBaseline = "top";
+    ctx.fillStyle = this.#color1;
+    ctx.textAlign = "left";
+    ctx.font = this.#font;
+    ctx.fillText(this.#name, labelX, this.#y+this.#topMarginSize)
+    if(this.#children.length > 0) this.#drawBadge(ctx, labelX + this.#nameWidth, this.#y+this.#topMarginSize);
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Renders the bounding box of the time period if the cursor is on it, see `updateMouseState`.
+   * 
+   * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context to draw on.
+   * @returns {void}
+   */
+  drawHighlight(ctx){
+    if(!this.#boundingBoxVisible || this.#width<0) return;
+    ctx.globalAlpha = this.#isDimmed ? 0.2 : 1;
+    ctx.strokeStyle = this.#color2;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(this.#x, this.#y, this.#boundingWidth, this.#boundingHeight);
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Draws the badge after the label of a time period with children: an arrow showing whether it is expanded,
+   * and the number of children.
+   * 
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The 2D canvas rendering context.
+   * @param {number} x - The x-coordinate of the left of the badge.
+   * @param {number} y - The y-coordinate of the top of the badge.
+   * @returns {void}
+   */
+  #drawBadge(ctx, x, y){
+    const size = this.#badgeArrowSize;
+    const arrowX = x + this.#sideMarginSize*1.5;
+    const centerY = y + (this.#height - 1)/2;
+    ctx.fillStyle = "rgb(90, 90, 90)";
+    ctx.fillRect(x, y, this.#badgeWidth - this.#sideMarginSize, this.#height - 1);
+    ctx.fillStyle = "white";
+    ctx.beginPath();
+    if(this.#isExpanded){
+      ctx.moveTo(arrowX, centerY - size/4);
+      ctx.lineTo(arrowX + size, centerY - size/4);
+      ctx.lineTo(arrowX + size/2, centerY + size/4);
+    }else{
+      ctx.moveTo(arrowX + size/4, centerY - size/2);
+      ctx.lineTo(arrowX + size*3/4, centerY);
+      ctx.lineTo(arrowX + size/4, centerY + size/2);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.font = this.#badgeFont;
+    ctx.fillText(this.#getBadgeText(), arrowX + size + this.#sideMarginSize, y + 2);
+    ctx.font = this.#font;
+  }
+
+  /**
+   * Returns the text of the badge after the arrow, see `#drawBadge`.
+   *
+   * @private
+   * @returns {string} The number of children.
+   */
+  #getBadgeText(){
+    return String(this.#children.length);
+  }
+
+  /**
+   * Draws the diamond marker of an event on the canvas.
+   * 
+   * The marker is filled with `color1` and outlined with `color2`. If the date is approximate,
+   * the fill is drawn semi-transparent.
+   * 
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The 2D canvas rendering context.
+   * @param {number} x - The x-coordinate of the left corner of the marker.
+   * @param {number} y - The y-coordinate of the top corner of the marker.
+   * @param {number} size - The width and height of the marker in pixels.
+   * @returns {void}
+   */
+  #drawMarker(ctx, x, y, size){
+    // Skip drawing if non-finite x
+    if(!isFinite(x)) return;
+
+    const half = size/2;
+    ctx.beginPath();
+    ctx.moveTo(x + half, y);
+    ctx.lineTo(x + size, y + half);
+    ctx.lineTo(x + half, y + size);
+    ctx.lineTo(x, y + half);
+    ctx.closePath();
+
+    const rgb = this.#extractRGB(this.#color1);
+    const alpha = this.#hasApproxStartDate ? 0.4 : 1;
+    ctx.fillStyle = "rgba("+ rgb.r + ", " + rgb.g + ", " + rgb.b + ", " + alpha + ")";
+    ctx.fill();
+    ctx.strokeStyle = this.#color2;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+
+  /**
+   * Extracts the red, green, and blue components from an RGB or RGBA color string.
+   * 
+   * If the input is the keyword `"black"`, it is normalized to `"rgb(0,0,0)"`.
+   * 
+   * @private
+   * @param {string} colorStr - A CSS color string in `rgb(r,g,b)` or `rgba(r,g,b,a)` format.
+   * @returns {{r: number, g: number, b: number}} An object containing the RGB components as integers.
+   * @throws {Error} If the input is not a valid RGB(A) color string.
+   */
+  #extractRGB(colorStr){
+    // extract r,g,b values of a color string
+    if(colorStr == "black") colorStr = "rgb(0,0,0)";
+
+    const match = colorStr.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+    if (!match) {
+      throw new Error("Invalid color format for " + this.#name + " : " +this.#color1);
+    }
+    return {
+      r: parseInt(match[1]),
+      g: parseInt(match[2]),
+      b: parseInt(match[3])
+    };
+  }
+
+  /**
+   * Converts an RGB or RGBA color string to a fully transparent RGBA string.
+   * 
+   * Extracts the RGB components using {@link #extractRGB} and sets the alpha to 0.
+   *
+   * @private
+   * @param {string} colorStr - A color string in `rgb(r,g,b)` or `rgba(r,g,b,a)` format.
+   * @returns {string} A CSS `rgba(r,g,b,0)` string representing the transparent version of the color.
+   */
+  #getTransparent(colorStr){
+    // return transparent version of a color
+    const rgb = this.#extractRGB(colorStr);
+    return "rgba("+ rgb.r + ", " + rgb.g + ", " + rgb.b + ", 0)";
+  }
+
+  /**
+   * Draws the time period's horizontal bar on the canvas.
+   * 
+   * The bar's style reflects whether the start and/or end dates are approximate:
+   * - If both are approximate, the bar has a fade-in and fade-out gradient.
+   * - If only one end is approximate, a one-sided gradient is used.
+   * - If neither is approximate, the bar is solid.
+   * 
+   * If the bar's width is too narrow, a solid rectangle is drawn without gradients.
+   * 
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The 2D canvas rendering context.
+   * @param {number} x - The x-coordinate of the top-left corner of the bar.
+   * @param {number} y - The y-coordinate of the top-left corner of the bar.
+   * @param {number} width - The width of the bar in pixels.
+   * @param {number} height - The height of the bar in pixels.
+   * @returns {void}
+   */
+  #drawBar(ctx, x, y, width, height) {
+    
+
+    // Skip gradient rendering if width is too small
+    if (width <= 1) {
+      ctx.fillStyle = this.#color1;
+      ctx.fillRect(x, y, width, height);
+      return;
+    }
+    
+    // Skip gradient and drawRect() if non-finite x or width
+    if(!isFinite(x) || !isFinite(width)){
+      return;
+    }
+
+    const fadeWidthInPixels = 30;
+    let gradient = this.#color1; // Fallback Case: no approximation
+    let gradientProportionMaximum = 0.2;
+
+    let gradientProportion = Math.min(gradientProportionMaximum, Math.max(0, fadeWidthInPixels / this.#width)); // clamp between 0 and 1
+
+    let transparentColor = this.#getTransparent(this.#color1);
+
+
+      // Case: both ends are approximate
+    if (this.#hasApproxStartDate && this.#hasApproxEndDate) {
+      gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+      gradient.addColorStop(0.0, transparentColor);
+      gradient.addColorStop(gradientProportion, this.#color1);
+      gradient.addColorStop(1-gradientProportion, this.#color1);
+      gradient.addColorStop(1.0, transparentColor);
+    }
+
+    // Case: only start is approximate
+    else if (this.#hasApproxStartDate) {
+      gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+      gradient.addColorStop(0.0, transparentColor);
+      gradient.addColorStop(gradientProportion, this.#color1);
+      gradient.addColorStop(1.0, this.#color1);
+    }
+
+    // Case: only end is approximate
+    else if (this.#hasApproxEndDate) {
+      gradient = ctx.createLinearGradient(x + width, 0, x, 0);
+      gradient.addColorStop(0.0, transparentColor);
+      gradient.addColorStop(gradientProportion, this.#color1);
+      gradient.addColorStop(1.0, this.#color1);
+    }
+    
+
+    
+    
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x, y, width, height);
+  }
+
+  /**
+   * Calculates the X-coordinate on the timeline for a given date.
+   * 
+   * The calculation is based on the timeline's scale type and grid structure.
+   * Handles precise positioning for various granularities including:
+   * - `"date"`: includes days and partial days via hours
+   * - `"hour"`: includes minutes
+   * - `"minute"`: millisecond-accurate conversion to minutes
+   * - `"second"`: millisecond-accurate conversion to seconds
+   * - Other types (`"month"`, `"year"`, `"decade"`, etc.): interpolates between grid lines with `Timeline.getXAtDate`,
+   *   as months, years and the decade around the BC/AD boundary differ in length
+   * 
+   * If the date falls outside the timeline grid, positioning may be inaccurate or undefined.
+   * 
+   * @private
+   * @param {Timeline} timeline - The timeline instance used to get scale, grid, and conversion context.
+   * @param {Date} dateForConversion - The date to convert into an X-coordinate.
+   * @returns {number} The computed X-coordinate for the given date in pixels.
+   */
+  #calculateX(timeline, dateForConversion){
+    let x = -1000;
+
+    // get timeline grid arrays
+    let lineDateArr = timeline.getLineDateArray();
+    let linePosArr = timeline.getLinePositionArray();
+
+    const timelineStartX = linePosArr[0];
+    const timelineStartDate = lineDateArr[0];
+
+    
+    if(timeline.getScaleType() == "date"){
+      let deltaDays = getCalendarDayDifference(timelineStartDate, dateForConversion)
+      x = timelineStartX + deltaDays*timeline.getScaleWidth();
+      x += dateForConversion.getHours() * timeline.getScaleWidth()/24;
+
+    }else if(timeline.getScaleType() == "hour"){
+      let deltaDays = getCalendarDayDifference(timelineStartDate, dateForConversion)
+      let deltaHours = dateForConversion.getHours() - timelineStartDate.getHours();
+
+      x = timelineStartX + deltaDays*24*timeline.getScaleWidth() + deltaHours*timeline.getScaleWidth();
+      x += dateForConversion.getMinutes()*timeline.getScaleWidth()/60
+
+    }else if(timeline.getScaleType() == "minute"){
+      let deltaDate = dateForConversion - timelineStartDate; // in ms
+      let deltaMinutes = deltaDate/1000/60; // minutes
+
+      x = timelineStartX + deltaMinutes*timeline.getScaleWidth();
+      
+    }else if(timeline.getScaleType() == "second"){
+      let deltaDate = dateForConversion - timelineStartDate; // in ms
+      let deltaSeconds = deltaDate/1000;
+
+      x = timelineStartX + deltaSeconds*timeline.getScaleWidth();
+
+    }else{
+      // if scaleType is month or a type of year
+      x = timeline.getXAtDate(dateForConversion);
+    }
+
+    return x;
+  }
+
+  setupCoordinates(ctx, timeline, y){
+    this.#y = y - this.#boundingHeight; // boundingBox top left corner y coordinate
+    this.#barY = y - this.#height; // time period bar top left corner y coordinate
+
+    // calculate x start, x end and width based on timeline state
+    this.#x = this.#calculateX(timeline, this.#startDate);
+
+    if(this.isEvent()){
+      // events have a fixed width marker centered on the date
+      this.#x -= this.#height/2;
+      this.#endX = this.#x + this.#height;
+      this.#width = this.#height;
+      this.#setupTextWidth(ctx);
+      return;
+    }
+
+    // this ensures the time period width is not absurdly large off the left side of screen, 
+    // and ensures the endX position stays visually accurate when zoomed in to small scaleTypes
+    if(this.#x < -1000) this.#x = -1000; 
+
+    this.#endX = this.#calculateX(timeline, this.#endDate);
+    this.#width = this.#endX - this.#x;
+
+    // this ensures the time period width is not absurdly large off the right side of screen,
+    // and ensures the approximate date fade still works at small scaleTypes
+    let maxEndX = timeline.getCanvasWidth()+1000;
+    if(this.#x > 0 && this.#x < timeline.getCanvasWidth() && this.#endX > maxEndX){
+      this.#width = timeline.getCanvasWidth() - this.#x + 1000;
+    }
+
+    // this ensures the time period is not absurdly large when it spans the entire width of screen
+    if(this.#width > (timeline.getCanvasWidth()*2)){
+      this.#width = timeline.getCanvasWidth() *2;
+    }
+
+    this.#setupTextWidth(ctx);
+  }
+
+  /**
+   * Measures the label, and the badge of a time period with children, and sets the text and bounding widths
+   * of the time period.
+   * 
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used to measure text.
+   * @returns {void}
+   */
+  #setupTextWidth(ctx){
+    ctx.textBaseline = "top";
+    ctx.lineWidth = 1;
+    ctx.textAlign = "left";
+    this.measureLabel(ctx);
+    ctx.font = this.#font;
+    this.#boundingWidth = Math.max(this.#width, this.#textWidth);
+  }
+
+  /**
+   * Measures the label, and the badge of a time period with children, for `getTextWidth` and `getLayoutExtent`.
+   * Measuring text is slow, so it is only measured again when the name or the badge changed, or with another
+   * context: assigning the rows of a swim lane measures every time period at each scale.
+   *
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - The context used to measure text.
+   * @returns {void}
+   */
+  measureLabel(ctx){
+    const badgeText = this.#children.length > 0 ? this.#getBadgeText() : "";
+    if(this.#measured?.ctx !== ctx || this.#measured.name !== this.#name || this.#measured.badgeText !== badgeText){
+      ctx.font = this.#font;
+      this.#nameWidth = ctx.measureText(this.#name).width + this.#sideMarginSize*2;
+      this.#badgeWidth = 0;
+      if(badgeText){
+        ctx.font = this.#badgeFont;
+        this.#badgeWidth = this.#badgeArrowSize + ctx.measureText(badgeText).width + this.#sideMarginSize*5;
+      }
+      this.#measured = { ctx, name: this.#name, badgeText };
+    }
+    this.#textWidth = this.#nameWidth + this.#badgeWidth;
+  }
+
+  getName() {
+  return this.#name;
+  }
+
+  getId() {
+    return this.#id;
+  }
+
+  /**
+   * Returns the links from this time period to others.
+   *
+   * @returns {TimePeriodLink[]} Copies of the links.
+   */
+  getLinks() {
+    return this.#links.map(link => ({ ...link }));
+  }
+
+  /**
+   * Replaces the links from this time period to others.
+   *
+   * @param {TimePeriodLink[]} links - The new links.
+   */
+  setLinks(links) {
+    this.#links = links.map(({ to, type, label }) => (label === undefined ? { to, type } : { to, type, label }));
+  }
+
+  /**
+   * Returns the time periods nested in this one, shown in rows below it while it is expanded.
+   *
+   * @returns {TimePeriod[]} The children, ordered by start date.
+   */
+  getChildren() {
+    return this.#children;
+  }
+
+  /**
+   * Returns the children, their children and so on, each followed by its own descendants.
+   *
+   * @returns {TimePeriod[]} The descendants.
+   */
+  getDescendants() {
+    return this.#children.flatMap(child => [child, ...child.getDescendants()]);
+  }
+
+  /**
+   * @returns {TimePeriod|null} The time period this one is a child of, or `null` if it has no parent.
+   */
+  getParent() {
+    return this.#parent;
+  }
+
+  /**
+   * Adds a child, keeping the children ordered by start date. A child with a parent is moved from it.
+   *
+   * @param {TimePeriod} child - The time period to add.
+   */
+  addChild(child) {
+    child.#parent?.removeChild(child);
+    child.#parent = this;
+    const index = this.#children.findIndex(other => other.getStartDate() > child.getStartDate());
+    if(index == -1) this.#children.push(child);
+    else this.#children.splice(index, 0, child);
+  }
+
+  /**
+   * Removes a child, with its own children.
+   *
+   * @param {TimePeriod} child - The time period to remove.
+   * @returns {boolean} `true` if it was a child of this time period.
+   */
+  removeChild(child) {
+    const index = this.#children.indexOf(child);
+    if(index == -1) return false;
+    this.#children.splice(index, 1);
+    child.#parent = null;
+    return true;
+  }
+
+  /**
+   * Orders the children and their descendants by start date again after their dates changed.
+   */
+  sortChildren() {
+    this.#children.sort((a, b) => a.getStartDate() - b.getStartDate());
+    this.#children.forEach(child => child.sortChildren());
+  }
+
+  isExpanded() {
+    return this.#isExpanded;
+  }
+
+  /**
+   * Sets whether the children are shown. Use `Timeline.setPeriodExpanded` to lay out the swimlane again.
+   *
+   * @param {boolean} isExpanded - Whether the children are shown.
+   */
+  setExpanded(isExpanded) {
+    this.#isExpanded = isExpanded;
+  }
+
+  getStartDate() {
+    return this.#startDate;
+  }
+
+  getEndDate() {
+    return this.#endDate;
+  }
+
+  setIsDimmed(isDimmed) {
+    this.#isDimmed = isDimmed;
+  }
+
+  getDescription() {
+    return this.#description;
+  }
+
+  getStartX() {
+    return this.#x;
+  }
+
+  getEndX() {
+    return this.#endX;
+  }
+
+  getY() {
+    return this.#y;
+  }
+
+  /**
+   * Returns the y-coordinate of the middle of the bar, or of the marker of an event, where link arrows meet it.
+   *
+   * @returns {number} The y-coordinate in pixels.
+   */
+  getBarMiddleY() {
+    return this.#barY + this.#height/2;
+  }
+
+  getBoundingWidth() {
+    return this.#boundingWidth;
+  }
+
+  getBoundingHeight() {
+    return this.#boundingHeight;
+  }
+
+  getBoundingEndX(){
+    return this.#x + this.#boundingWidth;
+  }
+
+  /**
+   * Returns where the time period and its label are at the scale of a timeline, as if the view was panned to
+   * them: unlike the coordinates of `setupCoordinates`, they aren't clamped to the canvas. Used to assign the rows of
+   * a swim lane, call `measureLabel` first.
+   *
+   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
+   * @returns {{start: number, end: number}} The x-coordinates of the left and right of the bounding box.
+   */
+  getLayoutExtent(timeline){
+    if(this.isEvent()){
+      const start = this.#calculateX(timeline, this.#startDate) - this.#height/2;
+      return { start, end: start + Math.max(this.#height, this.#textWidth) };
+    }
+    const start = this.#calculateX(timeline, this.#startDate);
+    const end = this.#calculateX(timeline, this.#endDate);
+    return { start, end: Math.max(end, start + this.#textWidth) };
+  }
+
+  /**
+   * Returns where the time period is in time, for the stable row layout (see `Timeline.setRowLayout`): unlike
+   * `getLayoutExtent`, it is the same at every scale.
+   *
+   * @param {number} [minDuration=0] - The least time the time period takes up in milliseconds, e.g. for its label.
+   * @returns {{start: number, end: number}} The start and end in milliseconds since 1970.
+   */
+  getDateExtent(minDuration = 0){
+    const start = this.#startDate.getTime();
+    return { start, end: Math.max(this.#endDate.getTime(), start + minDuration) };
+  }
+
+  /**
+   * Returns the row the time period is placed in, counted among the rows of its swim lane, or for a nested time
+   * period among the rows of its parent's children, from 0 at the bottom. The children of an expanded time
+   * period take up the rows from there, with the time period above them.
+   *
+   * @returns {number|null} The row, or `null` if it is placed in the lowest row it fits into.
+   */
+  getRow(){
+    return this.#row;
+  }
+
+  /**
+   * Sets the row to place the time period in, see `getRow`. Use `Timeline.setPeriodRow` to lay out the swimlane
+   * again.
+   *
+   * @param {number|null} row - The row from 0 to `MAXROW`, or `null` to place it in the lowest row it fits into.
+   * @returns {void}
+   */
+  setRow(row){
+    if(row !== null && !isValidRow(row)) throw new Error("Invalid row " + row + ", must be a whole number from 0 to " + MAXROW);
+    this.#row = row;
+  }
+
+  /**
+   * Returns the width of the label, with the badge of a time period with children, as last measured, see `measureLabel`.
+   *
+   * @returns {number} The width in pixels.
+   */
+  getTextWidth(){
+    return this.#textWidth;
+  }
+
+  getBoundingBoxVisible() {
+    return this.#boundingBoxVisible;
+  }
+
+}
+
+/**
+ * Hide instruction panel.
+ * Clears the instruction panel element.
+ *
+ * @param {HTMLElement} instructionPanel - The element holding the instructions.
+ */
+function hideInstructions(instructionPanel){
+  instructionPanel.innerHTML = "";
+}
+
+/**
+ * Show instruction panel.
+ * Appends to the instruction panel element.
+ *
+ * @param {HTMLElement} instructionPanel - The element to hold the instructions.
+ * @param {boolean} isTouch - Whether the viewer is displayed on a touch device, centers the panel if so.
+ */
+function showInstructions(instructionPanel, isTouch){
+  
+  instructionPanel.innerHTML = 
+  `
+  <div class="instruction-panel">
+  <p>Drag timeline to move view</p>
+  <p>Use buttons to zoom, or alt+scroll</p>
+  <p>Double-click a time period to zoom to it, press F to fit all</p>
+  <p>Alt+← and Alt+→ return to previous views, Ctrl+Z undoes changes</p>
+  <p>Drop a timeline file here to open it</p>
+  <button class="instruction-hide-button">hide</button>
+  </div>
+  `
+  const instructionHideButton = instructionPanel.querySelector(".instruction-hide-button");
+  instructionHideButton.addEventListener("click", () => hideInstructions(instructionPanel))
+  if(isTouch){
+    instructionPanel.classList.add('instruction-panel-centered')
+  }else{
+    instructionPanel.classList.add('instruction-panel-default')
+  }
+}
+
+/**
+ * Writes a timeline view state into a URL hash, keeping any other parameters in the hash.
+ * 
+ * Parameters are `focus` (ISO date), `x`, `scale`, `width`, `y`, `hidden` (comma separated swimlane ids)
+ * and `selected` (the id of the selected time period), each prefixed with `prefix`.
+ * 
+ * Example: `#focus=1066-10-14T00:00:00.000Z&x=600&scale=year&width=120&y=0&hidden=world-conflicts&selected=battle-of-hastings`
+ *
+ * @function
+ * @param {Object} state - The view state, as returned by `Timeline.getViewState`.
+ * @param {string} prefix - Prefix for the parameter names, to keep several viewers apart.
+ * @param {string} [currentHash=""] - The hash to add the parameters to.
+ * @returns {string} The new hash, including the leading `#`.
+ */
+function viewStateToHash(state, prefix, currentHash = ""){
+  const params = new URLSearchParams(currentHash.replace(/^#/, ""));
+  const round = value => Math.round(value * 100) / 100;
+
+  params.set(prefix + "focus", state.focusDate.toISOString());
+  params.set(prefix + "x", round(state.focusX));
+  params.set(prefix + "scale", state.scaleType);
+  params.set(prefix + "width", round(state.scaleWidth));
+  params.set(prefix + "y", round(state.yOffset));
+
+  if(state.hiddenLanes.length > 0) params.set(prefix + "hidden", state.hiddenLanes.join(","));
+  else params.delete(prefix + "hidden");
+
+  if(state.selectedPeriod) params.set(prefix + "selected", state.selectedPeriod);
+  else params.delete(prefix + "selected");
+
+  // colons and commas are allowed in a hash, keep them readable
+  return "#" + params.toString().replace(/%3A/g, ":").replace(/%2C/g, ",");
+}
+
+/**
+ * Reads a timeline view state from a URL hash written by `viewStateToHash`.
+ * 
+ * Only the properties present in the hash are set on the returned state. Returns `null` if
+ * the hash holds no view state parameters.
+ *
+ * @function
+ * @param {string} hash - The URL hash, with or without the leading `#`.
+ * @param {string} prefix - Prefix of the parameter names.
+ * @returns {Object|null} A partial view state for `Timeline.setViewState`, or `null`.
+ */
+function hashToViewState(hash, prefix){
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const state = {};
+
+  if(params.has(prefix + "focus")) state.focusDate = new Date(params.get(prefix + "focus"));
+  if(params.has(prefix + "x")) state.focusX = Number(params.get(prefix + "x"));
+  if(params.has(prefix + "scale")) state.scaleType = params.get(prefix + "scale");
+  if(params.has(prefix + "width")) state.scaleWidth = Number(params.get(prefix + "width"));
+  if(params.has(prefix + "y")) state.yOffset = Number(params.get(prefix + "y"));
+
+  if(Object.keys(state).length == 0) return null;
+
+  // lanes and selection are only part of a state that has a view
+  const hidden = params.get(prefix + "hidden");
+  state.hiddenLanes = hidden ? hidden.split(",") : []; // ids, or indices from links made before swimlanes had ids
+
+  // links made before time periods had ids select by "swimlaneIndex.timePeriodIndex", ids can't hold a "."
+  const selected = params.get(prefix + "selected");
+  state.selectedPeriod = selected ? (/^\d+\.\d+$/.test(selected) ? selected.split(".").map(Number) : selected) : null;
+
+  return state;
+}
+
+/**
+ * Splits a CSS color into its components.
+ *
+ * Supports the colors the timeline draws with: `black`, `white`, `transparent`, `#rgb`, `#rrggbb`,
+ * and `rgb()`/`rgba()` with an optional alpha. Other colors are taken as black.
+ *
+ * @function
+ * @param {string} color - The CSS color.
+ * @returns {{r: number, g: number, b: number, a: number}} The red, green and blue components (0-255) and alpha (0-1).
+ */
+function getColorComponents(color){
+  const value = String(color).trim().toLowerCase();
+  if(value == "white") return { r: 255, g: 255, b: 255, a: 1 };
+  if(value == "transparent") return { r: 0, g: 0, b: 0, a: 0 };
+
+  const hexMatch = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if(hexMatch){
+    const hex = hexMatch[1].length == 3 ? hexMatch[1].replace(/./g, "$&$&") : hexMatch[1];
+    return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16), a: 1 };
+  }
+
+  const rgbMatch = value.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if(rgbMatch){
+    const a = rgbMatch[4] === undefined ? 1 : Number(rgbMatch[4]);
+    return { r: Number(rgbMatch[1]), g: Number(rgbMatch[2]), b: Number(rgbMatch[3]), a };
+  }
+
+  return { r: 0, g: 0, b: 0, a: 1 };
+}
+
+/**
+ * A stand-in for `CanvasRenderingContext2D` that records what is drawn, so the timeline's drawing code
+ * can produce SVG and PDF files, or be played back onto a canvas at any resolution.
+ *
+ * Supports the part of the canvas API the timeline draws with: `fillRect`, `strokeRect`, paths of lines,
+ * arcs and Bézier curves, `fillText`, `measureText`, linear gradients, `globalAlpha`, transforms and `save`/`restore`.
+ * Rectangles and paths are recorded in device coordinates, text keeps its transform. Text is measured
+ * with an off-screen canvas, and written to PDF in Helvetica.
+ *
+ * @class RecordingContext
+ */
+class RecordingContext {
+  fillStyle = "black";
+  strokeStyle = "black";
+  lineWidth = 1;
+  font = "10px sans-serif";
+  textAlign = "start";
+  textBaseline = "alphabetic";
+  globalAlpha = 1;
+
+  #operations = [];
+  #path = [];
+  #pathStart = null;
+  #pathPoint = null; // the current point of the path, null if the path is empty
+  #transform = [1, 0, 0, 1, 0, 0];
+  #savedStates = [];
+  #measureContext = null;
+
+  save(){
+    const { fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, globalAlpha } = this;
+    this.#savedStates.push({ fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, globalAlpha, transform: this.#transform });
+  }
+
+  restore(){
+    const state = this.#savedStates.pop();
+    if(!state) return;
+    this.#transform = state.transform;
+    delete state.transform;
+    Object.assign(this, state);
+  }
+
+  setTransform(a, b, c, d, e, f){
+    this.#transform = [a, b, c, d, e, f];
+  }
+
+  transform(a, b, c, d, e, f){
+    const [ta, tb, tc, td, te, tf] = this.#transform;
+    this.#transform = [ta*a + tc*b, tb*a + td*b, ta*c + tc*d, tb*c + td*d, ta*e + tc*f + te, tb*e + td*f + tf];
+  }
+
+  translate(x, y){
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  scale(x, y){
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  rotate(angle){
+    this.transform(Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0);
+  }
+
+  beginPath(){
+    this.#path = [];
+    this.#pathStart = null;
+    this.#pathPoint = null;
+  }
+
+  moveTo(x, y){
+    const point = this.#toDevice(x, y);
+    this.#path.push(["M", ...point]);
+    this.#pathStart = point;
+    this.#pathPoint = point;
+  }
+
+  lineTo(x, y){
+    if(!this.#pathPoint) return this.moveTo(x, y);
+    const point = this.#toDevice(x, y);
+    this.#path.push(["L", ...point]);
+    this.#pathPoint = point;
+  }
+
+  bezierCurveTo(control1X, control1Y, control2X, control2Y, x, y){
+    if(!this.#pathPoint) this.moveTo(control1X, control1Y);
+    const end = this.#toDevice(x, y);
+    this.#path.push(["C", ...this.#toDevice(control1X, control1Y), ...this.#toDevice(control2X, control2Y), ...end]);
+    this.#pathPoint = end;
+  }
+
+  closePath(){
+    if(!this.#pathPoint) return;
+    this.#path.push(["Z"]);
+    this.#pathPoint = this.#pathStart;
   }
 
   /**
-   * Returns the current scale type used by the timeline.
-   * 
-   * The scale type determines the granularity of the timeline and can be one of:
-   * "millennium", "century", "decade", "year", "month", "date",
-   * "hour", "minute", "second", or "millisecond".
-   * 
-   * @returns {string} The current scale type.
+   * Adds an arc to the path as cubic Bézier curves of at most a quarter turn each.
    */
-  getScaleType(){
-    return this.#scaleType
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false){
+    let sweep = endAngle - startAngle;
+    if(Math.abs(sweep) >= 2*Math.PI) sweep = counterclockwise ? -2*Math.PI : 2*Math.PI;
+    else if(!counterclockwise && sweep < 0) sweep += 2*Math.PI;
+    else if(counterclockwise && sweep > 0) sweep -= 2*Math.PI;
+
+    this.lineTo(x + radius*Math.cos(startAngle), y + radius*Math.sin(startAngle));
+
+    const segmentCount = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI/2)));
+    const segmentSweep = sweep / segmentCount;
+    const handle = 4/3 * Math.tan(segmentSweep/4) * radius;
+    for(let i = 0; i < segmentCount; i++){
+      const from = startAngle + i*segmentSweep;
+      const to = from + segmentSweep;
+      const control1 = this.#toDevice(x + radius*Math.cos(from) - handle*Math.sin(from), y + radius*Math.sin(from) + handle*Math.cos(from));
+      const control2 = this.#toDevice(x + radius*Math.cos(to) + handle*Math.sin(to), y + radius*Math.sin(to) - handle*Math.cos(to));
+      const end = this.#toDevice(x + radius*Math.cos(to), y + radius*Math.sin(to));
+      this.#path.push(["C", ...control1, ...control2, ...end]);
+      this.#pathPoint = end;
+    }
   }
 
-  getScaleWidth() {
-    return this.#scaleWidth;
+  fill(){
+    if(this.#path.length == 0) return;
+    this.#operations.push({ type: "path", path: this.#path.slice(), fill: this.#toDeviceStyle(this.fillStyle), alpha: this.globalAlpha });
   }
-  
+
+  stroke(){
+    if(this.#path.length == 0) return;
+    this.#operations.push({ type: "path", path: this.#path.slice(), stroke: this.#toDeviceStyle(this.strokeStyle), lineWidth: this.#toDeviceWidth(this.lineWidth), alpha: this.globalAlpha });
+  }
+
+  fillRect(x, y, width, height){
+    this.#addRect(x, y, width, height, { fill: this.#toDeviceStyle(this.fillStyle) });
+  }
+
+  strokeRect(x, y, width, height){
+    this.#addRect(x, y, width, height, { stroke: this.#toDeviceStyle(this.strokeStyle), lineWidth: this.#toDeviceWidth(this.lineWidth) });
+  }
+
+  fillText(text, x, y){
+    text = String(text);
+    if(text == "") return;
+    const { font, textAlign, textBaseline } = this;
+    this.#operations.push({
+      type: "text", text, x, y, font, textAlign, textBaseline,
+      width: this.measureText(text).width,
+      fill: this.fillStyle, alpha: this.globalAlpha, transform: this.#transform
+    });
+  }
+
+  measureText(text){
+    if(!this.#measureContext) this.#measureContext = document.createElement("canvas").getContext("2d");
+    this.#measureContext.font = this.font;
+    return this.#measureContext.measureText(text);
+  }
+
+  createLinearGradient(x0, y0, x1, y1){
+    return {
+      x0, y0, x1, y1, stops: [],
+      addColorStop(offset, color){ this.stops.push({ offset, color }); }
+    };
+  }
+
   /**
-   * Generates a label string for a baseline date on the timeline based on the current scale type and visual scale width.
-   * 
-   * The function selectively suppresses labels based on the `scaleWidth` to avoid clutter.
-   * For large units like "millennium", "century", or "decade", labels are omitted unless the year aligns with a significant interval.
-   * For smaller units like "date", "hour", or "second", labels are filtered based on thresholds to avoid overplotting.
+   * Plays the recording back onto a canvas, on top of the canvas's current transform.
    *
-   * @private
-   * @param {Date} date - The date object for which to generate a label.
-   * @param {string} scaleType - The type of scale (e.g., "year", "month", "hour", etc.).
-   * @param {number} scaleWidth - The number of pixels representing one unit of the current scale.
-   * 
-   * @returns {string} A string label for the given date, or an empty string if the label should be suppressed.
+   * @param {CanvasRenderingContext2D} ctx - The context to draw into.
+   * @returns {void}
    */
-  #getBaselineLabel(date, scaleType, scaleWidth) {
-    
-    let label = getFocusDateAsValue(date, scaleType);
-    
-    // don't display year 0 - applys only to large scaleType's
-    if (scaleType == "millennium" || scaleType == "century" || scaleType == "decade") {
-      if (date.getFullYear() == 0) label = "";
-    }
-    
-    // suppress certain labels - don't display certain years at certain scale lengths, depending on the scate type
-    if(scaleType == "millennium"){
-      
-      if(scaleWidth < 20){
-        if(date.getFullYear() % 10000 != 0) label = "";
-      }
-      else if(scaleWidth < 50){
-        if(date.getFullYear() % 5000 != 0) label = "";
-      }
-      else if(scaleWidth < 100){
-        if(date.getFullYear() % 2000 != 0) label = "";
-      }
-    }
-    
-    if(scaleType == "century"){
-      
-      if(scaleWidth < 20){
-        if(date.getFullYear() % 1000 != 0) label = "";
-      }
-      else if(scaleWidth < 50){
-        if(date.getFullYear() % 500 != 0) label = "";
-      }
-      else if(scaleWidth < 100){
-        if(date.getFullYear() % 200 != 0) label = "";
-      }
-    }
-    
-    if(scaleType == "decade"){
-      
-      if(scaleWidth < 20){
-        if(date.getFullYear() % 100 != 0) label = "";
-      }
-      else if(scaleWidth < 50){
-        if(date.getFullYear() % 50 != 0) label = "";
-      }
-      else if(scaleWidth < 100){
-        if(date.getFullYear() % 20 != 0) label = "";
+  drawTo(ctx){
+    const toCanvasStyle = style => {
+      if(typeof style == "string") return style;
+      const gradient = ctx.createLinearGradient(style.x0, style.y0, style.x1, style.y1);
+      style.stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+      return gradient;
+    };
+
+    this.#operations.forEach(operation => {
+      ctx.save();
+      ctx.globalAlpha = operation.alpha;
+      if(operation.type == "text"){
+        ctx.transform(...operation.transform);
+        ctx.font = operation.font;
+        ctx.textAlign = operation.textAlign;
+        ctx.textBaseline = operation.textBaseline;
+        ctx.fillStyle = toCanvasStyle(operation.fill);
+        ctx.fillText(operation.text, operation.x, operation.y);
+      }else{
+        ctx.beginPath();
+        if(operation.type == "rect") ctx.rect(operation.x, operation.y, operation.width, operation.height);
+        operation.path?.forEach(([command, ...values]) => {
+          if(command == "M") ctx.moveTo(...values);
+          else if(command == "L") ctx.lineTo(...values);
+          else if(command == "C") ctx.bezierCurveTo(...values);
+          else ctx.closePath();
+        });
+        if(operation.fill){
+          ctx.fillStyle = toCanvasStyle(operation.fill);
+          ctx.fill();
+        }
+        if(operation.stroke){
+          ctx.strokeStyle = toCanvasStyle(operation.stroke);
+          ctx.lineWidth = operation.lineWidth;
+          ctx.stroke();
+        }
       }
-    }
-    
-    if(scaleType == "year"){
-      
-      if(scaleWidth < 20){
-        if(date.getFullYear() % 10 != 0) label = "";
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Writes the recording as an SVG document.
+   *
+   * @param {number} width - The width of the drawing in pixels.
+   * @param {number} height - The height of the drawing in pixels.
+   * @returns {string} The SVG document.
+   */
+  toSVG(width, height){
+    const definitions = [];
+    const elements = [];
+
+    const getPaint = (name, style, alpha) => {
+      if(typeof style != "string"){
+        const id = "gradient" + definitions.length;
+        const stops = style.stops.map(stop => {
+          const { r, g, b, a } = getColorComponents(stop.color);
+          return `<stop offset="${stop.offset}" stop-color="rgb(${r},${g},${b})" stop-opacity="${a}"/>`;
+        });
+        definitions.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${roundCoordinate(style.x0)}" y1="${roundCoordinate(style.y0)}" x2="${roundCoordinate(style.x1)}" y2="${roundCoordinate(style.y1)}">${stops.join("")}</linearGradient>`);
+        return `${name}="url(#${id})"` + (alpha < 1 ? ` ${name}-opacity="${alpha}"` : "");
       }
-      else if(scaleWidth < 50){
-        if(date.getFullYear() % 5 != 0) label = "";
+      const { r, g, b, a } = getColorComponents(style);
+      return `${name}="rgb(${r},${g},${b})"` + (a*alpha < 1 ? ` ${name}-opacity="${roundCoordinate(a*alpha)}"` : "");
+    };
+
+    this.#operations.forEach(operation => {
+      const paint = [
+        operation.fill ? getPaint("fill", operation.fill, operation.alpha) : `fill="none"`,
+        operation.stroke ? getPaint("stroke", operation.stroke, operation.alpha) + ` stroke-width="${roundCoordinate(operation.lineWidth)}"` : ""
+      ].join(" ").trim();
+
+      if(operation.type == "rect"){
+        elements.push(`<rect x="${roundCoordinate(operation.x)}" y="${roundCoordinate(operation.y)}" width="${roundCoordinate(operation.width)}" height="${roundCoordinate(operation.height)}" ${paint}/>`);
+      }else if(operation.type == "path"){
+        const pathData = operation.path.map(([command, ...values]) => command + values.map(roundCoordinate).join(" ")).join("");
+        elements.push(`<path d="${pathData}" ${paint}/>`);
+      }else{
+        const { x, y, size, family, isBold } = this.#getTextLayout(operation);
+        const transform = operation.transform.join(",") == "1,0,0,1,0,0" ? "" : ` transform="matrix(${operation.transform.map(roundCoordinate).join(" ")})"`;
+        elements.push(`<text x="${roundCoordinate(x)}" y="${roundCoordinate(y)}" font-family="${escapeXml(family)}" font-size="${size}"${isBold ? ` font-weight="bold"` : ""} ${paint}${transform}>${escapeXml(operation.text)}</text>`);
       }
-      else if(scaleWidth < 100){
-        if(date.getFullYear() % 2 != 0) label = "";
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${roundCoordinate(width)}" height="${roundCoordinate(height)}" viewBox="0 0 ${roundCoordinate(width)} ${roundCoordinate(height)}">\n`
+      + (definitions.length > 0 ? `<defs>\n${definitions.join("\n")}\n</defs>\n` : "")
+      + elements.join("\n")
+      + "\n</svg>\n";
+  }
+
+  /**
+   * Writes the recording as a single page PDF document.
+   *
+   * A pixel is written as 0.75pt, the size of a CSS pixel. Gradients are drawn as thin bands of color.
+   *
+   * @param {number} width - The width of the drawing in pixels.
+   * @param {number} height - The height of the drawing in pixels.
+   * @returns {Uint8Array} The bytes of the PDF document.
+   */
+  toPDF(width, height){
+    const pointsPerPixel = 0.75;
+    const graphicsStates = new Set();
+    const content = [`${pointsPerPixel} 0 0 ${-pointsPerPixel} 0 ${roundCoordinate(height * pointsPerPixel)} cm`]; // y down, in pixels
+
+    const setColor = (style, alpha, isStroke) => {
+      const { r, g, b, a } = getColorComponents(style);
+      const opacity = Math.round(a * alpha * 100);
+      graphicsStates.add(opacity);
+      content.push(`/GS${opacity} gs ${roundCoordinate(r/255)} ${roundCoordinate(g/255)} ${roundCoordinate(b/255)} ${isStroke ? "RG" : "rg"}`);
+    };
+
+    this.#operations.forEach(operation => {
+      content.push("q");
+      if(operation.type == "text"){
+        const { x, y, size, isBold } = this.#getTextLayout(operation);
+        setColor(typeof operation.fill == "string" ? operation.fill : operation.fill.stops[0]?.color, operation.alpha, false);
+        content.push(`${operation.transform.map(roundCoordinate).join(" ")} cm`);
+        content.push(`BT /${isBold ? "F2" : "F1"} ${size} Tf 1 0 0 -1 ${roundCoordinate(x)} ${roundCoordinate(y)} Tm (${toPdfString(operation.text)}) Tj ET`);
+      }else if(operation.type == "rect" && operation.fill && typeof operation.fill != "string"){
+        this.#getGradientBands(operation).forEach(band => {
+          setColor(band.color, operation.alpha, false);
+          content.push(`${roundCoordinate(band.x)} ${roundCoordinate(band.y)} ${roundCoordinate(band.width)} ${roundCoordinate(band.height)} re f`);
+        });
+      }else{
+        const pathData = operation.type == "rect"
+          ? `${roundCoordinate(operation.x)} ${roundCoordinate(operation.y)} ${roundCoordinate(operation.width)} ${roundCoordinate(operation.height)} re`
+          : operation.path.map(([command, ...values]) => values.map(roundCoordinate).join(" ") + " " + { M: "m", L: "l", C: "c", Z: "h" }[command]).join(" ").trim();
+        if(operation.fill){
+          setColor(typeof operation.fill == "string" ? operation.fill : operation.fill.stops[0]?.color, operation.alpha, false);
+          content.push(pathData + " f");
+        }
+        if(operation.stroke){
+          setColor(typeof operation.stroke == "string" ? operation.stroke : operation.stroke.stops[0]?.color, operation.alpha, true);
+          content.push(`${roundCoordinate(operation.lineWidth)} w ` + pathData + " S");
+        }
       }
+      content.push("Q");
+    });
+
+    const stream = content.join("\n");
+    const states = Array.from(graphicsStates).map(opacity => `/GS${opacity} << /Type /ExtGState /ca ${opacity/100} /CA ${opacity/100} >>`).join(" ");
+    const fonts = "/F1 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >> "
+      + "/F2 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+    const objects = [
+      "<< /Type /Catalog /Pages 2 0 R >>",
+      "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${roundCoordinate(width * pointsPerPixel)} ${roundCoordinate(height * pointsPerPixel)}] /Resources << /Font << ${fonts} >> /ExtGState << ${states} >> >> /Contents 4 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    ];
+
+    // the document is ASCII and WinAnsi text, one byte per character, so string lengths are byte offsets
+    let pdf = "%PDF-1.4\n";
+    const offsets = objects.map((object, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => String(offset).padStart(10, "0") + " 00000 n \n").join("");
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Uint8Array.from(pdf, character => character.charCodeAt(0));
+  }
+
+  #toDevice(x, y){
+    const [a, b, c, d, e, f] = this.#transform;
+    return [a*x + c*y + e, b*x + d*y + f];
+  }
+
+  #toDeviceWidth(width){
+    const [a, b, c, d] = this.#transform;
+    return width * Math.sqrt(Math.abs(a*d - b*c));
+  }
+
+  #toDeviceStyle(style){
+    if(typeof style == "string") return style;
+    const [x0, y0] = this.#toDevice(style.x0, style.y0);
+    const [x1, y1] = this.#toDevice(style.x1, style.y1);
+    return { x0, y0, x1, y1, stops: style.stops.slice() };
+  }
+
+  #addRect(x, y, width, height, paint){
+    const [a, b, c, d] = this.#transform;
+    if(b != 0 || c != 0){
+      // a rotated rectangle is recorded as a path, leaving the current path as it is
+      const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]].map(([cornerX, cornerY]) => this.#toDevice(cornerX, cornerY));
+      const path = corners.map((corner, i) => [i == 0 ? "M" : "L", ...corner]).concat([["Z"]]);
+      this.#operations.push({ type: "path", path, alpha: this.globalAlpha, ...paint });
+      return;
     }
-    /*
-    if(scaleType == "month"){
-      if(scaleWidth < 50){
-        if(date.month == 1) label = date.month;
-      }
-      
-    }*/
-    
-    if (scaleType == "month"){
-      //label = date.toLocaleString("default", { month: "long" });
-  
-    
-      if(date.getMonth() != 0) label = "";
-      else label = date.getFullYear();
-      
-    } 
 
-    if(scaleType == "date"){
-      if(scaleWidth < 50){
-        if(date.getDate() % 5 != 0 && date.getDate() != 1 || date.getDate() == 30) label = "";
-      }
+    const [deviceX, deviceY] = this.#toDevice(x, y);
+    const deviceWidth = width * a;
+    const deviceHeight = height * d;
+    this.#operations.push({
+      type: "rect",
+      x: Math.min(deviceX, deviceX + deviceWidth),
+      y: Math.min(deviceY, deviceY + deviceHeight),
+      width: Math.abs(deviceWidth),
+      height: Math.abs(deviceHeight),
+      alpha: this.globalAlpha,
+      ...paint
+    });
+  }
+
+  /**
+   * Returns the left end of the baseline of a recorded text, and its font.
+   *
+   * Baselines are offset by proportions of the font size close to those of Arial and Helvetica.
+   */
+  #getTextLayout(operation){
+    const sizeMatch = operation.font.match(/([\d.]+)px\s+(.+)$/);
+    const size = sizeMatch ? Number(sizeMatch[1]) : 10;
+    const family = sizeMatch ? sizeMatch[2] : "sans-serif";
+    const isBold = /\bbold\b|\b[6-9]00\b/.test(operation.font);
+
+    let x = operation.x;
+    if(operation.textAlign == "center") x -= operation.width/2;
+    else if(operation.textAlign == "right" || operation.textAlign == "end") x -= operation.width;
+
+    const baselineOffsets = { top: 0.8, hanging: 0.8, middle: 0.3, bottom: -0.2, ideographic: -0.2 };
+    const y = operation.y + (baselineOffsets[operation.textBaseline] ?? 0) * size;
+
+    return { x, y, size, family, isBold };
+  }
+
+  /**
+   * Splits a rectangle filled with a gradient into bands of solid color along the gradient.
+   */
+  #getGradientBands(operation){
+    const gradient = operation.fill;
+    const stops = gradient.stops.slice().sort((stopA, stopB) => stopA.offset - stopB.offset).map(stop => ({ offset: stop.offset, ...getColorComponents(stop.color) }));
+    const isHorizontal = Math.abs(gradient.x1 - gradient.x0) >= Math.abs(gradient.y1 - gradient.y0);
+    const length = isHorizontal ? operation.width : operation.height;
+    const bandCount = Math.max(1, Math.min(64, Math.ceil(length / 2)));
+    const bands = [];
+
+    for(let i = 0; i < bandCount; i++){
+      const start = i * length/bandCount;
+      const middle = start + length/bandCount/2;
+      const position = isHorizontal
+        ? (operation.x + middle - gradient.x0) / (gradient.x1 - gradient.x0)
+        : (operation.y + middle - gradient.y0) / (gradient.y1 - gradient.y0);
+      const offset = Math.min(1, Math.max(0, isFinite(position) ? position : 0));
+
+      let after = stops.findIndex(stop => stop.offset >= offset);
+      if(after == -1) after = stops.length - 1;
+      const before = Math.max(0, after - 1);
+      const span = stops[after].offset - stops[before].offset;
+      const proportion = span > 0 ? Math.min(1, (offset - stops[before].offset) / span) : 1;
+      const mix = key => stops[before][key] + (stops[after][key] - stops[before][key]) * proportion;
+      const color = stops.length == 0 ? "black" : `rgba(${Math.round(mix("r"))}, ${Math.round(mix("g"))}, ${Math.round(mix("b"))}, ${roundCoordinate(mix("a"))})`;
+
+      // overlap bands slightly so no gaps show between them
+      bands.push(isHorizontal
+        ? { x: operation.x + start, y: operation.y, width: length/bandCount + 0.5, height: operation.height, color }
+        : { x: operation.x, y: operation.y + start, width: operation.width, height: length/bandCount + 0.5, color });
     }
 
-    if(scaleType == "hour"){
-      if(scaleWidth < 20){
-        if(date.getHours() % 6 != 0 && date.getHours() != 0) label = "";
-      } else if(scaleWidth < 50){
-        if(date.getHours() % 2 != 0 && date.getHours() != 0) label = "";
-      }
+    return bands;
+  }
+}
+
+/**
+ * Rounds a number to two decimals for writing into SVG and PDF files.
+ *
+ * @function
+ * @param {number} value - The number.
+ * @returns {number} The rounded number.
+ */
+function roundCoordinate(value){
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ *
+ * @function
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text){
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Converts text to a PDF string literal body in WinAnsiEncoding.
+ *
+ * Characters WinAnsiEncoding has no code for are written as "?".
+ *
+ * @function
+ * @param {string} text - The text.
+ * @returns {string} The escaped text, one character per byte.
+ */
+function toPdfString(text){
+  const winAnsiCodes = { "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99 };
+  return Array.from(String(text), character => {
+    if(character == "\\" || character == "(" || character == ")") return "\\" + character;
+    const code = character.codePointAt(0);
+    if(winAnsiCodes[character]) return String.fromCharCode(winAnsiCodes[character]);
+    if((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) return character;
+    return "?";
+  }).join("");
+}
+
+/**
+ * Saves a file through the browser's download.
+ *
+ * @function
+ * @param {Blob} blob - The content of the file.
+ * @param {string} fileName - The name to save the file as, characters not allowed in file names are replaced.
+ * @returns {void}
+ */
+function downloadBlob(blob, fileName){
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName.replace(/[\\/:*?"<>|]+/g, "-");
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Reads a file, e.g. one chosen in a file input or dropped on the page, as text.
+ *
+ * @function
+ * @param {File} file - The file to read.
+ * @returns {Promise<string>} Resolves with the content of the file, rejects if it can't be read.
+ */
+function readFileText(file){
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.addEventListener("load", () => resolve(String(reader.result)));
+    reader.addEventListener("error", () => reject(new Error("Failed to read " + file.name + ": " + reader.error?.message)));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Returns the recently opened files kept in local storage, the most recent first.
+ * 
+ * Returns an empty list if local storage is unavailable (e.g. blocked by the browser) or holds something else.
+ *
+ * @function
+ * @returns {{name: string, text: string, openedAt: number}[]} The files, `openedAt` is a timestamp in milliseconds.
+ */
+function loadRecentFiles(){
+  try {
+    const files = JSON.parse(localStorage.getItem(RECENTFILESKEY) ?? "[]");
+    if(!Array.isArray(files)) return [];
+    return files.filter(file => typeof file?.name == "string" && typeof file.text == "string");
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Adds a file to the front of the recently opened files in local storage, replacing a file with the same name.
+ * 
+ * If the files don't fit in local storage the oldest are dropped, so a file too large to store is not remembered.
+ *
+ * @function
+ * @param {string} name - The name of the file.
+ * @param {string} text - The content of the file.
+ * @param {number} maxCount - The number of files kept.
+ * @returns {void}
+ */
+function storeRecentFile(name, text, maxCount){
+  let files = [{ name, text, openedAt: Date.now() }, ...loadRecentFiles().filter(file => file.name != name)].slice(0, maxCount);
+  while(files.length > 0){
+    try {
+      localStorage.setItem(RECENTFILESKEY, JSON.stringify(files));
+      return;
+    } catch {
+      files = files.slice(0, -1);
     }
+  }
+}
 
-    if(scaleType == "minute"){
-      if(scaleWidth < 20){
-        if(date.getMinutes() % 10 != 0 && date.getMinutes() != 0) label = "";
-      } else if(scaleWidth < 50){
-        if(date.getMinutes() % 5 != 0 && date.getMinutes() != 0) label = "";
-      }
-    }
+/**
+ * Returns the swimlane layout remembered for a timeline in local storage, see `Timeline.getLaneLayout`.
+ *
+ * Returns null if there is none, or if local storage is unavailable or holds something else.
+ *
+ * @function
+ * @param {string} key - The key of the timeline, e.g. the URL it was loaded from.
+ * @returns {{order: string[], hidden: string[], collapsed: string[]}|null} The layout.
+ */
+function loadLaneLayout(key){
+  try {
+    const layouts = JSON.parse(localStorage.getItem(LANELAYOUTSKEY) ?? "[]");
+    if(!Array.isArray(layouts)) return null;
+    return layouts.find(entry => entry?.key === key && typeof entry.layout == "object")?.layout ?? null;
+  } catch {
+    return null;
+  }
+}
 
-    if(scaleType == "second"){
-      if(scaleWidth < 20){
-        if(date.getSeconds() % 10 != 0 && date.getSeconds() != 0) label = "";
-      } else if(scaleWidth < 50){
-        if(date.getSeconds() % 5 != 0 && date.getSeconds() != 0) label = "";
-      }
-    }
+/**
+ * Remembers the swimlane layout of a timeline in local storage, the most recently changed first.
+ * 
+ * Does nothing if local storage is unavailable or full.
+ *
+ * @function
+ * @param {string} key - The key of the timeline, see `loadLaneLayout`.
+ * @param {{order: string[], hidden: string[], collapsed: string[]}} layout - The layout, see `Timeline.getLaneLayout`.
+ * @returns {void}
+ */
+function storeLaneLayout(key, layout){
+  try {
+    const layouts = JSON.parse(localStorage.getItem(LANELAYOUTSKEY) ?? "[]");
+    const others = Array.isArray(layouts) ? layouts.filter(entry => entry?.key !== key) : [];
+    localStorage.setItem(LANELAYOUTSKEY, JSON.stringify([{ key, layout }, ...others].slice(0, MAXLANELAYOUTS)));
+  } catch {
+    // the layout is only a convenience
+  }
+}
 
-    if(scaleType == "millisecond"){
-      if(scaleWidth < 20){
-        if(date.getMilliseconds() % 10 != 0 && date.getMilliseconds() != 0) label = "";
-      } else if(scaleWidth < 50){
-        if(date.getMilliseconds() % 5 != 0 && date.getMilliseconds() != 0) label = "";
-      }
-    }
+/**
+ * Converts a CSS color to the `#rrggbb` form color inputs take, dropping any alpha.
+ *
+ * @function
+ * @param {string} color - The CSS color, see `getColorComponents`.
+ * @returns {string} The hex color.
+ */
+function toHexColor(color){
+  const { r, g, b } = getColorComponents(color);
+  return "#" + [r, g, b].map(component => Math.round(component).toString(16).padStart(2, "0")).join("");
+}
 
-    
+/**
+ * Converts a `#rrggbb` color from a color input to the `rgb()` form timeline JSON uses.
+ *
+ * @function
+ * @param {string} hexColor - The hex color.
+ * @returns {string} The rgb() color.
+ */
+function toRgbColor(hexColor){
+  const { r, g, b } = getColorComponents(hexColor);
+  return "rgb(" + r + "," + g + "," + b + ")";
+}
 
-    return label;
+/**
+ * A bounded undo/redo stack of changes to a timeline.
+ *
+ * A command is an object with a `label` describing the change (e.g. "Rename swimlane") and `undo` and `redo`
+ * functions that revert and reapply it. Consecutive commands with the same `mergeKey` are merged into one,
+ * so typing into a field is undone in one step.
+ *
+ * @class CommandHistory
+ */
+class CommandHistory {
+  #undoStack = [];
+  #redoStack = [];
+  #maxSize;
+  #onChange;
+
+  /**
+   * @param {number} [maxSize=100] - The number of commands kept, the oldest are dropped.
+   * @param {Function} [onChange] - Called whenever the stacks change.
+   */
+  constructor(maxSize = 100, onChange = () => {}){
+    this.#maxSize = maxSize;
+    this.#onChange = onChange;
   }
 
   /**
-   * Adjusts the zoom level of the timeline by changing the `scaleWidth`, and updates the focus point
-   * to the timeline gridline closest to the mouse X position.
-   * 
-   * A positive `rescaleSpeed` zooms in (increases `scaleWidth`), while a negative value zooms out.
-   * After adjusting the scale width, it recalculates the `focusX` (gridline anchor) and updates the
-   * `focusDate` to match the gridline closest to the `mouseX` coordinate.
-   * 
-   * Finally, the function adjusts the scale type if needed based on the new width.
-   * 
-   * @param {number} rescaleSpeed - The amount to change the scale width by. Positive to zoom in, negative to zoom out.
-   * @param {number} mouseX - The x-coordinate of the mouse, used to determine the nearest timeline gridline to focus on.
+   * Applies a command and adds it to the history.
+   *
+   * @param {{label: string, undo: Function, redo: Function, mergeKey?: *}} command - The command.
+   * @returns {void}
    */
-  rescale(rescaleSpeed, mouseX, mouseY) {
-    // -rescaleSpeed to scale zoom out, +rescaleSpeed to scale zoom in
-    this.#scaleWidth += rescaleSpeed;
-    
-    // set focusX to the line position x closest to mouseX
-    let closestIndex = 0;
-    let diff = Math.abs(this.#linePosArr[0] - mouseX);
-    for (let i = 0; i < this.#linePosArr.length; i++) {
-      let curDiff = Math.abs(this.#linePosArr[i] - mouseX);
-      if (curDiff < diff) {
-        diff = curDiff;
-        closestIndex = i;
-      }
+  execute(command){
+    command.redo();
+    this.record(command);
+  }
+
+  /**
+   * Adds a command that has already been applied to the history, and clears the redo stack.
+   *
+   * @param {{label: string, undo: Function, redo: Function, mergeKey?: *}} command - The command.
+   * @returns {void}
+   */
+  record(command){
+    const last = this.#undoStack[this.#undoStack.length - 1];
+    if(last && command.mergeKey !== undefined && command.mergeKey === last.mergeKey && this.#redoStack.length == 0){
+      // undoing the merged command reverts to before the first change
+      this.#undoStack[this.#undoStack.length - 1] = { ...command, undo: last.undo };
+    }else{
+      this.#undoStack.push(command);
+      if(this.#undoStack.length > this.#maxSize) this.#undoStack.shift();
     }
-    this.#focusX = this.#linePosArr[closestIndex];
+    this.#redoStack = [];
+    this.#onChange();
+  }
 
-    // set focusDate to equal index as chosen line position
-    this.#focusDate = this.#lineDateArr[closestIndex];
+  /**
+   * Reverts the last command.
+   *
+   * @returns {Object|null} The reverted command, or `null` if there is nothing to undo.
+   */
+  undo(){
+    const command = this.#undoStack.pop();
+    if(!command) return null;
+    command.undo();
+    this.#redoStack.push(command);
+    this.#onChange();
+    return command;
+  }
 
+  /**
+   * Reapplies the last reverted command.
+   *
+   * @returns {Object|null} The reapplied command, or `null` if there is nothing to redo.
+   */
+  redo(){
+    const command = this.#redoStack.pop();
+    if(!command) return null;
+    command.redo();
+    this.#undoStack.push(command);
+    this.#onChange();
+    return command;
+  }
 
-    this.updateScaleTypeByWidth(rescaleSpeed);
+  canUndo(){
+    return this.#undoStack.length > 0;
+  }
 
-    // tell all swimlanes they need to reassign rows to time periods
-    for(let i = 0;i<this.#swimLaneArr.length;i++){
-      let curSwimlane = this.#swimLaneArr[i]
-      curSwimlane.rescale();
+  canRedo(){
+    return this.#redoStack.length > 0;
+  }
 
-      // find which swimlane the cursor is hovering over
-      let bottomY = curSwimlane.getBottomY();
-      let topY = bottomY - curSwimlane.getHeight();
+  getUndoLabel(){
+    return this.#undoStack[this.#undoStack.length - 1]?.label ?? null;
+  }
 
-      if(mouseY <= bottomY && mouseY > topY){
-        curSwimlane.setIsHover(true);
-      } else{
-        curSwimlane.setIsHover(false);
-      }
-    }
+  getRedoLabel(){
+    return this.#redoStack[this.#redoStack.length - 1]?.label ?? null;
+  }
+
+  clear(){
+    this.#undoStack = [];
+    this.#redoStack = [];
+    this.#onChange();
+  }
+}
+
+/**
+ * A bounded back/forward history of views of a timeline, kept apart from the `CommandHistory` of changes.
+ *
+ * Views are the `focusDate`, `focusX`, `scaleType`, `scaleWidth` and `yOffset` of a `Timeline.getViewState`.
+ * A view is added before each jump (a fly-to, zoom or focus change), not while panning.
+ *
+ * @class ViewHistory
+ */
+class ViewHistory {
+  #backStack = [];
+  #forwardStack = [];
+  #maxSize;
+
+  /**
+   * @param {number} [maxSize=100] - The number of views kept, the oldest are dropped.
+   */
+  constructor(maxSize = 100){
+    this.#maxSize = maxSize;
   }
 
   /**
-   * Dynamically updates the timeline's `scaleType` based on the current `scaleWidth`.
-   * 
-   * This method allows the timeline to transition smoothly between different time units
-   * (e.g., from "century" to "decade" or from "month" to "date") as the user zooms in or out.
-   * It adjusts both the `scaleType` and resets the `scaleWidth` to an appropriate default
-   * for the new scale to maintain visual clarity.
-   * 
-   * The transitions are:
-   * - Zoom in (larger `scaleWidth`): moves to more granular units (e.g., year → month → date)
-   * - Zoom out (smaller `scaleWidth`): moves to broader units (e.g., decade → century → millennium)
-   * 
-   * Milliseconds are limited and not implemented beyond a threshold.
-   * 
-   * @param {number} rescaleSpeed - The amount the user zoomed in or out, used to help compute new width values on transitions.
+   * Adds the view being left to the history, and clears the forward views.
+   *
+   * @param {Object} view - The view.
+   * @returns {void}
    */
-  updateScaleTypeByWidth(rescaleSpeed){
-    // change scale type based on width
-    if(this.#scaleType == "millennium"){
-      if(this.#scaleWidth > 200){
-        this.#scaleType = "century";
-        this.#scaleWidth = 20 + rescaleSpeed;
-      }else if(this.#scaleWidth < 20){
-        this.#scaleWidth = 20;
-      }
+  push(view){
+    const last = this.#backStack[this.#backStack.length - 1];
+    if(!last || !this.#isSameView(last, view)){
+      this.#backStack.push(view);
+      if(this.#backStack.length > this.#maxSize) this.#backStack.shift();
     }
+    this.#forwardStack = [];
+  }
 
-    if(this.#scaleType == "century"){
-      if(this.#scaleWidth > 200){
-        this.#scaleType = "decade";
-        this.#scaleWidth = 20 + rescaleSpeed;
-      }else if(this.#scaleWidth < 20){
-        this.#scaleType = "millennium";
-        this.#scaleWidth = 200 - rescaleSpeed;
-      }
-    }
+  /**
+   * Returns the previous view, keeping the current one to go forward to.
+   *
+   * @param {Object} currentView - The view being left.
+   * @returns {Object|null} The previous view, or `null` if there is none.
+   */
+  back(currentView){
+    const view = this.#backStack.pop();
+    if(!view) return null;
+    this.#forwardStack.push(currentView);
+    return view;
+  }
 
-    if(this.#scaleType == "decade"){
-      if(this.#scaleWidth > 200){
-        this.#scaleType = "year";
-        this.#scaleWidth = 20 + rescaleSpeed;
-      } else if(this.#scaleWidth < 20){
-        this.#scaleType = "century";
-        this.#scaleWidth = 200 - rescaleSpeed;
-      }
-    }
+  /**
+   * Returns the next view, keeping the current one to go back to.
+   *
+   * @param {Object} currentView - The view being left.
+   * @returns {Object|null} The next view, or `null` if there is none.
+   */
+  forward(currentView){
+    const view = this.#forwardStack.pop();
+    if(!view) return null;
+    this.#backStack.push(currentView);
+    return view;
+  }
 
-    if(this.#scaleType == "year"){
-      if(this.#scaleWidth > 200){
-        this.#scaleType = "month";
-        this.#scaleWidth = 200/12 + rescaleSpeed;
-      } else if(this.#scaleWidth < 20){
-        this.#scaleType = "decade";
-        this.#scaleWidth = 200 - rescaleSpeed;
-      }
-    }
+  canGoBack(){
+    return this.#backStack.length > 0;
+  }
 
-    if(this.#scaleType == "month"){
-      if(this.#scaleWidth > 200){
-        this.#scaleType = "date"
-        this.#scaleWidth = 10;
-      } else if(this.#scaleWidth < 20){
-        this.#scaleType = "year";
-        this.#scaleWidth = 200 - rescaleSpeed;
-      }
-    }
+  canGoForward(){
+    return this.#forwardStack.length > 0;
+  }
 
-    if(this.#scaleType == "date"){
-      if(this.#scaleWidth > 200){
-        this.#scaleType = "hour"
-        this.#scaleWidth = 10;
-      } else if(this.#scaleWidth < 10){
-        this.#scaleType = "month";
-        this.#scaleWidth = 200
-      }
-    }
+  clear(){
+    this.#backStack = [];
+    this.#forwardStack = [];
+  }
 
-    if(this.#scaleType == "hour"){
-      if(this.#scaleWidth > 200){
-        this.#scaleType = "minute"
-        this.#scaleWidth = 5;
-      } else if(this.#scaleWidth < 10){
-        this.#scaleType = "date";
-        this.#scaleWidth = 200
-      }
-    }
+  #isSameView(a, b){
+    return a.focusDate.getTime() == b.focusDate.getTime() && a.focusX == b.focusX && a.scaleType == b.scaleType
+      && a.scaleWidth == b.scaleWidth && a.yOffset == b.yOffset;
+  }
+}
 
-    if(this.#scaleType == "minute"){
-      if(this.#scaleWidth > 200){
-        this.#scaleType = "second"
-        this.#scaleWidth = 5;
-      } else if(this.#scaleWidth < 5){
-        this.#scaleType = "hour";
-        this.#scaleWidth = 200
-      }
+/**
+ * The edit mode of a `TimelineViewer`, which changes the loaded timeline in the browser.
+ *
+ * While it is open:
+ * - dragging on a swimlane creates a time period
+ * - dragging a time period moves it in time and to the swimlane under the pointer
+ * - dragging either end of a time period changes its start or end date
+ * - the edit panel changes the selected time period, the title and the swimlanes, and saves
+ *   the timeline as JSON in the format `Timeline.load` reads
+ *
+ * Dragged dates snap to the grid lines of the current scale type. Every change is recorded in the
+ * timeline's `CommandHistory`, so it can be undone.
+ *
+ * Created by the viewer, see `TimelineViewer.setEditMode`.
+ *
+ * @class TimelineEditor
+ */
+class TimelineEditor {
+  #viewer;
+  #panel;
+  #onChange;
+  #isOpen = false;
+  #drag = null; // the drag in progress, see startDrag
+  #edgeSize = 6; // pixels either side of the end of a time period that grab the end
+  #minDragDistance = 4; // pixels the pointer moves before a drag creates or moves a time period
+  #newPeriodColor = "rgb(88,126,255)";
+  #newSwimLaneColor = "rgb(234,234,234)";
+
+  /**
+   * @param {TimelineViewer} viewer - The viewer whose timeline is edited.
+   * @param {HTMLElement} panel - The element to render the edit panel into.
+   * @param {Function} onChange - Called after each change to the timeline.
+   */
+  constructor(viewer, panel, onChange){
+    this.#viewer = viewer;
+    this.#panel = panel;
+    this.#onChange = onChange;
+    this.#panel.hidden = true;
+  }
+
+  open(){
+    this.#isOpen = true;
+    this.#panel.hidden = false;
+    this.refresh();
+  }
+
+  close(){
+    this.#isOpen = false;
+    this.#drag = null;
+    this.#panel.hidden = true;
+    this.#viewer.getCanvas().style.cursor = "";
+  }
+
+  isOpen(){
+    return this.#isOpen;
+  }
+
+  /**
+   * Starts a drag at a point on the canvas, after the viewer has updated the hovered and selected time period.
+   *
+   * Grabs the end of the time period under the pointer, the time period itself, or else the swimlane
+   * under the pointer to create a time period in, unless it is collapsed.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {boolean} `true` if the editor handles the drag, `false` if the view should be panned.
+   */
+  startDrag(x, y){
+    const timeline = this.#viewer.getTimeline();
+    if(!this.#isOpen || !timeline) return false;
+
+    const timePeriod = timeline.getHoveredPeriod();
+    if(timePeriod){
+      this.#drag = {
+        type: this.#getEdgeAt(timePeriod, x) ?? "move",
+        timePeriod,
+        swimLane: timeline.getSwimLaneOf(timePeriod),
+        x,
+        y,
+        steps: 0, // grid intervals the time period is moved by
+        startDate: timePeriod.getStartDate(),
+        endDate: timePeriod.getEndDate(),
+        precision: timePeriod.getPrecision(),
+        before: this.#getPeriodState(timePeriod),
+        hasChanged: false
+      };
+      this.refresh();
+      return true;
     }
 
-    if(this.#scaleType == "second"){
-      if(this.#scaleWidth > 200){
-        this.#scaleType = "millisecond"
-        this.#scaleWidth = 5;
-      } else if(this.#scaleWidth < 5){
-        this.#scaleType = "minute";
-        this.#scaleWidth = 200
-      }
-    }
+    const swimLane = timeline.getSwimLaneAt(y);
+    if(!swimLane || swimLane.isCollapsed()) return false;
+    this.#drag = { type: "create", timePeriod: null, swimLane, x, startDate: this.#snapDate(timeline.getDateAtX(x)), hasChanged: false };
+    this.refresh();
+    return true;
+  }
 
-    if(this.#scaleType == "millisecond"){
-      this.#scaleWidth = 4; // this is here because I don't want to implement milliseconds
-      if(this.#scaleWidth < 5){
-        this.#scaleType = "second";
-        this.#scaleWidth = 200
+  /**
+   * Continues the drag in progress.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {boolean} `true` if the timeline changed and needs to be drawn.
+   */
+  drag(x, y){
+    const drag = this.#drag;
+    const timeline = this.#viewer.getTimeline();
+    if(!drag || !timeline) return false;
+
+    const scaleType = timeline.getScaleType();
+    const dateFormat = timeline.getDateFormat();
+    const gridPrecision = this.#getGridPrecision();
+    const hasExclusiveEnd = precision => timeline.getFormatVersion() >= 2 && ["year", "month", "date"].includes(precision);
+
+    // a press, or a click that selects the time period, doesn't change it
+    if(drag.timePeriod && !drag.hasChanged && Math.hypot(x - drag.x, y - drag.y) < this.#minDragDistance) return false;
+
+    if(drag.type == "create"){
+      if(!drag.timePeriod){
+        if(Math.abs(x - drag.x) < this.#minDragDistance) return false;
+        const name = "New time period";
+        drag.timePeriod = new TimePeriod(name, drag.startDate, drag.startDate, false, false, "", this.#newPeriodColor, this.#newPeriodColor, {
+          id: timeline.generatePeriodId(name)
+        });
+        drag.swimLane.addTimePeriod(drag.timePeriod);
+        timeline.selectPeriod(drag.timePeriod);
       }
-    }
 
+      // a drag always creates a time period, events are made by clearing the end date
+      const date = this.#snapDate(timeline.getDateAtX(x));
+      let [startDate, endDate] = date < drag.startDate ? [date, drag.startDate] : [drag.startDate, date];
+      if(startDate.getTime() == endDate.getTime()) endDate = incrementDateByScaleType(startDate, scaleType, 1, dateFormat);
+      drag.timePeriod.setDates(startDate, endDate, { startPrecision: gridPrecision, endPrecision: gridPrecision, hasExclusiveEnd: hasExclusiveEnd(gridPrecision) });
+    }else if(drag.type == "start"){
+      const date = this.#snapDate(timeline.getDateAtX(x));
+      if(date >= drag.endDate) return false;
+      drag.timePeriod.setDates(date, drag.endDate, { ...drag.precision, startPrecision: gridPrecision });
+    }else if(drag.type == "end"){
+      const date = this.#snapDate(timeline.getDateAtX(x));
+      if(date <= drag.startDate) return false;
+      drag.timePeriod.setDates(drag.startDate, date, { ...drag.precision, endPrecision: gridPrecision, hasExclusiveEnd: hasExclusiveEnd(gridPrecision) });
+    }else{
+      // move by whole grid intervals, keeping the months, days and times of the dates
+      const steps = Math.round((x - drag.x) / timeline.getScaleWidth());
+      let hasMoved = false;
+      if(steps != drag.steps){
+        drag.steps = steps;
+        hasMoved = true;
+        if(steps == 0){
+          drag.timePeriod.setDates(drag.startDate, drag.endDate, drag.precision);
+        }else{
+          const finer = (a, b) => SCALETYPES.indexOf(a) > SCALETYPES.indexOf(b) ? a : b;
+          const endPrecision = finer(drag.precision.endPrecision, gridPrecision);
+          drag.timePeriod.setDates(
+            shiftDateByScaleType(drag.startDate, scaleType, steps, dateFormat),
+            shiftDateByScaleType(drag.endDate, scaleType, steps, dateFormat),
+            { startPrecision: finer(drag.precision.startPrecision, gridPrecision), endPrecision, hasExclusiveEnd: drag.precision.hasExclusiveEnd && hasExclusiveEnd(endPrecision) }
+          );
+        }
+      }
 
+      // children stay in the swimlane of their parent, and collapsed swimlanes don't show their time periods
+      const swimLane = timeline.getSwimLaneAt(y);
+      if(swimLane && swimLane !== drag.swimLane && !swimLane.isCollapsed() && !drag.timePeriod.getParent()){
+        drag.swimLane.removeTimePeriod(drag.timePeriod);
+        swimLane.addTimePeriod(drag.timePeriod);
+        drag.swimLane = swimLane;
+        hasMoved = true;
+      }
+      if(!hasMoved) return false;
+    }
 
+    drag.swimLane.sortTimePeriods();
+    drag.hasChanged = true;
+    return true;
   }
 
   /**
-   * Moves the timeline horizontally by adjusting the `focusX` position.
-   * 
-   * This effectively pans the timeline view left or right.
-   * 
-   * @param {number} horizontalScrollSpeed - The number of pixels to shift the timeline horizontally.
-   * Positive values move the view to the right; negative values move it to the left.
+   * Ends the drag in progress.
+   *
+   * @returns {void}
    */
-  moveHorizontal(horizontalScrollSpeed) {
-    this.#focusX += horizontalScrollSpeed;
+  endDrag(){
+    const drag = this.#drag;
+    const timeline = this.#viewer.getTimeline();
+    this.#drag = null;
+    if(!drag?.hasChanged || !timeline) return;
+
+    const timePeriod = drag.timePeriod;
+    if(drag.type == "create"){
+      const swimLane = drag.swimLane;
+      this.#record({
+        label: "Add time period",
+        undo: () => swimLane.removeTimePeriod(timePeriod),
+        redo: () => swimLane.addTimePeriod(timePeriod)
+      });
+    }else{
+      const before = drag.before;
+      const after = this.#getPeriodState(timePeriod);
+      this.#record({
+        label: drag.type == "move" ? "Move time period" : "Change dates",
+        undo: () => this.#setPeriodState(timePeriod, before),
+        redo: () => this.#setPeriodState(timePeriod, after)
+      });
+    }
+
+    timeline.selectPeriod(timePeriod);
+    this.refresh();
   }
 
   /**
-   * Moves the timeline vertically by adjusting the vertical offset (`yOffset`).
-   * 
-   * This affects the vertical scroll of the timeline content (e.g., swim lanes).
-   * 
-   * @param {number} verticalScrollSpeed - The number of pixels to shift the timeline vertically.
-   * Positive values move the content down; negative values move it up.
+   * Shows what a drag from a point on the canvas would do with the mouse cursor.
+   *
+   * @param {number} x - The x-coordinate on the canvas.
+   * @param {number} y - The y-coordinate on the canvas.
+   * @returns {void}
    */
-  moveVertical(verticalScrollSpeed){
-    this.#yOffset += verticalScrollSpeed;
+  updateCursor(x, y){
+    const timeline = this.#viewer.getTimeline();
+    if(!this.#isOpen || this.#drag || !timeline) return;
+
+    const timePeriod = timeline.getHoveredPeriod();
+    let cursor = "";
+    if(timePeriod) cursor = this.#getEdgeAt(timePeriod, x) ? "ew-resize" : "move";
+    else if(timeline.getSwimLaneAt(y) && !timeline.getSwimLaneAt(y).isCollapsed()) cursor = "crosshair";
+    this.#viewer.getCanvas().style.cursor = cursor;
   }
 
   /**
- * Draws the timeline's baseline, including the background gradient, main line,
- * tick marks, and date labels.
- *
- * The baseline visually represents time units (e.g., years, months) and is positioned
- * near the bottom of the canvas. Tick marks and labels are drawn based on the current
- * scale type and spacing defined in `#linePosArr` and `#lineDateArr`.
- *
- * If the current `scaleType` is "month" or more granular (e.g., "date", "hour", etc.),
- * this method also draws additional labels above the baseline for clarity.
- *
- * @param {HTMLCanvasElement} canvas - The canvas element on which to draw the baseline.
- */
-  drawBaseline(canvas) {
-    
-    const ctx = canvas.getContext("2d");
-    
-    // draw backing for baseline
-    let baselineColor1 = "rgba(208, 220, 231, 0.9)";
-    let baselineColor2 = "rgb(208, 220, 231)";
-
-    if(isTouch){
-      baselineColor1 = "rgba(255, 255, 255, 0)"
-      baselineColor2 = "rgb(255, 255, 255, 0.9)"
-    }
-    
-    const baselineGrad = ctx.createLinearGradient(0,this.#canvasHeight - this.#baseLineHeight,0,this.#canvasHeight)
-    baselineGrad.addColorStop(0,baselineColor1)
-    baselineGrad.addColorStop(0.6, baselineColor2)
-    ctx.fillStyle = baselineGrad;
-    ctx.fillRect(0, this.#canvasHeight - this.#baseLineHeight, this.#canvasWidth, this.#baseLineHeight);
-    
-    // draw baseline line
-    let baselineY = this.#canvasHeight - this.#baseLineHeight + 50;
-    ctx.strokeStyle = this.#baseLineFontColor;
-    ctx.lineWidth = 2;
-
-    if(isTouch) {
-      this.#baseLineHeight = 60;
-      baselineY = this.#canvasHeight - this.#baseLineHeight/2;
+   * Renders the edit panel for the loaded timeline and its selected time period.
+   *
+   * @returns {void}
+   */
+  refresh(){
+    if(!this.#isOpen) return;
+    const panel = this.#panel;
+    const timeline = this.#viewer.getTimeline();
+    panel.innerHTML = "";
+
+    const header = this.#createElement("div", "edit-panel-header", panel);
+    this.#createElement("b", "", header, "Edit timeline");
+    const undoButton = this.#createElement("button", "edit-undo", header, "↶");
+    undoButton.addEventListener("click", () => this.#viewer.undo());
+    const redoButton = this.#createElement("button", "edit-redo", header, "↷");
+    redoButton.addEventListener("click", () => this.#viewer.redo());
+    this.updateHistoryButtons();
+    const saveButton = this.#createElement("button", "edit-save", header, "Save JSON");
+    const doneButton = this.#createElement("button", "edit-done", header, "Done");
+    doneButton.addEventListener("click", () => this.#viewer.setEditMode(false));
+
+    if(!timeline){
+      saveButton.disabled = true;
+      this.#createElement("p", "edit-hint", panel, "Load a timeline to edit it.");
+      return;
     }
+    saveButton.addEventListener("click", () => {
+      const json = JSON.stringify(timeline.toJSON(), null, 2);
+      downloadBlob(new Blob([json], { type: "application/json" }), (timeline.getTitle() || "timeline") + ".json");
+    });
 
-    ctx.beginPath();
-    ctx.moveTo(0, baselineY);
-    ctx.lineTo(this.#canvasWidth, baselineY);
-    ctx.stroke();
-
-    // draw tick marks and values
-    for (let i = 0; i < this.#linePosArr.length; i++) {
-      ctx.lineWidth = 2;
-      ctx.font = "16px Arial";
-      ctx.fillStyle = this.#baseLineFontColor;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "top";
-      // tick mark
-      ctx.beginPath();
-      ctx.moveTo(this.#linePosArr[i], baselineY - 5);
-      ctx.lineTo(this.#linePosArr[i], baselineY + 5);
-      ctx.stroke();
-
-      // text
-      let curDate = this.#lineDateArr[i];
-      let baselineLabel = this.#getBaselineLabel(curDate, this.#scaleType, this.#scaleWidth);
-      ctx.fillText(baselineLabel, this.#linePosArr[i], baselineY + 10);
+    const titleInput = this.#addInput(panel, "Title", timeline.getTitle());
+    titleInput.addEventListener("input", () => {
+      const before = timeline.getTitle();
+      const after = titleInput.value;
+      timeline.setTitle(after);
+      this.#record({ label: "Change title", mergeKey: titleInput, undo: () => timeline.setTitle(before), redo: () => timeline.setTitle(after) });
+    });
 
-    }
+    this.#createElement("h3", "", panel, "Time period");
+    const timePeriod = timeline.getSelectedPeriod();
+    if(timePeriod) this.#renderPeriodForm(timeline, timePeriod);
+    else this.#createElement("p", "edit-hint", panel, "Drag on a swimlane to add a time period. Drag a time period, or its ends, to change it.");
 
-    // call draw labels above baseline for months and smaller
-    if(this.#scaleType == "month" || this.#scaleType == "date" || this.#scaleType == "hour"|| this.#scaleType == "minute"|| this.#scaleType == "second" || this.#scaleType == "millisecond") this.#drawLabelsAboveBaseline(ctx, baselineY);
-    
+    this.#createElement("h3", "", panel, "Swimlanes");
+    this.#renderSwimLaneList(timeline);
   }
 
   /**
-   * Draws curved bracket labels above the baseline to indicate broader time groupings 
-   * (e.g. months, days, hours) depending on the current `scaleType`.
-   *
-   * These labels help contextualize fine-grained tick marks by grouping them visually
-   * and are dynamically filtered to avoid clutter at smaller `scaleWidth`s.
+   * Shows whether there is anything to undo or redo on the undo and redo buttons.
    *
-   * This method:
-   * - Filters `#lineDateArr` and `#linePosArr` based on the granularity of the scale.
-   * - Formats a label string depending on the `scaleType`.
-   * - Draws a curved bracket and centered label for each valid segment.
+   * @returns {void}
+   */
+  updateHistoryButtons(){
+    const history = this.#viewer.getTimeline()?.getHistory();
+    const undoButton = this.#panel.querySelector(".edit-undo");
+    const redoButton = this.#panel.querySelector(".edit-redo");
+    if(!undoButton || !redoButton) return;
+
+    undoButton.disabled = !history?.canUndo();
+    undoButton.title = history?.canUndo() ? "Undo " + history.getUndoLabel() : "Undo";
+    redoButton.disabled = !history?.canRedo();
+    redoButton.title = history?.canRedo() ? "Redo " + history.getRedoLabel() : "Redo";
+  }
+
+  /**
+   * Renders the fields of the selected time period.
    *
    * @private
-   * @param {CanvasRenderingContext2D} ctx - The rendering context to draw on.
-   * @param {number} baselineY - The Y-coordinate of the baseline used as the anchor for the brackets.
+   * @param {Timeline} timeline - The loaded timeline.
+   * @param {TimePeriod} timePeriod - The selected time period.
+   * @returns {void}
    */
-  #drawLabelsAboveBaseline(ctx, baselineY){
-    
+  #renderPeriodForm(timeline, timePeriod){
+    const panel = this.#panel;
+    const json = timePeriod.toJSON((date, precision, isEndOfUnit) => timeline.formatDate(date, precision, isEndOfUnit));
+    const isEvent = timePeriod.isEvent();
+    // typing into a field is undone in one step
+    const change = (label, apply, mergeKey) => {
+      this.#changePeriod(timePeriod, label, apply, mergeKey);
+      timeline.selectPeriod(timePeriod); // update the info panel
+      this.#viewer.requestDraw();
+    };
 
-    let monthPosArr = Array.from(this.#linePosArr);
-    let monthDateArr = Array.from(this.#lineDateArr);
+    const nameInput = this.#addInput(panel, "Name", json.name);
+    nameInput.addEventListener("input", () => {
+      change("Rename time period", () => timePeriod.setName(nameInput.value), nameInput);
+    });
 
-    // this will make a date and position array for the top bracket positions
-    if(this.#scaleType != "month") {
-      let newPosArr = [];
-      let newDateArr = [];
+    const descriptionInput = this.#addField(panel, "Description", document.createElement("textarea"));
+    descriptionInput.value = json.description;
+    descriptionInput.rows = 3;
+    descriptionInput.addEventListener("input", () => {
+      change("Change description", () => timePeriod.setDescription(descriptionInput.value), descriptionInput);
+    });
 
-      for(let i = 0; i < monthDateArr.length; i++){
-        let curDate = monthDateArr[i];
-        
-        if((this.#scaleType == "date" && curDate.getDate() == 1) || (this.#scaleType == "hour" && curDate.getHours() == 0) || (this.#scaleType == "minute" && curDate.getMinutes() == 0) || (this.#scaleType == "second" && curDate.getSeconds() == 0)|| (this.#scaleType == "milliseconds" && curDate.getMilliseconds() == 0)){
-          newDateArr.push(monthDateArr[i]);
-          newPosArr.push(monthPosArr[i]);
-        }
-      }
-  
-      if(newDateArr.length == 0){ // when zoomed in, this will ensure the date array has at least one date in it
-        newDateArr.push(monthDateArr[0]);
+    const dateHint = timeline.getFormatVersion() >= 2 ? "e.g. 1500-03-15" : "e.g. 1500-2-15, months from 0";
+    const startInput = this.#addInput(panel, "Start (" + dateHint + ")", isEvent ? json.date : json.startDate);
+    const endInput = this.#addInput(panel, "End (empty for an event)", isEvent ? "" : json.endDate);
+    const dateError = this.#createElement("p", "edit-error", panel);
+    const onDateChange = () => {
+      const startStr = startInput.value.trim();
+      const endStr = endInput.value.trim();
+      const problem = getDateProblem(startStr, timeline.getFormatVersion()) ?? (endStr ? getDateProblem(endStr, timeline.getFormatVersion()) : null);
+      if(problem){
+        dateError.textContent = problem;
+        return;
       }
 
-      monthPosArr = newPosArr;
-      monthDateArr = newDateArr;
-    }
-    
-    // create date, a month/date/hour/minute/second before the first date - for printing the curved line starting off screen
-    let earlyDate = new Date(monthDateArr[0]);
-    if(this.#scaleType == "month"){
-      earlyDate.setMonth(earlyDate.getMonth() - 1);
-    }
-    else if(this.#scaleType == "date"){
-      earlyDate.setDate(earlyDate.getDate() - 1)
-    }
-    else if(this.#scaleType == "hour"){
-      earlyDate.setHours(earlyDate.getHours() - 1)
-    }
-    else if(this.#scaleType == "minute"){
-      earlyDate.setMinutes(earlyDate.getMinutes() - 1)
-    }
-    else if(this.#scaleType == "second"){
-      earlyDate.setSeconds(earlyDate.getSeconds() - 1)
-    }
-    monthDateArr.unshift(earlyDate);
-    monthPosArr.unshift(this.#scaleWidth * -30);
-    
-
-    // format and print top lables
-    for (let i = 0; i < monthPosArr.length; i++){
-  
-      let curDate = monthDateArr[i];
-      let topLabel = curDate.getFullYear() + " " + curDate.toLocaleString("default", { month: "long" });
-
-      // change topLabel format depending on scale type
-      if(this.#scaleType == "hour"){
-        topLabel = curDate.getFullYear() + " " + curDate.toLocaleString("default", { month: "long" }) + " " + curDate.getDate();
-      }else if(this.#scaleType == "minute"){
-        topLabel = curDate.getFullYear() + " " + curDate.toLocaleString("default", { month: "long" }) + " " + curDate.getDate() + " " + curDate.getHours() + ":";
-      }else if(this.#scaleType == "second"){
-        topLabel = curDate.getFullYear() + " " + curDate.toLocaleString("default", { month: "long" }) + " " + curDate.getDate() + " " + curDate.getHours() + ":" + curDate.getMinutes();
-      }else if(this.#scaleType == "millisecond"){
-        topLabel = curDate.getFullYear() + " " + curDate.toLocaleString("default", { month: "long" }) + " " + curDate.getDate() + " " + curDate.getHours() + ":" + curDate.getMinutes() + ":" + curDate.getSeconds();
+      const start = timeline.parseDate(startStr);
+      const end = endStr ? timeline.parseDate(endStr, true) : { date: new Date(start.date), precision: start.precision, isEndOfUnit: false };
+      if(isNaN(start.date) || isNaN(end.date)){
+        dateError.textContent = "is outside the supported range of dates";
+        return;
+      }
+      if(end.date < start.date){
+        dateError.textContent = "The end is before the start";
+        return;
       }
 
-      // don't draw label at certain scale widths
-      if(this.#scaleType == "month"){
-        topLabel = curDate.toLocaleString("default", { month: "long" });
+      dateError.textContent = "";
+      change("Change dates", () => {
+        timePeriod.setDates(start.date, end.date, { startPrecision: start.precision, endPrecision: end.precision, hasExclusiveEnd: end.isEndOfUnit });
+      });
+    };
+    startInput.addEventListener("change", onDateChange);
+    endInput.addEventListener("change", onDateChange);
+
+    const approxStartInput = this.#addCheckbox(panel, "Approximate start", json.hasApproxStartDate ?? json.hasApproxDate);
+    const approxEndInput = this.#addCheckbox(panel, "Approximate end", json.hasApproxEndDate ?? json.hasApproxDate);
+    const onApproxChange = () => {
+      // events have a single date, its approximation is the start's
+      change("Change approximate dates", () => {
+        timePeriod.setApproxDates(approxStartInput.checked, timePeriod.isEvent() ? approxStartInput.checked : approxEndInput.checked);
+      });
+    };
+    approxStartInput.addEventListener("change", onApproxChange);
+    approxEndInput.addEventListener("change", onApproxChange);
 
-        if(this.#scaleWidth < 40){
-          if(curDate.getMonth() % 6 !=0) topLabel = "";
-        } else if(this.#scaleWidth < 80){
-          if(curDate.getMonth() % 2 !=0) topLabel = "";
-        }
-      }
+    const color1Input = this.#addInput(panel, "Colour", toHexColor(json.color1), "color");
+    const color2Input = this.#addInput(panel, "Outline colour", toHexColor(json.color2), "color");
+    const onColorChange = (event) => {
+      change("Change colour", () => timePeriod.setColors(toRgbColor(color1Input.value), toRgbColor(color2Input.value)), event.target);
+    };
+    color1Input.addEventListener("input", onColorChange);
+    color2Input.addEventListener("input", onColorChange);
+
+    const swimLaneSelect = this.#addField(panel, "Swimlane", document.createElement("select"));
+    const swimLanes = timeline.getSwimLanes();
+    swimLanes.forEach((swimLane, i) => {
+      const option = this.#createElement("option", "", swimLaneSelect, swimLane.getName() || "Swimlane " + (i + 1));
+      option.value = String(i);
+      option.selected = swimLane === timeline.getSwimLaneOf(timePeriod);
+    });
+    swimLaneSelect.disabled = timePeriod.getParent() !== null; // children stay in the swimlane of their parent
+    swimLaneSelect.addEventListener("change", () => {
+      change("Move time period", () => {
+        timeline.getSwimLaneOf(timePeriod)?.removeTimePeriod(timePeriod);
+        swimLanes[Number(swimLaneSelect.value)].addTimePeriod(timePeriod);
+      });
+    });
 
-      // draw curve above and between tick marks
-      let radius = 10;
-      const startX = monthPosArr[i]+5;
-      let endX = monthPosArr[i + 1] - 5;
-      if (isNaN(endX)) {
-        endX = 10000;
-      }
-      let monthWidth = (endX - startX);
-      let labelMiddle = startX + monthWidth/2;
-      const y = baselineY - 5;
+    const deleteButton = this.#createElement("button", "edit-delete", panel, "Delete time period");
+    deleteButton.addEventListener("click", () => {
+      const swimLane = timeline.getSwimLaneOf(timePeriod);
+      if(!swimLane) return;
+      const parent = timePeriod.getParent();
+      swimLane.removeTimePeriod(timePeriod);
+      this.#record({
+        label: "Delete time period",
+        undo: () => swimLane.addTimePeriod(timePeriod, parent),
+        redo: () => swimLane.removeTimePeriod(timePeriod)
+      });
+      timeline.selectPeriod(null);
+      this.refresh();
+      this.#viewer.requestDraw();
+    });
+  }
 
-      // resize radius when month width is too narrow
-      if(monthWidth < 2*radius +10){
-        radius = (monthWidth-10)/2;
-        if(radius < 0) radius = 1; // ensure there is never a negative radius
-      }
+  /**
+   * Renders the swimlanes with fields to rename, recolour, reorder and delete them, and a button to add one.
+   *
+   * @private
+   * @param {Timeline} timeline - The loaded timeline.
+   * @returns {void}
+   */
+  #renderSwimLaneList(timeline){
+    const list = this.#createElement("ul", "edit-lanes", this.#panel);
+    const swimLanes = timeline.getSwimLanes();
+    const record = (command) => {
+      this.#record(command);
+      this.refresh();
+      this.#viewer.requestDraw();
+    };
 
-      
-      ctx.lineWidth = 1;
-      ctx.font = "15px Arial";
-      ctx.beginPath();
-      ctx.arc(startX + radius, y, radius, Math.PI, Math.PI * 1.5); // Top left curve
-      ctx.lineTo(endX-radius, y - radius);                        // Straight top
-      ctx.arc(endX - radius, y, radius, Math.PI * 1.5, 0);          // Top right curve
-      ctx.stroke();
-      
-      // draw month text
-      ctx.lineWidth = 2;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "bottom";
+    swimLanes.forEach((swimLane, i) => {
+      const item = this.#createElement("li", "", list);
+
+      const nameInput = this.#createElement("input", "edit-lane-name", item);
+      nameInput.type = "text";
+      nameInput.value = swimLane.getName();
+      nameInput.setAttribute("aria-label", "Swimlane name");
+      nameInput.addEventListener("input", () => {
+        const before = swimLane.getName();
+        const after = nameInput.value;
+        swimLane.setName(after);
+        this.#record({ label: "Rename swimlane", mergeKey: nameInput, undo: () => swimLane.setName(before), redo: () => swimLane.setName(after) });
+        this.#viewer.requestDraw();
+      });
+      // the lane panel and the swimlane options are only rebuilt once typing is done
+      nameInput.addEventListener("change", () => {
+        timeline.refreshLanePanel();
+        this.refresh();
+      });
 
-      // shift label if off screen left
-      let labelWidth = ctx.measureText(topLabel).width
-      if(startX < 0){
-        labelMiddle = endX/2;
-      }
-      if(labelMiddle < 0){
-        labelMiddle = labelWidth/2;
-        
-      }
-      if(labelWidth>endX){
-        labelMiddle = endX - labelWidth/2;
-      }
+      const colorInput = this.#createElement("input", "edit-lane-color", item);
+      colorInput.type = "color";
+      colorInput.value = toHexColor(swimLane.getColor());
+      colorInput.setAttribute("aria-label", "Swimlane colour");
+      colorInput.addEventListener("input", () => {
+        const before = swimLane.getColor();
+        const after = toRgbColor(colorInput.value);
+        swimLane.setColor(after);
+        this.#record({ label: "Change swimlane colour", mergeKey: colorInput, undo: () => swimLane.setColor(before), redo: () => swimLane.setColor(after) });
+        this.#viewer.requestDraw();
+      });
+
+      const upButton = this.#createElement("button", "edit-lane-up", item, "↑");
+      upButton.title = "Move up";
+      upButton.disabled = i == 0 || swimLanes[i - 1].getGroup() !== swimLane.getGroup(); // swimlanes stay in their group
+      upButton.addEventListener("click", () => {
+        timeline.moveSwimLane(swimLane, i - 1);
+        record({ label: "Move swimlane", undo: () => timeline.moveSwimLane(swimLane, i), redo: () => timeline.moveSwimLane(swimLane, i - 1) });
+      });
 
-      // shift label if off screen right
-      if(endX > this.#canvasWidth){
-        labelMiddle = startX + (this.#canvasWidth - startX)/2;
-      }
-      if((labelMiddle-labelWidth/2)<startX){
-        labelMiddle = startX + labelWidth/2;
-      }
+      const downButton = this.#createElement("button", "edit-lane-down", item, "↓");
+      downButton.title = "Move down";
+      downButton.disabled = i == swimLanes.length - 1 || swimLanes[i + 1].getGroup() !== swimLane.getGroup();
+      downButton.addEventListener("click", () => {
+        timeline.moveSwimLane(swimLane, i + 1);
+        record({ label: "Move swimlane", undo: () => timeline.moveSwimLane(swimLane, i), redo: () => timeline.moveSwimLane(swimLane, i + 1) });
+      });
 
-      if(startX < 0 && endX > this.#canvasWidth){
-        labelMiddle = this.#canvasWidth/2;
-      }
+      const deleteButton = this.#createElement("button", "edit-lane-delete", item, "✕");
+      deleteButton.title = "Delete swimlane";
+      deleteButton.addEventListener("click", () => {
+        const count = swimLane.getAllTimePeriods().length;
+        if(count > 0 && !window.confirm("Delete " + (swimLane.getName() || "this swimlane") + " and its " + count + " time periods?")) return;
+        timeline.removeSwimLane(swimLane);
+        record({ label: "Delete swimlane", undo: () => timeline.insertSwimLane(swimLane, i), redo: () => timeline.removeSwimLane(swimLane) });
+      });
+    });
+
+    const addButton = this.#createElement("button", "edit-lane-add", this.#panel, "Add swimlane");
+    addButton.addEventListener("click", () => {
+      const swimLane = timeline.addSwimLane("New swimlane", this.#newSwimLaneColor);
+      const index = timeline.getSwimLanes().indexOf(swimLane);
+      record({ label: "Add swimlane", undo: () => timeline.removeSwimLane(swimLane), redo: () => timeline.insertSwimLane(swimLane, index) });
+    });
+  }
 
+  /**
+   * Records a change that has been applied in the timeline's undo history.
+   *
+   * @private
+   * @param {Object} command - The change, see `CommandHistory`.
+   * @returns {void}
+   */
+  #record(command){
+    this.#viewer.getTimeline().getHistory().record(command);
+    this.#onChange();
+  }
 
-      ctx.fillText(topLabel, labelMiddle, baselineY - 20)
+  /**
+   * Changes a time period and records the change, with the time period's state before and after it.
+   *
+   * @private
+   * @param {TimePeriod} timePeriod - The time period.
+   * @param {string} label - Describes the change, see `CommandHistory`.
+   * @param {Function} apply - Makes the change.
+   * @param {*} [mergeKey] - Merges the change with the previous one with the same key, see `CommandHistory`.
+   * @returns {void}
+   */
+  #changePeriod(timePeriod, label, apply, mergeKey){
+    const before = this.#getPeriodState(timePeriod);
+    apply();
+    const after = this.#getPeriodState(timePeriod);
+    after.swimLane?.sortTimePeriods(); // the dates and the label width change the rows
+    this.#record({ label, mergeKey, undo: () => this.#setPeriodState(timePeriod, before), redo: () => this.#setPeriodState(timePeriod, after) });
+  }
+
+  #getPeriodState(timePeriod){
+    return {
+      name: timePeriod.getName(),
+      description: timePeriod.getDescription(),
+      startDate: timePeriod.getStartDate(),
+      endDate: timePeriod.getEndDate(),
+      precision: timePeriod.getPrecision(),
+      ...timePeriod.getApproxDates(),
+      ...timePeriod.getColors(),
+      swimLane: this.#viewer.getTimeline().getSwimLaneOf(timePeriod),
+      parent: timePeriod.getParent()
+    };
+  }
+
+  /**
+   * Restores a time period to a state returned by `#getPeriodState`, moving it back to its swimlane and parent.
+   *
+   * @private
+   * @param {TimePeriod} timePeriod - The time period.
+   * @param {Object} state - The state.
+   * @returns {void}
+   */
+  #setPeriodState(timePeriod, state){
+    timePeriod.setName(state.name);
+    timePeriod.setDescription(state.description);
+    timePeriod.setDates(state.startDate, state.endDate, state.precision);
+    timePeriod.setApproxDates(state.hasApproxStartDate, state.hasApproxEndDate);
+    timePeriod.setColors(state.color1, state.color2);
+
+    const swimLane = this.#viewer.getTimeline().getSwimLaneOf(timePeriod);
+    if(swimLane !== state.swimLane || timePeriod.getParent() !== state.parent){
+      swimLane?.removeTimePeriod(timePeriod);
+      state.swimLane?.addTimePeriod(timePeriod, state.parent);
     }
+    // the dates and the label width change the rows
+    state.swimLane?.sortTimePeriods();
+  }
 
+  /**
+   * Returns which end of a time period is at an x-coordinate, within `#edgeSize` pixels.
+   *
+   * @private
+   * @param {TimePeriod} timePeriod - The time period.
+   * @param {number} x - The x-coordinate on the canvas.
+   * @returns {string|null} "start", "end", or `null` if neither end is there or the time period is an event.
+   */
+  #getEdgeAt(timePeriod, x){
+    if(timePeriod.isEvent()) return null;
+    const startDistance = Math.abs(x - timePeriod.getStartX());
+    const endDistance = Math.abs(x - timePeriod.getEndX());
+    if(Math.min(startDistance, endDistance) > this.#edgeSize) return null;
+    return startDistance <= endDistance ? "start" : "end";
   }
 
   /**
-   * Renders the entire timeline onto the provided canvas.
+   * Returns the grid line nearest to a date.
    *
-   * This includes:
-   * - Clearing and preparing the canvas.
-   * - Drawing vertical timeline grid lines based on the current `scaleType` and `focusDate`.
-   * - Storing the grid line dates and X positions.
-   * - Drawing optional temporary markers for debugging (if `SHOWTEMPMARKERS` is true).
-   * - Rendering swim lane backgrounds and foregrounds using `SwimLane` class methods.
-   * - Drawing optional grid lines and the labeled timeline baseline.
+   * @private
+   * @param {Date} date - The date.
+   * @returns {Date} The date of the nearest grid line of the current scale type.
+   */
+  #snapDate(date){
+    const timeline = this.#viewer.getTimeline();
+    const scaleType = timeline.getScaleType();
+    const dateFormat = timeline.getDateFormat();
+    const floor = floorDateByScaleType(date, scaleType, dateFormat);
+    const next = incrementDateByScaleType(floor, scaleType, 1, dateFormat);
+    return date - floor < next - date ? floor : next;
+  }
+
+  /**
+   * Returns the precision of dates snapped to the grid, the unit of the current scale type.
    *
-   * The method avoids drawing grid lines or labels for year 0, except for large time scales 
-   * (millennium, century, decade).
+   * Legacy dates are always shown to the day, so they are given "date" precision.
    *
-   * @param {HTMLCanvasElement} canvas - The canvas DOM element to draw the timeline on.
+   * @private
+   * @returns {string} The precision, e.g. "year" for decades.
    */
-  draw(canvas) {
-    this.#canvas = canvas;
-    // prevent crash if scale width is less than 1
-    if (this.#scaleWidth < 1) this.#scaleWidth = 1;
-    
-    const ctx = canvas.getContext("2d");
+  #getGridPrecision(){
+    const timeline = this.#viewer.getTimeline();
+    let precision = timeline.getScaleType();
+    if(["millennium", "century", "decade"].includes(precision)) precision = "year";
+    if(timeline.getFormatVersion() < 2 && (precision == "year" || precision == "month")) precision = "date";
+    return precision;
+  }
 
-    // apply dpi scaling
-    const dpr = window.devicePixelRatio || 1;
-    const logicalWidth = canvas.width / dpr;
-    const logicalHeight = canvas.height /dpr;
-    ctx.setTransform(1, 0, 0, 1, 0, 0);  
-    ctx.scale(dpr, dpr); 
+  #createElement(tagName, className, parent, text){
+    const element = document.createElement(tagName);
+    if(className) element.classList.add(className);
+    if(text !== undefined) element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  }
 
-    this.#canvas = canvas;
-    this.#canvasWidth = logicalWidth;
-    this.#canvasHeight = logicalHeight;
+  #addField(parent, labelText, element){
+    const label = this.#createElement("label", "", parent, labelText);
+    label.appendChild(element);
+    return element;
+  }
 
+  #addInput(parent, labelText, value, type = "text"){
+    const input = document.createElement("input");
+    input.type = type;
+    input.value = value ?? "";
+    return this.#addField(parent, labelText, input);
+  }
 
-    // clear canvas
-    ctx.fillStyle = "white";
-    ctx.fillRect(0, 0, this.#canvasWidth, this.#canvasHeight);
+  #addCheckbox(parent, labelText, isChecked){
+    const label = this.#createElement("label", "edit-checkbox", parent);
+    const input = this.#createElement("input", "", label);
+    input.type = "checkbox";
+    input.checked = Boolean(isChecked);
+    label.append(" " + labelText);
+    return input;
+  }
+}
 
-    // clear line date and position arrays
-    this.#lineDateArr = [];
-    this.#linePosArr = [];
+/**
+ * The dialog of a `TimelineViewer` that imports a CSV or TSV table as a new timeline.
+ *
+ * The table is chosen as a file or pasted. The dialog guesses the delimiter and which columns hold which
+ * fields of a time period (see `TABLECOLUMNS`), lets the user change them and the date format, and
+ * previews how many rows convert and which rows can't, before `TimelineViewer.importTable` loads it.
+ *
+ * @class TableImportDialog
+ */
+class TableImportDialog {
+  #viewer;
+  #panel;
+  #text = "";
+  #rows = [];
+  #options = { delimiter: "", hasHeader: true, dateFormat: "iso", title: "Imported timeline", columns: {} };
+  #isDateFormatChosen = false; // whether the user chose the date format, rather than it being guessed
+  #columnsElement = null;
+  #previewElement = null;
+  #importButton = null;
+  #maxShownProblems = 20;
+  #delimiterLabels = { "": "Detect", ",": "Comma", "\t": "Tab", ";": "Semicolon" };
+  #dateFormatLabels = {
+    iso: "ISO 8601 (1500-03-15)",
+    year: "Years (1500, 44 BC)",
+    dmy: "Day/month/year (15/3/1500)",
+    mdy: "Month/day/year (3/15/1500)"
+  };
 
-    // setup for draw
-    ctx.fillStyle = "black";
-    ctx.strokeStyle = "black";
-    ctx.lineWidth = 1;
-    ctx.textAlign = "left";
-    ctx.textBaseline = "middle";
-    ctx.font = "18px Arial";
+  /**
+   * @param {TimelineViewer} viewer - The viewer to load the imported timeline into.
+   * @param {HTMLElement} panel - The element to render the dialog into.
+   */
+  constructor(viewer, panel){
+    this.#viewer = viewer;
+    this.#panel = panel;
+    this.#panel.hidden = true;
+  }
 
-    // draw lines above focusPoint (including focus point)
-    let pixelDistanceFromFocus = 0;
-    let curGridLineX = 0;
-    let linesAboveFocus = 0;
-    while (curGridLineX < this.#canvasWidth) {
-      // temp color focus date and grid line
-      //if (linesAboveFocus == 0 && this.#focusX < canvas.width) ctx.strokeStyle = "red";
-      //else ctx.strokeStyle = "rgb(183, 183, 183)";
+  open(){
+    this.#panel.hidden = false;
+    this.#render();
+  }
 
-      curGridLineX = this.#focusX + pixelDistanceFromFocus;
+  close(){
+    this.#panel.hidden = true;
+  }
 
-      let curDate = incrementDateByScaleType(this.#focusDate, this.#scaleType, linesAboveFocus);
-      // skip year 0
-      if (
-        !(
-          this.#scaleType == "millennium" ||
-          this.#scaleType == "century" ||
-          this.#scaleType == "decade"
-        )
-      ) {
-        if (curDate.getFullYear() == 0) {
-          //curDate = incrementDateByScaleType(curDate, "year", 1);
-          //curDate.setFullYear(1);
-          //linesAboveFocus++;
-          //continue;
-        }
-      }
-      let curValue = getFocusDateAsValue(curDate, this.#scaleType);
-      // temp
-      ctx.translate(curGridLineX, 80);
-      ctx.rotate((90 * Math.PI) / 180);
-      if(SHOWTEMPMARKERS) ctx.fillText(curValue + " (" + curDate.toDateString() + ")", 0, 0);
-      ctx.rotate((-90 * Math.PI) / 180);
-      ctx.translate(-curGridLineX, -80);
-      // save line date and x position
-      this.#lineDateArr.push(curDate);
-      this.#linePosArr.push(curGridLineX);
+  isOpen(){
+    return !this.#panel.hidden;
+  }
 
-      pixelDistanceFromFocus += this.#scaleWidth;
-      linesAboveFocus++;
-    }
+  /**
+   * Replaces the table being imported, e.g. with a file's content.
+   *
+   * @param {string} text - The CSV or TSV text.
+   * @param {string} [fileName] - The name of the file, used as the timeline title.
+   * @returns {void}
+   */
+  setText(text, fileName){
+    this.#text = text;
+    if(fileName) this.#options.title = fileName.replace(/\.[^.]*$/, "");
+    this.#parse();
+    if(this.isOpen()) this.#render();
+  }
 
-    // draw lines below focus point (does not include focus point)
-    pixelDistanceFromFocus = this.#scaleWidth;
-    curGridLineX = canvas.width; // arbitrary number rightside of canvas
-    let linesBelowFocus = 0;
-    while (curGridLineX > 0) {
-      linesBelowFocus++;
-      curGridLineX = this.#focusX - pixelDistanceFromFocus;
+  /**
+   * Returns the options to import the table with, see `TimelineViewer.importTable`.
+   *
+   * @returns {Object} The options.
+   */
+  getImportOptions(){
+    const { delimiter, hasHeader, dateFormat, title, columns } = this.#options;
+    return { delimiter: delimiter || detectDelimiter(this.#text), hasHeader, dateFormat, title, columns: { ...columns } };
+  }
 
-      let curDate = incrementDateByScaleType(this.#focusDate, this.#scaleType, -linesBelowFocus);
-      // skip year 0
-      if (
-        !(
-          this.#scaleType == "millennium" ||
-          this.#scaleType == "century" ||
-          this.#scaleType == "decade"
-        )
-      ) {
-        if (curDate.getFullYear() == 0) {
-          //curDate = incrementDateByScaleType(curDate, "year", -1);
-          //curDate.setFullYear(-1);
-          //continue;
-        }
-      }
-      let curValue = getFocusDateAsValue(curDate, this.#scaleType);
-      // temp
-      ctx.translate(curGridLineX, 80);
-      ctx.rotate((90 * Math.PI) / 180);
-      if(SHOWTEMPMARKERS) ctx.fillText(curValue + " (" + curDate.toDateString() + ")", 0, 0);
-      ctx.rotate((-90 * Math.PI) / 180);
-      ctx.translate(-curGridLineX, -80);
+  /**
+   * Splits the table into rows and guesses its columns again, and its date format unless the user chose one, after
+   * the text, delimiter or header option changed.
+   *
+   * @private
+   * @returns {void}
+   */
+  #parse(){
+    const { delimiter, hasHeader } = this.getImportOptions();
+    this.#rows = parseDelimitedText(this.#text, delimiter);
+    const columnCount = this.#rows.reduce((max, row) => Math.max(max, row.length), 0);
+    this.#options.columns = guessTableColumns(hasHeader ? this.#rows[0] ?? [] : null, columnCount);
+    if(!this.#isDateFormatChosen) this.#options.dateFormat = guessTableDateFormat(this.#rows, this.#options.columns, hasHeader);
+  }
 
-      // save line date and x position
-      this.#lineDateArr.push(curDate);
-      this.#linePosArr.push(curGridLineX);
+  #render(){
+    const panel = this.#panel;
+    panel.innerHTML = "";
+
+    const header = this.#createElement("div", "import-dialog-header", panel);
+    this.#createElement("b", "", header, "Import table");
+    const closeButton = this.#createElement("button", "import-close", header, "✕");
+    closeButton.title = "Close";
+    closeButton.addEventListener("click", () => this.close());
+
+    const fileInput = this.#addField(panel, "CSV or TSV file", document.createElement("input"));
+    fileInput.type = "file";
+    fileInput.accept = ".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain";
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files[0];
+      if(!file) return;
+      const reader = new FileReader();
+      reader.addEventListener("load", () => this.setText(String(reader.result), file.name));
+      reader.readAsText(file);
+    });
 
-      pixelDistanceFromFocus += this.#scaleWidth;
-    }
+    const textInput = this.#addField(panel, "or paste the table", document.createElement("textarea"));
+    textInput.rows = 5;
+    textInput.value = this.#text;
+    textInput.placeholder = "Swimlane,Name,Start,End\nRulers,Augustus,27 BC,14";
+    textInput.addEventListener("input", () => {
+      this.#text = textInput.value;
+      this.#parse();
+      dateFormatSelect.value = this.#options.dateFormat;
+      this.#renderColumns();
+      this.#renderPreview();
+    });
 
-    // temp: will have to move this sort function somewhere else
-    this.#lineDateArr.sort((a, b) => a - b);
-    this.#linePosArr.sort((a, b) => a - b);
+    const delimiterSelect = this.#addSelect(panel, "Delimiter", this.#delimiterLabels, this.#options.delimiter);
+    delimiterSelect.addEventListener("change", () => {
+      this.#options.delimiter = delimiterSelect.value;
+      this.#parse();
+      dateFormatSelect.value = this.#options.dateFormat;
+      this.#renderColumns();
+      this.#renderPreview();
+    });
 
-    // draw swim lane backgrounds
-    let yAdjustment = SwimLane.drawBackgrounds(ctx,this, this.#swimLaneArr, this.#yOffset, this.#canvasHeight, this.#baseLineHeight);
-    if(SHOWGRIDLINES) this.#drawGridLines(ctx);
-    SwimLane.drawForegrounds(ctx, this.#swimLaneArr);
-    this.#yOffset += yAdjustment; // adjusts yOffset when swimlanes are resized around cursor position
+    const headerLabel = this.#createElement("label", "import-checkbox", panel);
+    const headerInput = this.#createElement("input", "", headerLabel);
+    headerInput.type = "checkbox";
+    headerInput.checked = this.#options.hasHeader;
+    headerLabel.append(" First row is a header");
+    headerInput.addEventListener("change", () => {
+      this.#options.hasHeader = headerInput.checked;
+      this.#parse();
+      dateFormatSelect.value = this.#options.dateFormat;
+      this.#renderColumns();
+      this.#renderPreview();
+    });
 
-    this.drawBaseline(canvas);
-  }
+    const dateFormatSelect = this.#addSelect(panel, "Date format", this.#dateFormatLabels, this.#options.dateFormat);
+    dateFormatSelect.addEventListener("change", () => {
+      this.#options.dateFormat = dateFormatSelect.value;
+      this.#isDateFormatChosen = true;
+      this.#renderPreview();
+    });
 
-  #drawGridLines(ctx){
-    ctx.fillStyle = "black";
-    ctx.strokeStyle = "black";
-    ctx.lineWidth = 1;
-    ctx.strokeStyle = "rgb(183, 183, 183)";
+    const titleInput = this.#addField(panel, "Title", document.createElement("input"));
+    titleInput.value = this.#options.title;
+    titleInput.addEventListener("input", () => this.#options.title = titleInput.value);
+
+    this.#createElement("h3", "", panel, "Columns");
+    this.#columnsElement = this.#createElement("div", "import-columns", panel);
+    this.#previewElement = this.#createElement("div", "import-preview", panel);
+
+    const footer = this.#createElement("div", "import-dialog-footer", panel);
+    this.#importButton = this.#createElement("button", "import-confirm", footer, "Import");
+    this.#importButton.addEventListener("click", () => {
+      this.#importButton.disabled = true;
+      this.#viewer.importTable(this.#text, this.getImportOptions())
+      .then(() => this.close())
+      .catch(() => {}) // the viewer shows why in its error overlay
+      .finally(() => this.#renderPreview());
+    });
+    const cancelButton = this.#createElement("button", "import-cancel", footer, "Cancel");
+    cancelButton.addEventListener("click", () => this.close());
 
-    for(let i = 0;i<this.#linePosArr.length;i++){
-      let curGridLineX = this.#linePosArr[i];
-      ctx.beginPath();
-      ctx.moveTo(curGridLineX, 0);
-      ctx.lineTo(curGridLineX,this.#canvasHeight);
-      ctx.stroke();
-    }
+    this.#renderColumns();
+    this.#renderPreview();
   }
 
   /**
-   * Updates the mouse interaction state for all time periods in all visible swimlanes.
+   * Renders a select of the table's columns for each field of a time period.
    *
-   * Determines whether the mouse is currently hovering over a time period, and updates its
-   * visual state (e.g. showing bounding boxes or rendering info to `infoPanel` on click).
-   *
-   * If the mouse is clicked (`isMouseDown === true`) and no time period is matched, it updates
-   * the info panel to indicate that no time period is selected.
-   *
-   * @param {number} mouseX - The X coordinate of the mouse relative to the canvas.
-   * @param {number} mouseY - The Y coordinate of the mouse relative to the canvas.
-   * @param {boolean} [isMouseDown=false] - Whether the mouse button is currently pressed.
-   * @returns {string} The name of the time period under the cursor, or an empty string if none.
+   * @private
+   * @returns {void}
    */
-  updateMouseState(mouseX, mouseY, isMouseDown=false){
-    // returns name of timeperiod cursor is hovering over
+  #renderColumns(){
+    const element = this.#columnsElement;
+    element.innerHTML = "";
+
+    const columnCount = this.#rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const columnLabels = { "-1": "(none)" };
+    for(let i = 0;i<columnCount;i++){
+      const headerText = this.#options.hasHeader ? (this.#rows[0]?.[i] ?? "").trim() : "";
+      columnLabels[i] = headerText || "Column " + (i + 1);
+    }
 
-    let hoverSelection = "";
-    let matchFound = false;
-    // loop swimlanes
-    for(let i = 0;i<this.#swimLaneArr.length;i++){
-      if(!this.#swimLaneArr[i].getVisibility()) continue; // skip swimlanes that aren't visible
+    TABLECOLUMNS.forEach(({ field, label }) => {
+      const select = this.#addSelect(element, label, columnLabels, String(this.#options.columns[field] ?? -1));
+      select.addEventListener("change", () => {
+        this.#options.columns[field] = Number(select.value);
+        this.#renderPreview();
+      });
+    });
+  }
 
-      let curSwimlane = this.#swimLaneArr[i];
-      let curTimePeriodArr = curSwimlane.getTimePeriods();
-      
-      // loop time periods in this swimlane
-      for(let j = 0;j<curTimePeriodArr.length;j++){
-        // check if cursor is in time period
-        if(curTimePeriodArr[j].updateMouseState(mouseX, mouseY, isMouseDown)){
-          matchFound = true;
-          hoverSelection = curTimePeriodArr[j].getName();
-        } 
+  /**
+   * Converts the table with the current options and shows how many time periods it has and which rows are skipped.
+   *
+   * @private
+   * @returns {void}
+   */
+  #renderPreview(){
+    const element = this.#previewElement;
+    element.innerHTML = "";
+
+    const { json, problems } = tableToTimelineJson(this.#rows, this.getImportOptions());
+    const periodCount = json.swimlanes.reduce((count, swimlane) => count + swimlane.timePeriods.length, 0);
+    const skippedCount = new Set(problems.map(problem => problem.path.split(",")[0])).size;
+
+    let summary = periodCount + (periodCount == 1 ? " time period" : " time periods") + " in " + json.swimlanes.length
+      + (json.swimlanes.length == 1 ? " swimlane" : " swimlanes");
+    if(skippedCount > 0) summary += ", " + skippedCount + (skippedCount == 1 ? " row" : " rows") + " skipped:";
+    this.#createElement("p", "import-summary", element, this.#text.trim() ? summary : "Choose a file or paste a table.");
+
+    if(problems.length > 0){
+      const list = this.#createElement("ul", "import-problems", element);
+      problems.slice(0, this.#maxShownProblems).forEach(problem => {
+        this.#createElement("li", "", list, problem.path + ": " + problem.message);
+      });
+      if(problems.length > this.#maxShownProblems){
+        this.#createElement("li", "", list, "and " + (problems.length - this.#maxShownProblems) + " more");
       }
     }
 
-    if(!matchFound && isMouseDown){
-      // click is in empty space
-      infoPanel.innerHTML = "Select Time Period";
-    }
+    this.#importButton.disabled = periodCount == 0;
+  }
+
+  #createElement(tagName, className, parent, text){
+    const element = document.createElement(tagName);
+    if(className) element.classList.add(className);
+    if(text !== undefined) element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  }
+
+  #addField(parent, labelText, element){
+    const label = this.#createElement("label", "", parent, labelText);
+    label.appendChild(element);
+    return element;
+  }
+
+  #addSelect(parent, labelText, optionLabels, value){
+    const select = this.#addField(parent, labelText, document.createElement("select"));
+    Object.entries(optionLabels).forEach(([optionValue, optionLabel]) => {
+      const option = this.#createElement("option", "", select, optionLabel);
+      option.value = optionValue;
+    });
+    select.value = value;
+    return select;
+  }
+}
+
+/**
+ * Loads timelines in a Web Worker that runs this script, so fetching, parsing, checking and laying out a large
+ * timeline doesn't freeze the page, see `loadTimelineSource`. The page then only creates the timeline from the
+ * prepared data, see `Timeline.loadPrepared`, with its rows already assigned.
+ *
+ * Where there are no workers, the script was not loaded from a URL, or the worker fails to start, timelines are
+ * loaded on the page instead, leaving the rows to the first draw.
+ *
+ * @class TimelineLoader
+ */
+class TimelineLoader {
+  #worker = null; // created with the first load, false if there is none
+  #requests = new Map(); // id -> the source, progress callback and promise callbacks of a load in the worker
+  #requestCount = 0;
+  #isDestroyed = false;
 
-    return hoverSelection;
+  /**
+   * Loads and prepares a timeline.
+   *
+   * @param {Object} source - Where to load the timeline from, one of `data`, `text` or `url`, see `TimelineViewer.load`.
+   * @param {number} canvasWidth - The width of the canvas in device pixels, to assign the rows for.
+   * @param {function(string, number|null): void} [onProgress] - Called with each step, see `loadTimelineSource`.
+   * @returns {Promise<{timelineData: PreparedTimeline, rowAssignments: Object|null}>} See `loadTimelineSource`.
+   */
+  load(source, canvasWidth, onProgress = () => {}){
+    const worker = this.#getWorker();
+    if(!worker) return loadTimelineSource(source, null, onProgress);
+
+    // URLs are relative to the page rather than to the worker
+    if(source.url) source = { url: new URL(source.url, document.baseURI).href };
+    const id = ++this.#requestCount;
+    return new Promise((resolve, reject) => {
+      const request = { source, onProgress, resolve, reject };
+      this.#requests.set(id, request);
+      try{
+        worker.postMessage({ id, source, canvasWidth });
+      }catch{
+        // e.g. data that can't be copied to the worker
+        this.#requests.delete(id);
+        this.#loadOnPage(request);
+      }
+    });
   }
 
   /**
-   * Sets up the lane panel UI that allows toggling the visibility of swimlanes.
-   *
-   * Clears the existing content of the `lanePanel` element and creates a button for each
-   * swimlane. Each button toggles the visibility of its associated swimlane when clicked
-   * and triggers a redraw of the timeline.
-   *
-   * Buttons are styled using the `swim-lane-hide-button` CSS class.
+   * Stops the worker once the loads that are still running finish.
    *
-   * This method assumes that `lanePanel` is a globally accessible DOM element and
-   * that `this.#swimLaneArr` contains initialized swimlane instances.
+   * @returns {void}
+   */
+  destroy(){
+    this.#isDestroyed = true;
+    this.#stopIfDone();
+  }
+
+  /**
+   * Returns the worker, creating it at the first call.
    *
    * @private
+   * @returns {Worker|null} The worker, or `null` if timelines are loaded on the page.
    */
-  #setupLanePanel(){
-    // setup div for toggling swimlane visibility
-
-    lanePanel.innerHTML = "";
-    const lanePanelTitle = document.createElement("b");
-    lanePanelTitle.textContent = "Hide/Show";
-    lanePanel.appendChild(lanePanelTitle);
-
-    for(let i = 0;i<this.#swimLaneArr.length;i++){
-      const newButton = document.createElement("button");
-      newButton.classList.add("swim-lane-hide-button");
-      newButton.textContent = this.#swimLaneArr[i].getName();
-
-      newButton.addEventListener("click", () =>{
-        // hide/show
-        this.#swimLaneArr[i].toggleVisibility();
-        this.draw(this.#canvas);
-      })
-
-      lanePanel.appendChild(newButton);
+  #getWorker(){
+    if(this.#worker === null){
+      this.#worker = false;
+      if(SCRIPTURL && typeof Worker === "function"){
+        try{
+          this.#worker = new Worker(SCRIPTURL);
+          this.#worker.addEventListener("message", event => this.#onMessage(event.data));
+          this.#worker.addEventListener("error", event => this.#onWorkerError(event));
+        }catch(e){
+          console.warn("Loading timelines on the page, the worker could not be started:", e);
+          this.#worker = false;
+        }
+      }
     }
-    
-  }
-
-  getTitle(){
-    return this.#title;
+    return this.#worker || null;
   }
 
   /**
-   * Parses a custom-formatted date string into a JavaScript `Date` object.
-   *
-   * The expected format is `"YYYY-MM-DD-HH-MM-SS-MS"` (each component separated by a dash),
-   * where time components (hours, minutes, seconds, milliseconds) are optional.
-   * 
-   * Supports negative years (e.g., `-0044-03-15` for 44 BC). A leading `-` indicates a BC date.
+   * Passes on a message from the worker to the load it belongs to.
    *
    * @private
-   * @param {string} dateStr - The date string to parse. Format: "[-]YYYY-MM-DD[-HH-MM-SS-MS]".
-   * @returns {Date} The corresponding `Date` object with the correct year and time fields set.
+   * @param {Object} message - The message, see `handleLoadRequest`.
+   * @returns {void}
    */
-  #parseDate(dateStr){
-    // parse date string to date object
-    let yearMultiplier = 1;
-    if(dateStr[0] === '-'){
-      // is bc
-      dateStr = dateStr.slice(1);
-      yearMultiplier = -1;
-    }
+  #onMessage(message){
+    const request = this.#requests.get(message.id);
+    if(!request) return;
 
-    const [year, month, day, hour, minute, second, ms] = dateStr.split("-").map(Number);
-    const date = new Date(0,0,0);
-    date.setFullYear(year * yearMultiplier)
-    date.setMonth(month)
-    date.setDate(day)
-    if(hour) date.setHours(hour)
-    if(minute) date.setMinutes(minute)
-    if(second) date.setSeconds(second)
-    if(ms) date.setMilliseconds(ms)
-    return date;
+    if(message.type == "progress"){
+      request.onProgress(message.step, message.progress);
+      return;
+    }
+    this.#requests.delete(message.id);
+    if(message.type == "load") request.resolve({ timelineData: message.timelineData, rowAssignments: message.rowAssignments });
+    else request.reject(new Error(message.message));
+    this.#stopIfDone();
   }
 
   /**
-   * Loads timeline data from a JSON object and initializes internal properties.
-   *
-   * This method sets up the timeline’s title, scale, focus date, and swimlanes
-   * including all associated time periods. It parses date strings into `Date` objects
-   * and rebuilds the internal state from serialized data (e.g., from a saved file or API).
+   * Loads on the page from now on if the worker fails, e.g. if the script can't be loaded into it, including the
+   * loads that were running in it.
    *
-   * @param {Object} json - The JSON object containing the timeline data.
-   * @param {string} json.title - The title of the timeline.
-   * @param {number} json.scaleWidth - The pixel width of each timeline unit.
-   * @param {string} json.scaleType - The type of time scale (e.g., "year", "month").
-   * @param {string} json.focusDate - The focus date in custom string format.
-   * @param {number} json.focusX - The x-position of the focus date on the canvas.
-   * @param {Array<Object>} json.swimlanes - The array of swimlane objects.
-   * @param {string} json.swimlanes[].title - Title of the swimlane.
-   * @param {boolean} json.swimlanes[].isHidden - Whether the swimlane is hidden.
-   * @param {string} json.swimlanes[].color - Background color of the swimlane.
-   * @param {Array<Object>} json.swimlanes[].timePeriods - Array of time period objects.
-   * @param {string} json.swimlanes[].timePeriods[].name - Name of the time period.
-   * @param {string} json.swimlanes[].timePeriods[].startDate - Start date in custom format.
-   * @param {string} json.swimlanes[].timePeriods[].endDate - End date in custom format.
-   * @param {boolean} json.swimlanes[].timePeriods[].hasApproxStartDate - Whether the start date is approximate.
-   * @param {boolean} json.swimlanes[].timePeriods[].hasApproxEndDate - Whether the end date is approximate.
-   * @param {string} json.swimlanes[].timePeriods[].description - Description text.
-   * @param {string} json.swimlanes[].timePeriods[].color1 - Primary color for rendering.
-   * @param {string} json.swimlanes[].timePeriods[].color2 - Secondary color for rendering.
+   * @private
+   * @param {ErrorEvent} event - The error.
+   * @returns {void}
    */
-  load(json){
-
-    // load timeline properties
-    this.#title = json.title;
-    this.#scaleWidth = json.scaleWidth;
-    this.#scaleType = json.scaleType;
-    this.#focusDate = this.#parseDate(json.focusDate)
-    this.#focusX = json.focusX;
-
-    // load swimlanes
-    json.swimlanes.forEach(swimlaneJson => {
-      let timePeriodArr = [];
-
-      // load timeperiods
-      swimlaneJson.timePeriods.forEach(periodJson => {
-        const startDate = this.#parseDate(periodJson.startDate);
-        const endDate = this.#parseDate(periodJson.endDate)
-
-        const timePeriod = new TimePeriod(
-          periodJson.name,
-          startDate,
-          endDate,
-          periodJson.hasApproxStartDate,
-          periodJson.hasApproxEndDate,
-          periodJson.description,
-          periodJson.color1,
-          periodJson.color2
-        )
-        timePeriodArr.push(timePeriod)
-      })
+  #onWorkerError(event){
+    console.warn("Loading timelines on the page, the worker failed:", event.message);
+    event.preventDefault();
+    this.#worker.terminate();
+    this.#worker = false;
 
-      const swimLane = new SwimLane(
-        swimlaneJson.title, 
-        swimlaneJson.isHidden,
-        this.#canvasWidth,
-        timePeriodArr,
-        swimlaneJson.color
-      )
-      this.#swimLaneArr.push(swimLane)
-    })
+    const requests = [...this.#requests.values()];
+    this.#requests.clear();
+    requests.forEach(request => this.#loadOnPage(request));
+  }
 
-   this.#setupLanePanel();
+  /**
+   * Loads the timeline of a request on the page instead of in the worker.
+   *
+   * @private
+   * @param {Object} request - The source, progress callback and promise callbacks of the load.
+   * @returns {void}
+   */
+  #loadOnPage({ source, onProgress, resolve, reject }){
+    loadTimelineSource(source, null, onProgress).then(resolve, reject);
+  }
 
+  /**
+   * Stops the worker if the loader is destroyed and no loads are running in it.
+   *
+   * @private
+   * @returns {void}
+   */
+  #stopIfDone(){
+    if(!this.#isDestroyed || this.#requests.size > 0 || !this.#worker) return;
+    this.#worker.terminate();
+    this.#worker = false;
   }
 }
 
 /**
- * Represents a horizontal swim lane that holds a collection of time periods on the timeline.
- *
- * Each swim lane manages its own height, visibility, layout rows, and internal time period data.
- * Swim lanes are used to organize multiple time periods visually within the timeline interface.
- *
- * @class
+ * An embeddable timeline viewer mounted inside a container element.
+ * 
+ * The viewer creates its own canvas, info panel, search panel, zoom controls, lane panel, instruction
+ * panel and error overlay inside the container, so several viewers can be placed on one page. Every event listener the
+ * viewer registers is scoped to the instance and removed by `destroy()`.
+ * 
+ * Events (subscribe with `on`):
+ * - "load": a timeline finished loading, receives the `Timeline`
+ * - "error": loading failed, receives the error
+ * - "select": the selected time period changed, receives the `TimePeriod` or `null`
+ * - "hover": the time period under the cursor changed, receives the `TimePeriod` or `null`
+ * - "viewchange": the focus, scale or vertical offset changed, receives the `Timeline`
+ * - "change": the timeline was edited in edit mode, or a change was undone or redone, receives the `Timeline`
+ * - "destroy": the viewer was destroyed
+ * 
+ * With the `urlState` option, the view is kept in the page URL hash as the user navigates,
+ * so it can be shared as a link and visited views can be returned to with back/forward.
+ * 
+ * With the `editable` option, an edit button opens the edit mode, see `TimelineEditor`. The import button
+ * opens a dialog that loads a CSV or TSV table, see `TableImportDialog`.
+ * 
+ * A timeline file can be dropped on the viewer or chosen with the open button, see `openFile`. Recently
+ * opened files are kept in local storage and listed in the open menu, see the `recentFiles` option.
+ * 
+ * Changes to the timeline (edits and hiding swimlanes) can be undone with `undo` and `redo` (Ctrl+Z and
+ * Ctrl+Shift+Z), and jumps to another view with `previousView` and `nextView` (Alt+Left and Alt+Right).
+ * 
+ * Usually constructed through `createTimelineViewer()`.
+ * 
+ * @class TimelineViewer
  */
-class SwimLane{
-  #name = "";
-  #isHidden = false;
-  #width = 0;
-  #minHeight = 200;
-  #height = this.#minHeight; // temp, min height
-  #timePeriodArr = [];
-  #row = [[]]; // each row is an array of int. Each int represents an index in the timePeriodArr
-  #bottomY = 0;
-  #margin = 5;
-  #rowHeight;
-  #color;
-  #needsNewRows = true;
-  #isHover = false;
+class TimelineViewer {
+  static defaultOptions = {
+    horizontalScrollSpeed: 50,
+    verticalScrollSpeed: 50,
+    rescaleSpeed: 10,
+    showInstructions: true,
+    autoFocus: false, // focus the container on load so keyboard controls work straight away
+    urlState: false, // keep the view in the URL hash
+    urlStatePrefix: "", // prefix of the URL hash parameters, to keep several viewers apart
+    urlStateDelay: 400, // milliseconds the view must be still before it is added to the browser history
+    era: "BC/AD", // how years are displayed: "BC/AD", "BCE/CE" or "astronomical"
+    calendar: "gregorian", // "julian" displays dates before 15 October 1582 in the Julian calendar
+    editable: true, // show the edit button, see setEditMode
+    historySize: 100, // changes that can be undone, and views that can be returned to
+    recentFiles: 5, // opened files remembered in local storage and listed in the open menu, 0 to remember none
+    rememberLanes: true, // remember the order of each timeline's swimlanes and which are hidden or collapsed in local storage
+    clusterDensity: 8, // the fewest pixels for each time period in view of a swimlane drawn as bars, 0 to never draw clusters
+    showDrawStats: SHOWDRAWSTATS, // frames per second and draw time over the timeline
+  };
+
+  #container;
+  #createdElements = []; // elements added to the container, removed on destroy
+  #addedTabIndex = false;
+  #canvas;
+  #infoPanel;
+  #lanePanel;
+  #instructionPanel;
+  #errorOverlay;
+  #loadingOverlay;
+  #loadingStep;
+  #loadingProgress;
+  #searchInput;
+  #searchResults;
+  #zoomInButton;
+  #zoomOutButton;
+  #fitAllButton;
+  #exportButton;
+  #exportMenu;
+  #editButton;
+  #editPanel;
+  #editor;
+  #importButton;
+  #importPanel;
+  #importDialog;
+  #openButton;
+  #openMenu;
+  #fileInput;
+  #history;
+  #viewHistory;
+  #options;
+  #isTouch = false;
+  #timeline = null;
+  #abortController = new AbortController(); // aborting removes every listener registered by this instance
+  #listeners = {};
+  #drawRequestId = null;
+  #lastViewKey = "";
+  #lastHoveredPeriod = null;
+  #loadCount = 0;
+  #loader = new TimelineLoader();
+  #isDestroyed = false;
+  #urlStateTimeout = null;
+  #laneLayoutKey = null; // the key the swimlane layout of the loaded timeline is remembered by, see loadLaneLayout
+  #maxSearchResults = 50;
+  #maxShownProblems = 20;
 
   /**
-   * Creates a new SwimLane instance to group and display time periods on the timeline.
+   * Creates the viewer's elements inside the container and attaches its event listeners.
+   * 
+   * No timeline is displayed until `load()` is called.
    *
-   * @constructor
-   * @param {string} name - The name or label of the swim lane.
-   * @param {boolean} isHidden - Whether the swim lane is initially hidden.
-   * @param {number} width - The width allocated for the swim lane in pixels.
-   * @param {TimePeriod[]} timePeriodArr - An array of TimePeriod instances assigned to this swim lane.
-   * @param {string} [color="rgb(234,234,234)"] - Optional background color for the swim lane (CSS color string).
+   * @param {HTMLElement} containerElement - The element to mount the viewer in. Its size determines the canvas size.
+   * @param {Object} [options={}] - Viewer options, see `TimelineViewer.defaultOptions`.
+   * @param {number} [options.horizontalScrollSpeed=50] - Pixels to move horizontally per key press or wheel tick.
+   * @param {number} [options.verticalScrollSpeed=50] - Pixels to move vertically per key press or wheel tick.
+   * @param {number} [options.rescaleSpeed=10] - Pixels to change the scale width by per zoom step.
+   * @param {boolean} [options.showInstructions=true] - Whether to show the instruction panel.
+   * @param {boolean} [options.autoFocus=false] - Whether to focus the viewer when a timeline loads.
+   * @param {boolean} [options.urlState=false] - Whether to keep the view in the URL hash.
+   * @param {string} [options.urlStatePrefix=""] - Prefix of the URL hash parameters.
+   * @param {number} [options.urlStateDelay=400] - Milliseconds the view must be still before it is added to the browser history.
+   * @param {string} [options.era="BC/AD"] - How years are displayed: "BC/AD", "BCE/CE" or "astronomical".
+   * @param {string} [options.calendar="gregorian"] - "julian" displays dates before 15 October 1582 in the Julian calendar.
+   * @param {boolean} [options.editable=true] - Whether to show the edit button.
+   * @param {number} [options.historySize=100] - The number of changes that can be undone, and of views that can be returned to.
+   * @param {number} [options.recentFiles=5] - The number of opened files remembered in local storage.
+   * @param {boolean} [options.rememberLanes=true] - Whether to remember how the swimlanes of each timeline are arranged
+   *   in local storage, and arrange them so when it loads again.
+   * @param {number} [options.clusterDensity=8] - The fewest pixels of width for each time period in view of a swimlane
+   *   for them to be drawn as bars; a swimlane with more is drawn as clusters that zoom in when clicked. 0 never
+   *   draws clusters.
+   * @param {boolean} [options.showDrawStats=false] - Whether to show the frames per second, the draw time and the
+   *   layers drawn again over the timeline, see `Timeline.getDrawStats`.
+   * @throws {Error} If containerElement is not an HTML element.
    */
-  constructor(name, isHidden, width, timePeriodArr, color="rgb(234,234,234)"){
-    this.#name = name;
-    this.#isHidden = isHidden;
-    this.#width = width;
-    this.#timePeriodArr = timePeriodArr;
-    this.#color = color;
+  constructor(containerElement, options = {}){
+    if(!(containerElement instanceof HTMLElement)){
+      throw new Error("containerElement must be an HTML element.");
+    }
+    this.#container = containerElement;
+    this.#options = { ...TimelineViewer.defaultOptions, ...options };
+    this.#isTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+    this.#initializeDOMElements();
+    this.#resizeCanvas();
+    this.#editor = new TimelineEditor(this, this.#editPanel, () => this.#emit("change", this.#timeline));
+    this.#history = new CommandHistory(this.#options.historySize, () => {
+      this.#editor.updateHistoryButtons();
+      if(this.#laneLayoutKey && this.#timeline) storeLaneLayout(this.#laneLayoutKey, this.#timeline.getLaneLayout());
+    });
+    this.#viewHistory = new ViewHistory(this.#options.historySize);
+    this.#importDialog = new TableImportDialog(this, this.#importPanel);
+
+    const { horizontalScrollSpeed, verticalScrollSpeed, rescaleSpeed } = this.#options;
+    setupKeyboardControls(this, verticalScrollSpeed, horizontalScrollSpeed, rescaleSpeed);
+    setupPointerEvents(this, verticalScrollSpeed, horizontalScrollSpeed, rescaleSpeed);
+    setupZoomButtons(this, this.#zoomInButton, this.#zoomOutButton, rescaleSpeed);
+    this.#fitAllButton.addEventListener("click", () => this.fitAll(), { signal: this.getSignal() });
+    this.#setupExportMenu();
+    this.#editButton.addEventListener("click", () => this.setEditMode(!this.isEditing()), { signal: this.getSignal() });
+    this.#importButton.addEventListener("click", () => {
+      if(this.#importDialog.isOpen()) this.#importDialog.close();
+      else this.#importDialog.open();
+    }, { signal: this.getSignal() });
+    this.#setupFileOpening();
+    this.#infoPanel.addEventListener("click", (event) => {
+      // links listed in the info panel go to the linked time period
+      const linkButton = event.target.closest(".info-panel-link");
+      const timePeriod = linkButton && this.#timeline?.getPeriodById(linkButton.dataset.periodId);
+      if(timePeriod) this.goToPeriod(timePeriod);
+    }, { signal: this.getSignal() });
+    this.on("select", () => this.#editor.refresh());
+    this.#setupSearchPanel();
+
+    window.addEventListener("resize", () => {
+      // resize canvas and timeline
+      this.#resizeCanvas();
+      this.draw();
+    }, { signal: this.getSignal() });
+
+    if(this.#options.urlState){
+      // browser back/forward between visited views
+      window.addEventListener("popstate", () => {
+        if(!this.#timeline || !this.#applyUrlState()) return;
+        this.draw();
+        clearTimeout(this.#urlStateTimeout);
+        history.replaceState(history.state, "", this.#getUrlStateHash());
+      }, { signal: this.getSignal() });
+    }
+
+    mountedViewers.set(containerElement, this);
   }
 
   /**
-   * Draws the background rectangles for a list of visible swim lanes from bottom to top,
-   * starting at the specified Y-coordinate.
+   * Creates the canvas and panels inside the container element.
    * 
-   * Each visible swim lane is set up and drawn in reverse order (last in the array appears at the bottom).
+   * The container is made focusable so it can receive keyboard controls.
    *
-   * @static
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context to draw on.
-   * @param {Timeline} timeline - The timeline instance used for layout and scaling context.
-   * @param {SwimLane[]} swimLaneArr - An array of SwimLane instances to draw.
-   * @param {number} y - The starting Y-coordinate from which to begin drawing upward.
-   * @returns {number} yAdjustment - To readjust yOffset when swimlanes are repositioned around mouseY.
+   * @private
+   * @returns {void}
    */
-  static drawBackgrounds(ctx,timeline, swimLaneArr, yOffset, canvasHeight, baseLineHeight){
-    let y = yOffset + canvasHeight - baseLineHeight 
-    let yAdjustment = 0;
+  #initializeDOMElements(){
+    this.#container.classList.add("timeline-viewer");
+    if(!this.#container.hasAttribute("tabindex")){
+      this.#container.tabIndex = 0;
+      this.#addedTabIndex = true;
+    }
 
-    // function to draw backgrounds for an array of SwimLanes (bottom up), beginning at a y coordinate
-    let startIndex = swimLaneArr.length-1;
+    this.#canvas = this.#createElement("canvas", "timeline-canvas", this.#container);
+    this.#infoPanel = this.#createElement("div", "info-panel", this.#container);
+    this.#infoPanel.textContent = "Select Time Period";
+
+    const searchPanel = this.#createElement("div", "search-panel", this.#container);
+    this.#searchInput = this.#createElement("input", "search-input", searchPanel);
+    this.#searchInput.type = "search";
+    this.#searchInput.placeholder = "Search time periods";
+    this.#searchInput.setAttribute("aria-label", "Search time periods");
+    this.#searchResults = this.#createElement("ul", "search-results", searchPanel);
+    this.#searchResults.classList.add("scrollable-panel");
+
+    const zoomControls = this.#createElement("div", "zoom-controls", this.#container);
+    this.#zoomInButton = this.#createElement("button", "zoom-in", zoomControls);
+    this.#zoomInButton.textContent = "+";
+    this.#zoomOutButton = this.#createElement("button", "zoom-out", zoomControls);
+    this.#zoomOutButton.textContent = "−";
+    this.#fitAllButton = this.#createElement("button", "zoom-fit", zoomControls);
+    this.#fitAllButton.textContent = "⤢";
+    this.#fitAllButton.title = "Fit all";
+    this.#exportButton = this.#createElement("button", "zoom-export", zoomControls);
+    this.#exportButton.textContent = "⇩";
+    this.#exportButton.title = "Export";
+    this.#exportMenu = this.#createElement("div", "export-menu", zoomControls);
+    this.#exportMenu.hidden = true;
+    ["png", "svg", "pdf", "csv"].forEach(format => {
+      const button = this.#createElement("button", "export-format", this.#exportMenu);
+      button.textContent = format.toUpperCase();
+      button.dataset.format = format;
+    });
+    this.#editButton = this.#createElement("button", "zoom-edit", zoomControls);
+    this.#editButton.textContent = "✎";
+    this.#editButton.title = "Edit timeline";
+    this.#editButton.hidden = !this.#options.editable;
+    this.#importButton = this.#createElement("button", "zoom-import", zoomControls);
+    this.#importButton.textContent = "⇧";
+    this.#importButton.title = "Import table (CSV, TSV)";
+    this.#openButton = this.#createElement("button", "zoom-open", zoomControls);
+    this.#openButton.textContent = "📂";
+    this.#openButton.title = "Open file (JSON, CSV, TSV)";
+    this.#openMenu = this.#createElement("div", "open-menu", zoomControls);
+    this.#openMenu.hidden = true;
+    this.#fileInput = this.#createElement("input", "open-file-input", zoomControls);
+    this.#fileInput.type = "file";
+    this.#fileInput.accept = ".json,.csv,.tsv,.txt,application/json,text/csv,text/tab-separated-values,text/plain";
+    this.#fileInput.hidden = true;
+
+    this.#lanePanel = this.#createElement("div", "lane-panel", this.#container);
+    this.#editPanel = this.#createElement("div", "edit-panel", this.#container);
+    this.#editPanel.classList.add("scrollable-panel");
+    this.#importPanel = this.#createElement("div", "import-dialog", this.#container);
+    this.#importPanel.classList.add("scrollable-panel");
+    this.#instructionPanel = this.#createElement("div", "instruction-panel-container", this.#container);
+    this.#errorOverlay = this.#createElement("div", "error-overlay", this.#container);
+    this.#errorOverlay.classList.add("scrollable-panel");
+    this.#loadingOverlay = this.#createElement("div", "loading-overlay", this.#container);
+    this.#loadingOverlay.hidden = true;
+    this.#loadingStep = this.#createElement("p", "loading-step", this.#loadingOverlay);
+    this.#loadingProgress = this.#createElement("progress", "loading-progress", this.#loadingOverlay);
+  }
 
-    if(swimLaneArr[0].#needsNewRows){
-      for(let i = 0;i< swimLaneArr.length;i++){
+  /**
+   * Creates an element with a class name and appends it to a parent element.
+   * 
+   * Elements appended directly to the container are removed when the viewer is destroyed.
+   *
+   * @private
+   * @param {string} tagName - The tag name of the element.
+   * @param {string} className - The class to add to the element.
+   * @param {HTMLElement} parent - The element to append to.
+   * @returns {HTMLElement} The new element.
+   */
+  #createElement(tagName, className, parent){
+    const element = document.createElement(tagName);
+    element.classList.add(className);
+    parent.appendChild(element);
+    if(parent === this.#container) this.#createdElements.push(element);
+    return element;
+  }
 
-        if(swimLaneArr[i].#isHover){
-          y = swimLaneArr[i].#bottomY
-          startIndex = i;
-          break;
-        }
-      }
-    }
+  /**
+   * Sizes the canvas to fill the container, accounting for the device pixel ratio.
+   *
+   * @private
+   * @returns {void}
+   */
+  #resizeCanvas(){
+    // dpi scaling
+    const dpr = window.devicePixelRatio || 1;
+    const width = this.#container.clientWidth;
+    const height = this.#container.clientHeight;
 
-    let startY = y;
+    // Set CSS display size (what the browser sees)
+    this.#canvas.style.width = width + "px";
+    this.#canvas.style.height = height + "px";
 
-    let i = startIndex;
-    // draw hovered swimlane and above
-    for(let i = startIndex;i>=0;i--){
-      if(!swimLaneArr[i].getVisibility()) continue;
-      swimLaneArr[i].setUpTimePeriods(ctx, timeline);
-      y -= swimLaneArr[i].getHeight();
-      swimLaneArr[i].drawBackground(ctx, y);
-    }
+    // Set actual pixel size of canvas
+    this.#canvas.width = width * dpr;
+    this.#canvas.height = height * dpr;
 
-    // draw swimlanes below hovered swimlane
-    if(startIndex == swimLaneArr.length-1){
-      return 0;
+    // Scale drawing context
+    const ctx = this.#canvas.getContext("2d");
+    ctx.scale(dpr, dpr);
+  }
+
+  /**
+   * Loads a timeline into the viewer, replacing the current timeline.
+   * 
+   * One of `data`, `text` or `url` must be given. If `load` is called again before a fetch completes,
+   * the earlier result is discarded.
+   * 
+   * The timeline is fetched, parsed, checked and laid out in a worker where possible, see `TimelineLoader`,
+   * while an overlay shows the progress.
+   * 
+   * Problems in the timeline data are listed in an overlay and the affected items are skipped,
+   * see `Timeline.load`. If the timeline cannot be loaded at all, the overlay shows why.
+   *
+   * @param {Object} source - Where to load the timeline from.
+   * @param {Object} [source.data] - The timeline data in JSON format, as accepted by `Timeline.load`.
+   * @param {string} [source.text] - The timeline data as JSON text, e.g. the content of a file.
+   * @param {string} [source.url] - URL of a timeline JSON file to fetch.
+   * @returns {Promise<Timeline>} Resolves with the loaded timeline, rejects if fetching or loading fails.
+   */
+  load({ data, text, url } = {}){
+    const loadCount = ++this.#loadCount;
+    const isCurrent = () => loadCount === this.#loadCount && !this.#isDestroyed;
+    this.#hideErrorOverlay();
+
+    let source = null;
+    if(data) source = { data };
+    else if(typeof text == "string") source = { text };
+    else if(url) source = { url };
+
+    let loadPromise;
+    if(source){
+      this.#showLoadingOverlay("Loading", null);
+      loadPromise = this.#loader.load(source, this.#canvas.width, (step, progress) => {
+        if(isCurrent()) this.#showLoadingOverlay(step, progress);
+      });
     }
+    else loadPromise = Promise.reject(new Error("load requires data, text or url."));
+
+    return loadPromise
+    .then(({ timelineData, rowAssignments }) => {
+      // a later load or destroy supersedes this one
+      if(!isCurrent()) return this.#timeline;
+
+      this.#hideLoadingOverlay();
+      this.#laneLayoutKey = null; // clearing the history doesn't change the layout
+      this.#history.clear();
+      this.#viewHistory.clear();
+      this.#timeline = initializeTimeline(timelineData, this.#canvas.width, {
+        infoPanel: this.#infoPanel,
+        lanePanel: this.#lanePanel,
+        isTouch: this.#isTouch,
+        era: this.#options.era,
+        calendar: this.#options.calendar,
+        history: this.#history,
+        clusterDensity: this.#options.clusterDensity,
+        showDrawStats: this.#options.showDrawStats
+      });
 
-    y = startY;
-    for(let i = startIndex + 1;i<swimLaneArr.length;i++){
-      if(!swimLaneArr[i].getVisibility()) continue;
-      let oldHeight = swimLaneArr[i].getHeight();
+      // arrange the swimlanes as they were left, by the URL or else the title of the timeline
+      if(this.#options.rememberLanes){
+        this.#laneLayoutKey = url ?? "title:" + this.#timeline.getTitle();
+        const laneLayout = loadLaneLayout(this.#laneLayoutKey);
+        if(laneLayout) this.#timeline.setLaneLayout(laneLayout);
+      }
+      // after the layout, which assigns the rows again; a view from the URL does too
+      if(rowAssignments) this.#timeline.setRowAssignments(rowAssignments);
+      this.#lastHoveredPeriod = null;
+      this.#timeline.selectPeriod(null);
+      this.#updateSearchResults();
+
+      const problems = this.#timeline.getLoadProblems();
+      if(problems.length > 0){
+        const lines = problems.map(problem => problem.path + ": " + problem.message);
+        console.warn("Problems in timeline data:\n" + lines.join("\n"));
+        this.#showErrorOverlay(
+          problems.length + (problems.length == 1 ? " problem" : " problems") + " in the timeline data, the affected items are not shown",
+          lines
+        );
+      }
 
-      swimLaneArr[i].setUpTimePeriods(ctx, timeline);
-      swimLaneArr[i].drawBackground(ctx, y);
-      let newHeight = swimLaneArr[i].getHeight();
-      let deltaHeight = newHeight - oldHeight;
-      y += newHeight;
+      if(this.#options.urlState) this.#applyUrlState();
+      this.draw();
 
-      yAdjustment += deltaHeight
-    }
+      if(this.#options.urlState){
+        // the loaded view replaces the current history entry, rather than adding one
+        clearTimeout(this.#urlStateTimeout);
+        history.replaceState(history.state, "", this.#getUrlStateHash());
+      }
 
-    return yAdjustment
+      if(this.#options.showInstructions && !this.isEditing()) showInstructions(this.#instructionPanel, this.#isTouch);
+      this.#editor.refresh();
+      if(this.#options.autoFocus) this.#container.focus({ preventScroll: true });
+
+      this.#emit("load", this.#timeline);
+      return this.#timeline;
+    })
+    .catch(err => {
+      if(isCurrent()){
+        this.#hideLoadingOverlay();
+        this.#showErrorOverlay("The timeline could not be loaded", [err.message]);
+      }
+      this.#emit("error", err);
+      throw err;
+    });
   }
 
   /**
-   * Draws the foreground (time periods) for each visible SwimLane in top-to-bottom order.
-   * 
-   * Assumes that layout has already been set up and that each SwimLane knows its position.
+   * Shows the error overlay with a heading and a list of messages, replacing its current content.
+   * Lists at most `#maxShownProblems` messages.
    *
-   * @static
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
-   * @param {SwimLane[]} swimLaneArr - An array of SwimLane instances whose time periods should be drawn.
+   * @private
+   * @param {string} heading - Summary of what went wrong.
+   * @param {string[]} messages - The individual errors.
    * @returns {void}
    */
-  static drawForegrounds(ctx, swimLaneArr){
-    // function to draw foregrounds for an array of SwimLanes, beginning at y coordinate
-    for(let i = 0;i<swimLaneArr.length;i++){
-      if(!swimLaneArr[i].getVisibility()) continue;
-      swimLaneArr[i].drawTimePeriods(ctx);
+  #showErrorOverlay(heading, messages){
+    this.#hideErrorOverlay();
+
+    const headingElement = document.createElement("p");
+    headingElement.classList.add("error-overlay-heading");
+    headingElement.textContent = heading;
+
+    const list = document.createElement("ul");
+    messages.slice(0, this.#maxShownProblems).forEach(message => {
+      const item = document.createElement("li");
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    if(messages.length > this.#maxShownProblems){
+      const item = document.createElement("li");
+      item.textContent = "and " + (messages.length - this.#maxShownProblems) + " more, see the browser console";
+      list.appendChild(item);
     }
-  }
-
-  rescale(){
-    this.#needsNewRows = true;
-  }
 
-  hide = () => this.#isHidden = true;
-  show = () => this.#isHidden = false;
+    const hideButton = document.createElement("button");
+    hideButton.classList.add("error-overlay-hide-button");
+    hideButton.textContent = "hide";
+    hideButton.addEventListener("click", () => this.#hideErrorOverlay());
 
-  toggleVisibility(){
-    this.#isHidden = !this.#isHidden;
+    this.#errorOverlay.append(headingElement, list, hideButton);
   }
 
-  getVisibility(){
-    return !this.#isHidden;
+  /**
+   * Empties the error overlay, which hides it.
+   *
+   * @private
+   * @returns {void}
+   */
+  #hideErrorOverlay(){
+    this.#errorOverlay.innerHTML = "";
   }
 
-  getName(){
-    return this.#name;
+  /**
+   * Shows the loading overlay with the current step of loading a timeline, see `loadTimelineSource`.
+   *
+   * @private
+   * @param {string} step - The step, e.g. "Downloading".
+   * @param {number|null} progress - How much of the step is done from 0 to 1, or `null` if that is not known.
+   * @returns {void}
+   */
+  #showLoadingOverlay(step, progress){
+    this.#loadingOverlay.hidden = false;
+    this.#loadingStep.textContent = step + "…";
+    if(progress === null) this.#loadingProgress.removeAttribute("value");
+    else this.#loadingProgress.value = progress;
   }
 
-  getHeight(){
-    if(this.#isHidden) return 0;
-    return this.#height;
+  /**
+   * Hides the loading overlay.
+   *
+   * @private
+   * @returns {void}
+   */
+  #hideLoadingOverlay(){
+    this.#loadingOverlay.hidden = true;
   }
 
-  setBottomY(y){
-    this.#bottomY = y;
+  /**
+   * Removes the viewer's elements and every event listener it registered.
+   * 
+   * The viewer cannot be used after it is destroyed.
+   *
+   * @returns {void}
+   */
+  destroy(){
+    if(this.#isDestroyed) return;
+    this.#isDestroyed = true;
+
+    this.#abortController.abort();
+    if(this.#drawRequestId !== null) cancelAnimationFrame(this.#drawRequestId);
+    clearTimeout(this.#urlStateTimeout);
+    this.stopAnimation();
+    this.#loader.destroy();
+
+    this.#createdElements.forEach(element => element.remove());
+    this.#createdElements = [];
+    this.#container.classList.remove("timeline-viewer");
+    if(this.#addedTabIndex) this.#container.removeAttribute("tabindex");
+    if(mountedViewers.get(this.#container) === this) mountedViewers.delete(this.#container);
+
+    this.#emit("destroy");
+    this.#listeners = {};
+    this.#timeline = null;
   }
 
-  getBottomY(){
-    return this.#bottomY;
+  /**
+   * Positions the timeline so the given date is displayed at the given x-coordinate, and redraws.
+   *
+   * @param {Date} date - The date to display.
+   * @param {number} [x] - The x-coordinate (in pixels) to display the date at. Defaults to the center of the canvas.
+   * @returns {void}
+   */
+  setFocus(date, x){
+    if(!this.#timeline) return;
+    this.#pushViewHistory();
+    this.#timeline.setFocus(date, x);
+    this.draw();
   }
 
-  getHeight(){
-    return this.#height
+  /**
+   * Changes the scale of the timeline, keeping the date at the given x-coordinate in place, and redraws.
+   *
+   * @param {string} scaleType - The scale type to apply (e.g., "year", "month", "hour").
+   * @param {number} scaleWidth - The width in pixels for each unit of the scale.
+   * @param {number} [x] - The x-coordinate (in pixels) to zoom around. Defaults to the center of the canvas.
+   * @returns {void}
+   */
+  zoomTo(scaleType, scaleWidth, x){
+    if(!this.#timeline) return;
+    this.#pushViewHistory();
+    this.#timeline.zoomTo(scaleType, scaleWidth, x);
+    this.draw();
   }
 
-  setIsHover(isHover){
-    this.#isHover = isHover;
+  /**
+   * Animates the view so a date range fills the canvas, redrawing on every step.
+   * See `Timeline.flyTo`.
+   *
+   * @param {Date} startDate - The start of the range.
+   * @param {Date} endDate - The end of the range.
+   * @param {Object} [options] - `duration` in milliseconds and `margin` as a proportion of the canvas width.
+   * @returns {Promise<boolean>} Resolves to `true` when the animation finishes, or `false` if it is stopped first.
+   */
+  flyTo(startDate, endDate, options = {}){
+    if(!this.#timeline) return Promise.resolve(false);
+    this.stopAnimation(); // the view being left is where the last animation stopped
+    this.#pushViewHistory();
+    return this.#timeline.flyTo(startDate, endDate, { ...options, onFrame: () => this.draw() });
   }
 
-  getIsHover(){
-    return this.#isHover;
+  /**
+   * Animates the view to frame every time period of the loaded timeline.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` when the animation finishes, or `false` if it is stopped first
+   * or there is nothing to frame.
+   */
+  fitAll(){
+    const range = this.#timeline?.getDateRange();
+    if(!range) return Promise.resolve(false);
+    return this.flyTo(range.startDate, range.endDate, { margin: 0.05 });
   }
-  
 
-  getTimePeriods(){
-    return this.#timePeriodArr;
+  /**
+   * Animates the view to the time periods of a cluster, zooming in until they are drawn as bars or the cluster
+   * is split up, see `Timeline.getClusterAt`.
+   *
+   * @param {{startDate: Date, endDate: Date}} cluster - The cluster.
+   * @returns {Promise<boolean>} Resolves to `true` when the animation finishes, or `false` if it is stopped first.
+   */
+  goToCluster(cluster){
+    return this.flyTo(cluster.startDate, cluster.endDate, { margin: 0.05 });
   }
 
   /**
-   * Draws the background of the swim lane at the specified Y-coordinate.
-   * 
-   * Fills the swim lane area with its configured color, optionally draws borders and the title,
-   * and updates the internal `#bottomY` position for layout tracking.
-   * 
-   * Skips rendering if the swim lane is marked as hidden.
+   * Shows or hides the children of a time period and draws the timeline, see `TimePeriod.getChildren`.
    *
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
-   * @param {number} y - The Y-coordinate of the top of the swim lane.
+   * @param {TimePeriod} timePeriod - A time period of the loaded timeline.
+   * @param {boolean} isExpanded - Whether the children are shown.
    * @returns {void}
    */
-  drawBackground(ctx, y){
-    if(this.#isHidden) return;
-    this.#bottomY = y + this.#height;
-
-    ctx.fillStyle = this.#color;
-    ctx.fillRect(0, y, this.#width, this.#height);
-    if(SHOWSWIMLANEBORDERS) this.#drawBorder(ctx, y);
-    this.#drawTitle(ctx, y);
+  setPeriodExpanded(timePeriod, isExpanded){
+    if(!this.#timeline) return;
+    this.#timeline.setPeriodExpanded(timePeriod, isExpanded);
+    this.draw();
   }
 
-  #drawBorder(ctx, y){
-    ctx.strokeStyle = "rgb(255, 255, 255)";
-    ctx.strokeRect(0, y, this.#width, this.#height)
+  /**
+   * Sets the row to place a time period in and draws the timeline, see `Timeline.setPeriodRow`.
+   *
+   * @param {TimePeriod} timePeriod - A time period of the loaded timeline.
+   * @param {number|null} row - The row from 0, or `null` to place it in the lowest row it fits into.
+   * @returns {void}
+   */
+  setPeriodRow(timePeriod, row){
+    if(!this.#timeline) return;
+    this.#timeline.setPeriodRow(timePeriod, row);
+    this.draw();
   }
 
-  #drawTitle(ctx, y){
-    // setup draw title
-      ctx.fillStyle = "rgba(0, 0, 0, 0.1)";
-      ctx.textAlign = "left";
-      ctx.textBaseline = "middle";
-      ctx.font = "80px Arial";
-
-      let labelX = 5;
-      let labelY = y + this.#height - this.#minHeight/2;
-      ctx.fillText(this.#name, labelX, labelY);
+  /**
+   * Changes how time periods are assigned to rows and draws the timeline, see `Timeline.setRowLayout`.
+   *
+   * @param {string} rowLayout - "packed" or "stable".
+   * @param {{count: number, scaleType: string}|null} [labelAllowance] - The least time a time period takes up in
+   *   the stable layout. Keeps the current one if not given.
+   * @returns {void}
+   */
+  setRowLayout(rowLayout, labelAllowance){
+    if(!this.#timeline) return;
+    if(labelAllowance === undefined) this.#timeline.setRowLayout(rowLayout);
+    else this.#timeline.setRowLayout(rowLayout, labelAllowance);
+    this.draw();
   }
 
-  toString(){
-    return this.#name + this.#isHidden + this.#width + this.#height;
+  /**
+   * Returns the order of the swimlanes and which are hidden or collapsed, see `Timeline.getLaneLayout`.
+   *
+   * @returns {{order: string[], hidden: string[], collapsed: string[]}|null} The layout, or null if no timeline is loaded.
+   */
+  getLaneLayout(){
+    return this.#timeline?.getLaneLayout() ?? null;
   }
 
   /**
-   * Draws all time periods in the swim lane, organized by row, from bottom to top.
-   * 
-   * Each row's Y-coordinate is calculated relative to the bottom of the swim lane (`#bottomY`).
-   * The method skips drawing if the swim lane is hidden or contains no time periods.
+   * Arranges the swimlanes as returned by `getLaneLayout`, remembers the layout if `rememberLanes` is set,
+   * and draws the timeline.
    *
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used for drawing.
+   * @param {{order?: string[], hidden?: string[], collapsed?: string[]}} layout - The layout, see `Timeline.setLaneLayout`.
    * @returns {void}
    */
-  drawTimePeriods(ctx){
-    if(this.#isHidden) return;
-    if(this.#timePeriodArr.length==0) return;
-    
-    // draw time periods in each row
-    for(let i = 0;i<this.#row.length;i++){
-      let rowNum = i;
-      let y = this.#bottomY - this.#margin - rowNum * this.#rowHeight;
-
-      for(let j = 0;j< this.#row[i].length;j++){
-        let periodIndex = this.#row[i][j];
-        this.#timePeriodArr[periodIndex].draw(ctx, y);
-      }
-    }
+  setLaneLayout(layout){
+    if(!this.#timeline) return;
+    this.#timeline.setLaneLayout(layout);
+    if(this.#laneLayoutKey) storeLaneLayout(this.#laneLayoutKey, this.#timeline.getLaneLayout());
+    this.draw();
   }
 
   /**
-   * Calculates layout and assigns rows for all time periods in the swim lane.
-   * 
-   * Each time period is positioned using its `setupCoordinates` method, and assigned to a row 
-   * such that time periods in the same row do not visually overlap. The swim lane height is 
-   * adjusted based on the number of rows and their required space.
-   * 
-   * Skips setup if the swim lane is hidden or contains no time periods.
+   * Shows a time period: animates the view so the time period fills it, selects the time period
+   * and scrolls its swimlane into view. Shows the swimlane if it or its group is hidden, and expands the time periods
+   * it is nested in.
    *
-   * @param {CanvasRenderingContext2D} ctx - The canvas rendering context used to measure text and layout.
-   * @param {Timeline} timeline - The timeline instance used to calculate positioning and scaling.
-   * @returns {void}
+   * @param {TimePeriod} timePeriod - A time period of the loaded timeline.
+   * @returns {Promise<boolean>} Resolves to `true` when the animation finishes, or `false` if it is stopped first.
    */
-  setUpTimePeriods(ctx, timeline){
-    if(this.#isHidden) return;
-    if(!this.#timePeriodArr) return;
-    if(this.#timePeriodArr.length==0) return;
-
-    
-    // skip row assignment if not rescaling
-    if(!this.#needsNewRows){
-      for(let i = 0;i<this.#timePeriodArr.length;i++){
-        this.#timePeriodArr[i].setupCoordinates(ctx, timeline, this.#bottomY)
+  goToPeriod(timePeriod){
+    const timeline = this.#timeline;
+    if(!timeline) return Promise.resolve(false);
+
+    const swimLane = timeline.getSwimLaneOf(timePeriod);
+    if(swimLane) timeline.revealSwimLane(swimLane);
+    timeline.expandParentsOf(timePeriod);
+
+    timeline.selectPeriod(timePeriod);
+    this.#emit("select", timePeriod);
+    this.#scheduleUrlStateUpdate();
+
+    return this.flyTo(timePeriod.getStartDate(), timePeriod.getEndDate(), { margin: 0.1 }).then(isFinished => {
+      if(isFinished && this.#timeline === timeline){
+        timeline.scrollToPeriod(timePeriod);
+        this.draw();
       }
-      return;
-    } 
-     
-    this.#needsNewRows = false;
-    // Initialize rows with the first row containing the first time period
-    this.#row = [[]];
-    this.#row[0].push(0); // add first time period to row 0
-    
-    // Set up coordinates and measure height using the first time period
-    this.#timePeriodArr[0].setupCoordinates(ctx, timeline, this.#bottomY);
-    this.#rowHeight = this.#timePeriodArr[0].getBoundingHeight();
+      return isFinished;
+    });
+  }
 
-    if(PRINTTIMEPERIODS) console.log(this.#timePeriodArr[0].toStringShort());
+  /**
+   * Reverts the last change to the timeline, see `CommandHistory`.
+   *
+   * @returns {boolean} `true` if a change was undone, `false` if there is nothing to undo.
+   */
+  undo(){
+    if(!this.#timeline?.getHistory().undo()) return false;
+    this.#onHistoryChange();
+    return true;
+  }
 
-    // Start placing the rest of the time periods
-    for(let i = 1;i<this.#timePeriodArr.length;i++){
-      this.#timePeriodArr[i].setupCoordinates(ctx, timeline, this.#bottomY);
+  /**
+   * Reapplies the last change that was undone.
+   *
+   * @returns {boolean} `true` if a change was redone, `false` if there is nothing to redo.
+   */
+  redo(){
+    if(!this.#timeline?.getHistory().redo()) return false;
+    this.#onHistoryChange();
+    return true;
+  }
 
-      if(PRINTTIMEPERIODS) console.log(this.#timePeriodArr[i].toStringShort());
+  /**
+   * Updates the panels and redraws after a change was undone or redone, and emits "change".
+   *
+   * @private
+   * @returns {void}
+   */
+  #onHistoryChange(){
+    const timeline = this.#timeline;
+    // the selected time period may have been removed
+    const selectedPeriod = timeline.getSelectedPeriod();
+    timeline.selectPeriod(selectedPeriod && timeline.getSwimLaneOf(selectedPeriod) ? selectedPeriod : null);
+
+    timeline.refreshLanePanel();
+    this.#updateSearchResults();
+    this.#editor.refresh();
+    this.draw();
+    this.#emit("change", timeline);
+  }
 
-      let curStartX = this.#timePeriodArr[i].getStartX();
-      let curRow = 0;
-      
-      // Get the end X of the last period in the current row
-      let prevPeriodIndexInCurRow = this.#row[curRow][this.#row[curRow].length-1];
-      let prevPeriodInCurRow = this.#timePeriodArr[prevPeriodIndexInCurRow];
-      let prevEndXInCurRow = prevPeriodInCurRow.getBoundingEndX();
-
-      // Try to place current period into the first row it can fit into without overlap
-      while(Math.ceil(curStartX) < Math.floor(prevEndXInCurRow)){ // rounding for consistency
-        curRow++;
-        // If no more rows exist, add a new row and skip overlap checks
-        if(curRow>=this.#row.length){
-          this.#row.push([]); // adds a new empty row
-          break; // row is empty so don't do following calculations
-        }
+  /**
+   * Returns to the view before the last jump (a fly-to, zoom or focus change).
+   *
+   * @returns {boolean} `true` if the view changed, `false` if there is no previous view.
+   */
+  previousView(){
+    if(!this.#timeline) return false;
+    this.stopAnimation();
+    return this.#applyView(this.#viewHistory.back(this.#getView()));
+  }
 
-        // Get the end X of the last period in the current row
-        prevPeriodIndexInCurRow = this.#row[curRow][this.#row[curRow].length-1];
-        prevEndXInCurRow = this.#timePeriodArr[prevPeriodIndexInCurRow].getBoundingEndX();
-      }
-      this.#row[curRow].push(i)
-    }
+  /**
+   * Goes forward again to a view left with `previousView`.
+   *
+   * @returns {boolean} `true` if the view changed, `false` if there is no next view.
+   */
+  nextView(){
+    if(!this.#timeline) return false;
+    this.stopAnimation();
+    return this.#applyView(this.#viewHistory.forward(this.#getView()));
+  }
 
-    // Adjust total swim lane height to fit all rows with margin
-    this.#height = Math.max(this.#minHeight,this.#margin*2+this.#row.length*this.#rowHeight);
+  #getView(){
+    const { focusDate, focusX, scaleType, scaleWidth, yOffset } = this.#timeline.getViewState();
+    return { focusDate, focusX, scaleType, scaleWidth, yOffset };
   }
 
-}
+  #applyView(view){
+    if(!view) return false;
+    this.#timeline.setViewState(view);
+    this.draw();
+    return true;
+  }
 
-/**
- * Represents a labeled time period to be displayed on a timeline.
- * 
- * A time period has a name, description, start and end dates.
- * It is rendered as a colored bar with optional gradient fades and a label, and is aware of its own 
- * layout and drawing properties.
- * 
- * Used internally by the `Timeline` and `SwimLane` classes for layout, rendering,
- * and user interaction (e.g., hover and click).
- * 
- * @class
- */
-class TimePeriod{
-  #name;
-  #description;
-  #startDate;
-  #hasApproxStartDate;
-  #endDate;
-  #hasApproxEndDate;
-  #x;
-  #endX;
-  #y;
-  #barY;
-  #width;
-  #height = 15;
-  #textWidth;
-  #boundingWidth;
-  #boundingHeight;
-  #boundingBoxVisible = false;
-  #topMarginSize = 2;
-  #sideMarginSize = 2;
-  #color1;
-  #color2;
-  #font = "14px Arial";
+  #pushViewHistory(){
+    this.#viewHistory.push(this.#getView());
+  }
 
   /**
-   * Constructs a new TimePeriod instance.
+   * Stops a running view animation, leaving the view where it is.
    *
-   * @param {string} name - The name of the time period (e.g., "World War II").
-   * @param {Date} startDate - The starting date of the period.
-   * @param {Date} endDate - The ending date of the period.
-   * @param {boolean} hasApproxStartDate - Whether the start date is approximate.
-   * @param {boolean} hasApproxEndDate - Whether the end date is approximate.
-   * @param {string} description - A short description to display for the time period.
-   * @param {string} [color1="black"] - Primary color (fill or gradient start).
-   * @param {string} [color2="black"] - Secondary color (stroke or gradient end).
+   * @returns {void}
    */
-  constructor(name, startDate, endDate, hasApproxStartDate, hasApproxEndDate, description, color1="black", color2="black"){
-    this.#name = name;
-    this.#description = description;
-    this.#startDate = startDate;
-    this.#endDate = endDate;
-    this.#hasApproxStartDate = hasApproxStartDate;
-    this.#hasApproxEndDate = hasApproxEndDate;
-    this.#color1 = color1;
-    this.#color2 = color2;
+  stopAnimation(){
+    this.#timeline?.stopAnimation();
   }
 
   /**
-   * Formats a `Date` object as a `DD/MM/YYYY` string with AD/BC suffix,
-   * and optionally prepends "c." to indicate an approximate date.
-   * 
-   * Example output:
-   * - "03/07/1920 AD"
-   * - "c. 44 BC"
-   * 
+   * Makes the export button toggle the menu of export formats, which download the timeline as an image or a table.
+   *
    * @private
-   * @method
-   * @param {Date} date - The date to format.
-   * @param {boolean} [approx=false] - Whether to mark the date as approximate (adds "c.").
-   * @returns {string} The formatted date string.
+   * @returns {void}
+   */
+  #setupExportMenu(){
+    const signal = this.getSignal();
+    this.#exportButton.addEventListener("click", () => {
+      this.#exportMenu.hidden = !this.#exportMenu.hidden;
+    }, { signal });
+
+    this.#exportMenu.querySelectorAll("button").forEach(button => {
+      button.addEventListener("click", () => {
+        this.#exportMenu.hidden = true;
+        const download = button.dataset.format == "csv" ? Promise.resolve().then(() => this.downloadTable()) : this.downloadImage({ format: button.dataset.format });
+        download.catch(error => this.#showErrorOverlay("The timeline could not be exported", [error.message]));
+      }, { signal });
+    });
+  }
+
+  /**
+   * Renders the loaded timeline off-screen, with a title and a legend of swimlanes, as a PNG, SVG or PDF file.
+   *
+   * Only the timeline is rendered, not the panels and buttons over it. The export shows the current view,
+   * or the given date range, at the given width, with every visible swimlane drawn in full.
+   * SVG and PDF are vector files drawn by the same code as the canvas.
+   *
+   * Example:
+   * ```js
+   * viewer.exportImage({ format: "svg", width: 1600 }).then(blob => upload(blob));
+   * ```
+   *
+   * @param {Object} [options={}] - Export options.
+   * @param {string} [options.format="png"] - "png", "svg" or "pdf".
+   * @param {number} [options.width] - The width of the image in CSS pixels, the width of the viewer by default.
+   * @param {number} [options.pixelRatio=2] - Image pixels per CSS pixel of a PNG.
+   * @param {Date} [options.startDate] - The start of the range to export, instead of the current view.
+   * @param {Date} [options.endDate] - The end of the range to export.
+   * @param {boolean} [options.showTitle=true] - Whether to draw the timeline title.
+   * @param {boolean} [options.showLegend=true] - Whether to draw the legend of swimlanes.
+   * @returns {Promise<Blob>} The file.
    */
-  #formatDateDMY(date, approx = false) {
-    const day = date.getDate().toString().padStart(2, '0');
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const year = date.getFullYear();
+  exportImage({ format = "png", width, pixelRatio = 2, startDate, endDate, showTitle = true, showLegend = true } = {}){
+    if(!this.#timeline) return Promise.reject(new Error("No timeline is loaded"));
+    if(!["png", "svg", "pdf"].includes(format)) return Promise.reject(new Error("Invalid export format '" + format + "', must be png, svg or pdf"));
 
-    let yearStr;
-    if(year < 0) yearStr = (year * -1) + " BC";
-    else yearStr = year + " AD";
+    const recording = new RecordingContext();
+    const size = this.#timeline.drawExport(recording, {
+      width: width ?? this.#timeline.getCanvasWidth(), startDate, endDate, showTitle, showLegend
+    });
+    this.draw(); // the export lays the swimlanes out again, do the same for the view on screen
 
-    let str = `${day}/${month}/${yearStr}`;
-    if(approx) str = `c. ${yearStr}`;
-    return str;
+    if(format == "svg") return Promise.resolve(new Blob([recording.toSVG(size.width, size.height)], { type: "image/svg+xml" }));
+    if(format == "pdf") return Promise.resolve(new Blob([recording.toPDF(size.width, size.height)], { type: "application/pdf" }));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(size.width * pixelRatio);
+    canvas.height = Math.round(size.height * pixelRatio);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(pixelRatio, pixelRatio);
+    recording.drawTo(ctx);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The image could not be created")), "image/png");
+    });
   }
 
   /**
-   * Updates the visual and interaction state of the time period based on mouse position.
-   * 
-   * Determines whether the mouse is currently hovering over the time period's bounding box.
-   * If the mouse is down (click), it populates the `infoPanel` with details about the time period.
-   * 
-   * Also toggles the bounding box visibility for highlighting.
+   * Exports the loaded timeline with `exportImage` and saves the file through the browser,
+   * named after the timeline title.
    *
-   * @param {number} mouseX - The current X-coordinate of the mouse relative to the canvas.
-   * @param {number} mouseY - The current Y-coordinate of the mouse relative to the canvas.
-   * @param {boolean} [isMouseDown=false] - Whether the mouse button is currently pressed.
-   * @returns {boolean} `true` if the mouse is inside the time period's bounding box, otherwise `false`.
+   * @param {Object} [options={}] - Export options, see `exportImage`.
+   * @returns {Promise<void>} Resolves once the download has started.
    */
-  updateMouseState(mouseX, mouseY, isMouseDown=false){
-    let cursorIsInBoundingBox = false;
-
-    let boundingStartX = this.#x;
-    let boundingEndX = this.#x + this.#boundingWidth;
-    let boundingStartY = this.#y;
-    let boundingEndY = this.#y + this.#boundingHeight;
-    
-    // if mouse is in bounding box
-    if(boundingStartX < mouseX && mouseX < boundingEndX && boundingStartY < mouseY && mouseY < boundingEndY){
-      this.#boundingBoxVisible = true;
-      cursorIsInBoundingBox = true;
+  downloadImage(options = {}){
+    const format = options.format ?? "png";
+    return this.exportImage({ ...options, format }).then(blob => {
+      downloadBlob(blob, (this.#timeline.getTitle() || "timeline") + "." + format);
+    });
+  }
 
-      if(isMouseDown){
-        let startDate = this.#formatDateDMY(this.#startDate, this.#hasApproxStartDate);
-        let endDate = this.#formatDateDMY(this.#endDate, this.#hasApproxEndDate);
-        // clear panel
-        infoPanel.innerHTML = 
-        `
-        <div class="info-panel-header">
-          <b>${this.#name}</b>
-          <p class="info-panel-dates">${startDate} to ${endDate}</p> 
-        </div>
-        <p>${this.#description}</p>
-        `;
-        // append name
-        // append start and end date
-        // append description
-      }
-    }else{
-      this.#boundingBoxVisible = false;
+  /**
+   * Loads a CSV or TSV table as a new timeline, one time period per row, see `tableToTimelineJson`.
+   *
+   * Rows that can't be converted are skipped and listed in the error overlay.
+   *
+   * Example:
+   * ```js
+   * viewer.importTable("Swimlane,Name,Start,End\nRulers,Augustus,27 BC,14"); // years, see guessTableDateFormat
+   * ```
+   *
+   * @param {string} text - The table text.
+   * @param {Object} [options={}] - How to read the table.
+   * @param {string} [options.delimiter] - The character between cells, guessed from the first line by default.
+   * @param {boolean} [options.hasHeader=true] - Whether the first row holds the column headers.
+   * @param {Object<string, number>} [options.columns] - The column index of each field of `TABLECOLUMNS`,
+   *   guessed from the headers by default, see `guessTableColumns`.
+   * @param {string} [options.dateFormat] - "iso", "year", "dmy" or "mdy", see `parseTableDate`, guessed from the
+   *   dates by default, see `guessTableDateFormat`.
+   * @param {string} [options.title="Imported timeline"] - The title of the timeline.
+   * @returns {Promise<Timeline>} Resolves with the loaded timeline, see `load`.
+   */
+  importTable(text, { delimiter = detectDelimiter(text), hasHeader = true, columns, dateFormat, title = "Imported timeline" } = {}){
+    if(dateFormat !== undefined && !TABLEDATEFORMATS.includes(dateFormat)){
+      return Promise.reject(new Error("Invalid date format '" + dateFormat + "', must be one of " + TABLEDATEFORMATS));
     }
 
-    return cursorIsInBoundingBox;
+    const rows = parseDelimitedText(text, delimiter);
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    columns ??= guessTableColumns(hasHeader ? rows[0] ?? [] : null, columnCount);
+    dateFormat ??= guessTableDateFormat(rows, columns, hasHeader);
+    const { json, problems } = tableToTimelineJson(rows, { columns, dateFormat, hasHeader, title });
+
+    return this.load({ data: json }).then(timeline => {
+      if(problems.length > 0){
+        const lines = problems.concat(timeline.getLoadProblems()).map(problem => problem.path + ": " + problem.message);
+        console.warn("Rows skipped in the imported table:\n" + lines.join("\n"));
+        this.#showErrorOverlay(problems.length + (problems.length == 1 ? " problem" : " problems") + " in the table, the affected rows are not shown", lines);
+      }
+      return timeline;
+    });
   }
 
   /**
-   * Returns a detailed string representation of the time period's internal state.
-   * 
-   * Includes name, description, dates, dimensions, and rendering-related properties,
-   * primarily for debugging or logging purposes.
+   * Returns the time periods of the loaded timeline as a CSV or TSV table, see `timelineToTable`.
    *
-   * @returns {string} A multiline string describing the time period's properties.
+   * @param {Object} [options={}] - Export options.
+   * @param {string} [options.delimiter=","] - The character between cells, "\t" for TSV.
+   * @returns {string|null} The table text, or `null` if no timeline is loaded.
    */
-  toString() {
-    return `Name: ${this.#name}
-        Description: ${this.#description}
-        Start Date: ${this.#startDate}
-        Has Approximate Start Date: ${this.#hasApproxStartDate}
-        End Date: ${this.#endDate}
-        Has Approximate End Date: ${this.#hasApproxEndDate}
-        X: ${this.#x}
-        Y: ${this.#y}
-        Width: ${this.#width}
-        Height: ${this.#height}
-        Text Width: ${this.#textWidth}
-        Bounding Width: ${this.#boundingWidth}
-        Bounding Height: ${this.#boundingHeight}
-      Bounding Box Visible: ${this.#boundingBoxVisible}`;
+  exportTable({ delimiter = "," } = {}){
+    if(!this.#timeline) return null;
+    return formatDelimitedText(timelineToTable(this.#timeline), delimiter);
+  }
+
+  /**
+   * Exports the loaded timeline with `exportTable` and saves the file through the browser,
+   * named after the timeline title.
+   *
+   * @param {Object} [options={}] - Export options, see `exportTable`.
+   * @returns {void}
+   * @throws {Error} If no timeline is loaded.
+   */
+  downloadTable(options = {}){
+    const text = this.exportTable(options);
+    if(text === null) throw new Error("No timeline is loaded");
+    const isTsv = options.delimiter == "\t";
+    const blob = new Blob([text], { type: isTsv ? "text/tab-separated-values" : "text/csv" });
+    downloadBlob(blob, (this.#timeline.getTitle() || "timeline") + (isTsv ? ".tsv" : ".csv"));
   }
 
   /**
-   * Returns a short string representation of the time period's name and start date.
-   * 
-   * Format: `"<name> YYYY/MM/DD HH:MM:SS"`
-   * 
-   * Primarily used for quick logging or debugging output.
+   * Opens a timeline file in place of the current timeline, and remembers it as a recently opened file.
    *
-   * @returns {string} A single-line summary of the time period's name and precise start time.
+   * JSON files are loaded with `load`. CSV, TSV and TXT files are tables, whose columns and date format
+   * are confirmed in the import dialog before `importTable` loads them.
+   *
+   * @param {File} file - The file, e.g. one dropped on the viewer or chosen in a file input.
+   * @returns {Promise<Timeline>} Resolves with the loaded timeline, or with the current timeline when a table
+   *   is opened in the import dialog. Rejects if the file can't be read or loaded, the error overlay shows why.
    */
-  toStringShort(){
-    let d = this.#startDate;
-    let month = d.getMonth()+1;
-    return this.#name + " " + d.getFullYear()+"/"+month+"/"+d.getDate() + " "+d.getHours()+":"+d.getMinutes()+":"+d.getSeconds();
+  openFile(file){
+    return readFileText(file)
+    .catch(err => {
+      this.#showErrorOverlay("The file could not be opened", [err.message]);
+      this.#emit("error", err);
+      throw err;
+    })
+    .then(text => this.#openText(file.name, text));
   }
 
-  setDescription(description){
-    this.#description = description
+  /**
+   * Returns the recently opened files, the most recent first.
+   *
+   * @returns {{name: string, openedAt: Date}[]} The names of the files and when they were last opened.
+   */
+  getRecentFiles(){
+    return loadRecentFiles()
+    .slice(0, this.#options.recentFiles)
+    .map(({ name, openedAt }) => ({ name, openedAt: new Date(openedAt) }));
   }
 
-  getDescription(){
-    return this.#description
+  /**
+   * Opens a recently opened file again, see `openFile`.
+   *
+   * @param {string} name - The name of the file, see `getRecentFiles`.
+   * @returns {Promise<Timeline>} Resolves like `openFile`, rejects if there is no recent file with the name.
+   */
+  openRecentFile(name){
+    const file = loadRecentFiles().slice(0, this.#options.recentFiles).find(file => file.name == name);
+    if(!file) return Promise.reject(new Error("No recently opened file named " + name));
+    return this.#openText(file.name, file.text);
   }
 
   /**
-   * Renders the time period on the given canvas context.
-   * 
-   * Draws the label, bounding box (if hovered), and the time period bar
-   * using gradient styling if the start or end dates are approximate.
-   * 
-   * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context to draw on.
-   * @param {number} y - The bottom Y-coordinate where the time period should be vertically aligned.
+   * Forgets the recently opened files.
+   *
    * @returns {void}
    */
-  draw(ctx, y){
-    this.#y = y - this.#boundingHeight; // boundingBox top left corner y coordinate
-    this.#barY = y - this.#height; // time period bar top left corner y coordinate
-
-    // reposition labelX if off left of screen
-    let labelX = this.#x + this.#sideMarginSize;
-    if(labelX<0){
-      labelX = 0 + this.#sideMarginSize;
-      if((this.#textWidth+ this.#sideMarginSize)>this.getBoundingEndX()){
-        labelX = this.getBoundingEndX() - (this.#textWidth+this.#sideMarginSize)
-      }
+  clearRecentFiles(){
+    try {
+      localStorage.removeItem(RECENTFILESKEY);
+    } catch {
+      // local storage is unavailable, so nothing is remembered
     }
-
-    // dont draw if width is negative
-    if(this.#width<0) return;
-
-    // draw
-    ctx.textBaseline = "top";
-    ctx.fillStyle = this.#color1;
-    ctx.strokeStyle = this.#color2;
-    ctx.lineWidth = 1;
-    ctx.textAlign = "left";
-    ctx.font = this.#font;
-    ctx.fillText(this.#name, labelX, this.#y+this.#topMarginSize)
-    if(this.#boundingBoxVisible) ctx.strokeRect(this.#x, this.#y, this.#boundingWidth, this.#boundingHeight);
-    this.#drawBar(ctx, this.#x, this.#barY, this.#width, this.#height)
   }
 
   /**
-   * Extracts the red, green, and blue components from an RGB or RGBA color string.
-   * 
-   * If the input is the keyword `"black"`, it is normalized to `"rgb(0,0,0)"`.
-   * 
+   * Loads the content of an opened file and adds it to the recently opened files, see `openFile`.
+   *
    * @private
-   * @param {string} colorStr - A CSS color string in `rgb(r,g,b)` or `rgba(r,g,b,a)` format.
-   * @returns {{r: number, g: number, b: number}} An object containing the RGB components as integers.
-   * @throws {Error} If the input is not a valid RGB(A) color string.
+   * @param {string} name - The name of the file.
+   * @param {string} text - The content of the file.
+   * @returns {Promise<Timeline>} Resolves with the loaded timeline, or the current one if a table is opened.
    */
-  #extractRGB(colorStr){
-    // extract r,g,b values of a color string
-    if(colorStr == "black") colorStr = "rgb(0,0,0)";
+  #openText(name, text){
+    const rememberFile = () => {
+      if(this.#options.recentFiles > 0) storeRecentFile(name, text, this.#options.recentFiles);
+    };
 
-    const match = colorStr.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-    if (!match) {
-      throw new Error("Invalid color format for " + this.#name + " : " +this.#color1);
+    if(TABLEFILEREGEX.test(name)){
+      rememberFile();
+      this.#importDialog.setText(text, name);
+      this.#importDialog.open();
+      return Promise.resolve(this.#timeline);
     }
-    return {
-      r: parseInt(match[1]),
-      g: parseInt(match[2]),
-      b: parseInt(match[3])
-    };
+
+    return this.load({ text }).then(timeline => {
+      rememberFile();
+      return timeline;
+    });
   }
 
   /**
-   * Converts an RGB or RGBA color string to a fully transparent RGBA string.
+   * Makes the open button toggle the open menu, and opens files chosen in the file input or dropped on the viewer.
    * 
-   * Extracts the RGB components using {@link #extractRGB} and sets the alpha to 0.
+   * Errors are shown in the error overlay by `openFile`.
    *
    * @private
-   * @param {string} colorStr - A color string in `rgb(r,g,b)` or `rgba(r,g,b,a)` format.
-   * @returns {string} A CSS `rgba(r,g,b,0)` string representing the transparent version of the color.
+   * @returns {void}
    */
-  #getTransparent(colorStr){
-    // return transparent version of a color
-    const rgb = this.#extractRGB(colorStr);
-    return "rgba("+ rgb.r + ", " + rgb.g + ", " + rgb.b + ", 0)";
+  #setupFileOpening(){
+    const signal = this.getSignal();
+
+    this.#openButton.addEventListener("click", () => {
+      this.#openMenu.hidden = !this.#openMenu.hidden;
+      if(!this.#openMenu.hidden) this.#renderOpenMenu();
+    }, { signal });
+
+    this.#fileInput.addEventListener("change", () => {
+      const file = this.#fileInput.files[0];
+      this.#fileInput.value = ""; // so choosing the same file again is a change
+      if(file) this.openFile(file).catch(() => {});
+    }, { signal });
+
+    const hasFiles = event => Array.from(event.dataTransfer?.types ?? []).includes("Files");
+    this.#container.addEventListener("dragover", event => {
+      if(!hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "copy";
+      this.#container.classList.add("file-drag-over");
+    }, { signal });
+    this.#container.addEventListener("dragleave", event => {
+      // leaving a child element for another one isn't leaving the viewer
+      if(!this.#container.contains(event.relatedTarget)) this.#container.classList.remove("file-drag-over");
+    }, { signal });
+    this.#container.addEventListener("drop", event => {
+      if(!hasFiles(event)) return;
+      event.preventDefault();
+      this.#container.classList.remove("file-drag-over");
+      const file = event.dataTransfer.files[0];
+      if(file) this.openFile(file).catch(() => {});
+    }, { signal });
   }
 
   /**
-   * Draws the time period's horizontal bar on the canvas.
-   * 
-   * The bar's style reflects whether the start and/or end dates are approximate:
-   * - If both are approximate, the bar has a fade-in and fade-out gradient.
-   * - If only one end is approximate, a one-sided gradient is used.
-   * - If neither is approximate, the bar is solid.
-   * 
-   * If the bar's width is too narrow, a solid rectangle is drawn without gradients.
-   * 
+   * Fills the open menu with a button to choose a file, the recently opened files and a button to forget them.
+   * Errors opening a file are shown in the error overlay by `openFile`.
+   *
    * @private
-   * @param {CanvasRenderingContext2D} ctx - The 2D canvas rendering context.
-   * @param {number} x - The x-coordinate of the top-left corner of the bar.
-   * @param {number} y - The y-coordinate of the top-left corner of the bar.
-   * @param {number} width - The width of the bar in pixels.
-   * @param {number} height - The height of the bar in pixels.
    * @returns {void}
    */
-  #drawBar(ctx, x, y, width, height) {
-    
-
-    // Skip gradient rendering if width is too small
-    if (width <= 1) {
-      ctx.fillStyle = this.#color1;
-      ctx.fillRect(x, y, width, height);
-      return;
-    }
-    
-    // Skip gradient and drawRect() if non-finite x or width
-    if(!isFinite(x) || !isFinite(width)){
-      return;
-    }
-
-    const fadeWidthInPixels = 30;
-    let gradient = this.#color1; // Fallback Case: no approximation
-    let gradientProportionMaximum = 0.2;
-
-    let gradientProportion = Math.min(gradientProportionMaximum, Math.max(0, fadeWidthInPixels / this.#width)); // clamp between 0 and 1
-
-    let transparentColor = this.#getTransparent(this.#color1);
-
-
-      // Case: both ends are approximate
-    if (this.#hasApproxStartDate && this.#hasApproxEndDate) {
-      gradient = ctx.createLinearGradient(x, 0, x + width, 0);
-      gradient.addColorStop(0.0, transparentColor);
-      gradient.addColorStop(gradientProportion, this.#color1);
-      gradient.addColorStop(1-gradientProportion, this.#color1);
-      gradient.addColorStop(1.0, transparentColor);
-    }
+  #renderOpenMenu(){
+    this.#openMenu.innerHTML = "";
+
+    const chooseButton = this.#createElement("button", "open-choose", this.#openMenu);
+    chooseButton.textContent = "Choose file…";
+    chooseButton.addEventListener("click", () => {
+      this.#openMenu.hidden = true;
+      this.#fileInput.click();
+    });
 
-    // Case: only start is approximate
-    else if (this.#hasApproxStartDate) {
-      gradient = ctx.createLinearGradient(x, 0, x + width, 0);
-      gradient.addColorStop(0.0, transparentColor);
-      gradient.addColorStop(gradientProportion, this.#color1);
-      gradient.addColorStop(1.0, this.#color1);
-    }
+    const recentFiles = this.getRecentFiles();
+    recentFiles.forEach(({ name, openedAt }) => {
+      const button = this.#createElement("button", "open-recent", this.#openMenu);
+      button.textContent = name;
+      button.title = "Opened " + openedAt.toLocaleString();
+      button.addEventListener("click", () => {
+        this.#openMenu.hidden = true;
+        this.openRecentFile(name).catch(() => {});
+      });
+    });
 
-    // Case: only end is approximate
-    else if (this.#hasApproxEndDate) {
-      gradient = ctx.createLinearGradient(x + width, 0, x, 0);
-      gradient.addColorStop(0.0, transparentColor);
-      gradient.addColorStop(gradientProportion, this.#color1);
-      gradient.addColorStop(1.0, this.#color1);
+    if(recentFiles.length > 0){
+      const clearButton = this.#createElement("button", "open-clear", this.#openMenu);
+      clearButton.textContent = "Clear recent files";
+      clearButton.addEventListener("click", () => {
+        this.clearRecentFiles();
+        this.#renderOpenMenu();
+      });
     }
-    
-
-    
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(x, y, width, height);
   }
 
   /**
-   * Calculates the X-coordinate on the timeline for a given date.
-   * 
-   * The calculation is based on the timeline's scale type and grid structure.
-   * Handles precise positioning for various granularities including:
-   * - `"month"`: accounts for year, month, day, and hour
-   * - `"date"`: includes days and partial days via hours
-   * - `"hour"`: includes minutes
-   * - `"minute"`: millisecond-accurate conversion to minutes
-   * - `"second"`: millisecond-accurate conversion to seconds
-   * - Other types (`"year"`, `"decade"`, `"century"`, etc.): uses interpolated pixel-per-unit ratio
-   * 
-   * If the date falls outside the timeline grid, positioning may be inaccurate or undefined.
-   * 
-   * @private
-   * @param {Timeline} timeline - The timeline instance used to get scale, grid, and conversion context.
-   * @param {Date} dateForConversion - The date to convert into an X-coordinate.
-   * @returns {number} The computed X-coordinate for the given date in pixels.
+   * Opens or closes the edit mode, see `TimelineEditor`.
+   *
+   * @param {boolean} isEditing - Whether to edit the timeline.
+   * @returns {void}
    */
-  #calculateX(timeline, dateForConversion){
-    let x = -1000;
-
-    // get timeline grid arrays
-    let lineDateArr = timeline.getLineDateArray();
-    let linePosArr = timeline.getLinePositionArray();
-
-    const timelineStartX = linePosArr[0];
-    const timelineStartDate = lineDateArr[0];
-    const timelineEndX = linePosArr[linePosArr.length-1];
-    const timelineEndDate = lineDateArr[lineDateArr.length-1];
-
-    const gridWidthPixels = timelineEndX - timelineStartX;
-    const gridWidthUnits = this.#getGridWidthUnits(timelineStartDate, timelineEndDate, timeline.getScaleType())
-    const pixelsPerUnit = gridWidthPixels / gridWidthUnits;
-
-    
-    if(timeline.getScaleType() == "month"){
-      let deltaYear = dateForConversion.getFullYear() - timelineStartDate.getFullYear();
-      let deltaMonth = dateForConversion.getMonth() - timelineStartDate.getMonth();
-      x= timelineStartX + (deltaYear*12)*timeline.getScaleWidth() + deltaMonth*timeline.getScaleWidth();
-      let daysInMonth = getDaysInMonth(dateForConversion);
-      x+= (dateForConversion.getDate()*timeline.getScaleWidth())/daysInMonth + (dateForConversion.getHours()*timeline.getScaleWidth())/24;
-
-    }else if(timeline.getScaleType() == "date"){
-      let deltaDays = getCalendarDayDifference(timelineStartDate, dateForConversion)
-      x = timelineStartX + deltaDays*timeline.getScaleWidth();
-      x += dateForConversion.getHours() * timeline.getScaleWidth()/24;
-
-    }else if(timeline.getScaleType() == "hour"){
-      let deltaDays = getCalendarDayDifference(timelineStartDate, dateForConversion)
-      let deltaHours = dateForConversion.getHours() - timelineStartDate.getHours();
-
-      x = timelineStartX + deltaDays*24*timeline.getScaleWidth() + deltaHours*timeline.getScaleWidth();
-      x += dateForConversion.getMinutes()*timeline.getScaleWidth()/60
-
-    }else if(timeline.getScaleType() == "minute"){
-      let deltaDate = dateForConversion - timelineStartDate; // in ms
-      let deltaMinutes = deltaDate/1000/60; // minutes
-
-      x = timelineStartX + deltaMinutes*timeline.getScaleWidth();
-      
-    }else if(timeline.getScaleType() == "second"){
-      let deltaDate = dateForConversion - timelineStartDate; // in ms
-      let deltaSeconds = deltaDate/1000;
-
-      x = timelineStartX + deltaSeconds*timeline.getScaleWidth();
-
+  setEditMode(isEditing){
+    if(isEditing == this.isEditing()) return;
+    if(isEditing){
+      this.#instructionPanel.innerHTML = "";
+      this.#editor.open();
     }else{
-      // if scaleType is a type of year
-      x = timelineStartX + (dateForConversion.getFullYear() - timelineStartDate.getFullYear()) * pixelsPerUnit;
-      x += (dateForConversion.getMonth() * pixelsPerUnit) /12 + (dateForConversion.getDate()*pixelsPerUnit)/365;
+      this.#editor.close();
     }
-
-    return x;
+    this.#editButton.classList.toggle("active", isEditing);
   }
 
-  #getGridWidthUnits(startDate, endDate, scaleType){
-    let gridWidthUnits;
-
-    if(scaleType == "month"){
-      gridWidthUnits = (endDate.getFullYear()*12+ endDate.getMonth()) - (startDate.getFullYear()*12 + startDate.getMonth());
-    }else if(scaleType == "date"){
-      gridWidthUnits = endDate.getDate() - startDate.getDate();
-    }else if(scaleType == "hour"){
-      gridWidthUnits = endDate.getHours() - startDate.getHours();
-    }else if(scaleType == "minute"){
-      gridWidthUnits = endDate.getMinutes() - startDate.getMinutes();
-    }else if(scaleType == "second"){
-      gridWidthUnits = endDate.getSeconds() - startDate.getSeconds();
-    }else{ // if scaleType is any kind of year
-      gridWidthUnits = endDate.getFullYear() - startDate.getFullYear();
-    }
-
-    return gridWidthUnits;
+  isEditing(){
+    return this.#editor.isOpen();
   }
 
-  setupCoordinates(ctx, timeline, y){
-    this.#boundingHeight = this.#height * 2 + this.#topMarginSize *2; // boundingBox height
-    this.#y = y - this.#boundingHeight; // boundingBox top left corner y coordinate
-    this.#barY = y - this.#height; // time period bar top left corner y coordinate
-
-    // calculate x start, x end and width based on timeline state
-    this.#x = this.#calculateX(timeline, this.#startDate);
-
-    // this ensures the time period width is not absurdly large off the left side of screen, 
-    // and ensures the endX position stays visually accurate when zoomed in to small scaleTypes
-    if(this.#x < -1000) this.#x = -1000; 
+  getEditor(){
+    return this.#editor;
+  }
 
-    this.#endX = this.#calculateX(timeline, this.#endDate);
-    this.#width = this.#endX - this.#x;
+  /**
+   * Returns the loaded timeline, with any edits, as JSON in the format `load` reads.
+   *
+   * @returns {Object|null} The timeline JSON, or `null` if no timeline is loaded.
+   */
+  getTimelineJson(){
+    return this.#timeline?.toJSON() ?? null;
+  }
 
-    // this ensures the time period width is not absurdly large off the right side of screen,
-    // and ensures the approximate date fade still works at small scaleTypes
-    let maxEndX = timeline.getCanvasWidth()+1000;
-    if(this.#x > 0 && this.#x < timeline.getCanvasWidth() && this.#endX > maxEndX){
-      this.#width = timeline.getCanvasWidth() - this.#x + 1000;
-    }
+  /**
+   * Attaches the listeners of the search panel.
+   * 
+   * Typing searches the loaded timeline and dims time periods that don't match. Enter, or clicking
+   * a result, goes to the time period. Arrow keys move between results and Escape clears the search.
+   *
+   * @private
+   * @returns {void}
+   */
+  #setupSearchPanel(){
+    const signal = this.getSignal();
+
+    this.#searchInput.addEventListener("input", () => {
+      this.#updateSearchResults();
+      this.draw();
+    }, { signal });
+
+    this.#searchInput.addEventListener("keydown", (event) => {
+      const firstResult = this.#searchResults.querySelector(".search-result");
+      if(event.key === "Enter" && firstResult){
+        firstResult.click();
+      } else if(event.key === "ArrowDown" && firstResult){
+        firstResult.focus();
+        event.preventDefault();
+      } else if(event.key === "Escape"){
+        this.#searchInput.value = "";
+        this.#updateSearchResults();
+        this.draw();
+      }
+    }, { signal });
+
+    this.#searchResults.addEventListener("keydown", (event) => {
+      const item = event.target.closest("li");
+      if(!item) return;
+
+      if(event.key === "ArrowDown"){
+        item.nextElementSibling?.querySelector(".search-result")?.focus();
+      } else if(event.key === "ArrowUp"){
+        const previousResult = item.previousElementSibling?.querySelector(".search-result");
+        if(previousResult) previousResult.focus();
+        else this.#searchInput.focus();
+      } else{
+        return;
+      }
+      // don't move the timeline
+      event.preventDefault();
+      event.stopPropagation();
+    }, { signal });
+  }
 
-    // this ensures the time period is not absurdly large when it spans the entire width of screen
-    if(this.#width > (timeline.getCanvasWidth()*2)){
-      this.#width = timeline.getCanvasWidth() *2;
+  /**
+   * Lists the time periods matching the search query with their dates and swimlane,
+   * and dims the time periods that don't match. Clears both if the query is empty.
+   *
+   * @private
+   * @returns {void}
+   */
+  #updateSearchResults(){
+    const timeline = this.#timeline;
+    this.#searchResults.innerHTML = "";
+    if(!timeline) return;
+
+    const query = this.#searchInput.value;
+    if(query.trim().length == 0){
+      timeline.setHighlightedPeriods(null);
+      return;
     }
-  
-    // prepare to draw
-    ctx.textBaseline = "top";
-    ctx.lineWidth = 1;
-    ctx.textAlign = "left";
-    ctx.font = this.#font;
-    this.#textWidth = ctx.measureText(this.#name).width + this.#sideMarginSize*2;
-    this.#boundingWidth = Math.max(this.#width, this.#textWidth);
+
+    const results = timeline.search(query);
+    timeline.setHighlightedPeriods(results.map(result => result.timePeriod));
+
+    results.slice(0, this.#maxSearchResults).forEach(({ timePeriod, swimLane }) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.classList.add("search-result");
+
+      const name = document.createElement("b");
+      name.textContent = timePeriod.getName();
+      const details = document.createElement("span");
+      details.classList.add("search-result-details");
+      details.textContent = timePeriod.getFormattedDates(timeline.getDateFormat()) + " · " + swimLane.getName();
+
+      button.append(name, details);
+      button.addEventListener("click", () => this.goToPeriod(timePeriod));
+      item.appendChild(button);
+      this.#searchResults.appendChild(item);
+    });
+
+    const item = document.createElement("li");
+    item.classList.add("search-results-summary");
+    if(results.length == 0) item.textContent = "No matches";
+    else if(results.length > this.#maxSearchResults) item.textContent = "and " + (results.length - this.#maxSearchResults) + " more";
+    if(item.textContent) this.#searchResults.appendChild(item);
   }
 
-  getName() {
-  return this.#name;
+  /**
+   * Registers a handler for a viewer event.
+   *
+   * @param {string} eventName - The event name, e.g. "load", "select" or "viewchange".
+   * @param {Function} handler - The function to call when the event occurs.
+   * @returns {Function} A function that removes the handler.
+   */
+  on(eventName, handler){
+    if(!this.#listeners[eventName]) this.#listeners[eventName] = [];
+    this.#listeners[eventName].push(handler);
+    return () => this.off(eventName, handler);
   }
 
-  getDescription() {
-    return this.#description;
+  /**
+   * Removes a handler registered with `on`.
+   *
+   * @param {string} eventName - The event name.
+   * @param {Function} handler - The handler to remove.
+   * @returns {void}
+   */
+  off(eventName, handler){
+    if(!this.#listeners[eventName]) return;
+    this.#listeners[eventName] = this.#listeners[eventName].filter(h => h !== handler);
   }
 
-  getStartX() {
-    return this.#x;
+  /**
+   * Applies the view state in the URL hash to the timeline, if there is one.
+   *
+   * @private
+   * @returns {boolean} `true` if a view state was applied, otherwise `false`.
+   */
+  #applyUrlState(){
+    const state = hashToViewState(location.hash, this.#options.urlStatePrefix);
+    if(!state) return false;
+
+    this.#timeline.setViewState(state);
+    return true;
   }
 
-  getEndX() {
-    return this.#endX;
+  #getUrlStateHash(){
+    return viewStateToHash(this.#timeline.getViewState(), this.#options.urlStatePrefix, location.hash);
   }
 
-  getY() {
-    return this.#y;
+  /**
+   * Adds the current view to the URL and browser history once the view has been still for `urlStateDelay`.
+   *
+   * @private
+   * @returns {void}
+   */
+  #scheduleUrlStateUpdate(){
+    if(!this.#options.urlState) return;
+
+    clearTimeout(this.#urlStateTimeout);
+    this.#urlStateTimeout = setTimeout(() => {
+      if(!this.#timeline) return;
+      const hash = this.#getUrlStateHash();
+      if(hash !== location.hash) history.pushState(history.state, "", hash);
+    }, this.#options.urlStateDelay);
   }
 
-  getBoundingWidth() {
-    return this.#boundingWidth;
+  #emit(eventName, ...args){
+    const handlers = this.#listeners[eventName];
+    if(!handlers) return;
+    handlers.slice().forEach(handler => {
+      try {
+        handler(...args);
+      } catch (e) {
+        console.error("Error in timeline viewer '" + eventName + "' handler:", e);
+      }
+    });
   }
 
-  getBoundingHeight() {
-    return this.#boundingHeight;
+  /**
+   * Draws the timeline immediately, and emits "viewchange" if the view has changed since the last draw.
+   *
+   * @returns {void}
+   */
+  draw(){
+    if(!this.#timeline) return;
+    this.#timeline.draw(this.#canvas);
+
+    const timeline = this.#timeline;
+    const viewKey = [
+      timeline.getFocusDate().getTime(),
+      timeline.getFocusX(),
+      timeline.getScaleType(),
+      timeline.getScaleWidth(),
+      timeline.getYOffset()
+    ].join("|");
+    if(viewKey !== this.#lastViewKey){
+      this.#lastViewKey = viewKey;
+      this.#emit("viewchange", timeline);
+      this.#scheduleUrlStateUpdate();
+    }
   }
 
-  getBoundingEndX(){
-    return this.#x + this.#boundingWidth;
+  /**
+   * Schedules a draw on the next animation frame. Repeated requests before the frame are merged.
+   *
+   * @returns {void}
+   */
+  requestDraw(){
+    if(this.#drawRequestId !== null || this.#isDestroyed) return;
+    this.#drawRequestId = requestAnimationFrame(() => {
+      this.#drawRequestId = null;
+      this.draw();
+    });
   }
 
-  getBoundingBoxVisible() {
-    return this.#boundingBoxVisible;
+  /**
+   * Updates the hover and selection state of the timeline for a pointer position.
+   * 
+   * Emits "hover" when the time period under the pointer changes, and "select" on pointer down.
+   *
+   * @param {number} mouseX - The X coordinate of the pointer relative to the canvas.
+   * @param {number} mouseY - The Y coordinate of the pointer relative to the canvas.
+   * @param {boolean} [isMouseDown=false] - Whether the pointer is pressed.
+   * @returns {string} The name of the time period under the pointer, or an empty string if none.
+   */
+  updateMouseState(mouseX, mouseY, isMouseDown=false){
+    if(!this.#timeline) return "";
+    const hoverSelection = this.#timeline.updateMouseState(mouseX, mouseY, isMouseDown);
+
+    const hoveredPeriod = this.#timeline.getHoveredPeriod();
+    if(hoveredPeriod !== this.#lastHoveredPeriod){
+      this.#lastHoveredPeriod = hoveredPeriod;
+      this.#emit("hover", hoveredPeriod);
+    }
+    if(isMouseDown){
+      this.#emit("select", this.#timeline.getSelectedPeriod());
+      this.#scheduleUrlStateUpdate();
+    }
+
+    return hoverSelection;
   }
 
-}
+  getTimeline(){
+    return this.#timeline;
+  }
 
-/**
- * Hide instruction panel.
- * Appends to instructionPanel.
- */
-function hideInstructions(){
-  instructionPanel.innerHTML = "";
-}
+  getCanvas(){
+    return this.#canvas;
+  }
 
-/**
- * Show instruction panel.
- * Appends to instructionPanel.
- */
-function showInstructions(){
-  
-  instructionPanel.innerHTML = 
-  `
-  <div id="instruction-panel">
-  <p>Drag timeline to move view</p>
-  <p>Use buttons to zoom, or alt+scroll</p>
-  <button id="instruction-hide-button">hide</button>
-  </div>
-  `
-  const instructionHideButton = document.getElementById("instruction-hide-button");
-  instructionHideButton.addEventListener("click", () => hideInstructions())
-  if(isTouch){
-    instructionPanel.classList.add('instruction-panel-centered')
-  }else{
-    instructionPanel.classList.add('instruction-panel-default')
+  getContainer(){
+    return this.#container;
   }
-}
 
-/**
- * Initializes the timeline application by loading timeline data from a JSON file.
- * 
- * Fetches `timeline.json`, parses the response, and passes the data to `setupCanvas()` 
- * to initialize the canvas and event listeners. Logs an error if the fetch fails.
- *
- * @function
- */
-function startApp(){
-  const filename = document.getElementById("timeline-canvas").dataset.timelineId
-  fetch(filename)
-  .then(res => res.json())
-  .then(data => {
-    setupCanvas(data)
-  })
-  .catch(err => console.error("Error loading timeline:", err));
+  /**
+   * Returns the signal used to register the viewer's event listeners.
+   * 
+   * Listeners registered with `{ signal }` are removed when the viewer is destroyed.
+   *
+   * @returns {AbortSignal} The viewer's abort signal.
+   */
+  getSignal(){
+    return this.#abortController.signal;
+  }
 }
 
 /**
- * Initializes and validates DOM elements required for the timeline application.
+ * Starts a timeline viewer in every element with a `data-timeline-id` attribute.
  * 
- * Retrieves key UI elements by their IDs, assigns them to global variables,
- * and sets up the canvas dimensions and rendering context. Logs errors and exits 
- * early if the canvas is missing or invalid.
+ * The attribute holds the path of the timeline JSON file to load (e.g. `/api/timelines/example`).
+ * With a `data-timeline-api` attribute it holds a timeline id instead, loaded from the timeline API
+ * at that URL, e.g. `data-timeline-api="/api/timelines" data-timeline-id="example"` loads `/api/timelines/example`.
+ * Elements that already hold a viewer are skipped. Logs an error if loading fails.
  * 
+ * Each viewer keeps its view in the URL hash. When there are several, the parameters are
+ * prefixed with the element's id (or its position on the page).
+ *
  * @function
- * @returns {void}
  */
-function initializeDOMElements(){
-  canvas = document.getElementById("timeline-canvas");
-  infoPanel = document.getElementById("info-panel")
-  zoomInButton = document.getElementById("zoom-in");
-  zoomOutButton = document.getElementById("zoom-out");
-  lanePanel = document.getElementById("lane-panel");
-  instructionPanel = document.getElementById("instruction-panel-container");
-  
-  if (!canvas) {
-    console.error("Element with ID 'timeline-canvas' not found!");
-    return;
-  }
-  
-  if (!(canvas instanceof HTMLCanvasElement)) {
-    console.error("Element with ID 'timeline-canvas' is not a valid <canvas> element.");
-    return;
-  }
-
-  // dpi scaling
-  const dpr = window.devicePixelRatio || 1;
-
-  // Set CSS display size (what the browser sees)
-  canvas.style.width = (window.innerWidth ) + "px";
-  canvas.style.height = window.innerHeight + "px";
+function startApp(){
+  const containerElements = document.querySelectorAll("[data-timeline-id]");
 
-  // Set actual pixel size of canvas
-  canvas.width = (window.innerWidth) * dpr;
-  canvas.height = window.innerHeight * dpr;
+  containerElements.forEach((containerElement, i) => {
+    if(mountedViewers.has(containerElement)) return;
 
-  // Scale drawing context
-  const ctx = canvas.getContext("2d");
-  ctx.scale(dpr, dpr);
+    let urlStatePrefix = "";
+    if(containerElements.length > 1) urlStatePrefix = (containerElement.id || i) + ".";
 
+    const { timelineId, timelineApi } = containerElement.dataset;
+    createTimelineViewer(containerElement, {
+      url: timelineApi ? timelineApi.replace(/\/+$/, "") + "/" + encodeURIComponent(timelineId) : timelineId,
+      options: { autoFocus: true, urlState: true, urlStatePrefix }
+    });
+  });
 }
 
 /**
  * Creates and initializes a Timeline instance with default parameters.
  * 
- * Sets a default focus date, scale type, and scale width (This will be overridden by timeline.load(json)).
- * The timeline is centered horizontally and loaded with data from the provided JSON.
+ * Sets a default focus date, scale type, and scale width (This will be overridden by timeline.loadPrepared).
+ * The timeline is centered horizontally and loaded with the prepared timeline data.
  * 
  * @function
- * @param {Object} json - The timeline data in JSON format, expected to include title,
- *   focusDate, scaleType, focusX, and an array of swim lanes and time periods.
+ * @param {PreparedTimeline} timelineData - The timeline data, see `prepareTimelineJson`, with the title,
+ *   focusDate, scaleType, focusX, and the swim lanes and time periods.
+ * @param {number} canvasWidth - The width of the canvas the timeline will be drawn on, in device pixels.
+ * @param {Object} [options] - The panels and environment passed to the `Timeline` constructor.
  * @returns {Timeline} A fully initialized Timeline instance ready for drawing.
  */
-function initializeTimeline(json){
+function initializeTimeline(timelineData, canvasWidth, options){
   
   let focusDate = new Date(-1, 11, 31, 23, 59, 59, 999);
   focusDate = new Date(1, 0, 1, 0, 0, 0, 0);
   focusDate.setFullYear(2000);
   
   let scaleType = "decade";
-  let focusX = canvas.width / 2;
+  let focusX = canvasWidth / 2;
   let scaleWidth = 200;
-  const timeline = new Timeline(scaleWidth, scaleType, focusDate, focusX, canvas.width);
-  timeline.load(json)
+  const timeline = new Timeline(scaleWidth, scaleType, focusDate, focusX, canvasWidth, options);
+  timeline.loadPrepared(timelineData)
   return timeline;
 }
 
 /**
- * Attaches keyboard controls for interacting with the timeline.
+ * Loads timeline JSON from data, text or a URL and prepares it, see `prepareTimelineJson`, reporting each step.
+ * With the width of the canvas, the rows of the swimlanes are also assigned for the view the timeline is loaded
+ * at, see `assignTimelineRows`. These are the steps `TimelineLoader` runs in its worker, or else on the page.
+ *
+ * @function
+ * @param {Object} source - Where to load the timeline from, one of `data`, `text` or `url`, see `TimelineViewer.load`.
+ * @param {number|null} canvasWidth - The width of the canvas in device pixels, or `null` to leave the rows to the
+ *   first draw.
+ * @param {function(string, number|null): void} onProgress - Called with the step ("Downloading", "Reading",
+ *   "Checking" or "Laying out") and how much of it is done from 0 to 1, or `null` if that is not known.
+ * @returns {Promise<{timelineData: PreparedTimeline, rowAssignments: Object|null}>} Resolves with the prepared
+ *   timeline and the rows of its swimlanes (see `Timeline.setRowAssignments`), rejects if fetching, parsing or
+ *   checking fails.
+ */
+function loadTimelineSource({ data, text, url }, canvasWidth, onProgress){
+  let jsonPromise;
+  if(data) jsonPromise = Promise.resolve(data);
+  else if(typeof text == "string") jsonPromise = Promise.resolve(text).then(text => {
+    onProgress("Reading", null);
+    return JSON.parse(text);
+  });
+  else jsonPromise = fetchTimelineText(url, onProgress).then(text => {
+    onProgress("Reading", null);
+    return JSON.parse(text);
+  });
+
+  return jsonPromise.then(json => {
+    onProgress("Checking", null);
+    const timelineData = prepareTimelineJson(json);
+    const rowAssignments = canvasWidth === null ? null : assignTimelineRows(timelineData, canvasWidth, onProgress);
+    return { timelineData, rowAssignments };
+  });
+}
+
+/**
+ * Fetches the text of a timeline file, reporting how much of it has been downloaded if the server sends its size.
+ *
+ * @function
+ * @param {string} url - The URL of the file.
+ * @param {function(string, number|null): void} onProgress - See `loadTimelineSource`.
+ * @returns {Promise<string>} Resolves with the text, rejects if the response is not OK.
+ */
+function fetchTimelineText(url, onProgress){
+  onProgress("Downloading", null);
+  return fetch(url).then(res => {
+    if(!res.ok) throw new Error("Failed to fetch " + url + ": " + res.status + " " + res.statusText);
+    const size = Number(res.headers?.get("Content-Length")) || 0;
+    if(!res.body || !size) return res.text();
+
+    // the size is of the compressed body, if it is compressed
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    let loaded = 0;
+    const read = () => reader.read().then(({ done, value }) => {
+      if(done) return text + decoder.decode();
+      loaded += value.length;
+      onProgress("Downloading", Math.min(loaded / size, 1));
+      text += decoder.decode(value, { stream: true });
+      return read();
+    });
+    return read();
+  });
+}
+
+/**
+ * Assigns the time periods of prepared timeline data to rows as the page would at the first draw, measuring their
+ * labels on an `OffscreenCanvas`, see `SwimLane.assignRows`.
+ *
+ * @function
+ * @param {PreparedTimeline} timelineData - The prepared timeline data.
+ * @param {number} canvasWidth - The width of the canvas in device pixels, see `initializeTimeline`.
+ * @param {function(string, number|null): void} onProgress - See `loadTimelineSource`.
+ * @returns {Object|null} The rows of each swimlane by its id, see `Timeline.setRowAssignments`, or `null` without
+ *   an `OffscreenCanvas` to measure the labels on.
+ */
+function assignTimelineRows(timelineData, canvasWidth, onProgress){
+  if(typeof OffscreenCanvas === "undefined") return null;
+  const ctx = new OffscreenCanvas(1, 1).getContext("2d");
+  if(!ctx) return null;
+
+  const timeline = initializeTimeline(timelineData, canvasWidth);
+  const swimLanes = timeline.getSwimLanes();
+  const rowAssignments = {};
+  swimLanes.forEach((swimLane, i) => {
+    onProgress("Laying out", i / swimLanes.length);
+    swimLane.assignRows(ctx, timeline);
+    const rowAssignment = swimLane.getRowAssignment();
+    if(rowAssignment) rowAssignments[swimLane.getId()] = rowAssignment;
+  });
+  return rowAssignments;
+}
+
+/**
+ * Handles a message to the loading worker, see `TimelineLoader`: loads the timeline of the request with
+ * `loadTimelineSource`, and posts its progress and then the result or the error back with the id of the request.
+ *
+ * @function
+ * @param {MessageEvent} event - The request, with its `id`, `source` and `canvasWidth`.
+ * @returns {void}
+ */
+function handleLoadRequest(event){
+  const { id, source, canvasWidth } = event.data;
+  const onProgress = (step, progress) => self.postMessage({ id, type: "progress", step, progress });
+  loadTimelineSource(source, canvasWidth, onProgress)
+  .then(({ timelineData, rowAssignments }) => self.postMessage({ id, type: "load", timelineData, rowAssignments }))
+  .catch(err => self.postMessage({ id, type: "error", message: err.message }));
+}
+
+/**
+ * Attaches keyboard controls for interacting with the viewer's timeline.
  * 
  * - Arrow keys move the timeline horizontally or vertically.
  * - Alt + ArrowUp/ArrowDown zooms in or out on the timeline.
+ * - F animates the view to fit all time periods.
  * 
- * Note: Uses the global `canvas` to determine center for zooming.
+ * Keys are handled while the viewer's container has focus.
  *
  * @function
- * @param {Timeline} timeline - The timeline instance to control.
+ * @param {TimelineViewer} viewer - The viewer to control.
  * @param {number} verticalScrollSpeed - The amount of vertical movement in pixels per key press.
  * @param {number} horizontalScrollSpeed - The amount of horizontal movement in pixels per key press.
  * @param {number} rescaleSpeed - The amount of zoom applied per zoom action.
  * @returns {void}
  */
-function setupKeyboardControls(timeline, verticalScrollSpeed, horizontalScrollSpeed, rescaleSpeed){
-  window.addEventListener("keydown", (event) => {
+function setupKeyboardControls(viewer, verticalScrollSpeed, horizontalScrollSpeed, rescaleSpeed){
+  viewer.getContainer().addEventListener("keydown", (event) => {
+    const timeline = viewer.getTimeline();
+    if (!timeline) return;
+
+    // keys typed into the search box are not controls
+    if (event.target.closest("input, textarea, select")) return;
+    viewer.stopAnimation();
+
+    // undo (Ctrl+Z) and redo (Ctrl+Shift+Z or Ctrl+Y), Cmd on macOS
+    const key = event.key.toLowerCase();
+    if ((event.ctrlKey || event.metaKey) && (key === "z" || key === "y")) {
+      if (key === "y" || event.shiftKey) viewer.redo();
+      else viewer.undo();
+      event.preventDefault();
+      return;
+    }
+
+    // previous and next view
+    if (event.altKey && (event.key === "ArrowLeft" || event.key === "ArrowRight")) {
+      if (event.key === "ArrowLeft") viewer.previousView();
+      else viewer.nextView();
+      event.preventDefault();
+      return;
+    }
+
     // rescale
     if (event.altKey){
       if (event.key === "ArrowUp") {
@@ -2278,12 +10634,51 @@ function setupKeyboardControls(timeline, verticalScrollSpeed, horizontalScrollSp
         timeline.moveVertical(-verticalScrollSpeed);
       }
     }
-    timeline.draw(canvas);
-  });
+
+    // fit all
+    if (event.key === "f" && !event.altKey && !event.ctrlKey && !event.metaKey) {
+      viewer.fitAll();
+      return;
+    }
+
+    // prevent arrow keys scrolling the page
+    if (event.key.startsWith("Arrow")) event.preventDefault();
+
+    viewer.draw();
+  }, { signal: viewer.getSignal() });
 }
 
-function setupPointerEvents(timeline, verticalScrollSpeed, horizontalScrollSpeed, rescaleSpeed) {
-  // Ensure the canvas variable references your canvas element
+/**
+ * Sets up wheel and pointer interaction events for the viewer's canvas.
+ * 
+ * Handles the following:
+ * - Mouse wheel scrolling over the viewer:
+ *   - Shift + scroll = horizontal pan
+ *   - Alt + scroll = zoom in/out at mouse position
+ *   - Plain scroll = vertical pan
+ * - Pointer drag (mouse, touch or pen):
+ *   - Press and drag to pan both horizontally and vertically
+ *   - Drag a swimlane header to move the swimlane
+ * - Pointer hover:
+ *   - Updates selection and highlights elements under the cursor
+ * - Click:
+ *   - Expands or collapses the time period under the cursor if it has children
+ *   - Collapses or expands a swimlane with the arrow of its header, or a group of swimlanes with its header band
+ * - Double-click:
+ *   - Animates the view to the time period under the cursor
+ * 
+ * Uses `viewer.requestDraw()` for efficient redrawing.
+ * 
+ * @function
+ * @param {TimelineViewer} viewer - The viewer to control.
+ * @param {number} verticalScrollSpeed - Pixels to scroll vertically per wheel tick.
+ * @param {number} horizontalScrollSpeed - Pixels to scroll horizontally per wheel tick.
+ * @param {number} rescaleSpeed - Pixels to scale timeline per zoom step.
+ * @returns {void}
+ */
+function setupPointerEvents(viewer, verticalScrollSpeed, horizontalScrollSpeed, rescaleSpeed) {
+  const canvas = viewer.getCanvas();
+  const signal = viewer.getSignal();
 
   canvas.style.touchAction = 'none'; // disable native panning/zoom on this element
 
@@ -2292,13 +10687,22 @@ function setupPointerEvents(timeline, verticalScrollSpeed, horizontalScrollSpeed
 
   // dragging state
   let isPanning = false;
+  let isEditDragging = false; // the drag is handled by the editor rather than panning
+  let isLaneDragging = false; // a swimlane is dragged by its header
+  let isHeaderPress = false; // the pointer went down on a swimlane or group header, so the click isn't for a time period
   let dragStart = { x: 0, y: 0 };
-  let drawScheduled = false;
+  const pressStart = { x: 0, y: 0 }; // where the pointer went down, to tell clicks from drags
   let lastHover = "";
   let activePointerId = null;
 
   // ---- Wheel (desktop)
-  window.addEventListener("wheel", (event) => {
+  viewer.getContainer().addEventListener("wheel", (event) => {
+    const timeline = viewer.getTimeline();
+    if (!timeline) return;
+
+    // let panels with their own scrollbar scroll
+    if (event.target.closest(".scrollable-panel")) return;
+    viewer.stopAnimation();
     let didChange = false;
 
     // horizontal movement (Shift)
@@ -2332,17 +10736,11 @@ function setupPointerEvents(timeline, verticalScrollSpeed, horizontalScrollSpeed
       }
     }
 
-    if (didChange && !drawScheduled) {
-      drawScheduled = true;
-      requestAnimationFrame(() => {
-        timeline.draw(canvas);
-        drawScheduled = false;
-      });
-    }
+    if (didChange) viewer.requestDraw();
 
     // prevent page scroll
     event.preventDefault();
-  }, { passive: false });
+  }, { passive: false, signal });
 
   // ----- Pointer Events: works for mouse, touch, pen -----
   function updateCoordsFromEvent(e) {
@@ -2356,39 +10754,79 @@ function setupPointerEvents(timeline, verticalScrollSpeed, horizontalScrollSpeed
     if (activePointerId !== null && activePointerId !== e.pointerId) return;
 
     updateCoordsFromEvent(e);
-    isPanning = true;
     activePointerId = e.pointerId;
     dragStart.x = mouseX;
     dragStart.y = mouseY;
+    pressStart.x = mouseX;
+    pressStart.y = mouseY;
 
     // keep getting events even if finger leaves the canvas
     canvas.setPointerCapture(e.pointerId);
 
+    // receive keyboard controls
+    viewer.getContainer().focus({ preventScroll: true });
+    viewer.stopAnimation();
+
+    // group header bands collapse their group
+    const group = viewer.getTimeline()?.getGroupAt(mouseX, mouseY) ?? null;
+    if (group) {
+      isHeaderPress = true;
+      viewer.getTimeline().toggleGroupCollapsed(group);
+      e.preventDefault();
+      return;
+    }
+
+    // swimlane headers collapse or move their swimlane
+    const header = viewer.getTimeline()?.getLaneHeaderAt(mouseX, mouseY) ?? null;
+    isHeaderPress = header !== null;
+    if (header) {
+      if (header.part == "collapse") {
+        viewer.getTimeline().toggleLaneCollapsed(header.swimLane);
+      } else {
+        viewer.getTimeline().startLaneDrag(header.swimLane);
+        isLaneDragging = true;
+        canvas.style.cursor = "grabbing";
+      }
+      e.preventDefault();
+      viewer.requestDraw();
+      return;
+    }
+
     // tell timeline mouse is down
-    timeline.updateMouseState(mouseX, mouseY, true);
+    viewer.updateMouseState(mouseX, mouseY, true);
+
+    // in edit mode, drags change time periods
+    isEditDragging = viewer.getEditor().startDrag(mouseX, mouseY);
+    isPanning = !isEditDragging;
 
     // prevent browser gestures (text selection, rubber-band scroll)
     e.preventDefault();
 
-    drawScheduled = true;
-    requestAnimationFrame(() => {
-      timeline.draw(canvas);
-      drawScheduled = false;
-    });
-  }, { passive: false });
+    viewer.requestDraw();
+  }, { passive: false, signal });
 
   canvas.addEventListener("pointermove", (e) => {
+    const timeline = viewer.getTimeline();
+    if (!timeline) return;
+
     // hover updates even when not panning
     updateCoordsFromEvent(e);
     let didChange = false;
 
-    const hoverSelection = timeline.updateMouseState(mouseX, mouseY);
+    const hoverSelection = viewer.updateMouseState(mouseX, mouseY);
     if (hoverSelection !== lastHover) {
       lastHover = hoverSelection;
       didChange = true;
     }
 
-    if (isPanning && e.pointerId === activePointerId) {
+    if (isLaneDragging && e.pointerId === activePointerId) {
+      timeline.dragLane(mouseY);
+      didChange = true;
+      e.preventDefault();
+    } else if (isEditDragging && e.pointerId === activePointerId) {
+      if (viewer.getEditor().drag(mouseX, mouseY)) didChange = true;
+      e.preventDefault();
+    } else if (isPanning && e.pointerId === activePointerId) {
       const dx = mouseX - dragStart.x;
       const dy = mouseY - dragStart.y;
 
@@ -2401,36 +10839,85 @@ function setupPointerEvents(timeline, verticalScrollSpeed, horizontalScrollSpeed
 
       // prevent page scrolling while dragging on touch
       e.preventDefault();
+    } else if (timeline.getGroupAt(mouseX, mouseY)) {
+      canvas.style.cursor = "pointer";
+    } else if (timeline.getLaneHeaderAt(mouseX, mouseY)) {
+      canvas.style.cursor = timeline.getLaneHeaderAt(mouseX, mouseY).part == "move" ? "grab" : "pointer";
+    } else if (timeline.getClusterAt(mouseX, mouseY)) {
+      canvas.style.cursor = "zoom-in";
+    } else {
+      canvas.style.cursor = "";
+      viewer.getEditor().updateCursor(mouseX, mouseY);
     }
 
-    if (didChange && !drawScheduled) {
-      drawScheduled = true;
-      requestAnimationFrame(() => {
-        timeline.draw(canvas);
-        drawScheduled = false;
-      });
-    }
-  }, { passive: false });
+    if (didChange) viewer.requestDraw();
+  }, { passive: false, signal });
 
   function endPan(e) {
     if (e.pointerId !== activePointerId) return;
+    if (isEditDragging) viewer.getEditor().endDrag();
+    if (isLaneDragging) {
+      viewer.getTimeline()?.endLaneDrag();
+      canvas.style.cursor = "";
+      viewer.requestDraw();
+    }
+    isEditDragging = false;
+    isLaneDragging = false;
     isPanning = false;
     activePointerId = null;
     try { canvas.releasePointerCapture(e.pointerId); } catch {}
   }
 
-  canvas.addEventListener("pointerup", endPan);
-  canvas.addEventListener("pointercancel", endPan);
+  canvas.addEventListener("pointerup", endPan, { signal });
+  canvas.addEventListener("pointercancel", endPan, { signal });
   canvas.addEventListener("pointerleave", (e) => {
     // pointerleave fires on mouse; touch generally uses pointercancel
     if (e.pointerId === activePointerId) endPan(e);
-  });
+  }, { signal });
 
   canvas.addEventListener("contextmenu", () => {
     isPanning = false;
-  });
-}
+  }, { signal });
+
+  // ---- Click zooms to a cluster, or expands or collapses a time period with children, unless the pointer was dragged
+  canvas.addEventListener("click", (e) => {
+    const timeline = viewer.getTimeline();
+    if (!timeline || isHeaderPress) return;
+    if (e.detail > 1) return; // the second click of a double-click
 
+    updateCoordsFromEvent(e);
+    if (Math.hypot(mouseX - pressStart.x, mouseY - pressStart.y) > 4) return;
+    const cluster = timeline.getClusterAt(mouseX, mouseY);
+    if (cluster) {
+      viewer.goToCluster(cluster);
+      return;
+    }
+    viewer.updateMouseState(mouseX, mouseY);
+    const timePeriod = timeline.getHoveredPeriod();
+    if (timePeriod && timePeriod.getChildren().length > 0) viewer.setPeriodExpanded(timePeriod, !timePeriod.isExpanded());
+  }, { signal });
+
+  // ---- Double-click zooms to the time period under the pointer
+  canvas.addEventListener("dblclick", (e) => {
+    const timeline = viewer.getTimeline();
+    if (!timeline || isHeaderPress) return;
+
+    updateCoordsFromEvent(e);
+    viewer.updateMouseState(mouseX, mouseY);
+    const timePeriod = timeline.getHoveredPeriod();
+    if (timePeriod) viewer.goToPeriod(timePeriod);
+  }, { signal });
+
+  // a resize interrupts any drag in progress
+  window.addEventListener("resize", () => {
+    if (isEditDragging) viewer.getEditor().endDrag();
+    if (isLaneDragging) viewer.getTimeline()?.endLaneDrag();
+    isEditDragging = false;
+    isLaneDragging = false;
+    isPanning = false;
+    activePointerId = null;
+  }, { signal });
+}
 
 /**
  * Sets up mouse interaction events for the timeline canvas.
@@ -2572,23 +11059,29 @@ function setupPointerEvents(timeline, verticalScrollSpeed, horizontalScrollSpeed
 /**
  * Attaches event listeners to zoom-in and zoom-out buttons for continuous zooming.
  * 
- * - On `mousedown`: initiates an immediate zoom and then repeats zooming at intervals after a short delay.
- * - On `mouseup` or `mouseleave`: stops the zooming action.
+ * - On `pointerdown`: initiates an immediate zoom and then repeats zooming at intervals after a short delay.
+ * - On `pointerup` or `pointerleave`: stops the zooming action.
  * 
- * Uses global `canvas`, `zoomInButton`, and `zoomOutButton` elements.
+ * Zooming also stops when the viewer is destroyed.
  * 
  * @function
- * @param {Timeline} timeline - The timeline instance to zoom.
+ * @param {TimelineViewer} viewer - The viewer to zoom.
+ * @param {HTMLButtonElement} zoomInButton - The button that zooms in.
+ * @param {HTMLButtonElement} zoomOutButton - The button that zooms out.
  * @param {number} rescaleSpeed - The amount to zoom in or out per step.
  * @returns {void}
  */
-function setupZoomButtons(timeline, rescaleSpeed){
+function setupZoomButtons(viewer, zoomInButton, zoomOutButton, rescaleSpeed){
+  const signal = viewer.getSignal();
   let zoomInterval = null;
   let zoomTimeout = null;
   const zoomSpeedMs = 75;
   const firstZoomDelay = 250;
 
   function startZooming(direction) {
+    const timeline = viewer.getTimeline();
+    if (!timeline) return;
+
     const centerPointX = timeline.getCanvasWidth() /2;
     const centerPointY = timeline.getCanvasHeight() /2;
 
@@ -2597,7 +11090,7 @@ function setupZoomButtons(timeline, rescaleSpeed){
 
     // initial zoom
     timeline.rescale(direction * rescaleSpeed, centerPointX, centerPointY);
-    timeline.draw(canvas);
+    viewer.draw();
 
     // Timeout after first zoom
     zoomTimeout = setTimeout(() => {
@@ -2605,7 +11098,7 @@ function setupZoomButtons(timeline, rescaleSpeed){
       // After first zoom, start regular interval
       zoomInterval = setInterval(() => {
         timeline.rescale(direction * rescaleSpeed, centerPointX, centerPointY);
-        timeline.draw(canvas);
+        viewer.draw();
       }, zoomSpeedMs);
     }, firstZoomDelay);
   }
@@ -2620,69 +11113,75 @@ function setupZoomButtons(timeline, rescaleSpeed){
   zoomInButton.addEventListener("pointerdown", (e) => {
     e.preventDefault()
     startZooming(1)
-  });
+  }, { signal });
   zoomOutButton.addEventListener("pointerdown", (e) => {
     e.preventDefault()
     startZooming(-1)
-  });
+  }, { signal });
 
-  zoomInButton.addEventListener("pointerup", stopZooming);
-  zoomOutButton.addEventListener("pointerup", stopZooming);
+  zoomInButton.addEventListener("pointerup", stopZooming, { signal });
+  zoomOutButton.addEventListener("pointerup", stopZooming, { signal });
 
-  zoomInButton.addEventListener("pointerleave", stopZooming);
-  zoomOutButton.addEventListener("pointerleave", stopZooming);
+  zoomInButton.addEventListener("pointerleave", stopZooming, { signal });
+  zoomOutButton.addEventListener("pointerleave", stopZooming, { signal });
 
   zoomInButton.addEventListener("contextmenu", (e) => {
     e.preventDefault()
-    stopZooming
-  });
+    stopZooming()
+  }, { signal });
   zoomOutButton.addEventListener("contextmenu", (e) => {
     e.preventDefault()
-    stopZooming
-  });
+    stopZooming()
+  }, { signal });
+
+  signal.addEventListener("abort", stopZooming);
 }
 
 /**
- * Initializes the timeline application and sets up all canvas-related interactions.
+ * Creates a timeline viewer inside a container element and optionally loads a timeline into it.
  * 
- * Performs the following:
- * - Initializes and validates DOM elements
- * - Creates and loads a Timeline instance from provided JSON
- * - Sets up keyboard and mouse controls for navigation and zooming
- * - Configures zoom button behavior
- * - Draws the initial timeline and displays usage instructions
+ * Any viewer already mounted in the container is destroyed first. Errors while loading are
+ * logged to the console and emitted as "error" events.
  * 
- * Relies on global DOM elements (`canvas`, `zoomInButton`, `zoomOutButton`, etc.) initialized in `initializeDOMElements`.
+ * Example:
+ * ```js
+ * const viewer = createTimelineViewer(document.getElementById("my-timeline"), { url: "/api/timelines/example" });
+ * viewer.on("select", timePeriod => console.log(timePeriod?.getName()));
+ * // later
+ * viewer.destroy();
+ * ```
  *
  * @function
- * @param {Object} timeLineJSON - The timeline data in JSON format, including timeline properties and swim lanes.
- * @returns {void}
+ * @param {HTMLElement} containerElement - The element to mount the viewer in.
+ * @param {Object} [config={}] - What to load and how to display it.
+ * @param {Object} [config.data] - Timeline data in JSON format to load.
+ * @param {string} [config.url] - URL of a timeline JSON file to load, used if `data` is not given.
+ * @param {Object} [config.options] - Viewer options, see the `TimelineViewer` constructor.
+ * @returns {TimelineViewer} The new viewer.
  */
-function setupCanvas(timeLineJSON) {
-  initializeDOMElements();
-
-  isTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
-
-  timeline = initializeTimeline(timeLineJSON);
-  timeline.draw(canvas);
-
-  let horizontalScrollSpeed = 50;
-  let verticalScrollSpeed = 50;
-  let rescaleSpeed = 10;
-  
-  setupKeyboardControls(timeline, verticalScrollSpeed, horizontalScrollSpeed, rescaleSpeed)
-  setupPointerEvents(timeline, verticalScrollSpeed, horizontalScrollSpeed, rescaleSpeed);
-  setupZoomButtons(timeline, rescaleSpeed)
-  showInstructions();  
+function createTimelineViewer(containerElement, { data, url, options } = {}){
+  const existingViewer = mountedViewers.get(containerElement);
+  if(existingViewer) existingViewer.destroy();
+
+  const viewer = new TimelineViewer(containerElement, options);
+  if(data || url){
+    viewer.load({ data, url })
+    .catch(err => console.error("Error loading timeline:", err));
+  }
+  return viewer;
 }
 
 //window.addEventListener("load", startApp); // original startup on window load
 
 (function ensureStart() {
+  // the script also runs in the worker that loads timelines, see TimelineLoader
+  if (typeof document === "undefined") {
+    self.addEventListener("message", handleLoadRequest);
+    return;
+  }
+
   function safeStart() {
     try {
-      // If you rely on globals like `canvas`, initialize them here if needed:
-      // e.g. canvas = document.getElementById("timeline-canvas");
       if (typeof startApp === "function") startApp();
     } catch (e) {
       console.error("Failed to start app:", e);
@@ -2697,26 +11196,3 @@ function setupCanvas(timeLineJSON) {
     document.addEventListener("DOMContentLoaded", safeStart, { once: true });
   }
 })();
-
-
-window.addEventListener("resize", () => {
-    // resize canvas and timeline
-
-    // dpi scaling
-    const dpr = window.devicePixelRatio || 1;
-
-    // Set CSS display size (what the browser sees)
-    canvas.style.width = (window.innerWidth) + "px";
-    canvas.style.height = window.innerHeight + "px";
-
-    // Set actual pixel size of canvas
-    canvas.width = (window.innerWidth) * dpr;
-    canvas.height = window.innerHeight * dpr;
-
-    // Scale drawing context
-    const ctx = canvas.getContext("2d");
-    ctx.scale(dpr, dpr);
-
-    isDragging = false;
-    timeline.draw(canvas)
-  });
\ No newline at end of file
@@ -0,0 +1,94 @@
+import { checkWriteAccess, errorResponse, readJsonBody } from "@/lib/apiResponses";
+import { getTimelineStore, withTimelineLock } from "@/lib/timelineStore";
+import {
+  assignIds,
+  findTakenPeriodId,
+  findTimePeriod,
+  getDescendants,
+  listTimePeriods,
+  readTimeline,
+  removeLinksTo,
+  type TimePeriodJson,
+} from "@/lib/timelines";
+import { validateTimePeriod, validateTimePeriodIn } from "@/lib/timelineValidation";
+
+// periodId is the id of the time period, the generated one if it has none, see assignIds. Changing a time
+// period stores the generated ids, so they stay the same when time periods are renamed later.
+type PeriodRouteContext = {
+  params: Promise<{ id: string; periodId: string }>;
+};
+
+export async function GET(request: Request, { params }: PeriodRouteContext) {
+  const { id, periodId } = await params;
+  const timeline = await readTimeline(id);
+  if (!timeline) return errorResponse(404, "Timeline not found");
+  const found = findTimePeriod(assignIds(timeline), periodId);
+  if (!found) return errorResponse(404, "Time period not found");
+  return Response.json(found.timePeriod);
+}
+
+/**
+ * Replaces a time period and its children with the JSON body, which keeps its id, and removes the links to the
+ * children it no longer has. Responds 400 with the problems if it isn't a valid time period, and 409 if a child
+ * has the id of another time period.
+ */
+export async function PUT(request: Request, { params }: PeriodRouteContext) {
+  const accessError = checkWriteAccess(request);
+  if (accessError) return accessError;
+  const { id, periodId } = await params;
+  const json = await readJsonBody(request);
+  if (json === undefined) return errorResponse(400, "The request body must be JSON");
+  const problems = validateTimePeriod(json);
+  if (problems.length > 0) return errorResponse(400, "The time period is invalid", problems);
+  const timePeriod = json as TimePeriodJson;
+  if (timePeriod.id !== undefined && timePeriod.id !== periodId) {
+    return errorResponse(400, "The time period is invalid", [{ path: "id", message: "must be " + JSON.stringify(periodId) + ", got " + JSON.stringify(timePeriod.id) }]);
+  }
+
+  // read, changed and written back one change at a time
+  return withTimelineLock(id, async () => {
+    const timeline = await readTimeline(id);
+    if (!timeline) return errorResponse(404, "Timeline not found");
+    const found = findTimePeriod(assignIds(timeline), periodId);
+    if (!found) return errorResponse(404, "Time period not found");
+
+    // the ids of the replaced children are free
+    const replacedIds = [found.timePeriod, ...getDescendants(found.timePeriod)].map(timePeriod => timePeriod.id!);
+    const usedPeriodIds = new Set(listTimePeriods(timeline).map(({ timePeriod }) => timePeriod.id!).filter(id => !replacedIds.includes(id)));
+    const takenId = findTakenPeriodId({ ...timePeriod, id: periodId }, usedPeriodIds);
+    if (takenId !== undefined) return errorResponse(409, "There already is a time period " + takenId);
+
+    found.siblings[found.index] = { id: periodId, ...timePeriod };
+    const replaced = findTimePeriod(assignIds(timeline), periodId)!.timePeriod;
+    const keptIds = [replaced, ...getDescendants(replaced)].map(timePeriod => timePeriod.id);
+    removeLinksTo(timeline, replacedIds.filter(id => !keptIds.includes(id)));
+    const timelineProblems = validateTimePeriodIn(timeline, periodId);
+    if (timelineProblems.length > 0) return errorResponse(400, "The time period is invalid", timelineProblems);
+    const store = await getTimelineStore();
+    if (!(await store.update(id, timeline))) return errorResponse(404, "Timeline not found");
+    return Response.json(replaced);
+  });
+}
+
+/**
+ * Deletes a time period with its children, and the links to them.
+ */
+export async function DELETE(request: Request, { params }: PeriodRouteContext) {
+  const accessError = checkWriteAccess(request);
+  if (accessError) return accessError;
+  const { id, periodId } = await params;
+
+  // read, changed and written back one change at a time
+  return withTimelineLock(id, async () => {
+    const timeline = await readTimeline(id);
+    if (!timeline) return errorResponse(404, "Timeline not found");
+    const found = findTimePeriod(assignIds(timeline), periodId);
+    if (!found) return errorResponse(404, "Time period not found");
+
+    found.siblings.splice(found.index, 1);
+    removeLinksTo(timeline, [found.timePeriod, ...getDescendants(found.timePeriod)].map(timePeriod => timePeriod.id!));
+    const store = await getTimelineStore();
+    if (!(await store.update(id, timeline))) return errorResponse(404, "Timeline not found");
+    return new Response(null, { status: 204 });
+  });
+}
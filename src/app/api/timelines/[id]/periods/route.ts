@@ -0,0 +1,79 @@
+import { checkWriteAccess, errorResponse, readJsonBody } from "@/lib/apiResponses";
+import { getTimelineStore, withTimelineLock } from "@/lib/timelineStore";
+import {
+  assignIds,
+  createId,
+  findTakenPeriodId,
+  findTimePeriod,
+  getDescendants,
+  listSwimlanes,
+  listTimePeriods,
+  readTimeline,
+  type TimePeriodJson,
+} from "@/lib/timelines";
+import { validateTimePeriod, validateTimePeriodIn } from "@/lib/timelineValidation";
+
+type PeriodsRouteContext = {
+  params: Promise<{ id: string }>;
+};
+
+/**
+ * Lists a timeline's time periods, including nested ones, with their ids, swimlane titles and parent ids.
+ */
+export async function GET(request: Request, { params }: PeriodsRouteContext) {
+  const { id } = await params;
+  const timeline = await readTimeline(id);
+  if (!timeline) return errorResponse(404, "Timeline not found");
+  return Response.json(listTimePeriods(assignIds(timeline)));
+}
+
+/**
+ * Adds the time period in the JSON body to the end of the swimlane with the id (or index) in the `swimlane`
+ * query parameter (the first by default, the swimlanes of groups counting after the others), or to the children of the time period with the id in the `parent`
+ * query parameter. Responds 201 with its id, which is made from its name unless the body has one, and 409 if
+ * another time period already has that id. Its children without an id get one the same way.
+ */
+export async function POST(request: Request, { params }: PeriodsRouteContext) {
+  const accessError = checkWriteAccess(request);
+  if (accessError) return accessError;
+  const { id } = await params;
+  const json = await readJsonBody(request);
+  if (json === undefined) return errorResponse(400, "The request body must be JSON");
+  const problems = validateTimePeriod(json);
+  if (problems.length > 0) return errorResponse(400, "The time period is invalid", problems);
+
+  // read, changed and written back one change at a time
+  return withTimelineLock(id, async () => {
+    const timeline = await readTimeline(id);
+    if (!timeline) return errorResponse(404, "Timeline not found");
+    assignIds(timeline);
+    const searchParams = new URL(request.url).searchParams;
+    const swimlaneParam = searchParams.get("swimlane") ?? "0";
+    const parentParam = searchParams.get("parent");
+    const parent = parentParam === null ? null : findTimePeriod(timeline, parentParam)?.timePeriod;
+    if (parent === undefined) return errorResponse(400, "There is no time period " + parentParam);
+    const swimlanes = listSwimlanes(timeline).map(({ swimlane }) => swimlane);
+    const swimlane = swimlanes.find(swimlane => swimlane.id === swimlaneParam) ?? swimlanes[Number(swimlaneParam)];
+    if (!swimlane && !parent) return errorResponse(400, "There is no swimlane " + swimlaneParam);
+
+    const timePeriod = json as TimePeriodJson;
+    const usedPeriodIds = new Set(listTimePeriods(timeline).map(({ timePeriod }) => timePeriod.id!));
+    const takenId = findTakenPeriodId(timePeriod, usedPeriodIds);
+    if (takenId !== undefined) return errorResponse(409, "There already is a time period " + takenId);
+    getDescendants(timePeriod).forEach(child => child.id !== undefined && usedPeriodIds.add(child.id));
+    const periodId = timePeriod.id ?? createId(timePeriod.name, usedPeriodIds, "period");
+
+    if (parent) (parent.children ??= []).push({ id: periodId, ...timePeriod });
+    else swimlane.timePeriods.push({ id: periodId, ...timePeriod });
+    const added = findTimePeriod(assignIds(timeline), periodId)!;
+    const timelineProblems = validateTimePeriodIn(timeline, periodId);
+    if (timelineProblems.length > 0) return errorResponse(400, "The time period is invalid", timelineProblems);
+    const store = await getTimelineStore();
+    if (!(await store.update(id, timeline))) return errorResponse(404, "Timeline not found");
+
+    return Response.json({ swimlane: added.swimlane.title, parent: added.parent?.id ?? null, timePeriod: added.timePeriod }, {
+      status: 201,
+      headers: { Location: "/api/timelines/" + id + "/periods/" + periodId },
+    });
+  });
+}
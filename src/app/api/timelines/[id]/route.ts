@@ -0,0 +1,43 @@
+import { checkWriteAccess, errorResponse, readJsonBody } from "@/lib/apiResponses";
+import { getTimelineStore, isTimelineId, withTimelineLock } from "@/lib/timelineStore";
+import { readTimeline, type TimelineJson } from "@/lib/timelines";
+import { validateTimeline } from "@/lib/timelineValidation";
+
+type TimelineRouteContext = {
+  params: Promise<{ id: string }>;
+};
+
+export async function GET(request: Request, { params }: TimelineRouteContext) {
+  const { id } = await params;
+  const timeline = await readTimeline(id);
+  if (!timeline) return errorResponse(404, "Timeline not found");
+  return Response.json(timeline);
+}
+
+/**
+ * Replaces a timeline with the JSON body. Responds 400 with the problems if it isn't a valid timeline.
+ */
+export async function PUT(request: Request, { params }: TimelineRouteContext) {
+  const accessError = checkWriteAccess(request);
+  if (accessError) return accessError;
+  const { id } = await params;
+  const json = await readJsonBody(request);
+  if (json === undefined) return errorResponse(400, "The request body must be JSON");
+  const problems = validateTimeline(json);
+  if (problems.length > 0) return errorResponse(400, "The timeline is invalid", problems);
+
+  const store = await getTimelineStore();
+  if (!isTimelineId(id) || !(await withTimelineLock(id, () => store.update(id, json as TimelineJson)))) {
+    return errorResponse(404, "Timeline not found");
+  }
+  return Response.json(json);
+}
+
+export async function DELETE(request: Request, { params }: TimelineRouteContext) {
+  const accessError = checkWriteAccess(request);
+  if (accessError) return accessError;
+  const { id } = await params;
+  const store = await getTimelineStore();
+  if (!isTimelineId(id) || !(await withTimelineLock(id, () => store.delete(id)))) return errorResponse(404, "Timeline not found");
+  return new Response(null, { status: 204 });
+}
@@ -0,0 +1,55 @@
+import { checkWriteAccess, errorResponse, readJsonBody } from "@/lib/apiResponses";
+import { getTimelineStore, isTimelineId } from "@/lib/timelineStore";
+import { listTimelines, summarizeTimeline, type TimelineJson } from "@/lib/timelines";
+import { validateTimeline } from "@/lib/timelineValidation";
+
+/**
+ * Lists the timelines with their titles, number of time periods and the years they cover.
+ */
+export async function GET() {
+  return Response.json(await listTimelines());
+}
+
+/**
+ * Turns a title into an id, e.g. "World History Timeline" into "world-history-timeline".
+ */
+function toTimelineId(title: string): string {
+  const id = title
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // accents, split from their letters by normalize
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return id || "timeline";
+}
+
+/**
+ * Creates a timeline from the JSON body, with the id in the `id` query parameter or one made from its title.
+ *
+ * Responds 201 with the timeline's summary, 400 with the problems if the JSON isn't a valid timeline,
+ * or 409 if the given id is taken. An id made from the title gets a number added until it is free.
+ */
+export async function POST(request: Request) {
+  const accessError = checkWriteAccess(request);
+  if (accessError) return accessError;
+  const json = await readJsonBody(request);
+  if (json === undefined) return errorResponse(400, "The request body must be JSON");
+  const problems = validateTimeline(json);
+  if (problems.length > 0) return errorResponse(400, "The timeline is invalid", problems);
+  const timeline = json as TimelineJson;
+
+  const store = await getTimelineStore();
+  const requestedId = new URL(request.url).searchParams.get("id");
+  let id = requestedId ?? toTimelineId(timeline.title);
+  if (!isTimelineId(id)) return errorResponse(400, "Invalid id '" + id + "', must be letters, digits, - and _");
+
+  for (let suffix = 2; !(await store.create(id, timeline)); suffix++) {
+    if (requestedId !== null) return errorResponse(409, "There already is a timeline with the id '" + id + "'");
+    id = toTimelineId(timeline.title) + "-" + suffix;
+  }
+
+  return Response.json(summarizeTimeline(id, timeline), {
+    status: 201,
+    headers: { Location: "/api/timelines/" + id },
+  });
+}
@@ -0,0 +1,25 @@
+import type { Metadata } from "next";
+import "../t/[id]/style.css";
+import TimelineBenchmark from "@/components/TimelineBenchmark";
+
+type BenchmarkPageProps = {
+  searchParams: Promise<{ periods?: string; lanes?: string }>;
+};
+
+export const metadata: Metadata = { title: "Timeline benchmark" };
+
+/**
+ * Reads a whole number from a search parameter, limited to a range.
+ */
+function readCount(value: string | undefined, fallback: number, max: number): number {
+  const count = Number.parseInt(value ?? "", 10);
+  return Number.isFinite(count) ? Math.min(Math.max(count, 1), max) : fallback;
+}
+
+/**
+ * Measures the viewer with a generated timeline, e.g. `/benchmark?periods=50000&lanes=20`.
+ */
+export default async function BenchmarkPage({ searchParams }: BenchmarkPageProps) {
+  const { periods, lanes } = await searchParams;
+  return <TimelineBenchmark periods={readCount(periods, 10000, 200000)} lanes={readCount(lanes, 20, 200)} />;
+}
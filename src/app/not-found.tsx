@@ -0,0 +1,12 @@
+import Link from "next/link";
+
+export default function NotFound() {
+  return (
+    <main className="p-8">
+      <h1 className="mb-4 text-2xl font-bold">Timeline not found</h1>
+      <p>
+        <Link href="/" className="underline">See all timelines</Link>
+      </p>
+    </main>
+  );
+}
@@ -1,16 +1,30 @@
-import Image from "next/image";
 import Link from "next/link";
-import TimelinePage from "./timeline/page";
+import { formatYearRange, listTimelines } from "@/lib/timelines";
+
+// list the timelines directory on every request, so added timelines show up without a rebuild
+export const dynamic = "force-dynamic";
+
+export default async function Home() {
+  const timelines = await listTimelines();
 
-export default function Home() {
   return (
-    <main>
-      <p>
-        <Link href="/timeline">Click here to see an example timeline</Link>
-      </p>
-      <p>
-        <Link href="/bible">Click here to see the Bible timeline</Link>
-      </p>
+    <main className="p-8">
+      <h1 className="mb-4 text-2xl font-bold">Timelines</h1>
+      {timelines.length == 0 && <p>There are no timelines yet.</p>}
+      <ul className="flex flex-col gap-3">
+        {timelines.map(timeline => {
+          const yearRange = formatYearRange(timeline);
+          return (
+            <li key={timeline.id}>
+              <Link href={"/t/" + timeline.id} className="underline">{timeline.title}</Link>
+              <span className="ml-2 opacity-70">
+                {yearRange && yearRange + ", "}
+                {timeline.periodCount} time periods
+              </span>
+            </li>
+          );
+        })}
+      </ul>
     </main>
   );
 }
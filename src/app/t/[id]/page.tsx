@@ -0,0 +1,37 @@
+import type { Metadata } from "next";
+import { notFound } from "next/navigation";
+import "./style.css";
+import TimelineViewer from "@/components/TimelineViewer";
+import { formatYearRange, readTimeline, summarizeTimeline } from "@/lib/timelines";
+
+type TimelinePageProps = {
+  params: Promise<{ id: string }>;
+};
+
+const viewerOptions = { autoFocus: true, urlState: true };
+
+export async function generateMetadata({ params }: TimelinePageProps): Promise<Metadata> {
+  const { id } = await params;
+  const timeline = await readTimeline(id);
+  if (!timeline) return { title: "Timeline not found" };
+
+  const summary = summarizeTimeline(id, timeline);
+  const yearRange = formatYearRange(summary);
+  const description = summary.periodCount + " time periods" + (yearRange ? ", " + yearRange : "");
+  return {
+    title: summary.title,
+    description,
+    openGraph: { title: summary.title, description, type: "website" },
+  };
+}
+
+/**
+ * Shows the timeline with the id in the URL, from the timelines directory.
+ */
+export default async function TimelinePage({ params }: TimelinePageProps) {
+  const { id } = await params;
+  const timeline = await readTimeline(id);
+  if (!timeline) notFound();
+
+  return <TimelineViewer data={timeline} options={viewerOptions} />;
+}
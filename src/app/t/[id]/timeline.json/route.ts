@@ -0,0 +1,17 @@
+import { errorResponse } from "@/lib/apiResponses";
+import { readTimeline } from "@/lib/timelines";
+
+type TimelineRouteContext = {
+  params: Promise<{ id: string }>;
+};
+
+/**
+ * Serves a timeline's JSON from the timeline store, e.g. for
+ * `createTimelineViewer(element, { url: "/t/example/timeline.json" })`. The same as `GET /api/timelines/<id>`.
+ */
+export async function GET(request: Request, { params }: TimelineRouteContext) {
+  const { id } = await params;
+  const timeline = await readTimeline(id);
+  if (!timeline) return errorResponse(404, "Timeline not found");
+  return Response.json(timeline);
+}
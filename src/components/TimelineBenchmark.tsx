@@ -0,0 +1,159 @@
+"use client";
+
+import Script from "next/script";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { generateTimeline } from "@/lib/syntheticTimeline";
+import type { TimelineViewerInstance } from "@/types/timelineViewer";
+
+type TimelineBenchmarkProps = {
+  periods: number;
+  lanes: number;
+};
+
+type FrameTimes = {
+  name: string;
+  times: number[];
+};
+
+const viewerOptions = { showInstructions: false, rememberLanes: false };
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Returns a date in an astronomical year, in UTC like the generated timeline.
+ */
+function yearToDate(year: number): Date {
+  const date = new Date(0);
+  date.setUTCFullYear(year, 0, 1);
+  return date;
+}
+
+/**
+ * Times a frame a number of times, giving the page a chance to paint in between.
+ */
+async function timeFrames(count: number, frame: (i: number) => void): Promise<number[]> {
+  const times: number[] = [];
+  for (let i = 0; i < count; i++) {
+    const start = performance.now();
+    frame(i);
+    times.push(performance.now() - start);
+    await nextTask();
+  }
+  return times;
+}
+
+function formatMs(ms: number): string {
+  return ms.toFixed(1) + " ms";
+}
+
+function summarize(times: number[]) {
+  const sorted = times.slice().sort((a, b) => a - b);
+  const at = (p: number) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return {
+    mean: times.reduce((sum, time) => sum + time, 0) / times.length,
+    median: at(0.5),
+    p95: at(0.95),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Loads a generated timeline into a viewer from /timelineViewer.js and reports how long loading and drawing
+ * frames take while panning, zooming (in the packed and the stable row layout) and hovering.
+ *
+ * Each frame is drawn synchronously, so its time is what the browser spends on the main thread before it can
+ * paint.
+ */
+export default function TimelineBenchmark({ periods, lanes }: TimelineBenchmarkProps) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const viewerRef = useRef<TimelineViewerInstance | null>(null);
+  const [isScriptReady, setIsScriptReady] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+  const [loadTime, setLoadTime] = useState<number | null>(null);
+  const [results, setResults] = useState<FrameTimes[]>([]);
+
+  const run = useCallback(async () => {
+    const viewer = viewerRef.current;
+    const container = containerRef.current;
+    if (!viewer || !container) return;
+    setIsRunning(true);
+    setLoadTime(null);
+    setResults([]);
+
+    const data = generateTimeline({ periods, lanes });
+    const loadStart = performance.now();
+    await viewer.load({ data });
+    setLoadTime(performance.now() - loadStart);
+    await nextTask();
+
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    const pan = await timeFrames(60, i => viewer.setFocus(yearToDate(-500 + 10 * i)));
+    // zooming in and out a step at a time, as with the mouse wheel, assigns the rows again at every step
+    const zoomStep = (i: number) => viewer.zoomTo("century", 60 + 4 * Math.abs(20 - i));
+    const zoom = await timeFrames(40, zoomStep);
+    // the stable row layout assigns the rows once, so zooming only positions the time periods in view
+    viewer.setRowLayout("stable");
+    const stableZoom = await timeFrames(40, zoomStep);
+    viewer.setRowLayout("packed");
+    const hover = await timeFrames(60, i => {
+      viewer.updateMouseState((i + 0.5) * width / 60, (i + 0.5) * height / 60);
+      viewer.draw();
+    });
+    setResults([
+      { name: "Pan", times: pan },
+      { name: "Zoom", times: zoom },
+      { name: "Zoom, stable rows", times: stableZoom },
+      { name: "Hover", times: hover },
+    ]);
+    setIsRunning(false);
+  }, [periods, lanes]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!isScriptReady || !container || !window.createTimelineViewer) return;
+
+    const viewer = window.createTimelineViewer(container, { options: viewerOptions });
+    viewerRef.current = viewer;
+    run();
+    return () => {
+      viewerRef.current = null;
+      viewer.destroy();
+    };
+  }, [isScriptReady, run]);
+
+  return (
+    <main className="flex h-full flex-col">
+      <div ref={containerRef} className="min-h-0 flex-1" />
+      <section className="max-h-[40%] overflow-auto border-t p-4">
+        <p className="mb-2">
+          {periods} time periods in {lanes} swimlanes, loaded in {loadTime === null ? "…" : formatMs(loadTime)}.
+          Change them with <code>?periods=</code> and <code>?lanes=</code>.
+        </p>
+        <table className="mb-2">
+          <thead>
+            <tr>
+              {["Frames", "Count", "Mean", "Median", "95th percentile", "Max"].map(heading => (
+                <th key={heading} className="pr-6 text-left">{heading}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(({ name, times }) => {
+              const { mean, median, p95, max } = summarize(times);
+              return (
+                <tr key={name}>
+                  <td className="pr-6">{name}</td>
+                  <td className="pr-6">{times.length}</td>
+                  {[mean, median, p95, max].map((time, i) => <td key={i} className="pr-6">{formatMs(time)}</td>)}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <button className="underline" disabled={isRunning} onClick={run}>{isRunning ? "Running…" : "Run again"}</button>
+      </section>
+      <Script src="/timelineViewer.js" strategy="afterInteractive" onReady={() => setIsScriptReady(true)} />
+    </main>
+  );
+}
@@ -0,0 +1,38 @@
+"use client";
+
+import Script from "next/script";
+import { useEffect, useRef, useState } from "react";
+import type { TimelineViewerOptions } from "@/types/timelineViewer";
+
+type TimelineViewerProps = {
+  url?: string;
+  data?: object;
+  options?: TimelineViewerOptions;
+  className?: string;
+};
+
+/**
+ * Mounts a timeline viewer from /timelineViewer.js inside a div.
+ *
+ * The viewer is created once the script has loaded and destroyed when the component unmounts,
+ * so pages can be navigated between without leaving listeners behind.
+ */
+export default function TimelineViewer({ url, data, options, className }: TimelineViewerProps) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [isScriptReady, setIsScriptReady] = useState(false);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!isScriptReady || !container || !window.createTimelineViewer) return;
+
+    const viewer = window.createTimelineViewer(container, { url, data, options });
+    return () => viewer.destroy();
+  }, [isScriptReady, url, data, options]);
+
+  return (
+    <>
+      <div ref={containerRef} className={className} />
+      <Script src="/timelineViewer.js" strategy="afterInteractive" onReady={() => setIsScriptReady(true)} />
+    </>
+  );
+}
@@ -0,0 +1,35 @@
+import { timingSafeEqual } from "crypto";
+import type { TimelineProblem } from "@/lib/timelineValidation";
+
+/**
+ * A JSON error response of the timeline API: `{ error, problems? }`, with problems listing what is
+ * wrong with submitted timeline JSON.
+ */
+export function errorResponse(status: number, error: string, problems?: TimelineProblem[]): Response {
+  return Response.json(problems ? { error, problems } : { error }, { status });
+}
+
+/**
+ * Returns an error response unless the request may change timelines, or null if it may.
+ *
+ * Changes are turned off unless the `TIMELINE_API_TOKEN` environment variable is set (403), and then need the
+ * header `Authorization: Bearer <token>` (401), so a deployment's timelines can't be changed by its visitors.
+ */
+export function checkWriteAccess(request: Request): Response | null {
+  const token = process.env.TIMELINE_API_TOKEN;
+  if (!token) return errorResponse(403, "Changing timelines is turned off, set TIMELINE_API_TOKEN to turn it on");
+
+  const given = Buffer.from(request.headers.get("Authorization")?.match(/^Bearer (.+)$/)?.[1] ?? "");
+  const expected = Buffer.from(token);
+  if (given.length != expected.length || !timingSafeEqual(given, expected)) {
+    return Response.json({ error: "A valid API token is required" }, { status: 401, headers: { "WWW-Authenticate": "Bearer" } });
+  }
+  return null;
+}
+
+/**
+ * Reads the JSON body of a request, or returns undefined if it isn't JSON.
+ */
+export function readJsonBody(request: Request): Promise<unknown> {
+  return request.json().catch(() => undefined);
+}
@@ -0,0 +1,77 @@
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from "fs/promises";
+import path from "path";
+import type { TimelineJson } from "@/lib/timelines";
+import { isTimelineId, type TimelineStore } from "@/lib/timelineStore";
+
+function isErrorCode(err: unknown, code: string): boolean {
+  return (err as NodeJS.ErrnoException)?.code == code;
+}
+
+/**
+ * Keeps each timeline as `<id>.json` in a directory, so timelines can also be added and edited as files.
+ */
+export class FileTimelineStore implements TimelineStore {
+  #dir: string;
+
+  constructor(dir: string) {
+    this.#dir = dir;
+  }
+
+  #getPath(id: string): string {
+    if (!isTimelineId(id)) throw new Error("Invalid timeline id '" + id + "'");
+    return path.join(this.#dir, id + ".json");
+  }
+
+  async listIds(): Promise<string[]> {
+    const fileNames = await readdir(this.#dir).catch(err => {
+      if (isErrorCode(err, "ENOENT")) return [] as string[];
+      throw err;
+    });
+    return fileNames
+      .filter(fileName => fileName.endsWith(".json"))
+      .map(fileName => fileName.slice(0, -".json".length))
+      .filter(isTimelineId);
+  }
+
+  async get(id: string): Promise<TimelineJson | null> {
+    try {
+      return JSON.parse(await readFile(this.#getPath(id), "utf8")) as TimelineJson;
+    } catch (err) {
+      if (isErrorCode(err, "ENOENT")) return null;
+      throw err;
+    }
+  }
+
+  async create(id: string, timeline: TimelineJson): Promise<boolean> {
+    await mkdir(this.#dir, { recursive: true });
+    try {
+      // "wx" fails if the file exists, so two creates with the same id can't both succeed
+      await writeFile(this.#getPath(id), JSON.stringify(timeline, null, 2) + "\n", { flag: "wx" });
+      return true;
+    } catch (err) {
+      if (isErrorCode(err, "EEXIST")) return false;
+      throw err;
+    }
+  }
+
+  async update(id: string, timeline: TimelineJson): Promise<boolean> {
+    if ((await this.get(id)) === null) return false;
+
+    // written to a temporary file first, so readers never see a half-written timeline
+    const filePath = this.#getPath(id);
+    const tempPath = filePath + "." + process.pid + "." + Date.now() + ".tmp";
+    await writeFile(tempPath, JSON.stringify(timeline, null, 2) + "\n");
+    await rename(tempPath, filePath);
+    return true;
+  }
+
+  async delete(id: string): Promise<boolean> {
+    try {
+      await unlink(this.#getPath(id));
+      return true;
+    } catch (err) {
+      if (isErrorCode(err, "ENOENT")) return false;
+      throw err;
+    }
+  }
+}
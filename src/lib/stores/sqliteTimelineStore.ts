@@ -0,0 +1,51 @@
+import Database from "better-sqlite3";
+import type { TimelineJson } from "@/lib/timelines";
+import type { TimelineStore } from "@/lib/timelineStore";
+
+type TimelineRow = { json: string };
+
+/**
+ * Keeps timelines in a SQLite database file, one row per timeline holding its JSON.
+ */
+export class SqliteTimelineStore implements TimelineStore {
+  #db: Database.Database;
+
+  constructor(dbPath: string) {
+    this.#db = new Database(dbPath);
+    this.#db.pragma("journal_mode = WAL");
+    this.#db.exec(`
+      CREATE TABLE IF NOT EXISTS timelines (
+        id TEXT PRIMARY KEY,
+        json TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  async listIds(): Promise<string[]> {
+    return this.#db.prepare("SELECT id FROM timelines").pluck().all() as string[];
+  }
+
+  async get(id: string): Promise<TimelineJson | null> {
+    const row = this.#db.prepare("SELECT json FROM timelines WHERE id = ?").get(id) as TimelineRow | undefined;
+    return row ? (JSON.parse(row.json) as TimelineJson) : null;
+  }
+
+  async create(id: string, timeline: TimelineJson): Promise<boolean> {
+    const result = this.#db
+      .prepare("INSERT INTO timelines (id, json, updated_at) VALUES (?, ?, ?) ON CONFLICT (id) DO NOTHING")
+      .run(id, JSON.stringify(timeline), new Date().toISOString());
+    return result.changes > 0;
+  }
+
+  async update(id: string, timeline: TimelineJson): Promise<boolean> {
+    const result = this.#db
+      .prepare("UPDATE timelines SET json = ?, updated_at = ? WHERE id = ?")
+      .run(JSON.stringify(timeline), new Date().toISOString(), id);
+    return result.changes > 0;
+  }
+
+  async delete(id: string): Promise<boolean> {
+    return this.#db.prepare("DELETE FROM timelines WHERE id = ?").run(id).changes > 0;
+  }
+}
@@ -0,0 +1,84 @@
+import type { SwimLaneJson, TimelineJson, TimePeriodJson } from "@/lib/timelines";
+
+export type SyntheticTimelineOptions = {
+  lanes?: number;
+  periods?: number;
+  startYear?: number;
+  endYear?: number;
+  seed?: number;
+};
+
+export type SyntheticTimelineJson = TimelineJson & {
+  scaleType: string;
+  scaleWidth: number;
+  focusDate: string;
+  focusX: number;
+};
+
+/**
+ * Returns a pseudo-random number generator for numbers from 0 to 1, which gives the same numbers for the same seed
+ * (mulberry32).
+ */
+function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Formats an astronomical year as an ISO 8601 year, with six digits and a sign outside 0 to 9999.
+ */
+function formatIsoYear(year: number): string {
+  if (year >= 0 && year <= 9999) return String(year).padStart(4, "0");
+  return (year < 0 ? "-" : "+") + String(Math.abs(year)).padStart(6, "0");
+}
+
+/**
+ * Generates a timeline of made-up time periods for measuring the viewer with large data, e.g. on `/benchmark`.
+ *
+ * The time periods are spread evenly over the swimlanes and at random over the years, with lengths from a
+ * year to a few centuries, and about one in ten is an event. The same options give the same timeline.
+ */
+export function generateTimeline({
+  lanes = 20,
+  periods = 10000,
+  startYear = -3000,
+  endYear = 2000,
+  seed = 1,
+}: SyntheticTimelineOptions = {}): SyntheticTimelineJson {
+  const random = createRandom(seed);
+  const swimlanes: SwimLaneJson[] = Array.from({ length: lanes }, (_, i) => ({
+    id: "lane-" + (i + 1),
+    title: "Lane " + (i + 1),
+    timePeriods: [],
+  }));
+
+  for (let i = 0; i < periods; i++) {
+    const start = startYear + Math.floor(random() * (endYear - startYear));
+    const month = String(1 + Math.floor(random() * 12)).padStart(2, "0");
+    const timePeriod: TimePeriodJson = { id: "period-" + (i + 1), name: "Period " + (i + 1) };
+    if (random() < 0.1) {
+      timePeriod.date = formatIsoYear(start) + "-" + month;
+    } else {
+      const length = Math.ceil(Math.exp(random() * Math.log(300)));
+      timePeriod.startDate = formatIsoYear(start);
+      timePeriod.endDate = formatIsoYear(Math.min(start + length, endYear));
+    }
+    swimlanes[i % lanes].timePeriods.push(timePeriod);
+  }
+
+  return {
+    formatVersion: 2,
+    title: periods + " time periods in " + lanes + " swimlanes",
+    scaleType: "century",
+    scaleWidth: 100,
+    focusDate: formatIsoYear(Math.round((startYear + endYear) / 2)),
+    focusX: 600,
+    swimlanes,
+  };
+}
@@ -0,0 +1,74 @@
+import path from "path";
+import type { TimelineJson } from "@/lib/timelines";
+
+/**
+ * Where timelines are kept. Ids are file-name-safe, see isTimelineId.
+ *
+ * Every method resolves with a result rather than throwing for a missing or existing id,
+ * so route handlers can answer 404 or 409. Errors of the storage itself are thrown.
+ */
+export interface TimelineStore {
+  /** Resolves with the ids of all timelines, in no particular order. */
+  listIds(): Promise<string[]>;
+  /** Resolves with the timeline, or null if there is none with the id. */
+  get(id: string): Promise<TimelineJson | null>;
+  /** Adds a timeline, resolves with false if there already is one with the id. */
+  create(id: string, timeline: TimelineJson): Promise<boolean>;
+  /** Replaces a timeline, resolves with false if there is none with the id. */
+  update(id: string, timeline: TimelineJson): Promise<boolean>;
+  /** Removes a timeline, resolves with false if there is none with the id. */
+  delete(id: string): Promise<boolean>;
+}
+
+const TIMELINE_ID_REGEX = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Whether an id can name a timeline: letters, digits, "-" and "_", starting with a letter or digit.
+ * Ids are used as file names, so they can't reach other files.
+ */
+export function isTimelineId(id: string): boolean {
+  return TIMELINE_ID_REGEX.test(id);
+}
+
+let store: Promise<TimelineStore> | null = null;
+const timelineLocks = new Map<string, Promise<unknown>>(); // id -> the last change queued for the timeline
+
+/**
+ * Runs a change to a timeline (e.g. reading it, changing a time period and writing it back) once the changes
+ * queued before it for the same id have finished, so concurrent changes don't overwrite each other. Resolves or
+ * rejects as the change does. Changes are queued within this server process.
+ */
+export function withTimelineLock<T>(id: string, change: () => Promise<T>): Promise<T> {
+  const previous = timelineLocks.get(id) ?? Promise.resolve();
+  const result = previous.then(change, change);
+  const done = result.then(() => {}, () => {});
+  timelineLocks.set(id, done);
+  done.then(() => {
+    if (timelineLocks.get(id) === done) timelineLocks.delete(id);
+  });
+  return result;
+}
+
+/**
+ * Returns the store chosen by the environment, created on first use.
+ *
+ * - `TIMELINE_STORE=file` (the default) keeps each timeline as `<id>.json` in `TIMELINES_DIR` (default `timelines/`).
+ * - `TIMELINE_STORE=sqlite` keeps them in the SQLite database `TIMELINES_DB` (default `timelines.db`).
+ */
+export function getTimelineStore(): Promise<TimelineStore> {
+  store ??= createTimelineStore(process.env.TIMELINE_STORE ?? "file");
+  return store;
+}
+
+async function createTimelineStore(type: string): Promise<TimelineStore> {
+  if (type == "file") {
+    const { FileTimelineStore } = await import("@/lib/stores/fileTimelineStore");
+    return new FileTimelineStore(process.env.TIMELINES_DIR ?? path.join(process.cwd(), "timelines"));
+  }
+  if (type == "sqlite") {
+    // loaded only when chosen, so the file store works without the native SQLite module
+    const { SqliteTimelineStore } = await import("@/lib/stores/sqliteTimelineStore");
+    return new SqliteTimelineStore(process.env.TIMELINES_DB ?? path.join(process.cwd(), "timelines.db"));
+  }
+  throw new Error("Unknown TIMELINE_STORE '" + type + "', must be file or sqlite");
+}
@@ -0,0 +1,89 @@
+import Ajv2020, { type ErrorObject } from "ajv/dist/2020";
+import timelineSchema from "../../public/timeline-schema.json";
+import { findTimePeriod, type TimelineJson } from "@/lib/timelines";
+import { getViewerFunction } from "@/lib/timelineViewerScript";
+
+// a problem found in timeline JSON, in the same form as the viewer's validateTimelineJson
+export type TimelineProblem = {
+  path: string;
+  message: string;
+};
+
+const ajv = new Ajv2020({ allErrors: true, verbose: true });
+ajv.addSchema(timelineSchema);
+const validateTimelineSchema = ajv.getSchema(timelineSchema.$id)!;
+const validateTimePeriodSchema = ajv.getSchema(timelineSchema.$id + "#/$defs/timePeriod")!;
+
+/**
+ * Whether an error is about one alternative of an anyOf or oneOf, which is reported once by the anyOf or oneOf error,
+ * or is the failed "if" of a condition, which is reported by the "then".
+ */
+function isAlternativeError(error: ErrorObject): boolean {
+  return error.keyword == "if" || /^#\/(oneOf\/|\$defs\/(legacyDate|isoDate)\/)/.test(error.schemaPath);
+}
+
+/**
+ * Words the errors of the schema's alternatives: a date (anyOf) and a time period or event (oneOf).
+ */
+function getMessage(error: ErrorObject): string {
+  if (error.keyword == "anyOf") return "must be an ISO 8601 or legacy date, got " + JSON.stringify(error.data);
+  if (error.keyword == "oneOf") return "must have either a date, or a startDate and an endDate";
+  return error.message ?? "is invalid";
+}
+
+/**
+ * Converts an ajv error to a problem with a JSON path like the viewer's, e.g. "swimlanes[2].timePeriods[14].endDate".
+ */
+function toProblem(error: ErrorObject, rootPath: string): TimelineProblem {
+  const path = error.instancePath
+    .split("/")
+    .slice(1)
+    .map(key => key.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((path, key) => (/^\d+$/.test(key) ? path + "[" + key + "]" : path ? path + "." + key : key), rootPath);
+  return { path: path || "timeline", message: getMessage(error) };
+}
+
+type PrepareTimelineJson = (json: unknown) => { problems: TimelineProblem[] };
+
+/**
+ * Checks the dates, ids and links of a timeline as the viewer reads them, with prepareTimelineJson of
+ * public/timelineViewer.js.
+ */
+function prepareTimelineJson(json: unknown): { problems: TimelineProblem[] } {
+  return getViewerFunction<PrepareTimelineJson>("prepareTimelineJson")(json);
+}
+
+/**
+ * Checks timeline JSON against public/timeline-schema.json, and then as the viewer does, returns the problems found.
+ *
+ * The schema can't check what the dates mean (impossible days, legacy dates in formatVersion 2, end dates before
+ * start dates), that ids are unique or that links point to another time period, so a timeline the API accepts is
+ * one the viewer shows without problems.
+ */
+export function validateTimeline(json: unknown): TimelineProblem[] {
+  if (!validateTimelineSchema(json)) {
+    return (validateTimelineSchema.errors ?? []).filter(error => !isAlternativeError(error)).map(error => toProblem(error, ""));
+  }
+  return prepareTimelineJson(json).problems.map(({ path, message }) => ({ path, message }));
+}
+
+/**
+ * Checks a time period of a timeline as the viewer does, e.g. after it is added or replaced, returns the problems
+ * found in it and its descendants with paths starting at "timePeriod". The timeline must have ids, see assignIds.
+ */
+export function validateTimePeriodIn(timeline: TimelineJson, periodId: string): TimelineProblem[] {
+  const periodPath = findTimePeriod(timeline, periodId)?.path;
+  if (periodPath === undefined) return [];
+  return prepareTimelineJson(timeline).problems
+    .filter(({ path }) => path == periodPath || path.startsWith(periodPath + "."))
+    .map(({ path, message }) => ({ path: "timePeriod" + path.slice(periodPath.length), message }));
+}
+
+/**
+ * Checks the JSON of one time period against the schema, returns the problems found. Its dates and links are
+ * checked once it is in a timeline, see validateTimePeriodIn.
+ */
+export function validateTimePeriod(json: unknown): TimelineProblem[] {
+  if (validateTimePeriodSchema(json)) return [];
+  return (validateTimePeriodSchema.errors ?? []).filter(error => !isAlternativeError(error)).map(error => toProblem(error, "timePeriod"));
+}
@@ -0,0 +1,19 @@
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+
+let viewerContext: vm.Context | null = null;
+
+/**
+ * Returns a function of public/timelineViewer.js, e.g. prepareTimelineJson, so the API reads timelines as the
+ * viewer does rather than with a copy of its code. The script is run once on its own, as in the viewer's loading
+ * worker.
+ */
+export function getViewerFunction<T extends (...args: never[]) => unknown>(name: string): T {
+  if (!viewerContext) {
+    const script = fs.readFileSync(path.join(process.cwd(), "public", "timelineViewer.js"), "utf8");
+    viewerContext = vm.createContext({ self: { addEventListener() {} }, console });
+    vm.runInContext(script, viewerContext, { filename: "timelineViewer.js" });
+  }
+  return vm.runInContext(name, viewerContext) as T;
+}
@@ -0,0 +1,274 @@
+import { cache } from "react";
+import { getTimelineStore, isTimelineId } from "@/lib/timelineStore";
+import { getViewerFunction } from "@/lib/timelineViewerScript";
+
+const LEGACY_DATE_REGEX = /^(-?\d+)-\d+-\d+(-\d+){0,4}$/;
+const ISO_YEAR_REGEX = /^([+-]?\d{4,6})(-|T|$)/;
+
+export type TimePeriodLinkJson = {
+  to: string;
+  type: "precedes" | "causes" | "part-of" | "custom";
+  label?: string;
+};
+
+export type TimePeriodJson = {
+  id?: string;
+  name: string;
+  startDate?: string;
+  endDate?: string;
+  date?: string;
+  links?: TimePeriodLinkJson[];
+  isExpanded?: boolean;
+  row?: number;
+  children?: TimePeriodJson[];
+};
+
+export type SwimLaneJson = {
+  id?: string;
+  title: string;
+  timePeriods: TimePeriodJson[];
+};
+
+export type SwimLaneGroupJson = {
+  id?: string;
+  title: string;
+  swimlanes: SwimLaneJson[];
+};
+
+export type TimelineJson = {
+  formatVersion?: number;
+  title: string;
+  swimlanes: SwimLaneJson[];
+  groups?: SwimLaneGroupJson[];
+};
+
+export type TimelineSummary = {
+  id: string;
+  title: string;
+  periodCount: number;
+  startYear: number | null;
+  endYear: number | null;
+};
+
+/**
+ * Returns the astronomical year of a timeline date (0 is 1 BC), or null if the date can't be read.
+ *
+ * Legacy dates count negative years as BC without a year 0 (-0044 is 44 BC), ISO 8601 dates are
+ * astronomical. Timelines without formatVersion 2 may use both, see public/timeline-schema.json.
+ */
+function getYear(date: string | undefined, formatVersion: number): number | null {
+  if (typeof date != "string") return null;
+
+  const legacyMatch = formatVersion == 2 ? null : date.match(LEGACY_DATE_REGEX);
+  if (legacyMatch) {
+    const year = Number(legacyMatch[1]);
+    return year < 0 ? year + 1 : year;
+  }
+  const isoMatch = date.match(ISO_YEAR_REGEX);
+  return isoMatch ? Number(isoMatch[1]) : null;
+}
+
+/**
+ * Formats an astronomical year like the viewer's default era, e.g. "44 BC" or "1066 AD".
+ */
+function formatYear(year: number): string {
+  return year <= 0 ? 1 - year + " BC" : year + " AD";
+}
+
+/**
+ * Formats the years a timeline covers, e.g. "2333 BC – 476 AD", or "" if it has no dated time periods.
+ */
+export function formatYearRange({ startYear, endYear }: TimelineSummary): string {
+  if (startYear === null || endYear === null) return "";
+  if (startYear == endYear) return formatYear(startYear);
+  return formatYear(startYear) + " – " + formatYear(endYear);
+}
+
+/**
+ * Reads a timeline by id from the timeline store, or returns null if there is no such timeline.
+ *
+ * Cached per request, so the page and its metadata read the timeline once.
+ */
+export const readTimeline = cache(async (id: string): Promise<TimelineJson | null> => {
+  if (!isTimelineId(id)) return null;
+  const store = await getTimelineStore();
+  return store.get(id);
+});
+
+/**
+ * Returns a time period's children, their children and so on, each followed by its own descendants.
+ */
+export function getDescendants(timePeriod: TimePeriodJson): TimePeriodJson[] {
+  return withDescendants(timePeriod.children ?? []);
+}
+
+/**
+ * Returns time periods, each followed by its descendants, the order the viewer gives them ids in.
+ */
+function withDescendants(timePeriods: TimePeriodJson[]): TimePeriodJson[] {
+  return timePeriods.flatMap(timePeriod => [timePeriod, ...getDescendants(timePeriod)]);
+}
+
+/**
+ * Returns the swimlanes of a timeline with their JSON paths, those outside groups first and then those of each
+ * group, e.g. "groups[1].swimlanes[0]". The order the viewer shows them and gives them ids in.
+ */
+export function listSwimlanes(timeline: TimelineJson): { swimlane: SwimLaneJson; path: string }[] {
+  return [
+    ...(timeline.swimlanes ?? []).map((swimlane, i) => ({ swimlane, path: "swimlanes[" + i + "]" })),
+    ...(timeline.groups ?? []).flatMap((group, g) => (group.swimlanes ?? []).map((swimlane, i) => ({ swimlane, path: "groups[" + g + "].swimlanes[" + i + "]" }))),
+  ];
+}
+
+/**
+ * Returns the title, number of time periods (including nested ones) and years a timeline covers.
+ */
+export function summarizeTimeline(id: string, timeline: TimelineJson): TimelineSummary {
+  const formatVersion = timeline.formatVersion ?? 1;
+  const timePeriods = listSwimlanes(timeline).flatMap(({ swimlane }) => withDescendants(swimlane.timePeriods ?? []));
+
+  const years = timePeriods
+    .flatMap(timePeriod => [timePeriod.startDate, timePeriod.endDate, timePeriod.date])
+    .map(date => getYear(date, formatVersion))
+    .filter((year): year is number => year !== null);
+
+  return {
+    id,
+    title: timeline.title || id,
+    periodCount: timePeriods.length,
+    startYear: years.length > 0 ? Math.min(...years) : null,
+    endYear: years.length > 0 ? Math.max(...years) : null,
+  };
+}
+
+/**
+ * Lists the timelines in the timeline store, sorted by title.
+ *
+ * Timelines that can't be read (e.g. files that aren't valid JSON) are left out and logged,
+ * so one broken file doesn't break the index.
+ */
+export async function listTimelines(): Promise<TimelineSummary[]> {
+  const store = await getTimelineStore();
+  const ids = await store.listIds();
+
+  const summaries = await Promise.all(ids.map(id =>
+    readTimeline(id)
+      .then(timeline => (timeline ? summarizeTimeline(id, timeline) : null))
+      .catch(err => {
+        console.error("Error reading timeline " + id + ":", err);
+        return null;
+      })
+  ));
+  return summaries
+    .filter((summary): summary is TimelineSummary => summary !== null)
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Makes an id from a name that isn't one of the used ids, and adds it to them, e.g. "akkadian-empire"
+ * or "akkadian-empire-2", with createId of public/timelineViewer.js.
+ */
+export function createId(name: unknown, usedIds: Set<string>, fallback: string): string {
+  return getViewerFunction<(name: unknown, usedIds: Set<string>, fallback: string) => string>("createId")(name, usedIds, fallback);
+}
+
+type TimelineIds = {
+  laneIds: string[];
+  groupIds: string[];
+  periodIds: Map<string, string>; // by the JSON path of the time period
+};
+
+/**
+ * Gives every swimlane, group and time period without an id the one the viewer generates for it, with
+ * getTimelineIds of public/timelineViewer.js. Changes and returns the timeline.
+ *
+ * Stored timelines get their ids when a time period is changed through the API, so the ids stay the same
+ * when time periods are added or renamed later.
+ */
+export function assignIds(timeline: TimelineJson): TimelineJson {
+  const { laneIds, groupIds, periodIds } = getViewerFunction<(json: TimelineJson) => TimelineIds>("getTimelineIds")(timeline);
+
+  // the id goes first, as in files written by the viewer
+  const withId = <T extends { id?: string }>(item: T, id: string): T => Object.assign({ id }, item, { id });
+
+  // a time period keeps its children array, so they are given ids after it
+  forEachTimePeriod(timeline, ({ path, siblings, index, timePeriod }) => {
+    siblings[index] = withId(timePeriod, periodIds.get(path)!);
+  });
+
+  // in the order of listSwimlanes, as the viewer does
+  let laneIndex = 0;
+  const withLaneId = (swimlane: SwimLaneJson) => withId(swimlane, laneIds[laneIndex++]);
+  timeline.swimlanes = timeline.swimlanes.map(withLaneId);
+  if (timeline.groups) {
+    timeline.groups = timeline.groups.map((group, g) => withId({ ...group, swimlanes: group.swimlanes.map(withLaneId) }, groupIds[g]));
+  }
+  return timeline;
+}
+
+type FoundTimePeriod = {
+  path: string; // the JSON path, e.g. "swimlanes[2].timePeriods[14].children[0]"
+  swimlane: SwimLaneJson;
+  parent: TimePeriodJson | null;
+  siblings: TimePeriodJson[]; // the array that holds the time period, its parent's children or its swimlane's time periods
+  index: number;
+  timePeriod: TimePeriodJson;
+};
+
+/**
+ * Calls a function for every time period of a timeline, parents before their children.
+ */
+function forEachTimePeriod(timeline: TimelineJson, callback: (found: FoundTimePeriod) => void): void {
+  const visit = (swimlane: SwimLaneJson, parent: TimePeriodJson | null, siblings: TimePeriodJson[], siblingsPath: string) => {
+    siblings.forEach((timePeriod, index) => {
+      const path = siblingsPath + "[" + index + "]";
+      callback({ path, swimlane, parent, siblings, index, timePeriod });
+      if (timePeriod.children) visit(swimlane, timePeriod, timePeriod.children, path + ".children");
+    });
+  };
+  listSwimlanes(timeline).forEach(({ swimlane, path }) => visit(swimlane, null, swimlane.timePeriods, path + ".timePeriods"));
+}
+
+/**
+ * Finds a time period by its id, including nested ones, or returns null if there is none. The timeline must
+ * have ids, see assignIds.
+ */
+export function findTimePeriod(timeline: TimelineJson, periodId: string): FoundTimePeriod | null {
+  let result: FoundTimePeriod | null = null;
+  forEachTimePeriod(timeline, found => {
+    if (!result && found.timePeriod.id === periodId) result = found;
+  });
+  return result;
+}
+
+/**
+ * Returns every time period of a timeline, including nested ones, with the title of its swimlane and the id of
+ * its parent. The timeline must have ids, see assignIds.
+ */
+export function listTimePeriods(timeline: TimelineJson) {
+  const timePeriods: { swimlane: string; parent: string | null; timePeriod: TimePeriodJson }[] = [];
+  forEachTimePeriod(timeline, ({ swimlane, parent, timePeriod }) => {
+    timePeriods.push({ swimlane: swimlane.title, parent: parent?.id ?? null, timePeriod });
+  });
+  return timePeriods;
+}
+
+/**
+ * Returns an id that a time period or one of its descendants repeats, or that is one of the used ids, or
+ * undefined if their ids are free.
+ */
+export function findTakenPeriodId(timePeriod: TimePeriodJson, usedIds: Set<string>): string | undefined {
+  const ids = [timePeriod, ...getDescendants(timePeriod)].map(timePeriod => timePeriod.id).filter(id => id !== undefined);
+  return ids.find((id, i) => usedIds.has(id) || ids.indexOf(id) != i);
+}
+
+/**
+ * Removes the links to time periods, e.g. ones that are being deleted. Changes the timeline.
+ */
+export function removeLinksTo(timeline: TimelineJson, periodIds: string[]): void {
+  forEachTimePeriod(timeline, ({ timePeriod }) => {
+    if (!timePeriod.links) return;
+    timePeriod.links = timePeriod.links.filter(link => !periodIds.includes(link.to));
+    if (timePeriod.links.length == 0) delete timePeriod.links;
+  });
+}
@@ -0,0 +1,106 @@
+// Types for the viewer API that public/timelineViewer.js defines on window.
+
+export interface TimelineViewerOptions {
+  horizontalScrollSpeed?: number;
+  verticalScrollSpeed?: number;
+  rescaleSpeed?: number;
+  showInstructions?: boolean;
+  autoFocus?: boolean;
+  urlState?: boolean;
+  urlStatePrefix?: string;
+  urlStateDelay?: number;
+  era?: "BC/AD" | "BCE/CE" | "astronomical";
+  calendar?: "gregorian" | "julian";
+  editable?: boolean;
+  historySize?: number;
+  recentFiles?: number;
+  rememberLanes?: boolean;
+  clusterDensity?: number;
+  showDrawStats?: boolean;
+}
+
+export interface LabelAllowance {
+  count: number;
+  scaleType: string;
+}
+
+export interface TimePeriodCluster {
+  count: number;
+  startDate: Date;
+  endDate: Date;
+  x: number;
+  width: number;
+}
+
+export interface LaneLayout {
+  order?: string[];
+  hidden?: string[];
+  collapsed?: string[];
+  groups?: string[];
+  hiddenGroups?: string[];
+  collapsedGroups?: string[];
+}
+
+export interface TimelineExportOptions {
+  format?: "png" | "svg" | "pdf";
+  width?: number;
+  pixelRatio?: number;
+  startDate?: Date;
+  endDate?: Date;
+  showTitle?: boolean;
+  showLegend?: boolean;
+}
+
+export interface TableImportOptions {
+  delimiter?: string;
+  hasHeader?: boolean;
+  columns?: Record<string, number>;
+  dateFormat?: "iso" | "year" | "dmy" | "mdy";
+  title?: string;
+}
+
+export interface TimelineViewerInstance {
+  load(source: { data?: object; text?: string; url?: string }): Promise<unknown>;
+  destroy(): void;
+  draw(): void;
+  updateMouseState(mouseX: number, mouseY: number, isMouseDown?: boolean): string;
+  setFocus(date: Date, x?: number): void;
+  zoomTo(scaleType: string, scaleWidth: number, x?: number): void;
+  flyTo(startDate: Date, endDate: Date, options?: { duration?: number; margin?: number }): Promise<boolean>;
+  fitAll(): Promise<boolean>;
+  goToPeriod(timePeriod: unknown): Promise<boolean>;
+  goToCluster(cluster: TimePeriodCluster): Promise<boolean>;
+  setPeriodExpanded(timePeriod: unknown, isExpanded: boolean): void;
+  setPeriodRow(timePeriod: unknown, row: number | null): void;
+  setRowLayout(rowLayout: "packed" | "stable", labelAllowance?: LabelAllowance | null): void;
+  getLaneLayout(): Required<LaneLayout> | null;
+  setLaneLayout(layout: LaneLayout): void;
+  stopAnimation(): void;
+  exportImage(options?: TimelineExportOptions): Promise<Blob>;
+  downloadImage(options?: TimelineExportOptions): Promise<void>;
+  importTable(text: string, options?: TableImportOptions): Promise<unknown>;
+  exportTable(options?: { delimiter?: string }): string | null;
+  downloadTable(options?: { delimiter?: string }): void;
+  openFile(file: File): Promise<unknown>;
+  getRecentFiles(): { name: string; openedAt: Date }[];
+  openRecentFile(name: string): Promise<unknown>;
+  clearRecentFiles(): void;
+  setEditMode(isEditing: boolean): void;
+  isEditing(): boolean;
+  getTimelineJson(): object | null;
+  undo(): boolean;
+  redo(): boolean;
+  previousView(): boolean;
+  nextView(): boolean;
+  on(eventName: string, handler: (...args: unknown[]) => void): () => void;
+  off(eventName: string, handler: (...args: unknown[]) => void): void;
+}
+
+declare global {
+  interface Window {
+    createTimelineViewer?: (
+      containerElement: HTMLElement,
+      config?: { data?: object; url?: string; options?: TimelineViewerOptions }
+    ) => TimelineViewerInstance;
+  }
+}